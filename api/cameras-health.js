@@ -0,0 +1,11 @@
+import { CameraHealthMonitor } from '../server/cameraHealth.js';
+
+// Survives between invocations while the function instance stays warm,
+// which is what lets frozen feeds be detected across requests
+const monitor = new CameraHealthMonitor();
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    await monitor.refreshIfStale();
+    return res.status(200).json(monitor.getHealth());
+}
@@ -0,0 +1,6 @@
+import { getProxyStats } from '../server/hlsProxy.js';
+
+export default function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return res.status(200).json(getProxyStats());
+}
@@ -1,6 +1,14 @@
 import './src/style.css';
 import 'maplibre-gl/dist/maplibre-gl.css';
-import { TrafficAnalyzer } from './src/ai/TrafficAnalyzer.js';
+import { createVisionBackend } from './src/ai/createVisionBackend.js';
+import { AnalysisScheduler } from './src/ai/AnalysisScheduler.js';
+import { ResultLogRecorder, parseResultLog } from './src/ai/ResultLog.js';
+import { DetectionLogRecorder } from './src/ai/DetectionLog.js';
+import { trackerFromSettings } from './src/ai/SortTracker.js';
+import { ResultReplay } from './src/ai/ResultReplay.js';
+import { SessionSupervisor, errorCode, errorStatus } from './src/ai/SessionSupervisor.js';
+import { samplingFromSettings } from './src/ai/AdaptiveSampler.js';
+import { applyMeasuredQueues } from './src/ai/QueueEstimator.js';
 import { VideoFeed } from './src/components/VideoFeed.js';
 import { Heatmap } from './src/components/Heatmap.js';
 import { StatsPanel } from './src/components/StatsPanel.js';
@@ -8,46 +16,65 @@ import { AlertsPanel } from './src/components/AlertsPanel.js';
 import { OptimizationsPanel } from './src/components/OptimizationsPanel.js';
 import { HistoricalChart } from './src/components/HistoricalChart.js';
 import { InteractiveMap } from './src/components/InteractiveMap.js';
+import { RecordingsPanel } from './src/components/RecordingsPanel.js';
+import { CameraImportPanel } from './src/components/CameraImportPanel.js';
+import { LaneEditor } from './src/components/LaneEditor.js';
+import { QueueCalibrationEditor } from './src/components/QueueCalibrationEditor.js';
+import { MovementZoneEditor } from './src/components/MovementZoneEditor.js';
+import { CountLineEditor } from './src/components/CountLineEditor.js';
+import { SpeedCalibrationEditor } from './src/components/SpeedCalibrationEditor.js';
+import { SchedulerPanel } from './src/components/SchedulerPanel.js';
 import { SignalControl } from './src/components/SignalControl.js';
 import { UIUtils } from './src/utils/UIUtils.js';
 import { DemoDataGenerator } from './src/utils/DemoDataGenerator.js';
 import { AudioAlerts } from './src/utils/AudioAlerts.js';
 import { localCounter } from './src/ai/LocalCounter.js';
+import { resolveVisionBackend } from './src/config/visionBackends.js';
 import { dataStore } from './src/services/DataStore.js';
 import { authService } from './src/services/AuthService.js';
 import { voiceAssistantService } from './src/services/VoiceAssistantService.js';
+import { cameraHealthService } from './src/services/CameraHealthService.js';
+import { cameraRegistryService } from './src/services/CameraRegistryService.js';
+import { liveBroadcastService } from './src/services/LiveBroadcastService.js';
+import { TrafficRecorder } from './src/services/TrafficRecorder.js';
 
 class TrafiQApp {
     constructor() {
-        this.setupUserMenu();
-
         // UI References
         this.connectionStatus = document.getElementById('connectionStatus');
-        this.apiKeyBtn = document.getElementById('apiKeyBtn');
-        this.apiKeyModal = document.getElementById('apiKeyModal');
-        this.apiKeyInput = document.getElementById('apiKeyInput');
-        this.apiKeyCancel = document.getElementById('apiKeyCancel');
-        this.apiKeySave = document.getElementById('apiKeySave');
         this.loadingOverlay = document.getElementById('statsLoadingOverlay');
 
-        this.lastAnalysisTime = 0;
         this.isDemoMode = false;
+        // Camera whose results this dashboard shares with watchers (live feeds only)
+        this.currentCameraId = null;
+        // Watching shows another dashboard's results instead of running analysis
+        this.isWatching = false;
+        // Records the analyzed stream to the current intersection
+        this.recorder = new TrafficRecorder(dataStore);
+        // Raw results of the current session, for Save Log
+        this.resultLog = new ResultLogRecorder();
+        // The local counter's detections, for benchmarking the tracker offline
+        this.detectionLog = new DetectionLogRecorder();
+        // Replayed results are shown but not recorded again
+        this.isReplaying = false;
+        this.layoutToast = null;
+        // Latest queue lengths measured on calibrated lanes (meters by lane id)
+        this.measuredQueues = null;
+        // Reconnects a failed or stalled session and records the downtime
+        this.supervisor = new SessionSupervisor({
+            reconnect: () => this.analyzer?.reconnect(),
+            getVideoElement: () => this.analyzer?.externalVideoElement || this.analyzer?.getVideoElement(),
+            onRetry: (retry) => this.handleRetry(retry),
+            onRecovered: (gap) => this.handleRecovered(gap),
+            onGiveUp: (error) => this.handleError(error)
+        });
 
-        this.ensureAuth().then(() => this.init());
-    }
-
-    async ensureAuth() {
-        if (authService.isLoggedIn()) return;
-
-        try {
-            await authService.register('demo@trafiq.ai', 'demo123', 'Demo User');
-        } catch (e) {
-            try {
-                await authService.login('demo@trafiq.ai', 'demo123');
-            } catch (loginErr) {
-                console.error('Auth failed:', loginErr);
-            }
-        }
+        // Sign-in is checked by the server; without a session we go to the login page
+        authService.requireAuth().then(loggedIn => {
+            if (!loggedIn) return;
+            this.setupUserMenu();
+            this.init();
+        });
     }
 
     async init() {
@@ -57,11 +84,15 @@ class TrafiQApp {
         // Initialize Analyzer logic FIRST
         this.initializeAnalyzer();
 
+        // Send analytics recorded while offline and pick up the team's shared data
+        dataStore.sync();
+
         // Initialize UI components first to allow user interaction
         this.videoFeed = new VideoFeed({
             onCameraSelect: () => this.startCameraAnalysis(),
             onVideoUpload: (file) => this.startVideoAnalysis(file),
-            onStreamSelect: (url, cameraId) => this.handleStreamSelect(url, cameraId)
+            onStreamSelect: (url, cameraId, recordingId) => this.handleStreamSelect(url, cameraId, recordingId),
+            onStreamError: () => this.supervisor.handleStreamError()
         });
 
         this.heatmap = new Heatmap({ laneCount: 4 });
@@ -75,10 +106,78 @@ class TrafiQApp {
             onAddCameraClick: (location) => this.openAddCameraModal(location)
         });
 
+        // Bulk camera import (CSV, GeoJSON, KML) with a preview on the map
+        this.cameraImportPanel = new CameraImportPanel({ map: this.interactiveMap });
+        // Saved lane layout of the selected camera
+        this.laneEditor = new LaneEditor({ getCameraId: () => this.interactiveMap?.selectedCameraId });
+        // Stop bars and reference distances for measuring queues in meters
+        this.queueCalibrationEditor = new QueueCalibrationEditor({
+            getCameraId: () => this.interactiveMap?.selectedCameraId,
+            getVideoElement: () => this.videoFeed.getVideoElement(),
+            onSave: (camera) => {
+                if (camera.id === this.currentCameraId) localCounter.setQueueCalibration(camera.queueCalibration || []);
+            }
+        });
+        // Approach zones for turning movement counts
+        this.movementZoneEditor = new MovementZoneEditor({
+            getCameraId: () => this.interactiveMap?.selectedCameraId,
+            getVideoElement: () => this.videoFeed.getVideoElement(),
+            onSave: (camera) => {
+                if (camera.id === this.currentCameraId) localCounter.setMovementZones(camera.movementZones || []);
+            }
+        });
+        // Lines and zones vehicles are counted at
+        this.countLineEditor = new CountLineEditor({
+            getCameraId: () => this.interactiveMap?.selectedCameraId,
+            getVideoElement: () => this.videoFeed.getVideoElement(),
+            onSave: (camera) => {
+                if (camera.id === this.currentCameraId) localCounter.setCountLines(camera.countLines || []);
+            }
+        });
+        // Road rectangle in meters for measuring speeds
+        this.speedCalibrationEditor = new SpeedCalibrationEditor({
+            getCameraId: () => this.interactiveMap?.selectedCameraId,
+            getVideoElement: () => this.videoFeed.getVideoElement(),
+            onSave: (camera) => {
+                if (camera.id === this.currentCameraId) localCounter.setSpeedCalibration(camera.speedCalibration || null);
+            }
+        });
+        // Other cameras analyzed at the same time, each recorded to its own intersection
+        this.scheduler = new AnalysisScheduler({
+            onResult: (cameraId, data) => this.interactiveMap?.updateIntersection(cameraId, data),
+            onLayoutUpdate: (cameraId, layout) => this.saveLaneLayout(cameraId, layout),
+            onChange: (sessions) => this.schedulerPanel?.updateSessions(sessions)
+        });
+        this.schedulerPanel = new SchedulerPanel({ scheduler: this.scheduler });
+
+        // Grey out dead or frozen feeds in the dropdown and on the map
+        cameraHealthService.onUpdate = () => {
+            this.videoFeed.applyCameraHealth();
+            this.interactiveMap.updateCameraHealth();
+        };
+        cameraHealthService.start();
+
+        // Keep every camera list in step with the registry, and move cameras
+        // saved only in this browser into it
+        cameraRegistryService.onChange = (cameras) => {
+            this.videoFeed.populateCameraDropdown();
+            this.interactiveMap.syncCameras(cameras.filter(c => c.enabled !== false));
+            this.recordingsPanel?.populateCameras();
+        };
+        cameraRegistryService.load().then(() => cameraRegistryService.migrateLocalCameras());
+
+        // DVR recordings are listed in the camera dropdown for re-analysis
+        this.recordingsPanel = new RecordingsPanel({
+            onChange: (recordings) => this.videoFeed.setRecordings(recordings),
+            getCurrentCameraId: () => this.interactiveMap?.selectedCameraId
+        });
+
         this.signalControl = new SignalControl({
             onTimingChange: (timings) => this.handleTimingChange(timings)
         });
 
+        this.setupLiveWatching();
+
         this.demoGenerator = new DemoDataGenerator();
         this.audioAlerts = new AudioAlerts({ enabled: true, volume: 0.3 });
 
@@ -139,8 +238,8 @@ class TrafiQApp {
         const modal = document.getElementById('addCameraModal');
         if (modal) {
             modal.classList.add('modal--open');
-            document.getElementById('newCameraName').value = '';
-            document.getElementById('newCameraUrl').value = '';
+            ['newCameraName', 'newCameraApproaches', 'newCameraLanes', 'newCameraAgency', 'newCameraNotes', 'newCameraUrl']
+                .forEach(id => { document.getElementById(id).value = ''; });
             document.getElementById('newCameraFile').value = '';
             this.addCameraSourceType = 'file';
             document.getElementById('sourceTypeUpload').click();
@@ -153,11 +252,26 @@ class TrafiQApp {
         const nameInput = document.getElementById('newCameraName');
         const name = nameInput.value.trim() || 'New Camera';
 
-        const camera = this.interactiveMap.addNewCamera(
-            this.pendingCameraLocation.lat,
-            this.pendingCameraLocation.lng,
-            name
-        );
+        const url = this.addCameraSourceType === 'url' ? document.getElementById('newCameraUrl').value.trim() : '';
+
+        let camera;
+        try {
+            camera = await this.interactiveMap.addNewCamera(
+                this.pendingCameraLocation.lat,
+                this.pendingCameraLocation.lng,
+                name,
+                {
+                    url,
+                    approaches: document.getElementById('newCameraApproaches').value,
+                    laneCount: document.getElementById('newCameraLanes').value,
+                    agency: document.getElementById('newCameraAgency').value,
+                    notes: document.getElementById('newCameraNotes').value
+                }
+            );
+        } catch (error) {
+            alert(`Could not add camera: ${error.message}`);
+            return;
+        }
 
         this.closeAddCameraModal();
 
@@ -166,37 +280,135 @@ class TrafiQApp {
             if (fileInput.files.length > 0) {
                 await this.startVideoAnalysis(fileInput.files[0]);
             }
-        } else {
-            const urlInput = document.getElementById('newCameraUrl');
-            if (urlInput.value.trim()) {
-                this.handleStreamSelect(urlInput.value.trim(), camera.id);
-            }
+        } else if (url) {
+            this.handleStreamSelect(url, camera.id);
         }
     }
 
     initializeAnalyzer() {
-        this.analyzer = new TrafficAnalyzer({
-            apiKey: '',
-            onResult: (data) => this.handleAIResult(data),
-            onError: (error) => this.handleError(error),
-            onStatusChange: (status) => this.updateConnectionStatus(status)
+        this.createAnalyzer();
+
+        // The Overshoot key lives on the server now (see /api/relay); forget any old copy
+        localStorage.removeItem('trafiq_api_key');
+        this.updateConnectionStatus('ready');
+    }
+
+    /**
+     * Create the vision backend chosen in settings for a registry camera
+     * (or the default backend for the device camera and uploaded videos)
+     */
+    createAnalyzer(cameraId = null) {
+        const settings = dataStore.getAllSettings();
+        const backendId = resolveVisionBackend(cameraId, settings);
+        const camera = cameraRegistryService.get(cameraId);
+        localCounter.setTrackerOptions(trackerFromSettings(settings));
+        localCounter.detectionLog = this.detectionLog;
+        this.detectionLog.begin({
+            camera: camera ? { id: camera.id, name: camera.name } : null,
+            tracker: trackerFromSettings(settings)
         });
+        localCounter.setQueueCalibration(camera?.queueCalibration || []);
+        localCounter.setMovementZones(camera?.movementZones || []);
+        localCounter.setCountLines(camera?.countLines || []);
+        localCounter.setSpeedCalibration(camera?.speedCalibration || null);
+        this.analyzer = createVisionBackend(backendId, {
+            ...this.getAnalyzerOptions(cameraId),
+            resultLog: this.resultLog
+        });
+        console.log(`🧠 Vision backend: ${this.analyzer.id}`);
+        return this.analyzer;
+    }
 
-        const user = authService.getCurrentUser();
-        const savedKey = this.analyzer.getSavedApiKey();
-        const envKey = import.meta.env.VITE_OVERSHOOT_API_KEY;
-
-        if (envKey) {
-            this.analyzer.setApiKey(envKey);
-        } else if (user?.settings?.apiKey) {
-            this.analyzer.setApiKey(user.settings.apiKey);
-        } else if (savedKey) {
-            this.analyzer.setApiKey(savedKey);
-            if (user) authService.updateProfile({ settings: { apiKey: savedKey } });
-        } else {
-            this.analyzer.setApiKey('');
+    /**
+     * Callbacks connecting an analyzer to the dashboard
+     */
+    getAnalyzerOptions(cameraId = null) {
+        return {
+            camera: cameraId ? cameraRegistryService.get(cameraId) : null,
+            sampling: samplingFromSettings(dataStore.getAllSettings()),
+            onSamplingChange: (stats) => this.statsPanel?.updateSampling(stats),
+            onResult: (data) => {
+                this.supervisor.noteActivity();
+                this.handleAIResult(data);
+            },
+            onCounts: (counts) => {
+                this.supervisor.noteActivity();
+                this.handleLocalCounts(counts);
+            },
+            // Raw results count as activity even when they fail validation
+            onHeartbeat: () => this.supervisor.noteActivity(),
+            onQualityChange: (stats) => this.statsPanel?.updateDataQuality(stats),
+            onLayoutUpdate: (layout) => this.saveLaneLayout(cameraId, layout),
+            onSceneChange: (state) => this.handleSceneChange(state),
+            onError: (error) => {
+                if (!this.supervisor.handleError(error)) this.handleError(error);
+            },
+            onStatusChange: (status) => {
+                if (status === 'ended') this.handleAnalysisEnded();
+                // Keep showing the retry state while a reconnect is under way
+                if (this.supervisor.isRecovering() && status !== 'connected' && status !== 'ended') return;
+                this.updateConnectionStatus(status);
+            }
+        };
+    }
+
+    handleRetry({ attempt, delayMs }) {
+        this.updateConnectionStatus('reconnecting', { attempt, delayMs });
+        this.videoFeed?.setStatus('processing', `Reconnecting (attempt ${attempt})...`);
+    }
+
+    /**
+     * Results flow again: record the gap so the history shows the outage
+     * instead of a quiet stretch of road
+     */
+    handleRecovered({ start, end, reason }) {
+        if (!this.isReplaying) this.recorder.store.recordDowntime(start, end, reason);
+        this.updateConnectionStatus('connected');
+        this.videoFeed?.setStatus('processing', 'Analyzing...');
+        this.showToast(`Analysis reconnected after ${Math.round((end - start) / 1000)}s`);
+    }
+
+    /**
+     * Keep a registry camera's lane layout and the view it belongs to, so later
+     * sessions skip discovery and notice when the camera has been moved
+     */
+    async saveLaneLayout(cameraId, { lanes, fingerprint }) {
+        if (!cameraId || !lanes.length) return;
+        try {
+            await cameraRegistryService.update(cameraId, { lanes, viewFingerprint: fingerprint || '' });
+            console.log(`🛣️ Saved ${lanes.length} lane(s) for ${cameraId}`);
+        } catch (error) {
+            console.warn('Could not save the lane layout:', error.message);
+        }
+    }
+
+    /**
+     * Pause recording while a moved camera's lanes are rediscovered, and ask
+     * for confirmation when they don't match the saved layout
+     */
+    handleSceneChange(state) {
+        this.layoutToast?.remove();
+        this.layoutToast = null;
+
+        if (state === 'changed') {
+            this.recorder.paused = true;
+            this.heatmap?.reset();
+            this.showToast('Camera view changed. Recording is paused while lanes are rediscovered.');
+        } else if (state === 'unconfirmed') {
+            const laneCount = this.analyzer?.discoveredLanes?.length || 0;
+            this.layoutToast = this.showToast(
+                `The new view has ${laneCount} lane(s) that don't match the saved layout. Recording stays paused until you confirm them.`,
+                null, null, { duration: 0 }
+            );
+            const confirmBtn = document.createElement('button');
+            confirmBtn.className = 'btn btn--sm btn--primary';
+            confirmBtn.textContent = 'Confirm Lanes';
+            confirmBtn.addEventListener('click', () => this.analyzer?.confirmLayout());
+            this.layoutToast.appendChild(confirmBtn);
+        } else if (state === 'resumed') {
+            if (this.recorder.paused) this.showToast('Lane layout matched. Recording resumed.');
+            this.recorder.paused = false;
         }
-        this.updateConnectionStatus('ready');
     }
 
     initializeVoiceAssistant() {
@@ -325,7 +537,12 @@ class TrafiQApp {
         this.showToast('Voice Assistant requires configuration', '/settings.html', 'Open Settings');
     }
 
-    showToast(message, linkUrl, linkText) {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.duration=5000] - ms before it fades; 0 keeps it until removed
+     * @returns {HTMLElement} the toast
+     */
+    showToast(message, linkUrl, linkText, { duration = 5000 } = {}) {
         const toast = document.createElement('div');
         toast.className = 'voice-config-toast';
         toast.innerHTML = `<span>${message}</span>${linkUrl ? `<a href="${linkUrl}" class="btn btn--sm btn--primary">${linkText}</a>` : ''}`;
@@ -338,11 +555,14 @@ class TrafiQApp {
         });
 
         document.body.appendChild(toast);
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            toast.style.transition = 'opacity 0.3s ease';
-            setTimeout(() => toast.remove(), 300);
-        }, 5000);
+        if (duration > 0) {
+            setTimeout(() => {
+                toast.style.opacity = '0';
+                toast.style.transition = 'opacity 0.3s ease';
+                setTimeout(() => toast.remove(), 300);
+            }, duration);
+        }
+        return toast;
     }
 
     showMicrophoneError(errorMsg) {
@@ -423,28 +643,23 @@ class TrafiQApp {
             <button class="btn btn--ghost btn--sm" id="logoutBtn">Logout</button>
         `;
 
-        headerActions.insertBefore(userMenu, headerActions.querySelector('#apiKeyBtn'));
-        userMenu.querySelector('#logoutBtn').addEventListener('click', () => {
-            authService.logout();
+        headerActions.appendChild(userMenu);
+        userMenu.querySelector('#logoutBtn').addEventListener('click', async () => {
+            await authService.logout();
             window.location.href = '/login.html';
         });
     }
 
     setupEventListeners() {
-        this.apiKeyBtn?.addEventListener('click', () => this.openApiKeyModal());
-        this.apiKeyCancel?.addEventListener('click', () => this.closeApiKeyModal());
-        this.apiKeySave?.addEventListener('click', () => {
-            const key = this.apiKeyInput?.value?.trim();
-            if (key) {
-                this.analyzer?.setApiKey(key);
-                this.closeApiKeyModal();
-                this.updateConnectionStatus('ready');
-            }
-        });
-        this.apiKeyModal?.querySelector('.modal__backdrop')?.addEventListener('click', () => this.closeApiKeyModal());
-
         document.getElementById('demoBtn')?.addEventListener('click', () => this.toggleDemoMode());
         document.getElementById('exportDataBtn')?.addEventListener('click', () => this.exportData());
+        document.getElementById('saveResultLogBtn')?.addEventListener('click', () => this.saveResultLog());
+        document.getElementById('saveDetectionLogBtn')?.addEventListener('click', () => this.saveDetectionLog());
+        document.getElementById('replayUpload')?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) this.startReplay(file);
+        });
 
         document.addEventListener('keydown', (e) => this.handleKeybinds(e));
     }
@@ -454,7 +669,6 @@ class TrafiQApp {
 
         switch (e.key.toLowerCase()) {
             case 'escape':
-                this.closeApiKeyModal();
                 if (this.isDemoMode) this.stopDemoMode();
                 break;
             case 'd': this.toggleDemoMode(); break;
@@ -470,6 +684,73 @@ class TrafiQApp {
         }
     }
 
+    /**
+     * Download the raw results of the last analysis session as JSONL
+     */
+    saveResultLog() {
+        if (this.resultLog.size === 0) {
+            this.showToast('No results recorded yet. Result logs are kept for Overshoot analysis.');
+            return;
+        }
+
+        const blob = new Blob([this.resultLog.toJsonl()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `trafiq_results_${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download the local counter's detections of the last session as JSONL,
+     * for scripts/benchmark-tracker.js
+     */
+    saveDetectionLog() {
+        if (this.detectionLog.size === 0) {
+            this.showToast('No detections recorded yet. Detection logs are kept while the local counter runs.');
+            return;
+        }
+
+        const blob = new Blob([this.detectionLog.toJsonl()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `trafiq_detections_${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Play a saved result log through the analysis pipeline instead of a video
+     */
+    async startReplay(file) {
+        if (this.isWatching) this.stopWatching();
+        try {
+            const log = parseResultLog(await file.text());
+            await this.stopAnalysis();
+            this.resetDashboardState();
+            this.updateConnectionStatus('connecting');
+
+            this.isReplaying = true;
+            this.analyzer = new ResultReplay({
+                ...this.getAnalyzerOptions(),
+                speed: document.getElementById('replaySpeed')?.value
+            });
+            await this.analyzer.initWithLog(log);
+            await this.analyzer.start();
+
+            const source = log.header.camera?.name || 'result log';
+            this.videoFeed.setStatus('processing', `Replaying ${source} (${this.analyzer.speed}x)`);
+        } catch (error) {
+            if (error.name === 'ResultLogError') {
+                this.showToast(`Could not replay ${file.name}: ${error.message}`);
+                return;
+            }
+            this.handleError(error);
+        }
+    }
+
     exportData() {
         if (!this.historicalChart) return;
         const data = JSON.parse(this.historicalChart.exportData());
@@ -492,25 +773,18 @@ class TrafiQApp {
         this.audioAlerts?.success();
     }
 
-    openApiKeyModal() {
-        this.apiKeyModal?.classList.add('modal--open');
-        this.apiKeyInput.value = this.analyzer?.getSavedApiKey() || '';
-        this.apiKeyInput?.focus();
-    }
-
-    closeApiKeyModal() {
-        this.apiKeyModal?.classList.remove('modal--open');
-    }
-
     async startCameraAnalysis() {
+        if (this.isWatching) this.stopWatching();
         try {
             await this.stopAnalysis();
             this.resetDashboardState();
             this.updateConnectionStatus('connecting');
             this.videoFeed.setStatus('processing', 'Connecting...');
 
+            this.createAnalyzer();
             await this.analyzer.initWithCamera('environment');
             await this.analyzer.start();
+            this.supervisor.watch();
 
             const videoEl = this.analyzer.getVideoElement();
             if (videoEl) this.videoFeed.setSDKVideoElement(videoEl);
@@ -522,6 +796,7 @@ class TrafiQApp {
     }
 
     async startVideoAnalysis(file) {
+        if (this.isWatching) this.stopWatching();
         try {
             await this.stopAnalysis();
             this.resetDashboardState();
@@ -532,8 +807,10 @@ class TrafiQApp {
             this.videoFeed.setVideoSource(file);
             const videoEl = this.videoFeed.getVideoElement();
 
+            this.createAnalyzer();
             await this.analyzer.initWithVideoElement(videoEl);
             await this.analyzer.start();
+            this.supervisor.watch();
 
             this.videoFeed.setStatus('processing', 'Analyzing...');
         } catch (error) {
@@ -541,10 +818,21 @@ class TrafiQApp {
         }
     }
 
-    handleStreamSelect(url, cameraId) {
-        this.startHlsAnalysis(url);
+    handleStreamSelect(url, cameraId, recordingId = null) {
+        if (this.isWatching && !recordingId) {
+            liveBroadcastService.subscribe(cameraId);
+        } else {
+            if (this.isWatching) this.stopWatching();
+            // Recordings are re-analyzed privately, not broadcast as the camera's live results
+            this.pendingCameraId = recordingId ? null : cameraId;
+            this.startHlsAnalysis(url, cameraId);
+        }
+        if (recordingId) console.log(`⏺ Re-analyzing recording ${recordingId}`);
         if (cameraId) {
+            // Focus the map without the map selecting the live feed back in the dropdown
+            this.selectingFromFeed = true;
             this.interactiveMap?.selectCamera(cameraId);
+            this.selectingFromFeed = false;
             const camera = this.interactiveMap?.cameras.find(c => c.id == cameraId);
             if (camera) this.statsPanel?.setCameraName(camera.name);
             dataStore.setCurrentIntersection(cameraId);
@@ -552,21 +840,27 @@ class TrafiQApp {
     }
 
     handleMapCameraSelect(camera) {
-        if (camera?.id) this.videoFeed?.selectCamera(camera.id);
+        if (camera?.id && !this.selectingFromFeed) this.videoFeed?.selectCamera(camera.id);
     }
 
-    async startHlsAnalysis(url) {
+    async startHlsAnalysis(url, cameraId = null) {
         try {
             await this.stopAnalysis();
+            this.currentCameraId = this.pendingCameraId || null;
             this.resetDashboardState();
             this.updateConnectionStatus('connecting');
             this.videoFeed.setStatus('processing', 'Initializing Stream...');
             this.showLoadingState();
 
             const videoEl = this.videoFeed.getVideoElement();
+            this.createAnalyzer(cameraId);
             await this.analyzer.initWithVideoElement(videoEl);
-            localCounter.start(videoEl, (counts) => this.handleLocalCounts(counts));
+            // Backends without their own counting get the local counter alongside
+            if (!this.analyzer.providesCounts) {
+                localCounter.start(videoEl, (counts) => this.handleLocalCounts(counts));
+            }
             await this.analyzer.start();
+            this.supervisor.watch({ reloadStream: () => this.videoFeed.setHlsSource(url) });
 
             this.videoFeed.setStatus('processing', 'Analyzing Stream...');
         } catch (error) {
@@ -577,35 +871,35 @@ class TrafiQApp {
         }
     }
 
+    /**
+     * A recording played to the end: the analyzer has already stopped itself
+     */
+    handleAnalysisEnded() {
+        this.supervisor.unwatch();
+        localCounter.stop();
+        this.videoFeed?.setStatus('ready', this.isReplaying ? 'Replay complete' : 'Recording analysis complete');
+    }
+
     async stopAnalysis() {
+        this.supervisor.unwatch();
         localCounter.stop();
+        liveBroadcastService.stopPublishing();
+        this.currentCameraId = null;
+        this.isReplaying = false;
+        this.recorder.paused = false;
+        this.recorder.reset();
+        this.measuredQueues = null;
+        this.layoutToast?.remove();
+        this.layoutToast = null;
         if (this.analyzer?.getIsRunning()) await this.analyzer.stop();
     }
 
     handleLocalCounts(counts) {
+        this.measuredQueues = counts.queues || null;
         this.statsPanel?.updateVehicleCounts(counts);
+        if (this.currentCameraId) liveBroadcastService.publishCounts(this.currentCameraId, counts);
 
-        const now = Date.now();
-        const timeDeltaSeconds = this.lastAnalysisTime ? (now - this.lastAnalysisTime) / 1000 : 0;
-        this.lastAnalysisTime = now;
-
-        let dwellTimeSeconds = 0.8;
-        const queue = this.lastQueueLength || 0;
-        if (queue > 20) dwellTimeSeconds = 45;
-        else if (queue > 10) dwellTimeSeconds = 20;
-        else if (queue > 5) dwellTimeSeconds = 8;
-        else if (queue > 2) dwellTimeSeconds = 3;
-
-        const validDelta = (timeDeltaSeconds > 0 && timeDeltaSeconds < 5) ? timeDeltaSeconds : 0.1;
-        const flowFactor = validDelta / dwellTimeSeconds;
-
-        dataStore.recordTrafficData({
-            car: counts.car * flowFactor,
-            truck: counts.truck * flowFactor,
-            bus: counts.bus * flowFactor,
-            motorcycle: counts.motorcycle * flowFactor,
-            avgWaitTime: 0
-        });
+        if (!this.isReplaying) this.recorder.recordCounts(counts);
     }
 
     resetDashboardState() {
@@ -615,7 +909,10 @@ class TrafiQApp {
         this.heatmap?.reset();
     }
 
-    handleAIResult(data) {
+    /**
+     * Update the dashboard panels from a result, whether analyzed here or received live
+     */
+    renderResult(data) {
         this.hideLoadingState();
         this.heatmap?.update(data.lanes);
         this.statsPanel?.update(data);
@@ -624,27 +921,19 @@ class TrafiQApp {
         this.historicalChart?.recordDataPoint(data);
         this.interactiveMap?.updateActiveIntersection(data);
         this.signalControl?.updateRecommendation(data);
-        this.statsPanel?.update(data);
-
-        if (data.lanes?.length) {
-            const totalQueue = data.lanes.reduce((sum, lane) => sum + (lane.queue_length_meters || 0), 0);
-            this.lastQueueLength = Math.round(totalQueue / data.lanes.length);
-            dataStore.recordQueueLength(this.lastQueueLength);
-        }
+        if (data.alerts?.length) this.audioAlerts?.processAlerts(data.alerts);
+    }
 
-        data.emergency_vehicles?.forEach(ev => {
-            dataStore.recordEmergencyEvent(ev.type, ev.lane_id, ev.direction);
-        });
+    handleAIResult(data) {
+        applyMeasuredQueues(data, this.measuredQueues);
+        this.renderResult(data);
 
-        if (data.alerts?.length) {
-            data.alerts.forEach(alert => {
-                const msg = typeof alert === 'string' ? alert : (alert.message || alert.type || 'Alert');
-                dataStore.recordIncident(typeof alert === 'object' ? (alert.type || 'alert') : 'alert', msg);
-            });
-            this.audioAlerts?.processAlerts(data.alerts);
+        if (this.currentCameraId && !this.isDemoMode) {
+            liveBroadcastService.publishResult(this.currentCameraId, data);
         }
 
-        data.optimization_suggestions?.forEach(rec => dataStore.recordRecommendation(rec));
+        // Simulated demo results never reach the shared analytics
+        if (!this.isReplaying && !this.isDemoMode) this.recorder.recordResult(data);
 
         // Simple CO2 Estimation
         if (data.optimization_suggestions?.length) {
@@ -663,16 +952,12 @@ class TrafiQApp {
         console.error('Error:', error);
         this.hideLoadingState();
 
-        // Parse simplified string first to be safe
-        let errorMsg = '';
-        if (typeof error === 'string') errorMsg = error;
-        else if (error && error.message) errorMsg = error.message;
-        else if (error) errorMsg = JSON.stringify(error);
-        
-        errorMsg = errorMsg.toLowerCase();
+        // Classified by status and code like SessionSupervisor's isRecoverableError
+        const code = errorCode(error);
+        const status = errorStatus(error);
 
         // Check for Credit/Payment Limits
-        if (errorMsg.includes('payment') || errorMsg.includes('credit') || errorMsg.includes('quota') || errorMsg.includes('402') || errorMsg.includes('insufficient')) {
+        if (code === 'quota_exceeded' || status === 402 || status === 429) {
             this.updateConnectionStatus('ready'); // Not fatal, just limited
             this.videoFeed?.setStatus('processing', 'Local AI Only');
             
@@ -685,17 +970,26 @@ class TrafiQApp {
             return;
         }
 
-        if (errorMsg.includes('unauthorized') || errorMsg.includes('api key') || errorMsg.includes('401')) {
+        if (code === 'unauthorized' || code === 'relay_not_configured' || status === 401 || status === 403 || status === 503) {
             this.updateConnectionStatus('error');
-            this.videoFeed?.setStatus('error', 'Auth Failed. Check .env');
+            this.videoFeed?.setStatus('error', 'Analysis relay unavailable. Check server keys');
+            this.showToast(
+                'The Overshoot relay is unavailable. Choose the Local TF.js backend in Settings to analyze offline.',
+                '/settings.html',
+                'Open Settings'
+            );
             return;
         }
 
         this.updateConnectionStatus('error');
-        this.videoFeed?.setStatus('error', error.message || 'An error occurred');
+        this.videoFeed?.setStatus('error', error?.message || 'An error occurred');
     }
 
-    updateConnectionStatus(status) {
+    /**
+     * @param {string} status
+     * @param {Object} [detail] - { attempt, delayMs } while reconnecting
+     */
+    updateConnectionStatus(status, detail = {}) {
         if (!this.connectionStatus) return;
 
         this.connectionStatus.classList.remove('status-pill--connected', 'status-pill--connecting', 'status-pill--error');
@@ -712,12 +1006,77 @@ class TrafiQApp {
         switch (status) {
             case 'connected': setStatus('status-pill--connected', 'Connected', 'var(--color-success)'); break;
             case 'connecting': setStatus('status-pill--connecting', 'Connecting...', 'var(--color-warning)'); break;
+            case 'reconnecting':
+                setStatus('status-pill--connecting', `Retrying in ${Math.ceil(detail.delayMs / 1000)}s (#${detail.attempt})`, 'var(--color-warning)');
+                break;
             case 'ready': setStatus(null, 'Ready', 'var(--color-success)'); break;
+            case 'ended': setStatus(null, 'Playback Ended', 'var(--color-text-muted)'); break;
             case 'error': setStatus('status-pill--error', 'Error', 'var(--color-danger)'); break;
             default: setStatus(null, 'Disconnected', 'var(--color-text-muted)'); break;
         }
     }
 
+    /**
+     * Watch mode: render results another dashboard publishes for the selected
+     * camera (e.g. on a wall display) instead of running inference here.
+     * Toggled with the Watch button, or opened directly with ?watch or ?watch=<cameraId>.
+     */
+    setupLiveWatching() {
+        liveBroadcastService.onResult = (data) => {
+            if (this.isWatching) this.renderResult(data);
+        };
+        liveBroadcastService.onCounts = (counts) => {
+            if (this.isWatching) this.statsPanel?.updateVehicleCounts(counts);
+        };
+        liveBroadcastService.onStatus = (status) => {
+            if (!this.isWatching) return;
+            if (status.unavailable) {
+                this.updateConnectionStatus('error');
+                this.videoFeed?.setStatus('error', 'Live results unavailable');
+            } else if (status.live) {
+                this.updateConnectionStatus('connected');
+                this.videoFeed?.setStatus('processing', `Watching ${status.publisher || 'live'} analysis`);
+            } else {
+                this.updateConnectionStatus('ready');
+                this.videoFeed?.setStatus('ready', 'Waiting for a dashboard to analyze this camera');
+            }
+        };
+
+        document.getElementById('watchBtn')?.addEventListener('click', () => {
+            this.isWatching ? this.stopWatching() : this.startWatching();
+        });
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('watch')) {
+            this.startWatching();
+            const cameraId = params.get('watch');
+            if (cameraId) this.videoFeed?.selectCamera(cameraId);
+        }
+    }
+
+    async startWatching() {
+        this.isWatching = true;
+        document.getElementById('watchBtn')?.classList.add('btn--active');
+        if (this.isDemoMode) this.stopDemoMode();
+        await this.stopAnalysis();
+        this.resetDashboardState();
+
+        const cameraId = this.interactiveMap?.selectedCameraId;
+        if (cameraId) {
+            liveBroadcastService.subscribe(cameraId);
+        } else {
+            this.videoFeed?.setStatus('ready', 'Select a camera to watch');
+        }
+    }
+
+    stopWatching() {
+        this.isWatching = false;
+        liveBroadcastService.unsubscribe();
+        document.getElementById('watchBtn')?.classList.remove('btn--active');
+        this.updateConnectionStatus('ready');
+        this.videoFeed?.setStatus('ready', 'Select a camera to start analysis');
+    }
+
     handleTimingChange(timings) {
         console.log('Signal timings changed:', timings);
     }
@@ -735,6 +1094,7 @@ class TrafiQApp {
     }
 
     startDemoMode() {
+        if (this.isWatching) this.stopWatching();
         this.stopAnalysis();
         this.resetDashboardState();
         this.isDemoMode = true;
@@ -0,0 +1,180 @@
+/**
+ * Tracker Benchmark
+ * Replays detection logs saved from the dashboard (Save Detections) through
+ * the local counter's tracker and reports how many vehicles it would count.
+ * In annotated logs, where detections of the same vehicle share an `id`, it
+ * also reports ID switches (a vehicle's detections moving to another track)
+ * and the counting error against the annotated vehicles.
+ *
+ *   npm run benchmark:tracker -- logs/*.jsonl [--min-hits=3] [--max-age=10] [--iou=0.2] [--tracker=greedy]
+ *
+ * Without log files it runs the annotated fixture in scripts/fixtures: six
+ * cars at different speeds, one hidden for two frames, and a few one-frame
+ * false detections.
+ *
+ * --tracker=greedy runs the matcher the local counter used before SortTracker
+ * (best IoU above 0.15 per track in turn, every track counted) for comparison.
+ */
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SortTracker, DEFAULT_TRACKER_OPTIONS, iou } from '../src/ai/SortTracker.js';
+import { parseDetectionLog, DetectionLogError } from '../src/ai/DetectionLog.js';
+
+const DEFAULT_LOG = fileURLToPath(new URL('./fixtures/synthetic-occlusion.jsonl', import.meta.url));
+
+const FLAGS = {
+    '--min-hits': 'minHits',
+    '--max-age': 'maxAge',
+    '--iou': 'iouThreshold'
+};
+
+/**
+ * The previous greedy matcher, with the SortTracker interface
+ */
+class GreedyTracker {
+    constructor() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    update(detections) {
+        const unassigned = detections.map((detection, index) => ({ detection, index }));
+        const tracks = [];
+        this.tracks.forEach(track => {
+            let best = -1;
+            let bestIoU = 0;
+            unassigned.forEach(({ detection }, i) => {
+                const overlap = iou(track.bbox, detection.bbox);
+                if (overlap > 0.15 && overlap > bestIoU && track.class === detection.class) {
+                    bestIoU = overlap;
+                    best = i;
+                }
+            });
+
+            if (best !== -1) {
+                const [{ detection, index }] = unassigned.splice(best, 1);
+                Object.assign(track, { bbox: detection.bbox, missingFrames: 0, detectionIndex: index });
+                tracks.push(track);
+            } else {
+                track.missingFrames++;
+                track.detectionIndex = -1;
+                if (track.missingFrames < 10) tracks.push(track);
+            }
+        });
+        unassigned.forEach(({ detection, index }) => {
+            tracks.push({ id: this.nextId++, bbox: detection.bbox, class: detection.class, missingFrames: 0, confirmed: true, detectionIndex: index });
+        });
+        this.tracks = tracks;
+        return tracks;
+    }
+}
+
+function parseArgs(argv) {
+    const files = [];
+    const options = {};
+    let tracker = 'sort';
+    argv.forEach(arg => {
+        const [flag, value] = arg.split('=');
+        if (flag === '--tracker') {
+            tracker = value;
+        } else if (FLAGS[flag]) {
+            const n = Number(value);
+            if (!Number.isFinite(n) || n <= 0) throw new Error(`${flag} needs a positive number`);
+            options[FLAGS[flag]] = n;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            files.push(arg);
+        }
+    });
+    if (!['sort', 'greedy'].includes(tracker)) throw new Error('--tracker must be sort or greedy');
+    return { files, options, tracker };
+}
+
+/**
+ * Run one log through a fresh tracker
+ */
+function benchmark(log, createTracker) {
+    const tracker = createTracker();
+    const counted = new Set();
+    const allTracks = new Set();
+    // Annotated vehicles: the tracks their detections were assigned to, in order
+    const vehicles = new Map();
+    // Counted tracks that were ever assigned an annotated vehicle
+    const trueTracks = new Set();
+    let detectionCount = 0;
+    let annotated = false;
+
+    log.frames.forEach(frame => {
+        const tracks = tracker.update(frame.detections);
+        detectionCount += frame.detections.length;
+        tracks.forEach(track => {
+            allTracks.add(track.id);
+            if (track.confirmed) counted.add(track.id);
+            const detection = frame.detections[track.detectionIndex];
+            if (detection?.id === undefined || detection.id === null) return;
+
+            annotated = true;
+            trueTracks.add(track.id);
+            if (!vehicles.has(detection.id)) vehicles.set(detection.id, []);
+            vehicles.get(detection.id).push(track.id);
+        });
+    });
+
+    const result = {
+        frames: log.frames.length,
+        detections: detectionCount,
+        tracks: allTracks.size,
+        counted: counted.size
+    };
+    if (annotated) {
+        const sequences = [...vehicles.values()];
+        result.vehicles = vehicles.size;
+        result.idSwitches = sequences.reduce((sum, ids) => sum + ids.filter((id, i) => i > 0 && id !== ids[i - 1]).length, 0);
+        result.tracksPerVehicle = Math.round(sequences.reduce((sum, ids) => sum + new Set(ids).size, 0) / (vehicles.size || 1) * 100) / 100;
+        result.falseCounts = [...counted].filter(id => !trueTracks.has(id)).length;
+        result.countError = counted.size - vehicles.size;
+    }
+    return result;
+}
+
+async function main() {
+    const { files, options, tracker } = parseArgs(process.argv.slice(2));
+    if (files.length === 0) files.push(DEFAULT_LOG);
+
+    const trackerOptions = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+    const createTracker = tracker === 'greedy' ? () => new GreedyTracker() : () => new SortTracker(trackerOptions);
+    console.log(tracker === 'greedy'
+        ? 'Tracker: greedy IoU (previous matcher)'
+        : `Tracker: SORT (minHits ${trackerOptions.minHits}, maxAge ${trackerOptions.maxAge}, IoU ${trackerOptions.iouThreshold})`);
+
+    const rows = [];
+    let failed = false;
+    for (const file of files) {
+        try {
+            const log = parseDetectionLog(await readFile(file, 'utf8'));
+            rows.push({ log: path.basename(file), ...benchmark(log, createTracker) });
+        } catch (error) {
+            failed = true;
+            console.error(`${file}: ${error instanceof DetectionLogError ? error.message : error}`);
+        }
+    }
+
+    if (rows.length > 1) {
+        const sum = (key) => rows.every(row => key in row) ? rows.reduce((total, row) => total + row[key], 0) : undefined;
+        const total = { log: 'total' };
+        ['frames', 'detections', 'tracks', 'counted', 'vehicles', 'idSwitches', 'falseCounts', 'countError'].forEach(key => {
+            const value = sum(key);
+            if (value !== undefined) total[key] = value;
+        });
+        rows.push(total);
+    }
+    if (rows.length) console.table(rows);
+    if (failed) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
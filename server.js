@@ -1,8 +1,21 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { handleProxyRequest, getProxyStats, setAllowedCameras } from './server/hlsProxy.js';
+import { CameraHealthMonitor } from './server/cameraHealth.js';
+import { CameraRegistry } from './server/cameraRegistry.js';
+import { createCamerasRouter } from './server/camerasRouter.js';
+import { RecordingManager } from './server/recorder.js';
+import { createRecordingsRouter } from './server/recordingsRouter.js';
+import { AnalyticsStore } from './server/analyticsStore.js';
+import { createDataRouter } from './server/dataRouter.js';
+import { AuthManager } from './server/auth.js';
+import { createAuthRouter } from './server/authRouter.js';
+import { KeyRelay } from './server/keyRelay.js';
+import { createRelayRouter, createRelayUpgradeHandler } from './server/relayRouter.js';
+import { LiveBroadcaster } from './server/liveBroadcast.js';
+import { createLiveRouter } from './server/liveRouter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,61 +25,75 @@ const PORT = process.env.PORT || 3001;
 
 app.use(cors());
 
-// Proxy for HLS streams
-app.get('/proxy', async (req, res) => {
-    const { url } = req.query;
-    if (!url) return res.status(400).send('Missing "url"');
-
-    try {
-        const targetUrl = decodeURIComponent(url);
-        const isManifest = targetUrl.includes('.m3u8') || targetUrl.includes('.m3u');
-
-        const response = await axios({
-            method: 'get',
-            url: targetUrl,
-            responseType: isManifest ? 'text' : 'stream',
-            validateStatus: () => true
-        });
-
-        if (response.headers['content-type']) {
-            res.set('Content-Type', response.headers['content-type']);
-        }
-        res.set('Access-Control-Allow-Origin', '*');
-
-        if (isManifest) {
-            const baseUrl = targetUrl.substring(0, targetUrl.lastIndexOf('/') + 1);
-            let manifest = response.data;
-
-            if (typeof manifest === 'string') {
-                const rewriteManifest = (text) => {
-                    return text.split('\n').map(line => {
-                        const l = line.trim();
-                        if (!l || l.startsWith('#') || l.startsWith('http')) return line;
-                        return baseUrl + l;
-                    }).join('\n');
-                };
-                res.send(rewriteManifest(manifest));
-            } else {
-                res.send(manifest);
-            }
-        } else {
-            response.data.pipe(res);
-        }
-    } catch (error) {
-        console.error('Proxy error:', error.message);
-        res.status(500).send('Proxy Error');
-    }
-});
+// Proxy for HLS streams (shared with the Vercel function in api/proxy.js)
+app.get('/proxy', handleProxyRequest);
+app.get('/proxy/stats', (req, res) => res.json(getProxyStats()));
+
+// Camera registry, stored in a JSON file (Express only). The proxy allowlist,
+// health monitor and recorder follow it.
+const cameraRegistry = new CameraRegistry();
+await cameraRegistry.init();
+setAllowedCameras(cameraRegistry.list({ includeDisabled: false }));
+const isMonitored = (camera) => camera.enabled && camera.streamType === 'hls';
+
+// Camera stream health, polled in the background
+const cameraHealth = new CameraHealthMonitor({ cameras: cameraRegistry.list().filter(isMonitored) });
+cameraHealth.start();
+app.get('/api/cameras/health', (req, res) => res.json(cameraHealth.getHealth()));
+
+// Accounts and cookie sessions, stored in a JSON file (Express only).
+// Sets req.user for every route below.
+const auth = new AuthManager();
+await auth.init();
+app.use(auth.middleware());
+app.use('/api/auth', createAuthRouter(auth));
+
+// Camera registry CRUD, after /api/cameras/health so "health" isn't taken for an id
+app.use('/api/cameras', createCamerasRouter(cameraRegistry));
+
+// OpenRouter and Overshoot relays that add the API keys server-side (Express only)
+const relay = new KeyRelay();
+await relay.init();
+app.use('/api/relay', createRelayRouter(relay));
+
+// Live results fanned out to watching dashboards over SSE (Express only)
+app.use('/api/live', createLiveRouter(new LiveBroadcaster()));
+
+// DVR recordings, stored on local disk (Express only)
+const recordings = new RecordingManager({ cameras: cameraRegistry.list() });
+await recordings.init();
+
+cameraRegistry.onChange = (cameras) => {
+    setAllowedCameras(cameras.filter(camera => camera.enabled));
+    cameraHealth.setCameras(cameras.filter(isMonitored));
+    recordings.setCameras(cameras);
+};
+app.use('/api/recordings', createRecordingsRouter(recordings));
+
+// Shared analytics persistence, stored in a JSON file (Express only)
+const analyticsStore = new AnalyticsStore();
+await analyticsStore.init();
+app.use('/api/data', createDataRouter(analyticsStore));
 
 const distPath = path.join(__dirname, 'dist');
 app.use(express.static(distPath));
 
 // SPA Fallback
 app.use((req, res, next) => {
-    if (req.path.startsWith('/proxy')) return next();
+    if (req.path.startsWith('/proxy') || req.path.startsWith('/api')) return next();
     res.sendFile(path.join(distPath, 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
 });
+// The Overshoot SDK's result WebSocket goes through the relay as well
+server.on('upgrade', createRelayUpgradeHandler(relay, auth));
+
+// Write pending analytics before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        await analyticsStore.flush();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,145 @@
+/**
+ * Analytics Store
+ * Shared, server-side copy of the dashboard analytics, kept in a JSON file.
+ * Clients send analytics events (see src/services/AnalyticsEvents.js) which
+ * are applied with the same reducer the browser uses. Event ids are remembered
+ * so a batch retried after a lost response is not counted twice.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import {
+    createDefaultAnalytics,
+    applyAnalyticsEvent,
+    isValidAnalyticsEvent
+} from '../src/services/AnalyticsEvents.js';
+
+const MAX_SEEN_IDS = 20000;
+
+/**
+ * Build store configuration from environment variables
+ */
+export function createAnalyticsStoreConfig(env = process.env) {
+    return {
+        file: path.resolve(env.DATA_FILE || 'data/analytics.json'),
+        saveDelayMs: parseInt(env.DATA_SAVE_DELAY_MS) || 1000
+    };
+}
+
+export class AnalyticsStore {
+    constructor(options = {}) {
+        const config = { ...createAnalyticsStoreConfig(), ...options };
+        this.file = config.file;
+        this.saveDelayMs = config.saveDelayMs;
+
+        this.analytics = createDefaultAnalytics();
+        this.revision = 0;
+        this.updatedAt = null;
+        this.seenIds = new Set();
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+    }
+
+    async init() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        try {
+            const stored = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.analytics = { ...createDefaultAnalytics(), ...stored.analytics };
+            this.revision = stored.revision || 0;
+            this.updatedAt = stored.updatedAt || null;
+            this.seenIds = new Set(stored.seenIds || []);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading analytics store:', error.message);
+        }
+    }
+
+    getSnapshot() {
+        return {
+            analytics: this.analytics,
+            revision: this.revision,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Apply a batch of events. Invalid events are skipped and counted.
+     * @returns {{ applied: number, duplicates: number, rejected: number, revision: number }}
+     */
+    applyEvents(events) {
+        const result = { applied: 0, duplicates: 0, rejected: 0 };
+
+        events.forEach(event => {
+            if (!isValidAnalyticsEvent(event)) {
+                result.rejected++;
+                return;
+            }
+            if (this.seenIds.has(event.id)) {
+                result.duplicates++;
+                return;
+            }
+
+            try {
+                this.analytics = applyAnalyticsEvent(this.analytics, event);
+            } catch (error) {
+                console.warn(`Rejected analytics event ${event.id}:`, error.message);
+                result.rejected++;
+                return;
+            }
+            this.rememberId(event.id);
+            result.applied++;
+        });
+
+        if (result.applied > 0) {
+            this.revision++;
+            this.updatedAt = new Date().toISOString();
+            this.scheduleSave();
+        }
+
+        return { ...result, revision: this.revision };
+    }
+
+    rememberId(id) {
+        this.seenIds.add(id);
+        if (this.seenIds.size > MAX_SEEN_IDS) {
+            // Sets iterate in insertion order, so this drops the oldest id
+            this.seenIds.delete(this.seenIds.values().next().value);
+        }
+    }
+
+    /**
+     * Coalesce frequent writes into one save per delay
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saving = this.saving.then(() => this.save());
+        }, this.saveDelayMs);
+    }
+
+    async save() {
+        const tmp = `${this.file}.tmp`;
+        try {
+            await fs.writeFile(tmp, JSON.stringify({
+                ...this.getSnapshot(),
+                seenIds: Array.from(this.seenIds)
+            }));
+            await fs.rename(tmp, this.file);
+        } catch (error) {
+            console.error('Error saving analytics store:', error.message);
+        }
+    }
+
+    /**
+     * Write any pending changes now (used on shutdown)
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.saving = this.saving.then(() => this.save());
+        }
+        await this.saving;
+    }
+}
+
+export default AnalyticsStore;
@@ -0,0 +1,389 @@
+/**
+ * Authentication
+ * Accounts and sessions for the dashboard, kept in a JSON file on the server.
+ *
+ * Passwords are hashed with scrypt and a per-user random salt; the stored hash
+ * records its parameters so they can be raised later without breaking old
+ * accounts. Sessions are random tokens handed to the browser in an HTTP-only
+ * cookie. Only a SHA-256 of each token is stored, so a leaked users file
+ * can't be used to log in.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NAME_PATTERN = /[<>&"']/;
+const MAX_NAME_LENGTH = 80;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_SETTINGS_BYTES = 16 * 1024;
+
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+/**
+ * Error with an HTTP status and a machine-readable code for the JSON body
+ */
+export class AuthError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Build auth configuration from environment variables
+ */
+export function createAuthConfig(env = process.env) {
+    return {
+        file: path.resolve(env.AUTH_USERS_FILE || 'data/users.json'),
+        sessionTtlMs: (parseFloat(env.AUTH_SESSION_HOURS) || 24) * 60 * 60 * 1000,
+        cookieName: env.AUTH_COOKIE_NAME || 'trafiq_session',
+        // Secure cookies are only sent over HTTPS, so leave them off for local http
+        secureCookies: env.AUTH_SECURE_COOKIES
+            ? env.AUTH_SECURE_COOKIES === 'true'
+            : env.NODE_ENV === 'production',
+        minPasswordLength: parseInt(env.AUTH_MIN_PASSWORD_LENGTH) || 8,
+        // Accounts allowed to clear or replace the shared analytics
+        adminEmails: (env.AUTH_ADMIN_EMAILS || '')
+            .split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+/**
+ * Parse a Cookie header into a name -> value map
+ */
+export function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        if (!name || name in cookies) return;
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16), params = SCRYPT_PARAMS) {
+    const key = await scrypt(password, salt, KEY_LENGTH, {
+        ...params,
+        maxmem: 256 * params.N * params.r
+    });
+    return `scrypt$${params.N}$${params.r}$${params.p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, key] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+
+    const expected = Buffer.from(key, 'base64');
+    const actual = Buffer.from((await hashPassword(
+        password,
+        Buffer.from(salt, 'base64'),
+        { N: Number(N), r: Number(r), p: Number(p) }
+    )).split('$')[5], 'base64');
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class AuthManager {
+    constructor(options = {}) {
+        const config = { ...createAuthConfig(), ...options };
+        this.file = config.file;
+        this.sessionTtlMs = config.sessionTtlMs;
+        this.cookieName = config.cookieName;
+        this.secureCookies = config.secureCookies;
+        this.minPasswordLength = config.minPasswordLength;
+        this.adminEmails = new Set(config.adminEmails);
+
+        this.users = {};
+        this.sessions = {};
+        this.saving = Promise.resolve();
+        // Checked against when the email is unknown, so a miss takes as long as a wrong password
+        this.dummyHash = null;
+    }
+
+    async init() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        try {
+            const stored = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.users = stored.users || {};
+            this.sessions = stored.sessions || {};
+            this.pruneSessions();
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading users:', error.message);
+        }
+        this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+
+    /**
+     * Create an account and sign it in
+     * @returns {Promise<{ user: Object, token: string, expiresAt: string }>}
+     */
+    async register({ email, password, name } = {}) {
+        email = this.normalizeEmail(email);
+        name = this.validateName(name) || email.split('@')[0];
+        this.validatePassword(password);
+
+        if (this.users[email]) {
+            throw new AuthError(409, 'email_taken', 'An account with this email already exists');
+        }
+
+        const passwordHash = await hashPassword(password);
+        // Checked again: another registration may have finished while hashing
+        if (this.users[email]) {
+            throw new AuthError(409, 'email_taken', 'An account with this email already exists');
+        }
+
+        this.users[email] = {
+            email,
+            name,
+            passwordHash,
+            createdAt: new Date().toISOString(),
+            settings: {}
+        };
+
+        console.log(`✅ User registered: ${email}`);
+        return this.createSession(email);
+    }
+
+    /**
+     * Check credentials and start a session
+     */
+    async login(email, password) {
+        email = typeof email === 'string' ? email.toLowerCase().trim() : '';
+        const user = this.users[email];
+        const valid = await verifyPassword(
+            typeof password === 'string' ? password : '',
+            user ? user.passwordHash : this.dummyHash
+        );
+
+        // The same answer for unknown emails and wrong passwords
+        if (!user || !valid) {
+            throw new AuthError(401, 'invalid_credentials', 'Incorrect email or password');
+        }
+
+        return this.createSession(email);
+    }
+
+    async createSession(email) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+
+        this.pruneSessions();
+        this.sessions[hashToken(token)] = { email, expiresAt, createdAt: new Date().toISOString() };
+        await this.save();
+
+        return { user: this.getPublicUser(this.users[email]), token, expiresAt };
+    }
+
+    /**
+     * Resolve a session token to its user, or null if unknown or expired
+     */
+    getSessionUser(token) {
+        if (!token) return null;
+
+        const key = hashToken(token);
+        const session = this.sessions[key];
+        if (!session) return null;
+
+        if (new Date(session.expiresAt) < new Date() || !this.users[session.email]) {
+            delete this.sessions[key];
+            this.save();
+            return null;
+        }
+
+        return this.users[session.email];
+    }
+
+    async logout(token) {
+        if (!token) return;
+        delete this.sessions[hashToken(token)];
+        await this.save();
+    }
+
+    async updateProfile(email, updates = {}) {
+        const user = this.requireUser(email);
+
+        if (updates.name !== undefined) {
+            user.name = this.validateName(updates.name) || user.name;
+        }
+        if (updates.settings !== undefined) {
+            if (!updates.settings || typeof updates.settings !== 'object' || Array.isArray(updates.settings)) {
+                throw new AuthError(400, 'invalid_settings', 'Settings must be an object');
+            }
+            const settings = { ...user.settings, ...updates.settings };
+            if (JSON.stringify(settings).length > MAX_SETTINGS_BYTES) {
+                throw new AuthError(400, 'invalid_settings', 'Settings are too large');
+            }
+            user.settings = settings;
+        }
+
+        await this.save();
+        return this.getPublicUser(user);
+    }
+
+    /**
+     * Change the password and sign out every other session
+     * @returns {Promise<{ user: Object, token: string, expiresAt: string }>} a fresh session
+     */
+    async changePassword(email, currentPassword, newPassword) {
+        const user = this.requireUser(email);
+
+        if (!await verifyPassword(typeof currentPassword === 'string' ? currentPassword : '', user.passwordHash)) {
+            throw new AuthError(403, 'invalid_password', 'Current password is incorrect');
+        }
+        this.validatePassword(newPassword);
+
+        user.passwordHash = await hashPassword(newPassword);
+        this.revokeSessions(email);
+
+        console.log(`✅ Password changed: ${email}`);
+        return this.createSession(email);
+    }
+
+    async deleteAccount(email, password) {
+        const user = this.requireUser(email);
+
+        if (!await verifyPassword(typeof password === 'string' ? password : '', user.passwordHash)) {
+            throw new AuthError(403, 'invalid_password', 'Password is incorrect');
+        }
+
+        delete this.users[email];
+        this.revokeSessions(email);
+        await this.save();
+
+        console.log(`🗑️ Account deleted: ${email}`);
+    }
+
+    requireUser(email) {
+        const user = this.users[email];
+        if (!user) throw new AuthError(404, 'user_not_found', 'User not found');
+        return user;
+    }
+
+    revokeSessions(email) {
+        Object.keys(this.sessions).forEach(key => {
+            if (this.sessions[key].email === email) delete this.sessions[key];
+        });
+    }
+
+    pruneSessions() {
+        const now = new Date();
+        Object.keys(this.sessions).forEach(key => {
+            if (new Date(this.sessions[key].expiresAt) < now) delete this.sessions[key];
+        });
+    }
+
+    normalizeEmail(email) {
+        email = typeof email === 'string' ? email.toLowerCase().trim() : '';
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new AuthError(400, 'invalid_email', 'Invalid email format');
+        }
+        return email;
+    }
+
+    validateName(name) {
+        if (name === undefined || name === null || name === '') return '';
+        if (typeof name !== 'string' || NAME_PATTERN.test(name)) {
+            throw new AuthError(400, 'invalid_name', 'Name contains invalid characters');
+        }
+        return name.trim().slice(0, MAX_NAME_LENGTH);
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < this.minPasswordLength) {
+            throw new AuthError(400, 'weak_password', `Password must be at least ${this.minPasswordLength} characters`);
+        }
+        if (password.length > MAX_PASSWORD_LENGTH) {
+            throw new AuthError(400, 'invalid_password', 'Password is too long');
+        }
+    }
+
+    isAdmin(email) {
+        return this.adminEmails.has(email);
+    }
+
+    /**
+     * Public user object (without the password hash)
+     */
+    getPublicUser(user) {
+        return {
+            email: user.email,
+            name: user.name,
+            createdAt: user.createdAt,
+            admin: this.isAdmin(user.email),
+            settings: user.settings || {}
+        };
+    }
+
+    /**
+     * Express middleware that sets req.user from the session cookie (or null)
+     */
+    middleware() {
+        return (req, res, next) => {
+            req.sessionToken = parseCookies(req.headers.cookie)[this.cookieName] || null;
+            const user = this.getSessionUser(req.sessionToken);
+            req.user = user ? this.getPublicUser(user) : null;
+            next();
+        };
+    }
+
+    /**
+     * Write users and sessions atomically, one save at a time
+     */
+    save() {
+        this.saving = this.saving.then(async () => {
+            const tmp = `${this.file}.tmp`;
+            try {
+                await fs.writeFile(tmp, JSON.stringify({ users: this.users, sessions: this.sessions }), { mode: 0o600 });
+                await fs.rename(tmp, this.file);
+            } catch (error) {
+                console.error('Error saving users:', error.message);
+            }
+        });
+        return this.saving;
+    }
+}
+
+/**
+ * Express middleware that rejects requests without a signed-in user.
+ * Needs AuthManager#middleware() earlier in the chain.
+ */
+export function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'unauthorized', message: 'Sign in required' });
+    }
+    next();
+}
+
+/**
+ * Express middleware that only lets admins (AUTH_ADMIN_EMAILS) through.
+ * Needs AuthManager#middleware() earlier in the chain.
+ */
+export function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'unauthorized', message: 'Sign in required' });
+    }
+    if (!req.user.admin) {
+        return res.status(403).json({ error: 'admin_required', message: 'Only admins can do this' });
+    }
+    next();
+}
+
+export default AuthManager;
@@ -0,0 +1,124 @@
+/**
+ * Auth API
+ * Accounts and HTTP-only cookie sessions, backed by AuthManager.
+ * Needs AuthManager#middleware() mounted before it so req.user is set.
+ *
+ *   POST   /api/auth/register   { email, password, name? } -> { user }
+ *   POST   /api/auth/login      { email, password }        -> { user }
+ *   POST   /api/auth/logout
+ *   GET    /api/auth/me         current user
+ *   PATCH  /api/auth/me         { name?, settings? }       -> { user }
+ *   POST   /api/auth/password   { currentPassword, newPassword }
+ *   DELETE /api/auth/me         { password }
+ */
+import express from 'express';
+import { requireAuth } from './auth.js';
+
+/**
+ * Send a structured JSON error (AuthError)
+ */
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Auth error:', error.message);
+    res.status(status).json({
+        error: error.code || 'internal_error',
+        message: status >= 500 ? 'Something went wrong' : error.message
+    });
+}
+
+export function createAuthRouter(auth) {
+    const router = express.Router();
+    router.use(express.json());
+    // Never let a proxy or the browser cache who is signed in
+    router.use((req, res, next) => {
+        res.setHeader('Cache-Control', 'no-store');
+        next();
+    });
+
+    const setSessionCookie = (req, res, session) => {
+        res.cookie(auth.cookieName, session.token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: auth.secureCookies || req.secure,
+            path: '/',
+            expires: new Date(session.expiresAt)
+        });
+    };
+
+    const clearSessionCookie = (req, res) => {
+        res.clearCookie(auth.cookieName, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: auth.secureCookies || req.secure,
+            path: '/'
+        });
+    };
+
+    router.post('/register', async (req, res) => {
+        try {
+            const session = await auth.register(req.body || {});
+            setSessionCookie(req, res, session);
+            res.status(201).json({ user: session.user });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/login', async (req, res) => {
+        try {
+            const session = await auth.login(req.body?.email, req.body?.password);
+            // Replace any session this browser already had
+            await auth.logout(req.sessionToken);
+            setSessionCookie(req, res, session);
+            res.json({ user: session.user });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/logout', async (req, res) => {
+        try {
+            await auth.logout(req.sessionToken);
+            clearSessionCookie(req, res);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/me', requireAuth, (req, res) => {
+        res.json({ user: req.user });
+    });
+
+    router.patch('/me', requireAuth, async (req, res) => {
+        try {
+            res.json({ user: await auth.updateProfile(req.user.email, req.body || {}) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/password', requireAuth, async (req, res) => {
+        try {
+            const session = await auth.changePassword(req.user.email, req.body?.currentPassword, req.body?.newPassword);
+            setSessionCookie(req, res, session);
+            res.json({ user: session.user });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/me', requireAuth, async (req, res) => {
+        try {
+            await auth.deleteAccount(req.user.email, req.body?.password);
+            clearSessionCookie(req, res);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+export default createAuthRouter;
@@ -0,0 +1,214 @@
+/**
+ * Camera Health Monitor
+ * Polls each camera's HLS playlist on a schedule and keeps a health record per
+ * camera: whether the media sequence is still advancing, segment duration,
+ * upstream errors and response latency. The dashboard uses it to grey out
+ * dead or frozen feeds before anyone tries to play them.
+ */
+import { OFFICIAL_CAMERAS } from '../src/config/cameras.js';
+import { parsePlaylist } from './hlsManifest.js';
+import { fetchManifestText } from './hlsProxy.js';
+
+export const HEALTH_STATUS = {
+    UNKNOWN: 'unknown',
+    LIVE: 'live',
+    FROZEN: 'frozen',
+    DEAD: 'dead'
+};
+
+/**
+ * Build monitor configuration from environment variables
+ */
+export function createHealthConfig(env = process.env) {
+    return {
+        intervalMs: parseInt(env.HEALTH_POLL_INTERVAL_MS) || 15000,
+        // A playlist is frozen once its sequence has not moved for this long,
+        // or for 4 target durations if that is longer
+        frozenAfterMs: parseInt(env.HEALTH_FROZEN_AFTER_MS) || 30000,
+        deadAfterErrors: parseInt(env.HEALTH_DEAD_AFTER_ERRORS) || 2
+    };
+}
+
+function createRecord(camera) {
+    return {
+        id: camera.id,
+        name: camera.name,
+        status: HEALTH_STATUS.UNKNOWN,
+        lastCheckedAt: null,
+        lastSuccessAt: null,
+        lastAdvancedAt: null,
+        mediaSequence: null,
+        segmentCount: 0,
+        targetDuration: null,
+        avgSegmentDuration: null,
+        endList: false,
+        latencyMs: null,
+        httpStatus: null,
+        consecutiveErrors: 0,
+        totalErrors: 0,
+        lastError: null,
+        variantUrl: null
+    };
+}
+
+export class CameraHealthMonitor {
+    constructor(options = {}) {
+        const config = { ...createHealthConfig(), ...options };
+        this.intervalMs = config.intervalMs;
+        this.frozenAfterMs = config.frozenAfterMs;
+        this.deadAfterErrors = config.deadAfterErrors;
+        this.fetchManifest = options.fetchManifest || fetchManifestText;
+
+        this.records = new Map();
+        this.timer = null;
+        this.pending = null;
+        this.updatedAt = null;
+
+        this.setCameras(options.cameras || OFFICIAL_CAMERAS);
+    }
+
+    /**
+     * Replace the set of monitored cameras, keeping history for cameras that remain
+     */
+    setCameras(cameras) {
+        const next = new Map();
+        cameras
+            .filter(cam => cam.id && cam.url)
+            .forEach(cam => {
+                const existing = this.records.get(cam.id);
+                const record = existing && existing.url === cam.url ? existing : createRecord(cam);
+                record.name = cam.name;
+                record.url = cam.url;
+                next.set(cam.id, record);
+            });
+        this.records = next;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.pollAll();
+        this.timer = setInterval(() => this.pollAll(), this.intervalMs);
+        // Don't keep the process alive just for health checks
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Check every camera one after another, so a poll never bursts upstream.
+     * Overlapping calls share the poll already in progress.
+     */
+    pollAll() {
+        if (this.pending) return this.pending;
+
+        this.pending = (async () => {
+            try {
+                for (const record of this.records.values()) {
+                    await this.checkCamera(record);
+                }
+                this.updatedAt = Date.now();
+            } finally {
+                this.pending = null;
+            }
+        })();
+        return this.pending;
+    }
+
+    /**
+     * Poll now if the last poll is older than the interval. Serverless
+     * handlers can't run a background timer, so they poll on request instead.
+     */
+    async refreshIfStale() {
+        if (this.updatedAt && Date.now() - this.updatedAt < this.intervalMs) return;
+        await this.pollAll();
+    }
+
+    /**
+     * Fetch a camera's media playlist (following a master playlist to its
+     * first variant) and update its health record
+     */
+    async checkCamera(record) {
+        const startedAt = Date.now();
+        record.lastCheckedAt = startedAt;
+
+        try {
+            let playlist = await this.fetchPlaylist(record, record.variantUrl || record.url);
+
+            if (playlist.isMaster) {
+                if (!playlist.variants.length) throw new Error('Master playlist has no variants');
+                record.variantUrl = playlist.variants[0];
+                playlist = await this.fetchPlaylist(record, record.variantUrl);
+            }
+
+            const now = Date.now();
+            const segmentCount = playlist.segmentDurations.length;
+            const advanced = record.mediaSequence === null ||
+                playlist.mediaSequence > record.mediaSequence ||
+                (playlist.mediaSequence === record.mediaSequence && segmentCount > record.segmentCount);
+
+            if (advanced) record.lastAdvancedAt = now;
+            record.mediaSequence = playlist.mediaSequence;
+            record.segmentCount = segmentCount;
+            record.targetDuration = playlist.targetDuration;
+            record.avgSegmentDuration = segmentCount
+                ? Math.round((playlist.segmentDurations.reduce((a, b) => a + b, 0) / segmentCount) * 100) / 100
+                : null;
+            record.endList = playlist.endList;
+            record.latencyMs = now - startedAt;
+            record.lastSuccessAt = now;
+            record.consecutiveErrors = 0;
+            record.lastError = null;
+        } catch (error) {
+            // A stale variant URL is retried from the master playlist next time
+            record.variantUrl = null;
+            record.latencyMs = Date.now() - startedAt;
+            record.consecutiveErrors++;
+            record.totalErrors++;
+            record.lastError = error.message;
+        }
+
+        record.status = this.getStatus(record);
+        return record;
+    }
+
+    async fetchPlaylist(record, url) {
+        const { status, text, finalUrl } = await this.fetchManifest(url);
+        record.httpStatus = status;
+        if (status >= 400) throw new Error(`Upstream responded with ${status}`);
+        if (!text.includes('#EXTM3U')) throw new Error('Response is not an HLS playlist');
+        return parsePlaylist(text, finalUrl);
+    }
+
+    getStatus(record, now = Date.now()) {
+        if (!record.lastCheckedAt) return HEALTH_STATUS.UNKNOWN;
+        if (record.consecutiveErrors >= this.deadAfterErrors) return HEALTH_STATUS.DEAD;
+        if (!record.lastSuccessAt) return record.consecutiveErrors ? HEALTH_STATUS.DEAD : HEALTH_STATUS.UNKNOWN;
+        if (record.endList) return HEALTH_STATUS.FROZEN;
+
+        const frozenAfterMs = Math.max(this.frozenAfterMs, (record.targetDuration || 0) * 4000);
+        if (now - record.lastAdvancedAt > frozenAfterMs) return HEALTH_STATUS.FROZEN;
+        return HEALTH_STATUS.LIVE;
+    }
+
+    /**
+     * Health of every camera, keyed by camera id
+     */
+    getHealth() {
+        const cameras = {};
+        this.records.forEach((record, id) => {
+            const { url, variantUrl, segmentCount, ...health } = record;
+            cameras[id] = { ...health, status: this.getStatus(record) };
+        });
+
+        return {
+            updatedAt: this.updatedAt,
+            intervalMs: this.intervalMs,
+            cameras
+        };
+    }
+}
+
+export default CameraHealthMonitor;
@@ -0,0 +1,230 @@
+/**
+ * Camera Registry
+ * The one list of cameras every part of the app reads: the map, the stream
+ * dropdown, analytics and insights in the browser, and the health monitor,
+ * recorder and proxy allowlist on the server. Kept in a JSON file and seeded
+ * with OFFICIAL_CAMERAS.
+ *
+ * Besides location and stream URL, each camera carries the metadata traffic
+ * engineers need to read its numbers: approach directions, lane count, owner
+ * agency, stream type, free-form notes, and whether it is enabled.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { OFFICIAL_CAMERAS, validateCamera, findDuplicateCamera } from '../src/config/cameras.js';
+
+export const CAMERA_TYPES = {
+    OFFICIAL: 'official',
+    CUSTOM: 'custom'
+};
+
+const MAX_CAMERAS = 1000;
+
+/**
+ * Error with an HTTP status and a machine-readable code for the JSON body
+ */
+export class RegistryError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'RegistryError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Build registry configuration from environment variables
+ */
+export function createRegistryConfig(env = process.env) {
+    return {
+        file: path.resolve(env.CAMERAS_FILE || 'data/cameras.json')
+    };
+}
+
+export class CameraRegistry {
+    constructor(options = {}) {
+        const config = { ...createRegistryConfig(), ...options };
+        this.file = config.file;
+        this.seed = options.seed || OFFICIAL_CAMERAS;
+
+        // id -> camera, in insertion order
+        this.cameras = new Map();
+        this.saving = Promise.resolve();
+
+        // Callbacks
+        this.onChange = () => { };
+    }
+
+    /**
+     * Load the registry, adding any official camera it doesn't have yet
+     */
+    async init() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        let stored = [];
+        try {
+            stored = JSON.parse(await fs.readFile(this.file, 'utf8')).cameras || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading camera registry:', error.message);
+        }
+        stored.forEach(camera => this.cameras.set(camera.id, camera));
+
+        const now = new Date().toISOString();
+        const missing = this.seed.filter(camera => !this.cameras.has(camera.id));
+        missing.forEach(seed => {
+            const { camera } = validateCamera(seed);
+            this.cameras.set(camera.id, { ...camera, type: CAMERA_TYPES.OFFICIAL, createdAt: now, updatedAt: now, updatedBy: null });
+        });
+        if (missing.length > 0) await this.save();
+    }
+
+    /**
+     * All cameras, or only enabled ones
+     */
+    list({ includeDisabled = true } = {}) {
+        const cameras = Array.from(this.cameras.values());
+        return includeDisabled ? cameras : cameras.filter(camera => camera.enabled);
+    }
+
+    get(id) {
+        const camera = this.cameras.get(id);
+        if (!camera) throw new RegistryError(404, 'not_found', 'Camera not found');
+        return camera;
+    }
+
+    /**
+     * Add a custom camera. An id is generated when none is given.
+     */
+    async create(input = {}, user = null) {
+        if (this.cameras.size >= MAX_CAMERAS) {
+            throw new RegistryError(409, 'registry_full', `The registry is limited to ${MAX_CAMERAS} cameras`);
+        }
+
+        const { camera, errors } = validateCamera({ ...input, id: input.id ?? this.generateId() });
+        if (errors.length > 0) throw new RegistryError(400, 'invalid_camera', errors.join('; '));
+        if (this.cameras.has(camera.id)) {
+            throw new RegistryError(409, 'camera_exists', `A camera with id ${camera.id} already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const created = { ...camera, type: CAMERA_TYPES.CUSTOM, createdAt: now, updatedAt: now, updatedBy: user?.email || null };
+        this.cameras.set(created.id, created);
+        await this.commit();
+        return created;
+    }
+
+    /**
+     * Add many custom cameras in one save. Nothing is added if any camera is
+     * invalid; cameras that duplicate a registered one (or an earlier one in
+     * the batch) are skipped and reported.
+     * @returns {{ created: Object[], skipped: Array<{ index: number, reason: string, duplicateOf: string }> }}
+     */
+    async importCameras(inputs, user = null) {
+        if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_CAMERAS) {
+            throw new RegistryError(400, 'invalid_import', `Send between 1 and ${MAX_CAMERAS} cameras`);
+        }
+
+        const errors = [];
+        const validated = inputs.map((input, index) => {
+            const result = validateCamera({ ...input, id: input?.id ?? this.generateId() });
+            if (result.errors.length > 0) errors.push(`camera ${index + 1}: ${result.errors.join(', ')}`);
+            return result.camera;
+        });
+        if (errors.length > 0) throw new RegistryError(400, 'invalid_camera', errors.slice(0, 20).join('; '));
+
+        const now = new Date().toISOString();
+        const created = [];
+        const skipped = [];
+        validated.forEach((camera, index) => {
+            const duplicate = findDuplicateCamera(camera, [...this.cameras.values(), ...created]);
+            if (duplicate) {
+                skipped.push({ index, reason: duplicate.reason, duplicateOf: duplicate.camera.id });
+                return;
+            }
+            created.push({ ...camera, type: CAMERA_TYPES.CUSTOM, createdAt: now, updatedAt: now, updatedBy: user?.email || null });
+        });
+
+        if (this.cameras.size + created.length > MAX_CAMERAS) {
+            throw new RegistryError(409, 'registry_full', `The registry is limited to ${MAX_CAMERAS} cameras`);
+        }
+
+        if (created.length > 0) {
+            created.forEach(camera => this.cameras.set(camera.id, camera));
+            await this.commit();
+        }
+        return { created, skipped };
+    }
+
+    generateId() {
+        return `cam_${crypto.randomBytes(6).toString('hex')}`;
+    }
+
+    /**
+     * Change some fields of a camera. The id and type can't be changed.
+     */
+    async update(id, updates = {}, user = null) {
+        const existing = this.get(id);
+        if (updates.id !== undefined && String(updates.id) !== id) {
+            throw new RegistryError(400, 'invalid_camera', 'A camera id cannot be changed');
+        }
+
+        const { camera, errors } = validateCamera({ ...updates, id }, existing);
+        if (errors.length > 0) throw new RegistryError(400, 'invalid_camera', errors.join('; '));
+
+        const updated = {
+            ...camera,
+            type: existing.type,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString(),
+            updatedBy: user?.email || null
+        };
+        this.cameras.set(id, updated);
+        await this.commit();
+        return updated;
+    }
+
+    /**
+     * Delete a custom camera. Official cameras can only be disabled, so they
+     * aren't re-added on the next start.
+     */
+    async remove(id) {
+        const camera = this.get(id);
+        if (camera.type === CAMERA_TYPES.OFFICIAL) {
+            throw new RegistryError(409, 'official_camera', 'Official cameras can be disabled but not deleted');
+        }
+        this.cameras.delete(id);
+        await this.commit();
+    }
+
+    async commit() {
+        await this.save();
+        try {
+            this.onChange(this.list());
+        } catch (error) {
+            console.error('Camera registry listener failed:', error.message);
+        }
+    }
+
+    /**
+     * Write the registry atomically. Saves are queued so they never overlap.
+     */
+    save() {
+        const snapshot = JSON.stringify({ cameras: this.list() }, null, 2);
+        this.saving = this.saving.then(async () => {
+            const tmp = `${this.file}.tmp`;
+            try {
+                await fs.writeFile(tmp, snapshot);
+                await fs.rename(tmp, this.file);
+            } catch (error) {
+                console.error('Error saving camera registry:', error.message);
+                throw new RegistryError(500, 'save_failed', 'Could not save the camera registry');
+            }
+        });
+        // Keep the queue usable after a failed save
+        const result = this.saving;
+        this.saving = this.saving.catch(() => { });
+        return result;
+    }
+}
+
+export default CameraRegistry;
@@ -0,0 +1,84 @@
+/**
+ * Cameras API
+ * CRUD for the camera registry (CameraRegistry). Reading is open like the
+ * health endpoint; changes need a signed-in user (AuthManager#middleware()
+ * mounted first).
+ *
+ *   GET    /api/cameras          list cameras (?enabled=true for enabled only)
+ *   POST   /api/cameras          add { name, lat, lng, url?, streamType?, approaches?, laneCount?, agency?, notes?, enabled? }
+ *   POST   /api/cameras/import   add { cameras: [...] } in one step, skipping duplicates
+ *   GET    /api/cameras/:id      one camera
+ *   PATCH  /api/cameras/:id      change any of the fields above
+ *   DELETE /api/cameras/:id      delete a custom camera
+ *
+ * GET /api/cameras/health is served by the health monitor and must be
+ * registered before this router.
+ */
+import express from 'express';
+import { requireAuth } from './auth.js';
+
+/**
+ * Send a structured JSON error (RegistryError)
+ */
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Camera registry error:', error.message);
+    res.status(status).json({
+        error: error.code || 'internal_error',
+        message: error.message
+    });
+}
+
+export function createCamerasRouter(registry) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ cameras: registry.list({ includeDisabled: req.query.enabled !== 'true' }) });
+    });
+
+    router.post('/', requireAuth, express.json(), async (req, res) => {
+        try {
+            res.status(201).json({ camera: await registry.create(req.body || {}, req.user) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/import', requireAuth, express.json({ limit: '2mb' }), async (req, res) => {
+        try {
+            res.status(201).json(await registry.importCameras(req.body?.cameras, req.user));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        try {
+            res.json({ camera: registry.get(req.params.id) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.patch('/:id', requireAuth, express.json(), async (req, res) => {
+        try {
+            res.json({ camera: await registry.update(req.params.id, req.body || {}, req.user) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:id', requireAuth, async (req, res) => {
+        try {
+            await registry.remove(req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+export default createCamerasRouter;
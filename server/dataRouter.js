@@ -0,0 +1,44 @@
+/**
+ * Persistence API
+ * Shared analytics for every dashboard, backed by AnalyticsStore.
+ * Every route needs a signed-in user (AuthManager#middleware() mounted first),
+ * and only admins may send the events that wipe everyone's data.
+ *
+ *   GET  /api/data          { analytics, revision, updatedAt }
+ *   POST /api/data/events   { events: [...] } -> { applied, duplicates, rejected, forbidden, revision }
+ */
+import express from 'express';
+import { requireAuth } from './auth.js';
+import { ADMIN_EVENT_TYPES } from '../src/services/AnalyticsEvents.js';
+
+const MAX_EVENTS_PER_BATCH = 500;
+
+export function createDataRouter(store) {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    router.get('/', (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(store.getSnapshot());
+    });
+
+    // A 'replace' event carries a whole analytics object, hence the larger body limit
+    router.post('/events', express.json({ limit: '5mb' }), (req, res) => {
+        const events = req.body?.events;
+
+        if (!Array.isArray(events)) {
+            return res.status(400).json({ error: 'invalid_events', message: 'Body must be { "events": [...] }' });
+        }
+        if (events.length > MAX_EVENTS_PER_BATCH) {
+            return res.status(400).json({ error: 'too_many_events', message: `At most ${MAX_EVENTS_PER_BATCH} events per request` });
+        }
+
+        // Admin-only events from anyone else are skipped; the rest of the batch still counts
+        const allowed = req.user.admin ? events : events.filter(event => !ADMIN_EVENT_TYPES.includes(event?.type));
+        res.json({ ...store.applyEvents(allowed), forbidden: events.length - allowed.length });
+    });
+
+    return router;
+}
+
+export default createDataRouter;
@@ -0,0 +1,118 @@
+/**
+ * HLS Manifest Utilities
+ * Rewrites master and media playlists so that every URI they reference
+ * (segments, variant playlists, keys, init segments, alternate renditions)
+ * is fetched back through the /proxy route instead of directly from upstream.
+ */
+
+export const PROXY_PATH = '/proxy';
+
+// Matches the quoted URI attribute of tags such as EXT-X-KEY, EXT-X-MAP,
+// EXT-X-MEDIA, EXT-X-I-FRAME-STREAM-INF, EXT-X-SESSION-KEY and EXT-X-PART
+const URI_ATTRIBUTE = /URI="([^"]*)"/g;
+
+/**
+ * Build the proxy URL for an absolute upstream URL
+ */
+export function toProxyUrl(absoluteUrl, proxyPath = PROXY_PATH) {
+    return `${proxyPath}?url=${encodeURIComponent(absoluteUrl)}`;
+}
+
+/**
+ * Resolve a manifest URI against the manifest URL and route it through the proxy.
+ * Non-HTTP URIs (data:, skd:// for FairPlay) are left untouched.
+ */
+export function proxifyUri(uri, manifestUrl, proxyPath = PROXY_PATH) {
+    let resolved;
+    try {
+        resolved = new URL(uri, manifestUrl);
+    } catch {
+        return uri;
+    }
+
+    if (!['http:', 'https:'].includes(resolved.protocol)) return uri;
+    return toProxyUrl(resolved.href, proxyPath);
+}
+
+/**
+ * Rewrite every URI in a master or media playlist to go through the proxy
+ */
+export function rewriteManifest(manifestText, manifestUrl, proxyPath = PROXY_PATH) {
+    return manifestText
+        .split('\n')
+        .map((line) => {
+            const trimmed = line.trim();
+            if (!trimmed) return line;
+
+            if (trimmed.startsWith('#')) {
+                if (!trimmed.includes('URI="')) return line;
+                return line.replace(URI_ATTRIBUTE, (match, uri) =>
+                    `URI="${proxifyUri(uri, manifestUrl, proxyPath)}"`
+                );
+            }
+
+            return proxifyUri(trimmed, manifestUrl, proxyPath);
+        })
+        .join('\n');
+}
+
+/**
+ * Parse the fields of a playlist needed to judge stream health and to record it.
+ * Master playlists return their variant URIs; media playlists return sequence
+ * number, segment timing and segment URIs. All URIs are resolved against manifestUrl.
+ */
+export function parsePlaylist(manifestText, manifestUrl) {
+    const lines = manifestText.split('\n').map(l => l.trim()).filter(Boolean);
+    const playlist = {
+        isMaster: false,
+        variants: [],
+        mediaSequence: 0,
+        targetDuration: null,
+        segments: [],
+        segmentDurations: [],
+        mapUri: null,
+        encrypted: false,
+        endList: false
+    };
+
+    let pendingDuration = null;
+    let pendingDiscontinuity = false;
+
+    lines.forEach((line, i) => {
+        if (line.startsWith('#EXT-X-STREAM-INF')) {
+            playlist.isMaster = true;
+            const uri = lines[i + 1];
+            if (uri && !uri.startsWith('#')) {
+                playlist.variants.push(new URL(uri, manifestUrl).href);
+            }
+        } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+            playlist.mediaSequence = parseInt(line.split(':')[1]) || 0;
+        } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+            playlist.targetDuration = parseFloat(line.split(':')[1]) || null;
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const uri = line.match(/URI="([^"]*)"/)?.[1];
+            if (uri) playlist.mapUri = new URL(uri, manifestUrl).href;
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            playlist.encrypted = !/METHOD=NONE/.test(line);
+        } else if (line === '#EXT-X-DISCONTINUITY') {
+            pendingDiscontinuity = true;
+        } else if (line.startsWith('#EXTINF:')) {
+            const duration = parseFloat(line.slice('#EXTINF:'.length));
+            pendingDuration = isNaN(duration) ? 0 : duration;
+            playlist.segmentDurations.push(pendingDuration);
+        } else if (line === '#EXT-X-ENDLIST') {
+            playlist.endList = true;
+        } else if (!line.startsWith('#') && pendingDuration !== null) {
+            playlist.segments.push({
+                uri: new URL(line, manifestUrl).href,
+                duration: pendingDuration,
+                sequence: playlist.mediaSequence + playlist.segments.length,
+                discontinuity: pendingDiscontinuity
+            });
+            pendingDuration = null;
+            pendingDiscontinuity = false;
+        }
+    });
+
+    return playlist;
+}
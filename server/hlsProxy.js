@@ -0,0 +1,380 @@
+/**
+ * HLS Proxy
+ * Shared /proxy handler used by both the Express server (server.js) and the
+ * Vercel function (api/proxy.js), so local and production behave the same.
+ *
+ * Only camera hosts on the allowlist are proxied, private/loopback targets are
+ * refused (including after DNS resolution and redirects), responses are size
+ * capped and every failure is returned as a JSON error.
+ *
+ * Responses are cached in memory (see SegmentCache) so that several viewers of
+ * the same camera only cost one upstream fetch per manifest refresh and segment.
+ */
+import axios from 'axios';
+import dns from 'dns';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { OFFICIAL_CAMERAS } from '../src/config/cameras.js';
+import { rewriteManifest } from './hlsManifest.js';
+import { SegmentCache } from './segmentCache.js';
+
+const MAX_REDIRECTS = 3;
+
+/**
+ * Error with an HTTP status and a machine-readable code for the JSON body
+ */
+export class ProxyError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ProxyError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Build proxy configuration from environment variables
+ */
+export function createProxyConfig(env = process.env) {
+    const extraHosts = (env.PROXY_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(h => h.trim().toLowerCase())
+        .filter(Boolean);
+
+    return {
+        extraHosts,
+        allowedHosts: new Set([
+            ...getCameraHosts(OFFICIAL_CAMERAS),
+            ...getCameraHosts(loadSavedCameras(env.CAMERAS_FILE || 'data/cameras.json')),
+            ...extraHosts
+        ]),
+        timeoutMs: parseInt(env.PROXY_TIMEOUT_MS) || 15000,
+        maxManifestBytes: parseInt(env.PROXY_MAX_MANIFEST_BYTES) || 2 * 1024 * 1024,
+        maxSegmentBytes: parseInt(env.PROXY_MAX_SEGMENT_BYTES) || 25 * 1024 * 1024,
+        manifestTtlMs: parseInt(env.PROXY_MANIFEST_TTL_MS) || 1000,
+        segmentTtlMs: parseInt(env.PROXY_SEGMENT_TTL_MS) || 60000,
+        cacheMaxBytes: parseInt(env.PROXY_CACHE_MAX_BYTES) || 100 * 1024 * 1024
+    };
+}
+
+/**
+ * Enabled cameras from the camera registry's file (see cameraRegistry.js),
+ * so user-added cameras are allowed from the start, on Vercel too when the
+ * file is deployed with the function. Empty when there is no file.
+ */
+export function loadSavedCameras(file) {
+    try {
+        const cameras = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')).cameras;
+        return Array.isArray(cameras) ? cameras.filter(camera => camera.enabled !== false) : [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Error loading saved cameras for the proxy allowlist:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Extract the hostnames of a list of cameras with stream URLs
+ */
+export function getCameraHosts(cameras = []) {
+    const hosts = [];
+    cameras.forEach(cam => {
+        try {
+            if (cam.url) hosts.push(new URL(cam.url).hostname.toLowerCase());
+        } catch {
+            // Cameras without a valid URL (e.g. uploaded files) have no host
+        }
+    });
+    return hosts;
+}
+
+const config = createProxyConfig();
+const segmentCache = new SegmentCache({ maxBytes: config.cacheMaxBytes });
+
+/**
+ * Rebuild the allowlist from the camera registry, keeping PROXY_ALLOWED_HOSTS.
+ * Private addresses stay refused whatever a camera URL points at.
+ */
+export function setAllowedCameras(cameras) {
+    config.allowedHosts = new Set([...getCameraHosts(cameras), ...config.extraHosts]);
+}
+
+/**
+ * Check a hostname against the allowlist.
+ * Entries starting with "*." or "." match any subdomain.
+ */
+export function isHostAllowed(hostname, allowedHosts = config.allowedHosts) {
+    const host = hostname.toLowerCase();
+    for (const entry of allowedHosts) {
+        if (entry === host) return true;
+        if (entry.startsWith('*.') || entry.startsWith('.')) {
+            const suffix = entry.slice(entry.indexOf('.'));
+            if (host.endsWith(suffix)) return true;
+        }
+    }
+    return false;
+}
+
+// Private, loopback, link-local, shared, benchmarking, multicast and reserved
+// ranges. BlockList also matches IPv4-mapped IPv6 addresses (::ffff:7f00:1)
+// against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['127.0.0.0', 8], ['100.64.0.0', 10], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+// ::/96 covers ::, ::1 and the deprecated IPv4-compatible addresses
+[
+    ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise
+ * not a public unicast address
+ */
+export function isPrivateAddress(address) {
+    const ip = address.replace(/^\[|\]$/g, '');
+    const family = net.isIP(ip);
+    if (!family) return true;
+    return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup that refuses to connect to private addresses.
+ * Passed to axios so the check happens on the address actually dialled.
+ */
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+
+        const blocked = addresses.find(a => isPrivateAddress(a.address));
+        if (blocked) {
+            return callback(new ProxyError(403, 'private_address', `Host resolves to a private address: ${hostname}`));
+        }
+
+        if (options?.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Parse and validate a proxy target URL
+ */
+export function validateTarget(rawUrl, allowedHosts = config.allowedHosts) {
+    if (!rawUrl || Array.isArray(rawUrl)) {
+        throw new ProxyError(400, 'missing_url', 'Missing "url" query parameter');
+    }
+
+    let target;
+    try {
+        target = new URL(rawUrl);
+    } catch {
+        try {
+            target = new URL(decodeURIComponent(rawUrl));
+        } catch {
+            throw new ProxyError(400, 'invalid_url', 'Invalid URL');
+        }
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+        throw new ProxyError(400, 'invalid_protocol', `Unsupported protocol: ${target.protocol}`);
+    }
+
+    if (target.username || target.password) {
+        throw new ProxyError(400, 'invalid_url', 'Credentials in URL are not allowed');
+    }
+
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new ProxyError(403, 'private_address', `Private address not allowed: ${hostname}`);
+    }
+
+    if (!isHostAllowed(hostname, allowedHosts)) {
+        throw new ProxyError(403, 'host_not_allowed', `Host not in camera allowlist: ${hostname}`);
+    }
+
+    return target;
+}
+
+/**
+ * Check if a URL or content type refers to an HLS playlist
+ */
+export function isManifest(url, contentType = '') {
+    return /\.m3u8?$/i.test(new URL(url).pathname) || /mpegurl/i.test(contentType);
+}
+
+/**
+ * Fetch an upstream URL as a stream, validating every redirect hop
+ */
+async function fetchUpstream(target, signal) {
+    let current = target;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const response = await axios({
+            method: 'get',
+            url: current.href,
+            responseType: 'stream',
+            timeout: config.timeoutMs,
+            maxRedirects: 0,
+            lookup: safeLookup,
+            signal,
+            validateStatus: () => true
+        });
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return { response, finalUrl: current.href };
+        }
+
+        response.data.destroy();
+        current = validateTarget(new URL(location, current).href);
+    }
+
+    throw new ProxyError(502, 'too_many_redirects', 'Upstream redirected too many times');
+}
+
+/**
+ * Read a stream into a Buffer, failing if it exceeds maxBytes
+ */
+function readBody(stream, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(new ProxyError(502, 'response_too_large', 'Upstream response exceeds size limit'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Fetch a target into a cacheable entry.
+ * Manifests are rewritten before caching and get a much shorter TTL than segments.
+ * Not tied to any single client request, since the fetch may be shared.
+ */
+async function fetchEntry(target) {
+    const signal = AbortSignal.timeout(config.timeoutMs * 2);
+    const { response: upstream, finalUrl } = await fetchUpstream(target, signal);
+    const contentType = upstream.headers['content-type'] || '';
+
+    if (upstream.status >= 400) {
+        upstream.data.destroy();
+        throw new ProxyError(upstream.status >= 500 ? 502 : upstream.status, 'upstream_status', `Upstream responded with ${upstream.status}`);
+    }
+
+    const manifest = isManifest(finalUrl, contentType);
+    const maxBytes = manifest ? config.maxManifestBytes : config.maxSegmentBytes;
+    if (parseInt(upstream.headers['content-length']) > maxBytes) {
+        upstream.data.destroy();
+        throw new ProxyError(502, 'response_too_large', 'Upstream response exceeds size limit');
+    }
+
+    const body = await readBody(upstream.data, maxBytes);
+
+    return {
+        status: upstream.status,
+        contentType,
+        isManifest: manifest,
+        body: manifest ? Buffer.from(rewriteManifest(body.toString('utf8'), finalUrl)) : body,
+        ttlMs: manifest ? config.manifestTtlMs : config.segmentTtlMs
+    };
+}
+
+/**
+ * Fetch a URL directly from upstream, bypassing the cache and without
+ * rewriting playlists. Used by the camera health monitor and the recorder,
+ * which need upstream content exactly as it is now. The same allowlist and
+ * address checks apply. Upstream error statuses are returned rather than
+ * thrown so the caller can record them.
+ * @returns {Promise<{ status: number, body: Buffer, contentType: string, finalUrl: string }>}
+ */
+export async function fetchDirect(rawUrl, maxBytes = config.maxSegmentBytes) {
+    const target = validateTarget(rawUrl);
+    const signal = AbortSignal.timeout(config.timeoutMs);
+    const { response: upstream, finalUrl } = await fetchUpstream(target, signal);
+    const contentType = upstream.headers['content-type'] || '';
+
+    if (upstream.status >= 400) {
+        upstream.data.destroy();
+        return { status: upstream.status, body: Buffer.alloc(0), contentType, finalUrl };
+    }
+
+    const body = await readBody(upstream.data, maxBytes);
+    return { status: upstream.status, body, contentType, finalUrl };
+}
+
+/**
+ * Fetch a playlist directly from upstream as text
+ * @returns {Promise<{ status: number, text: string, finalUrl: string }>}
+ */
+export async function fetchManifestText(rawUrl) {
+    const { status, body, finalUrl } = await fetchDirect(rawUrl, config.maxManifestBytes);
+    return { status, text: body.toString('utf8'), finalUrl };
+}
+
+/**
+ * Cache hit/miss counters and size, for monitoring
+ */
+export function getProxyStats() {
+    return segmentCache.getStats();
+}
+
+/**
+ * Send a structured JSON error
+ */
+export function sendError(res, error) {
+    // axios wraps errors raised in safeLookup
+    if (error.cause instanceof ProxyError) error = error.cause;
+
+    const isTimeout = error.code === 'ECONNABORTED' || error.name === 'CanceledError';
+    const status = error instanceof ProxyError ? error.status : (isTimeout ? 504 : 502);
+    const code = error instanceof ProxyError ? error.code : (isTimeout ? 'upstream_timeout' : 'upstream_error');
+
+    if (res.headersSent) {
+        res.destroy(error);
+        return;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.status(status).json({
+        error: code,
+        message: error.message
+    });
+}
+
+/**
+ * Express / Vercel compatible request handler for GET /proxy?url=...
+ */
+export async function handleProxyRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        return res.status(204).end();
+    }
+
+    try {
+        const target = validateTarget(req.query?.url);
+        const { entry, cache } = await segmentCache.getOrFetch(target.href, () => fetchEntry(target));
+
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('X-Cache', cache);
+        if (entry.contentType) res.setHeader('Content-Type', entry.contentType);
+        if (entry.isManifest) res.setHeader('Cache-Control', 'no-cache');
+
+        res.status(entry.status).send(entry.body);
+    } catch (error) {
+        console.error('Proxy error:', error.message);
+        sendError(res, error);
+    }
+}
+
+export default handleProxyRequest;
@@ -0,0 +1,489 @@
+/**
+ * API Key Relay
+ * Forwards calls to OpenRouter (AI reports) and Overshoot (live video analysis)
+ * with keys read from the server's environment, so no key ever reaches the
+ * browser or the built bundle.
+ *
+ * Every relayed call needs a signed-in user, counts against that user's daily
+ * quota for the service, and is appended to an audit log (JSON lines):
+ *   { at, user, service, method, path, status, durationMs, ... }
+ * Today's counts are rebuilt from the audit log on startup, so a restart
+ * doesn't reset anyone's quota.
+ *
+ * The Overshoot SDK also opens a WebSocket for results and authenticates it by
+ * sending { api_key } as its first message. The relay proxies that socket and
+ * rewrites the first message with the server's key.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+
+export const RELAY_SERVICES = ['openrouter', 'overshoot'];
+
+const MAX_OPENROUTER_TOKENS = 4096;
+const MAX_MESSAGES = 20;
+// Hop-by-hop and credential headers never forwarded in either direction
+const STRIPPED_HEADERS = new Set([
+    'authorization', 'x-api-key', 'cookie', 'set-cookie', 'host', 'connection',
+    'content-length', 'transfer-encoding', 'keep-alive', 'upgrade', 'origin', 'referer',
+    'content-encoding'
+]);
+// WebSocket handshake headers passed on to Overshoot. Extensions are left out
+// so the first message arrives uncompressed and can be rewritten.
+const WS_FORWARDED_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-protocol', 'user-agent'];
+const MAX_FIRST_MESSAGE_BYTES = 64 * 1024;
+const WS_OPCODE_TEXT = 0x1;
+
+/**
+ * Error with an HTTP status and a machine-readable code for the JSON body
+ */
+export class RelayError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'RelayError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Build relay configuration from environment variables
+ */
+export function createRelayConfig(env = process.env) {
+    return {
+        openRouterKey: env.OPENROUTER_API_KEY || '',
+        openRouterUrl: env.OPENROUTER_API_URL || 'https://openrouter.ai/api/v1/chat/completions',
+        openRouterModels: (env.OPENROUTER_MODELS || 'google/gemini-2.0-flash-001')
+            .split(',').map(m => m.trim()).filter(Boolean),
+        openRouterReferer: env.OPENROUTER_REFERER || 'https://trafiq.ai',
+        overshootKey: env.OVERSHOOT_API_KEY || '',
+        overshootUrl: (env.OVERSHOOT_API_URL || 'https://cluster1.overshoot.ai/api/v0.2').replace(/\/+$/, ''),
+        limits: {
+            openrouter: parseInt(env.RELAY_OPENROUTER_DAILY_LIMIT) || 50,
+            overshoot: parseInt(env.RELAY_OVERSHOOT_DAILY_LIMIT) || 5000
+        },
+        auditFile: path.resolve(env.RELAY_AUDIT_FILE || 'data/relay-audit.jsonl'),
+        timeoutMs: parseInt(env.RELAY_TIMEOUT_MS) || 60000
+    };
+}
+
+/**
+ * Read the WebSocket frame at the start of a buffer
+ * @returns {{ fin: boolean, opcode: number, payload: Buffer, length: number }|null}
+ *   the unmasked payload and the frame's size in bytes, null until all of it has arrived
+ */
+export function readFrame(buffer, maxBytes = MAX_FIRST_MESSAGE_BYTES) {
+    if (buffer.length < 2) return null;
+    let size = buffer[1] & 0x7f;
+    let offset = 2;
+    if (size === 126) {
+        if (buffer.length < 4) return null;
+        size = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (size === 127) {
+        if (buffer.length < 10) return null;
+        size = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (size > maxBytes) throw new RelayError(413, 'message_too_large', 'WebSocket message is too large');
+
+    const masked = (buffer[1] & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + size) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + size));
+    if (mask) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+    return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload, length: offset + size };
+}
+
+/**
+ * Encode a single masked frame, as sent from a client
+ */
+export function writeFrame(opcode, payload) {
+    const mask = crypto.randomBytes(4);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    const masked = Buffer.from(payload);
+    masked.forEach((byte, i) => { masked[i] = byte ^ mask[i % 4]; });
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Answer a WebSocket handshake with a plain HTTP error and close the socket
+ */
+export function rejectUpgrade(socket, status, body = {}) {
+    const json = JSON.stringify(body);
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}\r\n` +
+        'Connection: close\r\nContent-Type: application/json\r\n' +
+        `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+}
+
+export class KeyRelay {
+    constructor(options = {}) {
+        const config = { ...createRelayConfig(), ...options };
+        this.config = config;
+        this.fetchImpl = options.fetch || fetch;
+
+        // `${date}|${service}|${email}` -> calls today
+        this.usage = new Map();
+        this.usageDate = this.today();
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.mkdir(path.dirname(this.config.auditFile), { recursive: true });
+        try {
+            const text = await fs.readFile(this.config.auditFile, 'utf8');
+            const today = this.today();
+            text.split('\n').forEach(line => {
+                if (!line.startsWith(`{"at":"${today}`)) return;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.counted) this.increment(entry.service, entry.user);
+                } catch {
+                    // Skip a line cut short by a crash
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading relay audit log:', error.message);
+        }
+    }
+
+    today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    isConfigured(service) {
+        return service === 'openrouter' ? !!this.config.openRouterKey : !!this.config.overshootKey;
+    }
+
+    getUsed(service, email) {
+        this.rollOver();
+        return this.usage.get(`${this.usageDate}|${service}|${email}`) || 0;
+    }
+
+    increment(service, email) {
+        this.rollOver();
+        const key = `${this.usageDate}|${service}|${email}`;
+        this.usage.set(key, (this.usage.get(key) || 0) + 1);
+    }
+
+    /**
+     * Quotas are per UTC day; drop yesterday's counters when the date changes
+     */
+    rollOver() {
+        const today = this.today();
+        if (today !== this.usageDate) {
+            this.usage.clear();
+            this.usageDate = today;
+        }
+    }
+
+    /**
+     * Per-service status and quota for one user
+     */
+    getStatus(email) {
+        const status = {};
+        RELAY_SERVICES.forEach(service => {
+            const limit = this.config.limits[service];
+            const used = this.getUsed(service, email);
+            status[service] = {
+                configured: this.isConfigured(service),
+                used,
+                limit,
+                remaining: Math.max(0, limit - used)
+            };
+        });
+        return status;
+    }
+
+    /**
+     * Refuse the call if the service has no key or the user is out of quota,
+     * otherwise count it
+     */
+    consume(service, email) {
+        let error = null;
+        if (!this.isConfigured(service)) {
+            error = new RelayError(503, 'relay_not_configured', `The server has no ${service === 'openrouter' ? 'OpenRouter' : 'Overshoot'} API key configured`);
+        } else if (this.getUsed(service, email) >= this.config.limits[service]) {
+            error = new RelayError(429, 'quota_exceeded', `Daily ${service} quota of ${this.config.limits[service]} calls reached`);
+        }
+
+        if (error) {
+            // Refused calls are audited too, but don't count against the quota
+            this.audit({ user: email, service, status: error.status, error: error.code, counted: false });
+            throw error;
+        }
+        this.increment(service, email);
+    }
+
+    /**
+     * Append one line to the audit log. Writes are queued so lines never interleave.
+     */
+    audit(entry) {
+        const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+        this.writing = this.writing
+            .then(() => fs.appendFile(this.config.auditFile, line))
+            .catch(error => console.error('Error writing relay audit log:', error.message));
+        return this.writing;
+    }
+
+    /**
+     * Send a chat completion to OpenRouter.
+     * Only allowlisted models are accepted and max_tokens is capped.
+     * @returns {Promise<{ status: number, body: Object }>}
+     */
+    async chatCompletion(user, body = {}) {
+        const started = Date.now();
+        const model = body.model || this.config.openRouterModels[0];
+
+        if (!this.config.openRouterModels.includes(model)) {
+            throw new RelayError(400, 'model_not_allowed', `Model ${model} is not allowed`);
+        }
+        if (!Array.isArray(body.messages) || body.messages.length === 0 || body.messages.length > MAX_MESSAGES) {
+            throw new RelayError(400, 'invalid_messages', `Send between 1 and ${MAX_MESSAGES} messages`);
+        }
+
+        this.consume('openrouter', user.email);
+
+        const payload = {
+            model,
+            messages: body.messages.map(m => ({ role: String(m.role), content: String(m.content) })),
+            temperature: typeof body.temperature === 'number' ? body.temperature : undefined,
+            max_tokens: Math.min(parseInt(body.max_tokens) || MAX_OPENROUTER_TOKENS, MAX_OPENROUTER_TOKENS)
+        };
+
+        let status = 502;
+        let result = null;
+        try {
+            const response = await this.fetchImpl(this.config.openRouterUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.openRouterKey}`,
+                    'HTTP-Referer': this.config.openRouterReferer,
+                    'X-Title': 'TraffIQ'
+                },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(this.config.timeoutMs)
+            });
+            status = response.status;
+            result = await response.json().catch(() => null);
+            return { status, body: result || { error: { message: `OpenRouter responded with ${status}` } } };
+        } catch (error) {
+            throw new RelayError(502, 'upstream_error', `OpenRouter request failed: ${error.message}`);
+        } finally {
+            this.audit({
+                user: user.email,
+                service: 'openrouter',
+                method: 'POST',
+                path: '/chat/completions',
+                model,
+                status,
+                durationMs: Date.now() - started,
+                tokens: result?.usage?.total_tokens,
+                counted: true
+            });
+        }
+    }
+
+    /**
+     * Forward a request from the Overshoot SDK to the Overshoot API,
+     * swapping whatever credentials the browser sent for the server's key.
+     * @returns {Promise<{ status: number, headers: Object, body: Buffer }>}
+     */
+    async overshoot(user, { method, subPath, query, headers, body }) {
+        const started = Date.now();
+        const url = this.resolveOvershootUrl(subPath, query);
+        this.consume('overshoot', user.email);
+
+        const forwardHeaders = {};
+        Object.entries(headers || {}).forEach(([name, value]) => {
+            if (!STRIPPED_HEADERS.has(name.toLowerCase())) forwardHeaders[name] = value;
+        });
+        forwardHeaders['Authorization'] = `Bearer ${this.config.overshootKey}`;
+
+        let status = 502;
+        try {
+            const response = await this.fetchImpl(url, {
+                method,
+                headers: forwardHeaders,
+                body: ['GET', 'HEAD'].includes(method) ? undefined : body,
+                signal: AbortSignal.timeout(this.config.timeoutMs)
+            });
+            status = response.status;
+
+            const responseHeaders = {};
+            response.headers.forEach((value, name) => {
+                if (!STRIPPED_HEADERS.has(name.toLowerCase())) responseHeaders[name] = value;
+            });
+            return { status, headers: responseHeaders, body: Buffer.from(await response.arrayBuffer()) };
+        } catch (error) {
+            throw new RelayError(502, 'upstream_error', `Overshoot request failed: ${error.message}`);
+        } finally {
+            this.audit({
+                user: user.email,
+                service: 'overshoot',
+                method,
+                path: `/${subPath}`,
+                status,
+                durationMs: Date.now() - started,
+                counted: true
+            });
+        }
+    }
+
+    /**
+     * Relay the SDK's result WebSocket to Overshoot. The client's first message
+     * gets the server's key in place of the placeholder, then frames are piped
+     * through untouched in both directions.
+     * @param {import('net').Socket} socket - the browser's socket from the server's 'upgrade' event
+     * @param {Buffer} head - bytes already read past the handshake
+     */
+    overshootSocket(user, { subPath, query, headers }, socket, head) {
+        const started = Date.now();
+        const url = new URL(this.resolveOvershootUrl(subPath, query));
+        this.consume('overshoot', user.email);
+
+        const forwardHeaders = {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            Authorization: `Bearer ${this.config.overshootKey}`
+        };
+        WS_FORWARDED_HEADERS.forEach(name => {
+            if (headers[name]) forwardHeaders[name] = headers[name];
+        });
+
+        let status = 502;
+        let audited = false;
+        const finish = () => {
+            if (audited) return;
+            audited = true;
+            this.audit({
+                user: user.email,
+                service: 'overshoot',
+                method: 'WEBSOCKET',
+                path: `/${subPath}`,
+                status,
+                durationMs: Date.now() - started,
+                counted: true
+            });
+        };
+
+        const request = (url.protocol === 'https:' ? https : http).request(url, { headers: forwardHeaders });
+        request.setTimeout(this.config.timeoutMs, () => request.destroy(new Error('timed out')));
+
+        request.on('upgrade', (response, upstream, upstreamHead) => {
+            status = 101;
+            upstream.setTimeout(0);
+            const lines = ['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade'];
+            ['sec-websocket-accept', 'sec-websocket-protocol'].forEach(name => {
+                if (response.headers[name]) lines.push(`${name}: ${response.headers[name]}`);
+            });
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+            if (upstreamHead.length) socket.write(upstreamHead);
+            upstream.pipe(socket);
+            this.forwardWithKey(socket, head, upstream);
+
+            const close = () => {
+                socket.destroy();
+                upstream.destroy();
+                finish();
+            };
+            [socket, upstream].forEach(side => {
+                side.on('close', close);
+                side.on('error', close);
+            });
+        });
+
+        // Overshoot refused the handshake: pass its status on
+        request.on('response', (response) => {
+            status = response.statusCode;
+            response.resume();
+            rejectUpgrade(socket, status, { error: 'upstream_error', message: `Overshoot responded with ${status}` });
+            finish();
+        });
+
+        request.on('error', (error) => {
+            console.error('Overshoot WebSocket relay failed:', error.message);
+            rejectUpgrade(socket, 502, { error: 'upstream_error', message: `Overshoot request failed: ${error.message}` });
+            finish();
+        });
+
+        socket.on('error', () => request.destroy());
+        request.end();
+    }
+
+    /**
+     * Send the client's frames upstream, with the api_key in the first
+     * message replaced by the server's
+     */
+    forwardWithKey(client, head, upstream) {
+        let buffered = head;
+        const onData = (chunk) => {
+            buffered = Buffer.concat([buffered, chunk]);
+            let frame;
+            try {
+                frame = readFrame(buffered);
+            } catch (error) {
+                console.error('Overshoot WebSocket relay failed:', error.message);
+                client.destroy();
+                return;
+            }
+            if (!frame) return;
+
+            client.off('data', onData);
+            upstream.write(this.withServerKey(frame) || buffered.subarray(0, frame.length));
+            if (buffered.length > frame.length) upstream.write(buffered.subarray(frame.length));
+            client.pipe(upstream);
+        };
+        client.on('data', onData);
+        if (head.length) onData(Buffer.alloc(0));
+    }
+
+    /**
+     * Re-encode a first message of the form { api_key, ... } with the server's key
+     * @returns {Buffer|null} null when the frame isn't such a message
+     */
+    withServerKey(frame) {
+        if (!frame.fin || frame.opcode !== WS_OPCODE_TEXT) return null;
+        let message;
+        try {
+            message = JSON.parse(frame.payload.toString('utf8'));
+        } catch {
+            return null;
+        }
+        if (!message || typeof message !== 'object' || !('api_key' in message)) return null;
+
+        message.api_key = this.config.overshootKey;
+        return writeFrame(WS_OPCODE_TEXT, Buffer.from(JSON.stringify(message)));
+    }
+
+    /**
+     * Overshoot URL for a path below the relay.
+     * Relative paths only: no way to point the relay at another host.
+     */
+    resolveOvershootUrl(subPath, query) {
+        if (!/^[A-Za-z0-9._~\-/]*$/.test(subPath) || subPath.split('/').includes('..')) {
+            throw new RelayError(400, 'invalid_path', 'Invalid relay path');
+        }
+        return `${this.config.overshootUrl}/${subPath.replace(/^\/+/, '')}${query || ''}`;
+    }
+}
+
+export default KeyRelay;
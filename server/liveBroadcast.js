@@ -0,0 +1,214 @@
+/**
+ * Live Broadcast
+ * Fans out analysis results from the dashboard that runs inference to every
+ * other dashboard watching the same camera, over Server-Sent Events.
+ *
+ * A publisher POSTs each normalized result (or LocalCounter vehicle counts);
+ * subscribers hold an SSE stream per camera and receive:
+ *   event: result   data: { cameraId, type, data, publisher, at }
+ *   event: counts   data: { cameraId, type, data, publisher, at }
+ *   event: status   data: { cameraId, live, publisher, lastPublishedAt }
+ * The latest message of each type is replayed to new subscribers so a wall
+ * display fills in immediately instead of waiting for the next frame.
+ */
+
+export const BROADCAST_TYPES = ['result', 'counts'];
+
+const CAMERA_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+/**
+ * Error with an HTTP status and a machine-readable code for the JSON body
+ */
+export class BroadcastError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'BroadcastError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Build broadcast configuration from environment variables
+ */
+export function createBroadcastConfig(env = process.env) {
+    return {
+        heartbeatMs: parseInt(env.LIVE_HEARTBEAT_MS) || 15000,
+        // A camera counts as live while its publisher posted within this window
+        staleAfterMs: parseInt(env.LIVE_STALE_AFTER_MS) || 30000,
+        maxMessageBytes: parseInt(env.LIVE_MAX_MESSAGE_BYTES) || 64 * 1024,
+        maxSubscribers: parseInt(env.LIVE_MAX_SUBSCRIBERS) || 200
+    };
+}
+
+export class LiveBroadcaster {
+    constructor(options = {}) {
+        const config = { ...createBroadcastConfig(), ...options };
+        this.heartbeatMs = config.heartbeatMs;
+        this.staleAfterMs = config.staleAfterMs;
+        this.maxMessageBytes = config.maxMessageBytes;
+        this.maxSubscribers = config.maxSubscribers;
+
+        // cameraId -> { subscribers: Set<res>, latest: { type: message }, publisher, lastPublishedAt }
+        this.channels = new Map();
+        this.subscriberCount = 0;
+        this.heartbeatTimer = null;
+    }
+
+    validateCameraId(cameraId) {
+        if (!CAMERA_ID_PATTERN.test(cameraId || '')) {
+            throw new BroadcastError(400, 'invalid_camera', 'Invalid camera id');
+        }
+        return cameraId;
+    }
+
+    getChannel(cameraId) {
+        if (!this.channels.has(cameraId)) {
+            this.channels.set(cameraId, { subscribers: new Set(), latest: {}, publisher: null, lastPublishedAt: 0, announcedStale: false });
+        }
+        return this.channels.get(cameraId);
+    }
+
+    isLive(channel, now = Date.now()) {
+        return !!channel.lastPublishedAt && now - channel.lastPublishedAt < this.staleAfterMs;
+    }
+
+    /**
+     * Send a message from the analyzing dashboard to everyone watching the camera
+     * @returns {{ delivered: number }}
+     */
+    publish(cameraId, { type, data } = {}, publisher = null) {
+        this.validateCameraId(cameraId);
+        if (!BROADCAST_TYPES.includes(type)) {
+            throw new BroadcastError(400, 'invalid_type', `Type must be one of ${BROADCAST_TYPES.join(', ')}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new BroadcastError(400, 'invalid_data', 'Data must be an object');
+        }
+
+        const message = { cameraId, type, data, publisher, at: new Date().toISOString() };
+        const payload = JSON.stringify(message);
+        if (Buffer.byteLength(payload) > this.maxMessageBytes) {
+            throw new BroadcastError(413, 'message_too_large', `Messages are limited to ${this.maxMessageBytes} bytes`);
+        }
+
+        const channel = this.getChannel(cameraId);
+        const wasLive = this.isLive(channel);
+        channel.latest[type] = payload;
+        channel.publisher = publisher;
+        channel.lastPublishedAt = Date.now();
+
+        if (!wasLive) this.sendStatus(cameraId, channel);
+        channel.subscribers.forEach(res => this.write(res, type, payload));
+        return { delivered: channel.subscribers.size };
+    }
+
+    /**
+     * The publisher stopped analyzing: tell watchers now instead of after staleAfterMs
+     */
+    end(cameraId) {
+        this.validateCameraId(cameraId);
+        const channel = this.channels.get(cameraId);
+        if (!channel) return;
+
+        channel.latest = {};
+        channel.lastPublishedAt = 0;
+        this.sendStatus(cameraId, channel);
+        if (channel.subscribers.size === 0) this.channels.delete(cameraId);
+    }
+
+    /**
+     * Attach an Express response as an SSE subscriber for one camera
+     */
+    subscribe(cameraId, req, res) {
+        this.validateCameraId(cameraId);
+        if (this.subscriberCount >= this.maxSubscribers) {
+            throw new BroadcastError(503, 'too_many_subscribers', 'Too many live subscribers, try again later');
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            // Stop nginx-style proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: 5000\n\n`);
+
+        const channel = this.getChannel(cameraId);
+        channel.subscribers.add(res);
+        this.subscriberCount++;
+        this.startHeartbeat();
+
+        this.write(res, 'status', JSON.stringify(this.getChannelStatus(cameraId, channel)));
+        BROADCAST_TYPES.forEach(type => {
+            if (channel.latest[type] && this.isLive(channel)) this.write(res, type, channel.latest[type]);
+        });
+
+        req.on('close', () => {
+            channel.subscribers.delete(res);
+            this.subscriberCount--;
+            if (channel.subscribers.size === 0 && !this.isLive(channel)) this.channels.delete(cameraId);
+            if (this.subscriberCount === 0) this.stopHeartbeat();
+        });
+    }
+
+    write(res, event, payload) {
+        res.write(`event: ${event}\ndata: ${payload}\n\n`);
+    }
+
+    getChannelStatus(cameraId, channel) {
+        return {
+            cameraId,
+            live: this.isLive(channel),
+            publisher: channel.publisher,
+            lastPublishedAt: channel.lastPublishedAt ? new Date(channel.lastPublishedAt).toISOString() : null
+        };
+    }
+
+    sendStatus(cameraId, channel) {
+        const payload = JSON.stringify(this.getChannelStatus(cameraId, channel));
+        channel.subscribers.forEach(res => this.write(res, 'status', payload));
+    }
+
+    /**
+     * Cameras that have a publisher or subscribers right now
+     */
+    listChannels() {
+        const now = Date.now();
+        return Array.from(this.channels.entries())
+            .filter(([, channel]) => this.isLive(channel, now) || channel.subscribers.size > 0)
+            .map(([cameraId, channel]) => ({
+                ...this.getChannelStatus(cameraId, channel),
+                subscribers: channel.subscribers.size
+            }));
+    }
+
+    /**
+     * Keep idle streams open through proxies, and tell subscribers when a
+     * publisher has gone quiet
+     */
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+        this.heartbeatTimer = setInterval(() => {
+            const now = Date.now();
+            this.channels.forEach((channel, cameraId) => {
+                if (channel.lastPublishedAt && !this.isLive(channel, now) && !channel.announcedStale) {
+                    channel.announcedStale = true;
+                    this.sendStatus(cameraId, channel);
+                } else if (this.isLive(channel, now)) {
+                    channel.announcedStale = false;
+                }
+                channel.subscribers.forEach(res => res.write(': ping\n\n'));
+            });
+        }, this.heartbeatMs);
+        this.heartbeatTimer.unref?.();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
+
+export default LiveBroadcaster;
@@ -0,0 +1,63 @@
+/**
+ * Live API
+ * Per-camera broadcast of analysis results, backed by LiveBroadcaster.
+ * Every route needs a signed-in user (AuthManager#middleware() mounted first).
+ *
+ *   GET    /api/live                   cameras with a live publisher or subscribers
+ *   GET    /api/live/:cameraId/events  SSE stream of result, counts and status events
+ *   POST   /api/live/:cameraId         publish { type: 'result' | 'counts', data }
+ *   DELETE /api/live/:cameraId         publisher stopped analyzing
+ */
+import express from 'express';
+import { requireAuth } from './auth.js';
+
+/**
+ * Send a structured JSON error (BroadcastError)
+ */
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Live broadcast error:', error.message);
+    res.status(status).json({
+        error: error.code || 'internal_error',
+        message: error.message
+    });
+}
+
+export function createLiveRouter(broadcaster) {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    router.get('/', (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ channels: broadcaster.listChannels() });
+    });
+
+    router.get('/:cameraId/events', (req, res) => {
+        try {
+            broadcaster.subscribe(req.params.cameraId, req, res);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/:cameraId', express.json({ limit: '256kb' }), (req, res) => {
+        try {
+            res.json(broadcaster.publish(req.params.cameraId, req.body || {}, req.user.name));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:cameraId', (req, res) => {
+        try {
+            broadcaster.end(req.params.cameraId);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+export default createLiveRouter;
@@ -0,0 +1,470 @@
+/**
+ * DVR Recorder
+ * Records a camera's HLS stream to local disk for a scheduled window so the
+ * same footage can be played back and re-analyzed later.
+ *
+ * Each recording is a directory under RECORDINGS_DIR:
+ *   recording.json       metadata and segment list
+ *   index.m3u8           local playlist (EVENT while recording, VOD once done)
+ *   init.mp4             initialization segment (fMP4 streams only)
+ *   segments/000000.ts   archived media segments
+ *
+ * Segments are fetched with the same allowlist and address checks as /proxy.
+ * Schedules survive a server restart: pending recordings are re-armed and a
+ * recording interrupted mid-window resumes after a discontinuity.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { OFFICIAL_CAMERAS } from '../src/config/cameras.js';
+import { parsePlaylist } from './hlsManifest.js';
+import { fetchDirect, validateTarget } from './hlsProxy.js';
+
+export const RECORDING_STATUS = {
+    SCHEDULED: 'scheduled',
+    RECORDING: 'recording',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const PLAYLIST_NAME = 'index.m3u8';
+const META_NAME = 'recording.json';
+const SEGMENT_DIR = 'segments';
+const ID_PATTERN = /^[a-z0-9-]+$/;
+const MEDIA_FILE_PATTERN = /^(init\.(mp4|m4s)|segments\/\d{6}\.(ts|aac|mp4|m4s))$/;
+const NAME_PATTERN = /[<>&"']/;
+const MAX_NAME_LENGTH = 80;
+// setTimeout overflows past ~24.8 days, so long waits are re-armed in steps
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error with an HTTP status and a machine-readable code for the JSON body
+ */
+export class RecordingError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'RecordingError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Trim a camera name given by the client; markup characters are rejected
+ */
+function validateName(name) {
+    if (name === undefined || name === null || name === '') return '';
+    if (typeof name !== 'string' || NAME_PATTERN.test(name)) {
+        throw new RecordingError(400, 'invalid_name', 'Camera name contains invalid characters');
+    }
+    return name.trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Build recorder configuration from environment variables
+ */
+export function createRecorderConfig(env = process.env) {
+    return {
+        dir: path.resolve(env.RECORDINGS_DIR || 'recordings'),
+        maxDurationMs: (parseFloat(env.RECORDING_MAX_HOURS) || 4) * 60 * 60 * 1000,
+        maxBytes: parseInt(env.RECORDING_MAX_BYTES) || 2 * 1024 * 1024 * 1024,
+        // Recordings whose windows may overlap
+        maxConcurrent: parseInt(env.RECORDING_MAX_CONCURRENT) || 4
+    };
+}
+
+function parseTime(value, field) {
+    const time = new Date(value).getTime();
+    if (isNaN(time)) throw new RecordingError(400, 'invalid_time', `Invalid ${field}`);
+    return time;
+}
+
+function segmentExtension(uri) {
+    const ext = path.extname(new URL(uri).pathname).slice(1).toLowerCase();
+    return ['ts', 'aac', 'mp4', 'm4s'].includes(ext) ? ext : 'ts';
+}
+
+export class RecordingManager {
+    constructor(options = {}) {
+        const config = { ...createRecorderConfig(), ...options };
+        this.dir = config.dir;
+        this.maxDurationMs = config.maxDurationMs;
+        this.maxBytes = config.maxBytes;
+        this.maxConcurrent = config.maxConcurrent;
+        this.fetch = options.fetch || fetchDirect;
+
+        this.recordings = new Map();
+        this.jobs = new Map(); // Active timers and capture state by recording id
+        this.setCameras(options.cameras || OFFICIAL_CAMERAS);
+    }
+
+    setCameras(cameras) {
+        this.cameras = cameras;
+    }
+
+    /**
+     * Load existing recordings from disk and re-arm unfinished ones
+     */
+    async init() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const entries = await fs.readdir(this.dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !ID_PATTERN.test(entry.name)) continue;
+            try {
+                const meta = JSON.parse(await fs.readFile(path.join(this.dir, entry.name, META_NAME), 'utf8'));
+                this.recordings.set(meta.id, meta);
+            } catch (error) {
+                console.warn(`Skipping unreadable recording ${entry.name}:`, error.message);
+            }
+        }
+
+        for (const recording of this.recordings.values()) {
+            if (recording.status === RECORDING_STATUS.SCHEDULED || recording.status === RECORDING_STATUS.RECORDING) {
+                // Whatever was captured before the restart is followed by a gap
+                recording.resumed = recording.status === RECORDING_STATUS.RECORDING;
+                this.arm(recording);
+            }
+        }
+    }
+
+    /**
+     * All recordings, newest window first
+     */
+    list() {
+        return Array.from(this.recordings.values())
+            .sort((a, b) => b.startAt - a.startAt)
+            .map(r => this.toPublic(r));
+    }
+
+    get(id) {
+        const recording = this.recordings.get(id);
+        if (!recording) throw new RecordingError(404, 'not_found', `Recording not found: ${id}`);
+        return recording;
+    }
+
+    /**
+     * Schedule a recording of a camera between startAt and endAt.
+     * The camera is looked up by id, or a stream URL can be given directly.
+     * A known camera keeps its registry name; cameraName only labels direct URLs.
+     */
+    async schedule({ cameraId, cameraName, url, startAt, endAt, durationMinutes } = {}) {
+        const camera = this.cameras.find(c => c.id === cameraId);
+        const sourceUrl = url || camera?.url;
+        if (!sourceUrl) {
+            throw new RecordingError(400, 'unknown_camera', cameraId ? `Unknown camera: ${cameraId}` : 'Missing cameraId or url');
+        }
+        validateTarget(sourceUrl);
+        const name = camera?.name || validateName(cameraName) || new URL(sourceUrl).hostname;
+
+        const start = startAt ? parseTime(startAt, 'startAt') : Date.now();
+        const end = endAt
+            ? parseTime(endAt, 'endAt')
+            : start + (parseFloat(durationMinutes) || 0) * 60 * 1000;
+
+        if (end <= start) throw new RecordingError(400, 'invalid_window', 'endAt must be after startAt');
+        if (end <= Date.now()) throw new RecordingError(400, 'invalid_window', 'Recording window is already over');
+        if (end - start > this.maxDurationMs) {
+            throw new RecordingError(400, 'window_too_long', `Recordings are limited to ${this.maxDurationMs / 3600000} hours`);
+        }
+
+        const overlapping = Array.from(this.recordings.values()).filter(r =>
+            [RECORDING_STATUS.SCHEDULED, RECORDING_STATUS.RECORDING].includes(r.status) && r.startAt < end && r.endAt > start
+        );
+        if (overlapping.length >= this.maxConcurrent) {
+            throw new RecordingError(429, 'too_many_recordings', `At most ${this.maxConcurrent} recordings can run at the same time`);
+        }
+
+        const recording = {
+            id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            cameraId: cameraId || null,
+            cameraName: name,
+            sourceUrl,
+            startAt: start,
+            endAt: end,
+            status: RECORDING_STATUS.SCHEDULED,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            duration: 0,
+            bytes: 0,
+            errors: 0,
+            lastError: null,
+            initSegment: null,
+            segments: []
+        };
+
+        // Claimed before any await so concurrent requests see it in the overlap check
+        this.recordings.set(recording.id, recording);
+        try {
+            await fs.mkdir(path.join(this.dir, recording.id, SEGMENT_DIR), { recursive: true });
+            await this.saveMeta(recording);
+        } catch (error) {
+            this.recordings.delete(recording.id);
+            throw error;
+        }
+        this.arm(recording);
+
+        return this.toPublic(recording);
+    }
+
+    /**
+     * Stop a recording early, or cancel it if it hasn't started
+     */
+    async stop(id) {
+        const recording = this.get(id);
+        if (recording.status === RECORDING_STATUS.SCHEDULED) {
+            this.clearJob(id);
+            recording.status = RECORDING_STATUS.CANCELLED;
+            recording.finishedAt = Date.now();
+            await this.saveMeta(recording);
+        } else if (recording.status === RECORDING_STATUS.RECORDING) {
+            await this.finish(recording);
+        }
+        return this.toPublic(recording);
+    }
+
+    async remove(id) {
+        const recording = this.get(id);
+        this.clearJob(id);
+        this.recordings.delete(id);
+        await fs.rm(path.join(this.dir, recording.id), { recursive: true, force: true });
+    }
+
+    /**
+     * Resolve a playlist or media file of a recording to a path on disk
+     */
+    resolveFile(id, file) {
+        const recording = this.get(id);
+        if (file !== PLAYLIST_NAME && !MEDIA_FILE_PATTERN.test(file)) {
+            throw new RecordingError(404, 'not_found', `File not found: ${file}`);
+        }
+        return path.join(this.dir, recording.id, file);
+    }
+
+    toPublic(recording) {
+        const { segments, resumed, ...rest } = recording;
+        return {
+            ...rest,
+            segmentCount: segments.length,
+            playlistUrl: `/api/recordings/${recording.id}/${PLAYLIST_NAME}`
+        };
+    }
+
+    /**
+     * Start capturing when the window opens, or right away if it already has
+     */
+    arm(recording) {
+        this.clearJob(recording.id);
+        const job = { timer: null, lastSequence: null, variantUrl: null, discontinuity: !!recording.resumed };
+        this.jobs.set(recording.id, job);
+
+        const wait = recording.startAt - Date.now();
+        if (wait > 0) {
+            job.timer = setTimeout(() => this.arm(recording), Math.min(wait, MAX_TIMER_MS));
+            return;
+        }
+
+        recording.status = RECORDING_STATUS.RECORDING;
+        recording.startedAt = recording.startedAt || Date.now();
+        this.runCapture(recording, job);
+    }
+
+    /**
+     * Run one capture poll. Errors capture() doesn't handle itself (a failed
+     * write to disk, say) end the recording as failed.
+     */
+    runCapture(recording, job) {
+        this.capture(recording, job).catch(error => {
+            console.error(`Recording ${recording.id} failed:`, error.message);
+            recording.errors++;
+            recording.lastError = error.message;
+            // Already stopped or deleted
+            if (this.jobs.get(recording.id) !== job) return;
+            return this.finish(recording, RECORDING_STATUS.FAILED);
+        }).catch(error => console.error(`Recording ${recording.id} could not be closed:`, error.message));
+    }
+
+    clearJob(id) {
+        const job = this.jobs.get(id);
+        if (job) clearTimeout(job.timer);
+        this.jobs.delete(id);
+    }
+
+    /**
+     * Fetch the media playlist, archive any new segments and schedule the next poll
+     */
+    async capture(recording, job) {
+        if (this.jobs.get(recording.id) !== job) return;
+        if (Date.now() >= recording.endAt) return this.finish(recording);
+
+        let pollMs = 2000;
+        try {
+            const playlist = await this.fetchMediaPlaylist(recording, job);
+            if (playlist.encrypted) {
+                throw new RecordingError(422, 'encrypted_stream', 'Encrypted streams cannot be recorded');
+            }
+            pollMs = Math.max(1000, (playlist.targetDuration || 4) * 500);
+
+            if (playlist.mapUri && !recording.initSegment) {
+                const file = `init.${segmentExtension(playlist.mapUri) === 'm4s' ? 'm4s' : 'mp4'}`;
+                await this.download(recording, playlist.mapUri, file);
+                recording.initSegment = file;
+            }
+
+            await this.archiveSegments(recording, job, playlist.segments);
+            job.errors = 0;
+        } catch (error) {
+            recording.errors++;
+            recording.lastError = error.message;
+            job.errors = (job.errors || 0) + 1;
+            // Whatever comes after an outage doesn't follow on from what came before
+            job.lastSequence = null;
+            job.variantUrl = null;
+            job.discontinuity = recording.segments.length > 0;
+            console.warn(`Recording ${recording.id} error:`, error.message);
+
+            if (error.code === 'encrypted_stream' || error.code === 'host_not_allowed') {
+                return this.finish(recording, RECORDING_STATUS.FAILED);
+            }
+            pollMs = Math.min(30000, 2000 * job.errors);
+        }
+
+        if (this.jobs.get(recording.id) !== job) return;
+        if (recording.bytes >= this.maxBytes) {
+            recording.lastError = 'Recording size limit reached';
+            return this.finish(recording);
+        }
+
+        await this.saveMeta(recording);
+        await this.writePlaylist(recording);
+        job.timer = setTimeout(() => this.runCapture(recording, job), Math.min(pollMs, Math.max(0, recording.endAt - Date.now())));
+    }
+
+    async fetchMediaPlaylist(recording, job) {
+        const url = job.variantUrl || recording.sourceUrl;
+        let playlist = await this.fetchPlaylist(url);
+
+        if (playlist.isMaster) {
+            if (!playlist.variants.length) throw new Error('Master playlist has no variants');
+            job.variantUrl = playlist.variants[0];
+            playlist = await this.fetchPlaylist(job.variantUrl);
+        }
+        return playlist;
+    }
+
+    async fetchPlaylist(url) {
+        const { status, body, finalUrl } = await this.fetch(url);
+        if (status >= 400) throw new Error(`Upstream responded with ${status}`);
+        const text = body.toString('utf8');
+        if (!text.includes('#EXTM3U')) throw new Error('Response is not an HLS playlist');
+        return parsePlaylist(text, finalUrl);
+    }
+
+    /**
+     * Archive segments newer than the last one captured. On the first poll
+     * (and after a gap) only the newest segment is taken, so the archive
+     * starts at the window rather than at the oldest segment upstream still lists.
+     */
+    async archiveSegments(recording, job, segments) {
+        const newest = segments[segments.length - 1];
+        if (!newest) return;
+
+        // Camera restarted and its sequence numbers went backwards
+        if (job.lastSequence !== null && newest.sequence < job.lastSequence) {
+            job.lastSequence = null;
+            job.discontinuity = true;
+        }
+
+        const pending = job.lastSequence === null
+            ? [newest]
+            : segments.filter(s => s.sequence > job.lastSequence);
+
+        for (const segment of pending) {
+            // Stopped or deleted while downloading
+            if (this.jobs.get(recording.id) !== job || Date.now() >= recording.endAt) break;
+
+            const gap = job.lastSequence !== null && segment.sequence > job.lastSequence + 1;
+            const file = `${SEGMENT_DIR}/${String(recording.segments.length).padStart(6, '0')}.${segmentExtension(segment.uri)}`;
+            await this.download(recording, segment.uri, file);
+
+            recording.segments.push({
+                file,
+                duration: segment.duration,
+                capturedAt: Date.now(),
+                discontinuity: job.discontinuity || gap || segment.discontinuity
+            });
+            recording.duration = Math.round((recording.duration + segment.duration) * 1000) / 1000;
+            job.lastSequence = segment.sequence;
+            job.discontinuity = false;
+        }
+    }
+
+    async download(recording, uri, file) {
+        const { status, body } = await this.fetch(uri);
+        if (status >= 400) throw new Error(`Segment responded with ${status}`);
+        await fs.writeFile(path.join(this.dir, recording.id, file), body);
+        recording.bytes += body.length;
+    }
+
+    /**
+     * Close the recording: write the final VOD playlist and metadata
+     */
+    async finish(recording, status) {
+        this.clearJob(recording.id);
+        recording.status = status || (recording.segments.length ? RECORDING_STATUS.COMPLETED : RECORDING_STATUS.FAILED);
+        if (recording.status === RECORDING_STATUS.FAILED && !recording.lastError) {
+            recording.lastError = 'No segments were captured';
+        }
+        recording.finishedAt = Date.now();
+        delete recording.resumed;
+
+        await this.writePlaylist(recording);
+        await this.saveMeta(recording);
+        console.log(`⏹️ Recording ${recording.id} ${recording.status} (${recording.segments.length} segments)`);
+    }
+
+    /**
+     * Write the local playlist. Segments carry their capture time as
+     * EXT-X-PROGRAM-DATE-TIME so playback can be mapped back to wall-clock time.
+     */
+    async writePlaylist(recording) {
+        const done = ![RECORDING_STATUS.SCHEDULED, RECORDING_STATUS.RECORDING].includes(recording.status);
+        const targetDuration = Math.ceil(Math.max(1, ...recording.segments.map(s => s.duration)));
+
+        const lines = [
+            '#EXTM3U',
+            `#EXT-X-VERSION:${recording.initSegment ? 7 : 3}`,
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            `#EXT-X-PLAYLIST-TYPE:${done ? 'VOD' : 'EVENT'}`
+        ];
+        if (recording.initSegment) lines.push(`#EXT-X-MAP:URI="${recording.initSegment}"`);
+
+        recording.segments.forEach((segment, i) => {
+            if (segment.discontinuity && i > 0) lines.push('#EXT-X-DISCONTINUITY');
+            // Segments are captured once they are complete, so they started one duration earlier
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.capturedAt - segment.duration * 1000).toISOString()}`);
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+            lines.push(segment.file);
+        });
+        if (done) lines.push('#EXT-X-ENDLIST');
+
+        await this.writeAtomic(path.join(this.dir, recording.id, PLAYLIST_NAME), lines.join('\n') + '\n');
+    }
+
+    async saveMeta(recording) {
+        const { resumed, ...meta } = recording;
+        await this.writeAtomic(path.join(this.dir, recording.id, META_NAME), JSON.stringify(meta, null, 2));
+    }
+
+    async writeAtomic(file, content) {
+        if (!this.recordings.has(path.basename(path.dirname(file)))) return;
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, content);
+        await fs.rename(tmp, file);
+    }
+}
+
+export default RecordingManager;
@@ -0,0 +1,94 @@
+/**
+ * Recordings API
+ * Schedule, list, stop and delete DVR recordings, and serve their playlists
+ * and segments so a recording can be played back like a live camera.
+ *
+ *   GET    /api/recordings                    list recordings
+ *   POST   /api/recordings                    schedule { cameraId | url, startAt?, endAt | durationMinutes }
+ *   GET    /api/recordings/:id                one recording
+ *   POST   /api/recordings/:id/stop           stop early, or cancel if not started
+ *   DELETE /api/recordings/:id                stop and delete files
+ *   GET    /api/recordings/:id/index.m3u8     local playlist
+ *   GET    /api/recordings/:id/segments/:file archived segment
+ *
+ * Scheduling, stopping and deleting need a signed-in user (AuthManager#middleware()
+ * mounted first); listing and playback don't.
+ */
+import express from 'express';
+import { requireAuth } from './auth.js';
+
+/**
+ * Send a structured JSON error (RecordingError, or ProxyError from URL validation)
+ */
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Recordings error:', error.message);
+    res.status(status).json({
+        error: error.code || 'internal_error',
+        message: error.message
+    });
+}
+
+export function createRecordingsRouter(manager) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({ recordings: manager.list() });
+    });
+
+    router.post('/', requireAuth, express.json(), async (req, res) => {
+        try {
+            res.status(201).json(await manager.schedule(req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        try {
+            res.json(manager.toPublic(manager.get(req.params.id)));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/:id/stop', requireAuth, async (req, res) => {
+        try {
+            res.json(await manager.stop(req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:id', requireAuth, async (req, res) => {
+        try {
+            await manager.remove(req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    const sendMedia = (req, res, file) => {
+        try {
+            const filePath = manager.resolveFile(req.params.id, file);
+            if (file.endsWith('.m3u8')) {
+                res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+                res.setHeader('Cache-Control', 'no-cache');
+            }
+            res.sendFile(filePath, (error) => {
+                if (error && !res.headersSent) sendError(res, { status: 404, code: 'not_found', message: 'File not found' });
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+
+    router.get('/:id/index.m3u8', (req, res) => sendMedia(req, res, 'index.m3u8'));
+    router.get('/:id/segments/:file', (req, res) => sendMedia(req, res, `segments/${req.params.file}`));
+    router.get('/:id/:file', (req, res) => sendMedia(req, res, req.params.file));
+
+    return router;
+}
+
+export default createRecordingsRouter;
@@ -0,0 +1,96 @@
+/**
+ * Relay API
+ * Key-holding relays for OpenRouter and Overshoot, backed by KeyRelay.
+ * Every route needs a signed-in user (AuthManager#middleware() mounted first).
+ *
+ *   GET  /api/relay/status                      { openrouter, overshoot } configured + quota for this user
+ *   POST /api/relay/openrouter/chat/completions OpenRouter chat completion body
+ *   ALL  /api/relay/overshoot/*                 forwarded to OVERSHOOT_API_URL (SDK apiUrl)
+ *   WS   /api/relay/overshoot/ws/*              result WebSocket, see createRelayUpgradeHandler
+ */
+import express from 'express';
+import { requireAuth, parseCookies } from './auth.js';
+import { rejectUpgrade } from './keyRelay.js';
+
+const OVERSHOOT_SOCKET_PREFIX = '/api/relay/overshoot/';
+
+/**
+ * Send a structured JSON error (RelayError)
+ */
+function sendError(res, error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Relay error:', error.message);
+    res.status(status).json({
+        error: error.code || 'internal_error',
+        message: error.message
+    });
+}
+
+export function createRelayRouter(relay) {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    router.get('/status', (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(relay.getStatus(req.user.email));
+    });
+
+    router.post('/openrouter/chat/completions', express.json({ limit: '1mb' }), async (req, res) => {
+        try {
+            const { status, body } = await relay.chatCompletion(req.user, req.body || {});
+            res.status(status).json(body);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // The SDK's requests arrive as-is; bodies are passed through untouched
+    router.all('/overshoot/*path', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+        try {
+            const queryIndex = req.originalUrl.indexOf('?');
+            const { status, headers, body } = await relay.overshoot(req.user, {
+                method: req.method,
+                subPath: [].concat(req.params.path).join('/'),
+                query: queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '',
+                headers: req.headers,
+                body: Buffer.isBuffer(req.body) && req.body.length ? req.body : undefined
+            });
+            res.status(status).set(headers).send(body);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Listener for the HTTP server's 'upgrade' event. Relays the Overshoot SDK's
+ * WebSocket for signed-in users and refuses every other upgrade.
+ */
+export function createRelayUpgradeHandler(relay, auth) {
+    return (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (!url.pathname.startsWith(OVERSHOOT_SOCKET_PREFIX)) {
+            return rejectUpgrade(socket, 404, { error: 'not_found', message: 'Not found' });
+        }
+
+        const user = auth.getSessionUser(parseCookies(req.headers.cookie)[auth.cookieName]);
+        if (!user) {
+            return rejectUpgrade(socket, 401, { error: 'unauthorized', message: 'Sign in required' });
+        }
+
+        try {
+            relay.overshootSocket(user, {
+                subPath: url.pathname.slice(OVERSHOOT_SOCKET_PREFIX.length),
+                query: url.search,
+                headers: req.headers
+            }, socket, head);
+        } catch (error) {
+            if ((error.status || 500) >= 500) console.error('Relay error:', error.message);
+            rejectUpgrade(socket, error.status || 500, { error: error.code || 'internal_error', message: error.message });
+        }
+    };
+}
+
+export default createRelayRouter;
@@ -0,0 +1,110 @@
+/**
+ * SegmentCache
+ * In-memory LRU cache for proxied HLS responses, shared by every viewer of a
+ * stream. Entries expire after a per-entry TTL, total size is capped in bytes
+ * and concurrent requests for the same URL share a single upstream fetch.
+ */
+export class SegmentCache {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+        this.maxEntryBytes = options.maxEntryBytes || Math.floor(this.maxBytes / 8);
+        this.entries = new Map(); // Insertion order doubles as LRU order
+        this.inflight = new Map();
+        this.bytes = 0;
+        this.stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0, expired: 0 };
+    }
+
+    /**
+     * Get a fresh entry, refreshing its LRU position
+     */
+    get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+
+        if (item.expiresAt <= Date.now()) {
+            this.delete(key);
+            this.stats.expired++;
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    /**
+     * Store an entry for ttlMs milliseconds, evicting least recently used entries
+     */
+    set(key, entry, ttlMs) {
+        const size = entry.body?.length || 0;
+        if (ttlMs <= 0 || size > this.maxEntryBytes) return;
+
+        this.delete(key);
+        this.entries.set(key, { entry, size, expiresAt: Date.now() + ttlMs });
+        this.bytes += size;
+
+        for (const oldestKey of this.entries.keys()) {
+            if (this.bytes <= this.maxBytes) break;
+            this.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    delete(key) {
+        const item = this.entries.get(key);
+        if (!item) return;
+        this.bytes -= item.size;
+        this.entries.delete(key);
+    }
+
+    /**
+     * Return a cached entry or fetch it once, sharing the fetch with concurrent callers.
+     * The fetcher resolves to an entry with a `ttlMs` field.
+     * @returns {Promise<{ entry: Object, cache: 'HIT'|'MISS'|'COALESCED' }>}
+     */
+    async getOrFetch(key, fetcher) {
+        const cached = this.get(key);
+        if (cached) {
+            this.stats.hits++;
+            return { entry: cached, cache: 'HIT' };
+        }
+
+        if (this.inflight.has(key)) {
+            this.stats.coalesced++;
+            return { entry: await this.inflight.get(key), cache: 'COALESCED' };
+        }
+
+        this.stats.misses++;
+        const pending = (async () => {
+            try {
+                const entry = await fetcher();
+                this.set(key, entry, entry.ttlMs);
+                return entry;
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, pending);
+        return { entry: await pending, cache: 'MISS' };
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.coalesced) / lookups) * 1000) / 1000 : 0,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            inflight: this.inflight.size
+        };
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+}
+
+export default SegmentCache;
@@ -0,0 +1,163 @@
+/**
+ * AdaptiveSampler
+ * Decides how many frames per second the Overshoot backend samples. It starts
+ * at the frameRate setting, halves the rate when results lag (total latency
+ * grows) or the connection times out, and steps back up once latency is low
+ * again. During congestion it may sample up to twice the setting, where
+ * counts change fastest. Rate changes are at least MIN_CHANGE_INTERVAL_MS
+ * apart because each one restarts the vision session.
+ *
+ * It also reports what the session actually costs: frames sent per minute,
+ * measured from the results received, and the API cost per hour at the
+ * apiCostPer1000Frames setting.
+ */
+
+export const DEFAULT_FRAME_RATE = 2;
+export const MIN_FRAME_RATE = 0.25;
+// US dollars per 1000 frames sent; set apiCostPer1000Frames to your Overshoot plan's price
+export const DEFAULT_COST_PER_1000_FRAMES = 0.1;
+const CONGESTION_BOOST = 2;
+// Results arriving this late mean the API is falling behind
+const SLOW_LATENCY_MS = 3000;
+const FAST_LATENCY_MS = 1500;
+const MIN_CHANGE_INTERVAL_MS = 30000;
+const RATE_WINDOW_MS = 60000;
+
+/**
+ * Sampler options from the dashboard settings
+ */
+export function samplingFromSettings(settings = {}) {
+    const cost = Number(settings.apiCostPer1000Frames);
+    return {
+        frameRate: Number(settings.frameRate) || DEFAULT_FRAME_RATE,
+        adaptive: settings.adaptiveSampling !== false,
+        costPer1000Frames: settings.apiCostPer1000Frames != null && cost >= 0 ? cost : DEFAULT_COST_PER_1000_FRAMES
+    };
+}
+
+/**
+ * Whether an error means the API took too long to answer
+ */
+export function isTimeoutError(error) {
+    return /time(d)?[\s-]?out|etimedout|504/i.test(String(error?.message || error || ''));
+}
+
+export class AdaptiveSampler {
+    /**
+     * @param {Object} options - see samplingFromSettings()
+     */
+    constructor(options = {}) {
+        this.targetRate = Math.max(MIN_FRAME_RATE, Number(options.frameRate) || DEFAULT_FRAME_RATE);
+        this.adaptive = options.adaptive !== false;
+        this.costPer1000Frames = options.costPer1000Frames ?? DEFAULT_COST_PER_1000_FRAMES;
+        this.reset();
+    }
+
+    /**
+     * New session: back to the configured rate
+     */
+    reset() {
+        this.rate = this.targetRate;
+        this.state = 'target'; // 'target' | 'backoff' | 'boost'
+        this.latencyMs = null;
+        this.congested = false;
+        this.timedOut = false;
+        this.lastChangeAt = Date.now();
+        this.framesPerResult = 0;
+        this.resultTimes = [];
+        this.measuringSince = Date.now();
+    }
+
+    /**
+     * SDK sampling ratio that gives the current rate at the capture fps
+     */
+    getSamplingRatio(fps) {
+        return Math.min(1, Math.max(0.01, Math.round((this.rate / fps) * 1000) / 1000));
+    }
+
+    /**
+     * The processing options the vision session runs with, to work out the frames behind each result
+     */
+    setProcessing({ fps, clip_length_seconds: clipLength, sampling_ratio: ratio }) {
+        this.framesPerResult = fps * clipLength * ratio;
+        this.resultTimes = [];
+        this.measuringSince = Date.now();
+    }
+
+    /**
+     * @param {number} [latencyMs] - the result's total_latency_ms
+     */
+    recordResult(latencyMs) {
+        const now = Date.now();
+        this.resultTimes.push(now);
+        while (this.resultTimes[0] < now - RATE_WINDOW_MS) this.resultTimes.shift();
+
+        if (Number.isFinite(latencyMs) && latencyMs > 0) {
+            this.latencyMs = this.latencyMs === null ? latencyMs : Math.round(this.latencyMs * 0.7 + latencyMs * 0.3);
+        }
+    }
+
+    /**
+     * @param {Object[]} lanes - normalized lanes of a monitoring result
+     */
+    recordCongestion(lanes = []) {
+        this.congested = lanes.some(lane => lane.congestion === 'high');
+    }
+
+    /**
+     * A request timed out or the connection stalled
+     */
+    recordTimeout() {
+        this.timedOut = true;
+    }
+
+    /**
+     * Pick the rate for the latest conditions
+     * @returns {boolean} true when the rate changed and the session should restart with it
+     */
+    update() {
+        if (!this.adaptive || Date.now() - this.lastChangeAt < MIN_CHANGE_INTERVAL_MS) return false;
+
+        const desired = this.congested ? this.targetRate * CONGESTION_BOOST : this.targetRate;
+        if (this.timedOut || (this.latencyMs !== null && this.latencyMs > SLOW_LATENCY_MS)) {
+            this.timedOut = false;
+            return this.setRate(this.rate / 2, this.latencyMs > SLOW_LATENCY_MS ? 'slow results' : 'timeouts');
+        }
+        if (this.rate < desired && (this.latencyMs === null || this.latencyMs < FAST_LATENCY_MS)) {
+            return this.setRate(Math.min(desired, this.rate * 1.5), this.congested ? 'congestion' : 'recovered');
+        }
+        if (this.rate > desired) return this.setRate(desired, 'congestion cleared');
+        return false;
+    }
+
+    setRate(rate, reason) {
+        const next = Math.max(MIN_FRAME_RATE, Math.round(rate * 100) / 100);
+        this.lastChangeAt = Date.now();
+        this.state = next < this.targetRate ? 'backoff' : next > this.targetRate ? 'boost' : 'target';
+        if (next === this.rate) return false;
+
+        console.log(`🎚️ Sampling ${this.rate} → ${next} fps (${reason}, latency ${this.latencyMs ?? '?'}ms)`);
+        this.rate = next;
+        return true;
+    }
+
+    /**
+     * @returns {{ targetRate, rate, state, latencyMs, framesPerMinute, costPerHour }}
+     */
+    getStats() {
+        // At least 10 s, so the first results don't extrapolate to a huge rate
+        const elapsed = Math.min(RATE_WINDOW_MS, Math.max(10000, Date.now() - this.measuringSince));
+        const resultsPerMinute = this.resultTimes.length * 60000 / elapsed;
+        const framesPerMinute = Math.round(resultsPerMinute * this.framesPerResult);
+        return {
+            targetRate: this.targetRate,
+            rate: this.rate,
+            state: this.state,
+            latencyMs: this.latencyMs,
+            framesPerMinute,
+            costPerHour: Math.round(framesPerMinute * 60 / 1000 * this.costPer1000Frames * 100) / 100
+        };
+    }
+}
+
+export default AdaptiveSampler;
@@ -0,0 +1,305 @@
+/**
+ * AnalysisScheduler
+ * Analyzes several registry cameras from one dashboard. In 'parallel' mode
+ * every camera gets its own vision session at once, so all approaches of a
+ * corridor are counted over the same minutes. In 'round-robin' mode at most
+ * `slots` sessions run at a time and the cameras take turns, one time slice
+ * each, which covers more cameras for the same cost. Each camera's sampling
+ * budget is passed to its backend, and its results are recorded to its own
+ * DataStore intersection. Each session is supervised, so a dropped stream or
+ * connection is retried with backoff and its downtime recorded.
+ */
+import { createVisionBackend } from './createVisionBackend.js';
+import { LocalCounter } from './LocalCounter.js';
+import { SessionSupervisor } from './SessionSupervisor.js';
+import { samplingFromSettings } from './AdaptiveSampler.js';
+import { trackerFromSettings } from './SortTracker.js';
+import { applyMeasuredQueues } from './QueueEstimator.js';
+import { resolveVisionBackend } from '../config/visionBackends.js';
+import { loadHlsSource } from '../utils/HlsSource.js';
+import { dataStore } from '../services/DataStore.js';
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { TrafficRecorder } from '../services/TrafficRecorder.js';
+
+export const SCHEDULER_MODES = ['parallel', 'round-robin'];
+// Streams one browser can decode and analyze side by side
+export const MAX_PARALLEL_SESSIONS = 6;
+export const DEFAULT_SLICE_SECONDS = 60;
+const MIN_SLICE_SECONDS = 15;
+
+/**
+ * SDK processing options from a sampling budget ({ fps, samplingRatio })
+ */
+function toProcessing(budget = {}) {
+    const processing = {};
+    const fps = Number(budget.fps);
+    const samplingRatio = Number(budget.samplingRatio);
+    if (budget.fps && Number.isFinite(fps)) processing.fps = Math.min(30, Math.max(1, Math.round(fps)));
+    if (budget.samplingRatio && Number.isFinite(samplingRatio)) {
+        processing.sampling_ratio = Math.min(1, Math.max(0.01, samplingRatio));
+    }
+    return processing;
+}
+
+export class AnalysisScheduler {
+    constructor(options = {}) {
+        // (cameraId, data) for every result, after it has been recorded
+        this.onResult = options.onResult || (() => { });
+        // (cameraId, { lanes, fingerprint }) when a camera's lane layout should be saved
+        this.onLayoutUpdate = options.onLayoutUpdate || (() => { });
+        // (sessions) whenever a camera starts, stops or changes status
+        this.onChange = options.onChange || (() => { });
+
+        this.plan = [];
+        this.sessions = new Map();
+        // Results per camera since start(), across round-robin turns
+        this.resultCounts = new Map();
+        this.mode = 'parallel';
+        this.slots = MAX_PARALLEL_SESSIONS;
+        this.sliceSeconds = DEFAULT_SLICE_SECONDS;
+        this.cursor = 0;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start analyzing a set of cameras, replacing any running set
+     * @param {Object[]} entries - [{ camera, budget: { fps, samplingRatio } }], in turn order
+     * @param {Object} [options]
+     * @param {'parallel'|'round-robin'} [options.mode='parallel']
+     * @param {number} [options.slots] - cameras analyzed at once in round-robin
+     * @param {number} [options.sliceSeconds] - how long each round-robin turn lasts
+     */
+    async start(entries, { mode = 'parallel', slots = MAX_PARALLEL_SESSIONS, sliceSeconds = DEFAULT_SLICE_SECONDS } = {}) {
+        await this.stop();
+
+        if (!SCHEDULER_MODES.includes(mode)) throw new Error(`Mode must be one of ${SCHEDULER_MODES.join(', ')}`);
+        const plan = entries.filter(entry => entry.camera?.url);
+        if (plan.length === 0) throw new Error('Choose at least one camera with a stream URL');
+        if (mode === 'parallel' && plan.length > MAX_PARALLEL_SESSIONS) {
+            throw new Error(`At most ${MAX_PARALLEL_SESSIONS} cameras can run in parallel; use round-robin for more`);
+        }
+
+        this.plan = plan;
+        this.mode = mode;
+        this.slots = Math.min(MAX_PARALLEL_SESSIONS, Math.max(1, Math.round(slots) || 1));
+        this.sliceSeconds = Math.max(MIN_SLICE_SECONDS, Number(sliceSeconds) || DEFAULT_SLICE_SECONDS);
+        this.cursor = 0;
+        this.resultCounts.clear();
+        this.isRunning = true;
+
+        if (mode === 'parallel') {
+            await Promise.all(plan.map(entry => this.startSession(entry)));
+        } else {
+            await this.rotate();
+        }
+    }
+
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isRunning = false;
+        await Promise.all([...this.sessions.values()].map(session => this.stopSession(session)));
+        this.plan = [];
+        this.notify();
+    }
+
+    /**
+     * Round-robin: end the current turn and start the next cameras in the plan
+     */
+    async rotate() {
+        const plan = this.plan;
+        await Promise.all([...this.sessions.values()].map(session => this.stopSession(session)));
+        if (!this.isRunning) return;
+
+        const count = Math.min(this.slots, this.plan.length);
+        const turn = Array.from({ length: count }, (_, i) => this.plan[(this.cursor + i) % this.plan.length]);
+        this.cursor = (this.cursor + count) % this.plan.length;
+        await Promise.all(turn.map(entry => this.startSession(entry)));
+
+        // Everything fits in one turn: keep it running instead of restarting it.
+        // Nothing to schedule if the plan was stopped or replaced in the meantime.
+        if (this.isRunning && this.plan === plan && this.plan.length > count) {
+            this.timer = setTimeout(() => this.rotate(), this.sliceSeconds * 1000);
+        }
+    }
+
+    async startSession(entry) {
+        // Latest registry copy, so lanes saved during an earlier turn are used
+        const camera = cameraRegistryService.get(entry.camera.id) || entry.camera;
+        const session = {
+            cameraId: camera.id,
+            name: camera.name,
+            status: 'connecting',
+            results: this.resultCounts.get(camera.id) || 0,
+            lastResultAt: null,
+            error: null,
+            recorder: new TrafficRecorder(dataStore.forIntersection(camera.id)),
+            counter: new LocalCounter({ showOverlay: false }),
+            video: document.createElement('video'),
+            hls: null,
+            backend: null,
+            supervisor: null,
+            // Latest queue lengths measured on the camera's calibrated lanes
+            queues: null
+        };
+        session.counter.setTrackerOptions(trackerFromSettings(dataStore.getAllSettings()));
+        session.counter.setQueueCalibration(camera.queueCalibration || []);
+        session.counter.setMovementZones(camera.movementZones || []);
+        session.counter.setCountLines(camera.countLines || []);
+        session.counter.setSpeedCalibration(camera.speedCalibration || null);
+        session.video.muted = true;
+        session.video.playsInline = true;
+        this.sessions.set(camera.id, session);
+        this.notify();
+
+        session.supervisor = new SessionSupervisor({
+            reconnect: () => session.backend.reconnect(),
+            getVideoElement: () => session.video,
+            onRetry: ({ attempt }) => {
+                session.status = 'reconnecting';
+                session.error = `attempt ${attempt}`;
+                this.notify();
+            },
+            onRecovered: ({ start, end, reason }) => {
+                session.recorder.store.recordDowntime(start, end, reason);
+                session.status = 'running';
+                session.error = null;
+                this.notify();
+            },
+            onGiveUp: (error) => this.failSession(session, error)
+        });
+        const loadStream = () => {
+            session.hls?.destroy();
+            session.hls = loadHlsSource(session.video, camera.url, {
+                onFatal: () => {
+                    session.hls = null;
+                    if (!session.supervisor.handleStreamError()) this.failSession(session, new Error('Stream error'));
+                }
+            });
+        };
+
+        try {
+            loadStream();
+            if (!session.hls) throw new Error('HLS is not supported in this browser');
+
+            const backendId = resolveVisionBackend(camera.id, dataStore.getAllSettings());
+            session.backend = createVisionBackend(backendId, {
+                camera,
+                processing: toProcessing(entry.budget),
+                sampling: samplingFromSettings(dataStore.getAllSettings()),
+                // Used by the local backend instead of the dashboard's counter
+                counter: session.counter,
+                onResult: (data) => this.handleResult(session, data),
+                onCounts: (counts) => {
+                    session.supervisor.noteActivity();
+                    this.handleCounts(session, counts);
+                },
+                onHeartbeat: () => session.supervisor.noteActivity(),
+                onLayoutUpdate: (layout) => this.onLayoutUpdate(camera.id, layout),
+                onSceneChange: (state) => { session.recorder.paused = state !== 'resumed'; },
+                onError: (error) => {
+                    if (!session.supervisor.handleError(error)) this.failSession(session, error);
+                },
+                onStatusChange: (status) => this.handleStatus(session, status)
+            });
+
+            await session.backend.initWithVideoElement(session.video);
+            if (!this.isCurrent(session)) return this.stopSession(session);
+            // Backends without their own counting get a counter alongside, as on the dashboard
+            if (!session.backend.providesCounts) {
+                session.counter.start(session.video, (counts) => this.handleCounts(session, counts));
+            }
+            await session.backend.start();
+            if (!this.isCurrent(session)) return this.stopSession(session);
+            session.supervisor.watch({ reloadStream: loadStream });
+        } catch (error) {
+            if (!this.isCurrent(session)) return this.stopSession(session);
+            this.failSession(session, error);
+        }
+    }
+
+    /**
+     * Whether a session still belongs to the running schedule. stop() or the
+     * next turn may have come while it was connecting.
+     */
+    isCurrent(session) {
+        return this.isRunning && this.sessions.get(session.cameraId) === session;
+    }
+
+    async stopSession(session) {
+        // A newer session for the same camera may have taken its place
+        if (this.sessions.get(session.cameraId) === session) this.sessions.delete(session.cameraId);
+        session.supervisor?.unwatch();
+        session.counter.stop();
+        try {
+            if (session.backend?.getIsRunning()) await session.backend.stop();
+        } catch (error) {
+            console.warn(`Could not stop analysis of ${session.name}:`, error.message);
+        }
+        session.hls?.destroy();
+        session.hls = null;
+        session.video.removeAttribute('src');
+        session.video.load();
+    }
+
+    handleCounts(session, counts) {
+        session.queues = counts.queues || null;
+        session.recorder.recordCounts(counts);
+    }
+
+    handleResult(session, data) {
+        if (this.sessions.get(session.cameraId) !== session) return;
+        applyMeasuredQueues(data, session.queues);
+
+        session.supervisor.noteActivity();
+        session.results++;
+        this.resultCounts.set(session.cameraId, session.results);
+        session.lastResultAt = Date.now();
+        session.recorder.recordResult(data);
+        this.onResult(session.cameraId, data);
+        this.notify();
+    }
+
+    handleStatus(session, status) {
+        if (this.sessions.get(session.cameraId) !== session || session.status === 'error') return;
+        if (status === 'ended') session.supervisor.unwatch();
+        // The supervisor reports the retry state until results flow again
+        if (session.supervisor.isRecovering()) return;
+
+        if (status === 'connected') session.status = 'running';
+        else if (status === 'connecting' || status === 'ended') session.status = status;
+        else return;
+        this.notify();
+    }
+
+    failSession(session, error) {
+        console.error(`Analysis of ${session.name} failed:`, error);
+        session.status = 'error';
+        session.error = error?.message || String(error);
+        session.supervisor?.unwatch();
+        session.counter.stop();
+        this.notify();
+    }
+
+    /**
+     * Status of every planned camera; in round-robin, cameras waiting for their turn are 'waiting'
+     */
+    getSessions() {
+        return this.plan.map(({ camera }) => {
+            const session = this.sessions.get(camera.id);
+            if (!session) {
+                const results = this.resultCounts.get(camera.id) || 0;
+                return { cameraId: camera.id, name: camera.name, status: 'waiting', results, lastResultAt: null, error: null };
+            }
+            const { cameraId, name, status, results, lastResultAt, error } = session;
+            return { cameraId, name, status, results, lastResultAt, error };
+        });
+    }
+
+    notify() {
+        this.onChange(this.getSessions());
+    }
+}
+
+export default AnalysisScheduler;
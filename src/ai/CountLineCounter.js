@@ -0,0 +1,103 @@
+/**
+ * CountLineCounter
+ * Counts vehicles the way a manual counting board does: only when a tracked
+ * vehicle's centroid crosses a count line drawn on the video, separately for
+ * each direction. A line from A to B counts 'in' for vehicles crossing from
+ * its left to its right as seen walking from A to B (for a line drawn left to
+ * right on the screen, downwards), and 'out' the other way. A zone (polygon)
+ * counts 'in' for vehicles entering it and 'out' for vehicles leaving it.
+ *
+ * Each vehicle is counted at most once per line and direction, so a vehicle
+ * wobbling on the line, parked across it or re-acquired on the far side isn't
+ * counted again.
+ */
+import { pointInPolygon } from './TurningMovementCounter.js';
+
+export const COUNT_DIRECTIONS = ['in', 'out'];
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+/**
+ * Direction in which a move from one point to another crosses segment a-b
+ * @returns {'in'|'out'|null} null when it doesn't cross
+ */
+export function lineCrossing(a, b, from, to) {
+    const before = cross(a, b, from);
+    const after = cross(a, b, to);
+    if (before === 0 || Math.sign(before) === Math.sign(after)) return null;
+    // Within the segment: a and b are on opposite sides of the move
+    if (Math.sign(cross(from, to, a)) === Math.sign(cross(from, to, b))) return null;
+    return before < 0 ? 'in' : 'out';
+}
+
+export class CountLineCounter {
+    constructor() {
+        this.lines = [];
+        this.reset();
+    }
+
+    /**
+     * @param {Object[]} lines - the camera's countLines: [{ id, name, type: 'line' | 'zone', points: [{x, y}] }]
+     */
+    setLines(lines = []) {
+        this.lines = lines;
+        this.reset();
+    }
+
+    reset() {
+        // Last centroid and the counts already made, by track id
+        this.vehicles = new Map();
+        // Session totals by line id: { in, out }
+        this.totals = Object.fromEntries(this.lines.map(line => [line.id, { in: 0, out: 0 }]));
+    }
+
+    /**
+     * @param {Object[]} tracks - [{ id, bbox: [x, y, w, h], class, missingFrames }] in video pixels
+     * @param {{ width: number, height: number }} frame - video size in pixels
+     * @returns {Object[]} crossings in this update: [{ trackId, lineId, name, direction, vehicleClass }]
+     */
+    update(tracks, { width, height }) {
+        const crossings = [];
+        if (!this.lines.length || !width || !height) return crossings;
+
+        const alive = new Set();
+        tracks.forEach(track => {
+            alive.add(track.id);
+            if (track.missingFrames > 0) return;
+
+            const [x, y, w, h] = track.bbox;
+            const point = { x: (x + w / 2) / width, y: (y + h / 2) / height };
+            const vehicle = this.vehicles.get(track.id);
+            if (!vehicle) {
+                this.vehicles.set(track.id, { last: point, counted: new Set() });
+                return;
+            }
+
+            this.lines.forEach(line => {
+                let direction;
+                if (line.type === 'zone') {
+                    const wasInside = pointInPolygon(vehicle.last, line.points);
+                    const isInside = pointInPolygon(point, line.points);
+                    direction = wasInside === isInside ? null : isInside ? 'in' : 'out';
+                } else {
+                    direction = lineCrossing(line.points[0], line.points[1], vehicle.last, point);
+                }
+
+                const key = `${line.id}:${direction}`;
+                if (!direction || vehicle.counted.has(key)) return;
+                vehicle.counted.add(key);
+                this.totals[line.id][direction]++;
+                crossings.push({ trackId: track.id, lineId: line.id, name: line.name, direction, vehicleClass: track.class });
+            });
+            vehicle.last = point;
+        });
+
+        // Forget vehicles the tracker dropped
+        this.vehicles.forEach((_, id) => {
+            if (!alive.has(id)) this.vehicles.delete(id);
+        });
+        return crossings;
+    }
+}
+
+export default CountLineCounter;
@@ -0,0 +1,113 @@
+/**
+ * DetectionLog
+ * The local counter's raw detections as JSON Lines, to benchmark the tracker
+ * offline (see scripts/benchmark-tracker.js). The first line describes the
+ * session (camera, video size, tracker options); every other line is one
+ * frame: the time since the session started and its vehicle detections
+ * ({ bbox: [x, y, w, h], class, score }, in video pixels). To measure ID
+ * switches, annotate a log by giving each detection of the same vehicle the
+ * same `id`.
+ */
+
+export const DETECTION_LOG_VERSION = 1;
+// About an hour at four frames a second
+const MAX_LOG_FRAMES = 15000;
+
+export class DetectionLogError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DetectionLogError';
+    }
+}
+
+export class DetectionLogRecorder {
+    constructor(options = {}) {
+        this.maxFrames = options.maxFrames || MAX_LOG_FRAMES;
+        this.header = null;
+        this.frames = [];
+        this.startedAt = 0;
+        this.dropped = 0;
+    }
+
+    /**
+     * Start a new log, discarding the previous one
+     * @param {Object} context - { camera: { id, name } | null, tracker }
+     */
+    begin(context = {}) {
+        this.startedAt = Date.now();
+        this.header = {
+            type: 'session',
+            kind: 'detections',
+            version: DETECTION_LOG_VERSION,
+            startedAt: new Date(this.startedAt).toISOString(),
+            ...context
+        };
+        this.frames = [];
+        this.dropped = 0;
+    }
+
+    /**
+     * @param {{ width: number, height: number }} frame - video size in pixels
+     * @param {Object[]} detections - [{ bbox, class, score }]
+     */
+    record({ width, height }, detections) {
+        if (!this.header) this.begin();
+        if (!this.header.frame && width && height) this.header.frame = { width, height };
+
+        this.frames.push({
+            type: 'frame',
+            t: Date.now() - this.startedAt,
+            detections: detections.map(({ bbox, class: vehicleClass, score }) => ({
+                bbox: bbox.map(n => Math.round(n * 10) / 10),
+                class: vehicleClass,
+                score: Math.round(score * 1000) / 1000
+            }))
+        });
+        if (this.frames.length > this.maxFrames) {
+            this.frames.shift();
+            this.dropped++;
+        }
+    }
+
+    get size() {
+        return this.frames.length;
+    }
+
+    toJsonl() {
+        if (!this.header) return '';
+        const header = this.dropped ? { ...this.header, dropped: this.dropped } : this.header;
+        return [header, ...this.frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+}
+
+/**
+ * Parse a detection log
+ * @returns {{ header: Object, frames: Object[] }} frames in time order
+ * @throws {DetectionLogError} when the text isn't a detection log
+ */
+export function parseDetectionLog(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) throw new DetectionLogError('The log is empty');
+
+    const parsed = lines.map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new DetectionLogError(`Line ${index + 1} is not JSON`);
+        }
+    });
+
+    const [header, ...rest] = parsed;
+    if (header?.type !== 'session' || header.kind !== 'detections') {
+        throw new DetectionLogError('The first line must describe a detection session');
+    }
+    if (header.version > DETECTION_LOG_VERSION) {
+        throw new DetectionLogError(`Log version ${header.version} is newer than this tool supports`);
+    }
+
+    const frames = rest.filter(frame => frame?.type === 'frame' && Array.isArray(frame.detections) && Number.isFinite(frame.t));
+    if (frames.length === 0) throw new DetectionLogError('The log has no frames');
+    frames.sort((a, b) => a.t - b.t);
+
+    return { header, frames };
+}
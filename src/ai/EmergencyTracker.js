@@ -0,0 +1,82 @@
+/**
+ * EmergencyTracker
+ * Follows emergency vehicles (ambulance, fire truck, police) across monitoring
+ * results. A detection that matches no vehicle being tracked starts a new
+ * track ('new'); one seen again is 'active', even if it changed lanes. A
+ * vehicle not seen for CLEAR_AFTER_MS has cleared the intersection, at the
+ * time it was last seen. The model misses vehicles in some frames, so a
+ * single missing result doesn't end a track.
+ */
+
+export const EMERGENCY_TYPES = ['ambulance', 'fire_truck', 'police'];
+const CLEAR_AFTER_MS = 10000;
+
+const TYPE_NAMES = { ambulance: 'Ambulance', fire_truck: 'Fire truck', police: 'Police' };
+
+/**
+ * High-priority alert text for a newly detected vehicle
+ */
+export function emergencyAlert(vehicle) {
+    const where = vehicle.direction && vehicle.direction !== 'Unknown'
+        ? `Lane ${vehicle.lane_id} (${vehicle.direction})`
+        : `Lane ${vehicle.lane_id}`;
+    return `🚨 EMERGENCY VEHICLE DETECTED - ${TYPE_NAMES[vehicle.type] || vehicle.type} on ${where}`;
+}
+
+export class EmergencyTracker {
+    constructor(options = {}) {
+        this.clearAfterMs = options.clearAfterMs || CLEAR_AFTER_MS;
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * @param {Object[]} detections - [{ type, lane_id, direction }] from one result
+     * @returns {{ vehicles: Object[], cleared: Object[] }} the detections with their
+     *   track id and status ('new' | 'active'), and the tracks that ended
+     *   ({ id, type, lane_id, direction, detectedAt, clearedAt })
+     */
+    update(detections = [], now = Date.now()) {
+        const matched = new Set();
+        const vehicles = detections.map(detection => {
+            // Same type, preferring the same lane, then the one seen most recently
+            const candidates = this.tracks
+                .filter(track => track.type === detection.type && !matched.has(track))
+                .sort((a, b) => (b.lane_id === detection.lane_id) - (a.lane_id === detection.lane_id) || b.lastSeen - a.lastSeen);
+            let track = candidates[0];
+            const status = track ? 'active' : 'new';
+            if (!track) {
+                track = { id: this.nextId++, type: detection.type, detectedAt: now };
+                this.tracks.push(track);
+            }
+            track.lane_id = detection.lane_id;
+            track.direction = detection.direction;
+            track.lastSeen = now;
+            matched.add(track);
+            return { ...detection, id: track.id, status };
+        });
+
+        const cleared = this.tracks
+            .filter(track => !matched.has(track) && now - track.lastSeen >= this.clearAfterMs)
+            .map(track => ({
+                id: track.id,
+                type: track.type,
+                lane_id: track.lane_id,
+                direction: track.direction,
+                detectedAt: new Date(track.detectedAt).toISOString(),
+                clearedAt: new Date(track.lastSeen).toISOString()
+            }));
+        if (cleared.length) {
+            const ended = new Set(cleared.map(track => track.id));
+            this.tracks = this.tracks.filter(track => !ended.has(track.id));
+        }
+
+        return { vehicles, cleared };
+    }
+}
+
+export default EmergencyTracker;
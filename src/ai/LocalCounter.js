@@ -4,9 +4,29 @@
  */
 import '@tensorflow/tfjs';
 import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import { measureQueues } from './QueueEstimator.js';
+import { TurningMovementCounter } from './TurningMovementCounter.js';
+import { CountLineCounter } from './CountLineCounter.js';
+import { SortTracker } from './SortTracker.js';
+import { SpeedEstimator } from './SpeedEstimator.js';
+
+// The model is loaded once and shared by every counter
+let sharedModel = null;
+
+// A vehicle that moved less than this share of its size over STOPPED_MS is stopped
+const STOPPED_MOVEMENT = 0.15;
+const STOPPED_MS = 1000;
+// How much of each track's path is kept
+const TRAIL_MS = 3000;
 
 export class LocalCounter {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.showOverlay=true] - draw detections over the video
+     * @param {Object} [options.tracker] - SortTracker options
+     */
+    constructor(options = {}) {
+        this.showOverlay = options.showOverlay ?? true;
         this.model = null;
         this.isLoaded = false;
         this.isDetecting = false;
@@ -18,9 +38,66 @@ export class LocalCounter {
         this.prevFrameData = null;
 
         // Tracking State
-        this.tracks = []; // [{ id, bbox, class, age, missingFrames, counted }]
-        this.nextTrackId = 1;
+        this.tracker = new SortTracker(options.tracker);
+        this.tracks = []; // SortTracker tracks, plus { counted, trail, stopped }
+        // Raw detections are recorded here when set (see DetectionLog)
+        this.detectionLog = null;
         this.cumulativeCounts = { car: 0, bus: 0, truck: 0, motorcycle: 0 };
+
+        // Stop bars and reference distances of the camera's lanes (see QueueEstimator)
+        this.queueCalibration = [];
+        // Approach zones for turning movement counts
+        this.movementCounter = new TurningMovementCounter();
+        // Count lines and zones; without any, vehicles are counted when first seen
+        this.countLineCounter = new CountLineCounter();
+        // Speeds over the camera's calibrated stretch of road
+        this.speedEstimator = new SpeedEstimator();
+    }
+
+    /**
+     * Change the tracker's parameters (see SortTracker); tracking starts over
+     * @param {Object} options - { minHits, maxAge, iouThreshold }
+     */
+    setTrackerOptions(options = {}) {
+        this.tracker.configure(options);
+        this.tracker.reset();
+        this.tracks = [];
+    }
+
+    /**
+     * Measure queue lengths for these lanes; counts then carry `queues` (meters by lane id)
+     * @param {Object[]} calibration - the camera's queueCalibration
+     */
+    setQueueCalibration(calibration = []) {
+        this.queueCalibration = calibration;
+    }
+
+    /**
+     * Classify turning movements through these zones; counts then carry
+     * `movements`, the movements completed since the last update
+     * @param {Object[]} zones - the camera's movementZones
+     */
+    setMovementZones(zones = []) {
+        this.movementCounter.setZones(zones);
+    }
+
+    /**
+     * Count vehicles only as they cross these lines and zones; counts then
+     * carry `crossings`, the crossings since the last update, and `lines`,
+     * the session totals by line id
+     * @param {Object[]} lines - the camera's countLines
+     */
+    setCountLines(lines = []) {
+        this.countLineCounter.setLines(lines);
+    }
+
+    /**
+     * Measure vehicle speeds with this calibration; counts then carry `speeds`,
+     * the readings completed since the last update
+     * @param {Object|null} calibration - the camera's speedCalibration
+     */
+    setSpeedCalibration(calibration = null) {
+        this.speedEstimator.setCalibration(calibration);
     }
 
     /**
@@ -30,12 +107,16 @@ export class LocalCounter {
         if (this.isLoaded) return;
 
         try {
-            console.log('🧠 Loading local AI model (Coco-SSD)...');
-            // Upgrade to mobilenet_v2 for better accuracy in complex conditions (snow/rain)
-            this.model = await cocoSsd.load({ base: 'mobilenet_v2' });
+            if (!sharedModel) {
+                console.log('🧠 Loading local AI model (Coco-SSD)...');
+                // Upgrade to mobilenet_v2 for better accuracy in complex conditions (snow/rain)
+                sharedModel = cocoSsd.load({ base: 'mobilenet_v2' });
+            }
+            this.model = await sharedModel;
             this.isLoaded = true;
             console.log('✅ Local AI model loaded (mobilenet_v2)');
         } catch (e) {
+            sharedModel = null;
             console.error('Failed to load local AI:', e);
             throw e;
         }
@@ -65,21 +146,22 @@ export class LocalCounter {
         // Ensure video is ready (HAVE_CURRENT_DATA or better)
         if (this.videoElement.readyState >= 2) {
             try {
-                // 1. Run AI Detection
+                // 1. Run AI Detection (on the frame showing now)
+                const frameTime = this.videoElement.currentTime * 1000;
                 const predictions = await this.model.detect(this.videoElement);
 
                 // 2. Check Lighting Conditions
                 const lighting = this.analyzeLighting(this.videoElement);
 
                 // 3. Process Counts (with Night Mode fallback)
-                const counts = this.processPredictions(predictions, lighting);
+                const counts = this.processPredictions(predictions, lighting, frameTime);
 
                 if (this.onCountUpdate) {
                     this.onCountUpdate(counts);
                 }
 
                 // DEBUG OVERLAY
-                this.drawDebugOverlay(predictions, lighting);
+                if (this.showOverlay) this.drawDebugOverlay(predictions, lighting);
 
             } catch (e) {
                 // prediction error (e.g. context lost), ignore frame
@@ -249,67 +331,35 @@ export class LocalCounter {
         return Math.max(1, Math.round(blobCount / 1.2));
     }
 
-    processPredictions(predictions, lighting = { isNight: false, blobCount: 0, avg: 0 }) {
+    /**
+     * @param {number} [frameTime] - video time of the frame in milliseconds, for speeds
+     */
+    processPredictions(predictions, lighting = { isNight: false, blobCount: 0, avg: 0 }, frameTime = Date.now()) {
         // --- 1. Filter Valid Predictions ---
         const validPredictions = predictions.filter(p =>
             this.classesOfInterest.includes(p.class) && p.score > 0.10
         );
 
-        // --- 2. Update Tracks (Simple IoU Matcher) ---
-        const updatedTracks = [];
-        const unassignedPreds = [...validPredictions];
+        const now = Date.now();
+        const frame = { width: this.videoElement?.videoWidth, height: this.videoElement?.videoHeight };
+        this.detectionLog?.record(frame, validPredictions);
 
+        // --- 2. Update Tracks (SORT: Kalman prediction + Hungarian assignment) ---
+        this.tracks = this.tracker.update(validPredictions);
         this.tracks.forEach(track => {
-            // Find best match
-            let bestMatchIdx = -1;
-            let bestIoU = 0;
-
-            unassignedPreds.forEach((pred, idx) => {
-                const iou = this.calculateIoU(track.bbox, pred.bbox);
-                if (iou > 0.15 && iou > bestIoU && track.class === pred.class) { // Low IoU threshold for fast cars
-                    bestIoU = iou;
-                    bestMatchIdx = idx;
-                }
-            });
-
-            if (bestMatchIdx !== -1) {
-                // Matched! Update track
-                const match = unassignedPreds[bestMatchIdx];
-                track.bbox = match.bbox;
-                track.score = match.score;
-                track.age++;
-                track.missingFrames = 0;
-                updatedTracks.push(track);
-
-                // Remove from unassigned
-                unassignedPreds.splice(bestMatchIdx, 1);
-            } else {
-                // Not matched
-                track.missingFrames++;
-                if (track.missingFrames < 10) { // Keep track alive for a bit
-                    updatedTracks.push(track);
-                }
-            }
+            if (!track.trail) Object.assign(track, { counted: false, trail: [], stopped: false });
+            if (track.detectionIndex >= 0) this.updateTrail(track, now);
         });
-
-        // --- 3. Create New Tracks ---
-        unassignedPreds.forEach(pred => {
-            updatedTracks.push({
-                id: this.nextTrackId++,
-                bbox: pred.bbox,
-                class: pred.class,
-                score: pred.score,
-                age: 1,
-                missingFrames: 0,
-                counted: false
-            });
-        });
-
-        this.tracks = updatedTracks;
-
-        // --- 4. Count Stable Tracks --> Cumulative ---
-        this.tracks.forEach(track => {
-            if (!track.counted && track.age >= 1) { // Count immediately (age >= 1)
+        // Only confirmed tracks are vehicles; the rest may be false detections
+        const vehicles = this.tracks.filter(track => track.confirmed);
+
+        // --- 3. Count Confirmed Tracks --> Cumulative ---
+        const countingLines = this.countLineCounter.lines.length > 0;
+        // With count lines, a vehicle counts once it crosses any of them
+        const crossings = countingLines ? this.countLineCounter.update(vehicles, frame) : [];
+        vehicles.forEach(track => {
+            if (track.counted) return;
+            if (!countingLines || crossings.some(c => c.trackId === track.id)) {
                 track.counted = true;
                 this.cumulativeCounts[track.class] = (this.cumulativeCounts[track.class] || 0) + 1;
                 console.log(`🚗 Counted new ${track.class} (ID: ${track.id})! Total: ${this.cumulativeCounts[track.class]}`);
@@ -318,32 +368,42 @@ export class LocalCounter {
 
         // Return CUMULATIVE counts for the dashboard
         // Also include current counts for debug if needed, but UI wants to "increment"
-        return {
+        const counts = {
             ...this.cumulativeCounts,
             total: Object.values(this.cumulativeCounts).reduce((a, b) => a + b, 0),
             isNightMode: lighting.isNight,
             // Debug: Current visible
-            currentVisible: updatedTracks.filter(t => t.missingFrames === 0).length
+            currentVisible: vehicles.filter(t => t.missingFrames === 0).length
         };
+        if (countingLines) {
+            counts.crossings = crossings;
+            counts.lines = structuredClone(this.countLineCounter.totals);
+        }
+        if (this.queueCalibration.length > 0) {
+            counts.queues = measureQueues(this.queueCalibration, vehicles.filter(t => t.missingFrames === 0), frame);
+        }
+        if (this.movementCounter.zones.length > 0) {
+            counts.movements = this.movementCounter.update(vehicles, frame, now);
+        }
+        if (this.speedEstimator.homography) {
+            counts.speeds = this.speedEstimator.update(vehicles, frame, frameTime);
+        }
+        return counts;
     }
 
-    calculateIoU(bbox1, bbox2) {
-        const [x1, y1, w1, h1] = bbox1;
-        const [x2, y2, w2, h2] = bbox2;
-
-        const xA = Math.max(x1, x2);
-        const yA = Math.max(y1, y2);
-        const xB = Math.min(x1 + w1, x2 + w2);
-        const yB = Math.min(y1 + h1, y2 + h2);
-
-        const interW = Math.max(0, xB - xA);
-        const interH = Math.max(0, yB - yA);
-
-        const areaIntersect = interW * interH;
-        const area1 = w1 * h1;
-        const area2 = w2 * h2;
-
-        return areaIntersect / (area1 + area2 - areaIntersect);
+    /**
+     * Keep the track's recent path and whether it is standing still
+     */
+    updateTrail(track, now) {
+        const [x, y, w, h] = track.bbox;
+        track.trail.push({ t: now, x: x + w / 2, y: y + h / 2 });
+        while (track.trail.length > 1 && now - track.trail[0].t > TRAIL_MS) track.trail.shift();
+
+        // Latest position at least STOPPED_MS old
+        const since = track.trail.findLast(point => now - point.t >= STOPPED_MS);
+        const latest = track.trail[track.trail.length - 1];
+        track.stopped = Boolean(since) &&
+            Math.hypot(latest.x - since.x, latest.y - since.y) < STOPPED_MOVEMENT * Math.max(w, h);
     }
 
     stop() {
@@ -435,6 +495,21 @@ export class LocalCounter {
             );
         });
 
+        // Count lines and zones with this session's totals
+        this.countLineCounter.lines.forEach(line => {
+            const points = line.points.map(p => ({ x: p.x * canvas.width, y: p.y * canvas.height }));
+            const totals = this.countLineCounter.totals[line.id] || { in: 0, out: 0 };
+            ctx.strokeStyle = '#FFD400';
+            ctx.fillStyle = '#FFD400';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            if (line.type === 'zone') ctx.closePath();
+            ctx.stroke();
+            ctx.font = 'bold 12px Arial';
+            ctx.fillText(`${line.name}: in ${totals.in} · out ${totals.out}`, points[0].x + 4, points[0].y - 6);
+        });
+
         // Info Box
         ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
         ctx.fillRect(0, 0, 150, 60);
@@ -0,0 +1,166 @@
+/**
+ * LocalCounterBackend
+ * The 'local' vision backend: runs the TensorFlow.js counter in the browser,
+ * with no server or API key. Vehicles in view are split into lanes by their
+ * horizontal position (the camera's lane layout, or one lane), so the heatmap
+ * and stats panel get the same result shape as from Overshoot.
+ */
+import { VisionBackend, createEmptyResult, congestionFromCount } from './VisionBackend.js';
+import { localCounter as defaultCounter } from './LocalCounter.js';
+import { applyMeasuredQueues } from './QueueEstimator.js';
+
+// How often a lane result is reported; counts are reported on every detection
+const RESULT_INTERVAL_MS = 2000;
+
+export class LocalCounterBackend extends VisionBackend {
+    static id = 'local';
+    static providesCounts = true;
+
+    constructor(options = {}) {
+        super(options);
+        // The dashboard's counter, unless the caller runs several backends at once
+        this.counter = options.counter || defaultCounter;
+        this.videoElement = null;
+        this.ownsVideoElement = false;
+        this.stream = null;
+        this.lastResultAt = 0;
+    }
+
+    async initWithCamera(cameraFacing = 'environment') {
+        this.cleanup();
+
+        console.log('📷 Acquiring camera stream...');
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                facingMode: cameraFacing,
+                width: { ideal: 1280 },
+                height: { ideal: 720 }
+            }
+        });
+
+        this.videoElement = this.createVideoElement();
+        this.videoElement.srcObject = this.stream;
+        await this.videoElement.play();
+    }
+
+    async initWithVideoFile(file) {
+        this.cleanup();
+
+        this.videoElement = this.createVideoElement();
+        this.videoElement.src = URL.createObjectURL(file);
+        await this.videoElement.play();
+        await this.attachVideoElement(this.videoElement);
+    }
+
+    async initWithVideoElement(videoElement) {
+        this.cleanup();
+        await this.attachVideoElement(videoElement);
+        this.videoElement = videoElement;
+    }
+
+    createVideoElement() {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        this.ownsVideoElement = true;
+        return video;
+    }
+
+    async start() {
+        if (!this.videoElement) {
+            throw new Error('Local backend not initialized. Call initWithCamera() or initWithVideoElement() first.');
+        }
+
+        try {
+            this.onStatusChange('connecting');
+            await this.counter.load();
+
+            this.lastResultAt = 0;
+            this.counter.start(this.videoElement, (counts) => this.handleCounts(counts));
+            this.isRunning = true;
+            this.onStatusChange('connected');
+        } catch (error) {
+            this.onStatusChange('error');
+            this.onError(error);
+            throw error;
+        }
+    }
+
+    async stop() {
+        if (!this.isRunning && !this.videoElement) return;
+
+        this.counter.stop();
+        this.isRunning = false;
+        this.cleanup();
+        this.onStatusChange('disconnected');
+    }
+
+    cleanup() {
+        this.detachVideoElement();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.ownsVideoElement && this.videoElement) {
+            if (this.videoElement.src.startsWith('blob:')) URL.revokeObjectURL(this.videoElement.src);
+            this.videoElement.remove();
+        }
+        this.ownsVideoElement = false;
+        this.videoElement = null;
+    }
+
+    getVideoElement() {
+        return this.ownsVideoElement ? this.videoElement : null;
+    }
+
+    handleCounts(counts) {
+        if (!this.isRunning) return;
+        this.onCounts(counts);
+
+        const now = Date.now();
+        if (now - this.lastResultAt < RESULT_INTERVAL_MS) return;
+        this.lastResultAt = now;
+        this.onResult(this.buildResult(counts));
+    }
+
+    /**
+     * Lane result from the tracks currently in view
+     */
+    buildResult(counts) {
+        const layout = this.getLaneLayout();
+        const laneCount = layout.length;
+        const width = this.videoElement?.videoWidth || 1;
+        const lanes = layout.map(lane => ({
+            lane_id: lane.lane_id,
+            name: lane.name,
+            direction: lane.direction,
+            vehicle_count: 0,
+            vehicle_types: { car: 0, truck: 0, bus: 0, motorcycle: 0 },
+            queue_length_meters: 0,
+            congestion: 'low'
+        }));
+
+        this.counter.tracks
+            .filter(track => track.confirmed && track.missingFrames === 0)
+            .forEach(track => {
+                const [x, , w] = track.bbox;
+                const index = Math.min(laneCount - 1, Math.max(0, Math.floor(((x + w / 2) / width) * laneCount)));
+                lanes[index].vehicle_count++;
+                lanes[index].vehicle_types[track.class]++;
+            });
+        lanes.forEach(lane => { lane.congestion = congestionFromCount(lane.vehicle_count); });
+
+        const result = createEmptyResult();
+        result.lanes = lanes;
+        applyMeasuredQueues(result, counts.queues);
+        result._meta = {
+            timestamp: new Date().toISOString(),
+            inference_latency_ms: 0,
+            total_latency_ms: 0,
+            scenario_name: counts.isNightMode ? 'Local AI (night)' : 'Local AI'
+        };
+        return result;
+    }
+}
+
+export default LocalCounterBackend;
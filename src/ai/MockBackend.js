@@ -0,0 +1,159 @@
+/**
+ * MockBackend
+ * The 'mock' vision backend: generates plausible traffic from a seeded random
+ * sequence instead of looking at the video. The same camera always produces
+ * the same results in the same order, with no network or model download, so
+ * the dashboard can be exercised and compared without an Overshoot key.
+ */
+import { VisionBackend, createEmptyResult, congestionFromCount } from './VisionBackend.js';
+
+const RESULT_INTERVAL_MS = 2000;
+const DEFAULT_LANE_COUNT = 4;
+
+/**
+ * 32-bit string hash (FNV-1a), used as the sequence seed
+ */
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * mulberry32: small, fast PRNG returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class MockBackend extends VisionBackend {
+    static id = 'mock';
+    static providesCounts = true;
+
+    constructor(options = {}) {
+        super(options);
+        this.intervalMs = options.intervalMs || RESULT_INTERVAL_MS;
+        this.timer = null;
+        this.sourceName = null;
+    }
+
+    async initWithCamera(cameraFacing = 'environment') {
+        this.reset(`camera:${cameraFacing}`);
+    }
+
+    async initWithVideoFile(file) {
+        this.reset(`file:${file?.name || 'video'}`);
+    }
+
+    async initWithVideoElement(videoElement) {
+        this.reset(null);
+        await this.attachVideoElement(videoElement);
+    }
+
+    /**
+     * Restart the sequence. Seeded by the registry camera when there is one.
+     */
+    reset(sourceName) {
+        this.detachVideoElement();
+        this.sourceName = this.camera?.id ? `camera:${this.camera.id}` : (sourceName || 'mock');
+        this.random = createRandom(hashSeed(this.sourceName));
+        this.tick = 0;
+        this.counts = { car: 0, bus: 0, truck: 0, motorcycle: 0 };
+    }
+
+    async start() {
+        if (!this.sourceName) {
+            throw new Error('Mock backend not initialized. Call initWithCamera() or initWithVideoElement() first.');
+        }
+
+        this.onStatusChange('connecting');
+        this.isRunning = true;
+        this.onStatusChange('connected');
+
+        this.emit();
+        this.timer = setInterval(() => this.emit(), this.intervalMs);
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isRunning = false;
+        this.detachVideoElement();
+        this.onStatusChange('disconnected');
+    }
+
+    emit() {
+        const result = this.next();
+        this.onCounts({
+            ...this.counts,
+            total: Object.values(this.counts).reduce((a, b) => a + b, 0),
+            isNightMode: false,
+            currentVisible: result.lanes.reduce((sum, lane) => sum + lane.vehicle_count, 0)
+        });
+        this.onResult(result);
+    }
+
+    /**
+     * Next result in the sequence. Traffic swells and eases over a ~1 minute
+     * cycle so every congestion level shows up.
+     */
+    next() {
+        const random = this.random;
+        const load = 0.5 + 0.5 * Math.sin(this.tick / 5);
+        this.tick++;
+
+        const lanes = this.getLaneLayout(DEFAULT_LANE_COUNT).map(layoutLane => {
+            const vehicleCount = Math.round(load * 10 * (0.5 + random()));
+            const types = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
+            for (let v = 0; v < vehicleCount; v++) {
+                const r = random();
+                const type = r < 0.8 ? 'car' : r < 0.9 ? 'truck' : r < 0.95 ? 'bus' : 'motorcycle';
+                types[type]++;
+            }
+            // Roughly a vehicle in ten has just arrived
+            Object.keys(types).forEach(type => {
+                this.counts[type] += Math.round(types[type] * 0.1 + random() * 0.5);
+            });
+
+            return {
+                lane_id: layoutLane.lane_id,
+                name: layoutLane.name,
+                direction: layoutLane.direction,
+                vehicle_count: vehicleCount,
+                vehicle_types: types,
+                queue_length_meters: Math.round(vehicleCount * 6 * load),
+                congestion: congestionFromCount(vehicleCount)
+            };
+        });
+
+        const result = createEmptyResult();
+        result.lanes = lanes;
+        result.pedestrians = Math.floor(random() * 10 * load);
+        result.avg_wait_seconds = Math.round(10 + 60 * load);
+        result.alerts = lanes
+            .filter(lane => lane.congestion === 'high')
+            .slice(0, 2)
+            .map(lane => `High congestion on Lane ${lane.lane_id}`);
+        result._meta = {
+            timestamp: new Date().toISOString(),
+            inference_latency_ms: 0,
+            total_latency_ms: 0,
+            scenario_name: 'Mock'
+        };
+        return result;
+    }
+}
+
+export default MockBackend;
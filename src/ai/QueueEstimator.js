@@ -0,0 +1,85 @@
+/**
+ * QueueEstimator
+ * Measures queue length per lane, in meters, from stopped vehicles. Each
+ * calibrated lane has a stop bar (two points across the lane) and a reference
+ * point a known distance upstream of it, both in video coordinates from 0 to 1.
+ * The line from the middle of the stop bar to the reference point is the
+ * lane's axis and sets the scale. A queue is the run of stopped vehicles
+ * within the stop bar's width that starts at the stop bar, up to the back of
+ * the last vehicle before a gap longer than MAX_GAP_METERS.
+ *
+ * The scale is linear along the axis, so a reference point near the back of
+ * the usual queue gives the best results on cameras with strong perspective.
+ */
+
+export const MAX_QUEUE_METERS = 500;
+// A longer gap between stopped vehicles ends the queue
+const MAX_GAP_METERS = 10;
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const length = (a) => Math.hypot(a.x, a.y);
+
+/**
+ * @param {Object[]} calibration - [{ lane_id, stopBar: [{x, y}, {x, y}], reference: {x, y}, referenceMeters }]
+ * @param {Object[]} vehicles - [{ bbox: [x, y, w, h], stopped }] in video pixels
+ * @param {{ width: number, height: number }} frame - video size in pixels
+ * @returns {Object} queue length in meters by lane id
+ */
+export function measureQueues(calibration, vehicles, { width, height }) {
+    const queues = {};
+    if (!width || !height) return queues;
+    const toPixels = (point) => ({ x: point.x * width, y: point.y * height });
+    const stopped = vehicles.filter(vehicle => vehicle.stopped);
+
+    calibration.forEach(lane => {
+        const [a, b] = lane.stopBar.map(toPixels);
+        const origin = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const axis = sub(toPixels(lane.reference), origin);
+        const axisLength = length(axis);
+        if (axisLength < 1) return;
+
+        const unit = { x: axis.x / axisLength, y: axis.y / axisLength };
+        const normal = { x: -unit.y, y: unit.x };
+        const metersPerPixel = lane.referenceMeters / axisLength;
+        const halfWidth = length(sub(b, a)) / 2;
+
+        // Distance from the stop bar of each stopped vehicle's front and back
+        const extents = stopped.map(({ bbox: [x, y, w, h] }) => {
+            // Vehicles touch the road at the bottom of their box
+            const contact = sub({ x: x + w / 2, y: y + h }, origin);
+            if (Math.abs(dot(contact, normal)) > halfWidth) return null;
+
+            const along = [[x, y], [x + w, y], [x, y + h], [x + w, y + h]]
+                .map(([px, py]) => dot(sub({ x: px, y: py }, origin), unit) * metersPerPixel);
+            const back = Math.max(...along);
+            if (back < 0) return null; // Past the stop bar
+            return { front: Math.max(0, Math.min(...along)), back };
+        }).filter(Boolean).sort((p, q) => p.front - q.front);
+
+        let queue = 0;
+        for (const extent of extents) {
+            if (extent.front - queue > MAX_GAP_METERS) break;
+            queue = Math.max(queue, extent.back);
+        }
+        queues[lane.lane_id] = Math.min(MAX_QUEUE_METERS, Math.round(queue * 10) / 10);
+    });
+
+    return queues;
+}
+
+/**
+ * Use measured queue lengths in a lane result in place of the model's estimate
+ * @param {Object} data - lane result
+ * @param {Object} [queues] - from measureQueues()
+ */
+export function applyMeasuredQueues(data, queues) {
+    if (!queues || !data?.lanes) return data;
+    data.lanes.forEach(lane => {
+        const meters = queues[lane.lane_id];
+        if (meters === undefined) return;
+        lane.queue_length_meters = meters;
+        lane.queue_source = 'measured';
+    });
+    return data;
+}
@@ -0,0 +1,110 @@
+/**
+ * ResultLog
+ * Raw vision results as JSON Lines, for bug reports, regression fixtures and
+ * demos. The first line describes the session (camera, backend, saved lanes);
+ * every other line is one result exactly as the SDK returned it, with the
+ * time since the session started, the phase, the prompt that produced it and
+ * the lanes known at the time. ResultReplay plays a log back through the
+ * analyzer's pipeline.
+ */
+
+export const RESULT_LOG_VERSION = 1;
+// About three hours of results at one every two seconds
+const MAX_LOG_ENTRIES = 5000;
+
+export class ResultLogError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ResultLogError';
+    }
+}
+
+export class ResultLogRecorder {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || MAX_LOG_ENTRIES;
+        this.header = null;
+        this.entries = [];
+        this.startedAt = 0;
+        // Entries dropped from the start once maxEntries was reached
+        this.dropped = 0;
+    }
+
+    /**
+     * Start a new log, discarding the previous one
+     * @param {Object} context - { backend, camera: { id, name } | null, lanes }
+     */
+    begin(context = {}) {
+        this.startedAt = Date.now();
+        this.header = {
+            type: 'session',
+            version: RESULT_LOG_VERSION,
+            startedAt: new Date(this.startedAt).toISOString(),
+            ...context
+        };
+        this.entries = [];
+        this.dropped = 0;
+    }
+
+    /**
+     * @param {Object} result - raw SDK result
+     * @param {Object} context - { phase, prompt, lanes }
+     */
+    record(result, { phase, prompt, lanes = [] } = {}) {
+        if (!this.header) this.begin();
+
+        const now = Date.now();
+        this.entries.push({
+            type: 'result',
+            t: now - this.startedAt,
+            at: new Date(now).toISOString(),
+            phase,
+            prompt,
+            lanes,
+            result
+        });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+            this.dropped++;
+        }
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    toJsonl() {
+        if (!this.header) return '';
+        const header = this.dropped ? { ...this.header, dropped: this.dropped } : this.header;
+        return [header, ...this.entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+}
+
+/**
+ * Parse a result log
+ * @returns {{ header: Object, entries: Object[] }} entries in time order
+ * @throws {ResultLogError} when the text isn't a result log
+ */
+export function parseResultLog(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) throw new ResultLogError('The log is empty');
+
+    const parsed = lines.map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new ResultLogError(`Line ${index + 1} is not JSON`);
+        }
+    });
+
+    const [header, ...rest] = parsed;
+    if (header?.type !== 'session') throw new ResultLogError('The first line must describe the session');
+    if (header.version > RESULT_LOG_VERSION) {
+        throw new ResultLogError(`Log version ${header.version} is newer than this dashboard supports`);
+    }
+
+    const entries = rest.filter(entry => entry?.type === 'result' && entry.result && Number.isFinite(entry.t));
+    if (entries.length === 0) throw new ResultLogError('The log has no results');
+    entries.sort((a, b) => a.t - b.t);
+
+    return { header, entries };
+}
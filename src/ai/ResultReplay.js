@@ -0,0 +1,98 @@
+/**
+ * ResultReplay
+ * Plays a result log (see ResultLog) back through TrafficAnalyzer's result
+ * pipeline (parsing, repair, validation, lane discovery and normalization)
+ * with the recorded timing, at 1x or faster. Nothing is sent to Overshoot, so
+ * a problem seen live can be reproduced exactly from its log.
+ */
+import { TrafficAnalyzer } from './TrafficAnalyzer.js';
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10];
+
+export class ResultReplay extends TrafficAnalyzer {
+    static id = 'replay';
+
+    constructor(options = {}) {
+        super(options);
+        this.speed = REPLAY_SPEEDS.includes(Number(options.speed)) ? Number(options.speed) : 1;
+        this.log = null;
+        this.cursor = 0;
+        this.timer = null;
+    }
+
+    async initWithCamera() {
+        throw new Error('Replay plays result logs; call initWithLog()');
+    }
+
+    async initWithVideoFile() {
+        throw new Error('Replay plays result logs; call initWithLog()');
+    }
+
+    async initWithVideoElement() {
+        throw new Error('Replay plays result logs; call initWithLog()');
+    }
+
+    /**
+     * @param {{ header: Object, entries: Object[] }} log - from parseResultLog()
+     */
+    async initWithLog(log) {
+        this.log = log;
+        this.cursor = 0;
+        // A log that started with a saved layout replays without discovery, as it ran
+        this.camera = { ...(log.header.camera || {}), lanes: log.header.lanes || [] };
+        this.resetSession();
+        console.log(`⏯️ Replaying ${log.entries.length} results from ${log.header.startedAt} at ${this.speed}x`);
+    }
+
+    async start() {
+        if (!this.log) throw new Error('Replay not initialized. Call initWithLog() first.');
+
+        this.onStatusChange('connecting');
+        this.isRunning = true;
+        this.onStatusChange('connected');
+        this.scheduleNext();
+    }
+
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.onStatusChange('disconnected');
+    }
+
+    scheduleNext() {
+        const entry = this.log.entries[this.cursor];
+        if (!entry) {
+            console.log('⏯️ Replay finished');
+            this.handleSourceEnded();
+            return;
+        }
+
+        const previous = this.log.entries[this.cursor - 1];
+        const delay = previous ? Math.max(0, entry.t - previous.t) / this.speed : 0;
+        this.timer = setTimeout(() => {
+            this.cursor++;
+            this.replay(entry);
+            if (this.isRunning) this.scheduleNext();
+        }, delay);
+    }
+
+    /**
+     * Feed one recorded result through the pipeline in the phase and with the
+     * lanes it was recorded with, so a log that starts mid-session still replays
+     */
+    replay(entry) {
+        if (entry.phase === 'discovery' || entry.phase === 'monitoring') this.phase = entry.phase;
+        if (Array.isArray(entry.lanes) && entry.lanes.length > 0) this.discoveredLanes = entry.lanes;
+        this.handleResult(entry.result);
+    }
+
+    /**
+     * The log already holds the results of every phase; there is no SDK to restart
+     */
+    async restartVision() { }
+}
+
+export default ResultReplay;
@@ -0,0 +1,305 @@
+/**
+ * ResultValidator
+ * Checks model output before it reaches the dashboard. Text is parsed as JSON
+ * (repairing fenced, truncated or padded output), coerced to a JSON schema,
+ * and monitoring results get domain checks: counts clamped to sane ranges,
+ * lanes limited to the ones discovered, and missing totals derived from the
+ * per-type counts. Frames with nothing usable left are rejected rather than
+ * recorded as zero traffic.
+ */
+import { congestionFromCount } from './VisionBackend.js';
+import { MAX_QUEUE_METERS } from './QueueEstimator.js';
+
+// Highest count believable for one lane in one frame
+const MAX_LANE_VEHICLES = 200;
+const MAX_PEDESTRIANS = 500;
+const MAX_WAIT_SECONDS = 3600;
+// Truncation points tried when closing cut-off JSON
+const MAX_REPAIR_ATTEMPTS = 50;
+
+const LANE_TYPE_FIELDS = ['cars', 'trucks', 'buses', 'motorcycles'];
+
+export class ResultValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ResultValidationError';
+    }
+}
+
+/**
+ * Parse model output as JSON
+ * @returns {{ data: any, repaired: boolean }}
+ * @throws {ResultValidationError} when the text can't be repaired
+ */
+export function parseModelJson(text) {
+    if (typeof text !== 'string') return { data: text, repaired: false };
+
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    if (!cleaned) throw new ResultValidationError('Empty result');
+
+    try {
+        return { data: JSON.parse(cleaned), repaired: false };
+    } catch (e) {
+        // Fall through to repair
+    }
+
+    const start = cleaned.search(/[{[]/);
+    if (start === -1) throw new ResultValidationError('Result is not JSON');
+
+    const data = repairJson(cleaned.slice(start));
+    if (data === undefined) throw new ResultValidationError('Result is not repairable JSON');
+    return { data, repaired: true };
+}
+
+/**
+ * Repair JSON with trailing text, trailing commas or a cut-off end. Cut-off
+ * text is closed at the end, or at the last complete value before it.
+ * @returns {any} parsed value, or undefined
+ */
+function repairJson(text) {
+    const closers = [];
+    const cuts = [];
+    let out = '';
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inString) {
+            out += c;
+            if (escaped) escaped = false;
+            else if (c === '\\') escaped = true;
+            else if (c === '"') inString = false;
+            continue;
+        }
+
+        if (c === '"') {
+            inString = true;
+        } else if (c === '{' || c === '[') {
+            closers.push(c === '{' ? '}' : ']');
+        } else if (c === '}' || c === ']') {
+            out = out.replace(/,\s*$/, '');
+            closers.pop();
+            if (closers.length === 0) return tryParse(out + c);
+            cuts.push({ text: out + c, closers: [...closers] });
+        } else if (c === ',') {
+            cuts.push({ text: out, closers: [...closers] });
+        }
+        out += c;
+    }
+
+    const candidates = [{ text: inString ? `${out}"` : out, closers }, ...cuts.reverse()].slice(0, MAX_REPAIR_ATTEMPTS);
+    for (const candidate of candidates) {
+        const closed = candidate.text.replace(/[,:\s]+$/, '') + [...candidate.closers].reverse().join('');
+        const data = tryParse(closed);
+        if (data !== undefined) return data;
+    }
+    return undefined;
+}
+
+function tryParse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Coerce a value to a JSON schema (type, properties, items, enum, maxItems).
+ * Unknown properties are dropped; values that can't be coerced come back
+ * undefined. Every change is described in issues.
+ */
+export function coerceToSchema(value, schema, path, issues) {
+    const at = path || 'result';
+
+    switch (schema.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value
+                : typeof value === 'string' && value.trim() !== '' ? Number(value.trim())
+                    : NaN;
+            if (!Number.isFinite(number)) {
+                issues.push(`${at} is not a number`);
+                return undefined;
+            }
+            if (typeof value !== 'number') issues.push(`${at} converted to a number`);
+            return number;
+        }
+        case 'string': {
+            if (value === null || value === undefined || typeof value === 'object') {
+                issues.push(`${at} is not a string`);
+                return undefined;
+            }
+            const text = String(value).trim();
+            if (!schema.enum) return text;
+
+            const match = schema.enum.find(option => option === text.toLowerCase());
+            if (!match) {
+                issues.push(`${at} "${text}" is not one of ${schema.enum.join(', ')}`);
+                return undefined;
+            }
+            if (match !== value) issues.push(`${at} normalized to "${match}"`);
+            return match;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                issues.push(`${at} is not a list`);
+                return undefined;
+            }
+            let items = value
+                .map((item, i) => coerceToSchema(item, schema.items || {}, `${at}[${i}]`, issues))
+                .filter(item => item !== undefined);
+            if (schema.maxItems && items.length > schema.maxItems) {
+                issues.push(`${at} cut to ${schema.maxItems} items`);
+                items = items.slice(0, schema.maxItems);
+            }
+            return items;
+        }
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                issues.push(`${at} is not an object`);
+                return undefined;
+            }
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                if (value[key] === undefined || value[key] === null) return;
+                const coerced = coerceToSchema(value[key], property, path ? `${path}.${key}` : key, issues);
+                if (coerced !== undefined) result[key] = coerced;
+            });
+            return result;
+        }
+        default:
+            return value;
+    }
+}
+
+function clampCount(value, max, at, issues) {
+    if (value === undefined) return undefined;
+    const clamped = Math.min(max, Math.max(0, Math.round(value)));
+    if (clamped !== value) issues.push(`${at} changed from ${value} to ${clamped}`);
+    return clamped;
+}
+
+/**
+ * Validate one monitoring-phase result
+ * @param {any} data - parsed model output
+ * @param {Object} options
+ * @param {Object} options.schema - output schema sent to the model
+ * @param {number[]} [options.laneIds] - lanes found in discovery; others are dropped
+ * @returns {{ ok: boolean, data?: Object, issues: string[], reason?: string }}
+ */
+export function validateMonitoringResult(data, { schema, laneIds = [] }) {
+    const issues = [];
+    const result = coerceToSchema(data, schema, '', issues);
+    if (!result) return { ok: false, issues, reason: 'Result is not an object' };
+    if (!result.lanes?.length) return { ok: false, issues, reason: 'Result has no lanes' };
+
+    const known = new Set(laneIds);
+    const seen = new Set();
+    result.lanes = result.lanes.filter((lane, index) => {
+        const at = `lanes[${index}]`;
+        if (lane.lane_id === undefined) {
+            lane.lane_id = index + 1;
+            issues.push(`${at} missing lane_id, assumed ${lane.lane_id}`);
+        }
+        if (known.size > 0 && !known.has(lane.lane_id)) {
+            issues.push(`${at} lane ${lane.lane_id} was not discovered`);
+            return false;
+        }
+        if (seen.has(lane.lane_id)) {
+            issues.push(`${at} repeats lane ${lane.lane_id}`);
+            return false;
+        }
+
+        LANE_TYPE_FIELDS.forEach(field => {
+            lane[field] = clampCount(lane[field], MAX_LANE_VEHICLES, `${at}.${field}`, issues);
+        });
+        lane.vehicle_count = clampCount(lane.vehicle_count, MAX_LANE_VEHICLES, `${at}.vehicle_count`, issues);
+        lane.queue_length_meters = clampCount(lane.queue_length_meters, MAX_QUEUE_METERS, `${at}.queue_length_meters`, issues);
+
+        const types = LANE_TYPE_FIELDS.filter(field => lane[field] !== undefined);
+        const typeTotal = types.reduce((sum, field) => sum + lane[field], 0);
+        if (lane.vehicle_count === undefined && types.length === 0) {
+            issues.push(`${at} has no vehicle counts`);
+            return false;
+        }
+        if (lane.vehicle_count === undefined) {
+            lane.vehicle_count = typeTotal;
+            issues.push(`${at}.vehicle_count derived from vehicle types`);
+        } else if (lane.vehicle_count < typeTotal) {
+            issues.push(`${at}.vehicle_count raised to the vehicle type total ${typeTotal}`);
+            lane.vehicle_count = typeTotal;
+        }
+        if (!lane.congestion) {
+            lane.congestion = congestionFromCount(lane.vehicle_count);
+            issues.push(`${at}.congestion derived from vehicle count`);
+        }
+
+        seen.add(lane.lane_id);
+        return true;
+    });
+    if (result.lanes.length === 0) return { ok: false, issues, reason: 'No valid lanes' };
+
+    if (result.emergency_vehicles) {
+        result.emergency_vehicles = result.emergency_vehicles.filter((vehicle, index) => {
+            const at = `emergency_vehicles[${index}]`;
+            if (!vehicle.type) {
+                issues.push(`${at} has no vehicle type`);
+                return false;
+            }
+            if (!seen.has(vehicle.lane_id)) {
+                issues.push(`${at} is in unknown lane ${vehicle.lane_id}`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    result.pedestrians = clampCount(result.pedestrians, MAX_PEDESTRIANS, 'pedestrians', issues);
+    result.avg_wait_seconds = clampCount(result.avg_wait_seconds, MAX_WAIT_SECONDS, 'avg_wait_seconds', issues);
+
+    return { ok: true, data: result, issues };
+}
+
+/**
+ * Per-session tally of how many frames were clean, repaired or rejected
+ */
+export class DataQualityTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.clean = 0;
+        this.repaired = 0;
+        this.rejected = 0;
+        this.lastIssues = [];
+        this.lastRejection = null;
+    }
+
+    /**
+     * @param {'clean' | 'repaired' | 'rejected'} outcome
+     * @param {string[]} issues - what was repaired, or why the frame was rejected
+     */
+    record(outcome, issues = []) {
+        this[outcome]++;
+        if (outcome === 'rejected') this.lastRejection = issues[0] || 'Unknown';
+        if (issues.length > 0) this.lastIssues = issues;
+    }
+
+    /**
+     * score is the share of frames used (clean or repaired), 0-100, or null before the first frame
+     */
+    getStats() {
+        const total = this.clean + this.repaired + this.rejected;
+        return {
+            total,
+            clean: this.clean,
+            repaired: this.repaired,
+            rejected: this.rejected,
+            score: total ? Math.round(((this.clean + this.repaired) / total) * 100) : null,
+            lastIssues: this.lastIssues,
+            lastRejection: this.lastRejection
+        };
+    }
+}
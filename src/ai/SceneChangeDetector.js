@@ -0,0 +1,164 @@
+/**
+ * SceneChangeDetector
+ * Notices when a camera is panned, tilted or zoomed. Every few seconds the
+ * current frame is reduced to a fingerprint (a 256-bit difference hash of a
+ * 17x16 grayscale thumbnail) and compared with the reference fingerprint of
+ * the view the lane layout was made for. Traffic moving through the frame
+ * flips a few bits; a different view flips a large share of them. A change
+ * (or a return to the reference view) is only reported after several
+ * consecutive checks agree, so a passing truck or a glitched frame doesn't
+ * trigger it.
+ */
+
+const HASH_WIDTH = 17;
+const HASH_HEIGHT = 16;
+
+// Defaults: check every 5s, report after 3 checks (~15s) beyond 30% of bits changed
+const DEFAULT_INTERVAL_MS = 5000;
+const DEFAULT_THRESHOLD = 0.3;
+const DEFAULT_CONFIRM_CHECKS = 3;
+
+let canvas = null;
+let ctx = null;
+
+/**
+ * Fingerprint of the frame a video element is showing
+ * @returns {string|null} 64 hex characters, or null when no frame can be read
+ */
+export function computeFingerprint(videoElement) {
+    if (!videoElement || videoElement.readyState < 2) return null; // HAVE_CURRENT_DATA
+
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.width = HASH_WIDTH;
+        canvas.height = HASH_HEIGHT;
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    let data;
+    try {
+        ctx.drawImage(videoElement, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+        data = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data;
+    } catch (e) {
+        // Cross-origin frames can't be read
+        return null;
+    }
+
+    // One bit per horizontal neighbour pair: is the left pixel darker than the right one?
+    let hex = '';
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const i = (y * HASH_WIDTH + x) * 4;
+            const left = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+            const right = data[i + 4] * 0.299 + data[i + 5] * 0.587 + data[i + 6] * 0.114;
+            nibble = (nibble << 1) | (left < right ? 1 : 0);
+            if (++bits % 4 === 0) {
+                hex += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+/**
+ * Share of differing bits between two fingerprints, 0 (same) to 1
+ */
+export function fingerprintDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return 1;
+
+    let differing = 0;
+    for (let i = 0; i < a.length; i++) {
+        let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (x) {
+            differing += x & 1;
+            x >>= 1;
+        }
+    }
+    return differing / (a.length * 4);
+}
+
+export class SceneChangeDetector {
+    constructor(options = {}) {
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+        this.threshold = options.threshold || DEFAULT_THRESHOLD;
+        this.confirmChecks = options.confirmChecks || DEFAULT_CONFIRM_CHECKS;
+        // (fingerprint, distance) when the view moves away from the reference
+        this.onChange = options.onChange || (() => { });
+        // (fingerprint) when it comes back to the reference
+        this.onReturn = options.onReturn || (() => { });
+        // (fingerprint) on the first readable frame when there was no reference
+        this.onReference = options.onReference || (() => { });
+
+        this.timer = null;
+        this.videoElement = null;
+        this.reference = null;
+        this.lastFingerprint = null;
+        this.changed = false;
+        this.streak = 0;
+    }
+
+    /**
+     * Start checking a video element against a reference fingerprint. Without
+     * one, the first readable frame becomes the reference.
+     */
+    start(videoElement, reference = null) {
+        this.stop();
+        this.videoElement = videoElement;
+        this.reference = reference;
+        this.changed = false;
+        this.streak = 0;
+        this.timer = setInterval(() => this.check(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.videoElement = null;
+    }
+
+    isWatching() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Make the current view the reference, e.g. once its lanes are confirmed
+     */
+    acceptView(fingerprint = this.lastFingerprint) {
+        this.reference = fingerprint;
+        this.changed = false;
+        this.streak = 0;
+    }
+
+    check() {
+        const fingerprint = computeFingerprint(this.videoElement);
+        if (!fingerprint) return;
+        this.lastFingerprint = fingerprint;
+
+        if (!this.reference) {
+            this.acceptView(fingerprint);
+            this.onReference(fingerprint);
+            return;
+        }
+
+        const distance = fingerprintDistance(fingerprint, this.reference);
+        // Before a change, count frames that differ; after one, count frames back at the reference
+        const counts = this.changed ? distance <= this.threshold : distance > this.threshold;
+        this.streak = counts ? this.streak + 1 : 0;
+        if (this.streak < this.confirmChecks) return;
+
+        this.streak = 0;
+        this.changed = !this.changed;
+        if (this.changed) {
+            console.log(`🎥 Camera view changed (${Math.round(distance * 100)}% of the fingerprint differs)`);
+            this.onChange(fingerprint, distance);
+        } else {
+            console.log('🎥 Camera view is back at the reference');
+            this.onReturn(fingerprint);
+        }
+    }
+}
+
+export default SceneChangeDetector;
@@ -0,0 +1,256 @@
+/**
+ * SessionSupervisor
+ * Keeps a long-running analysis session alive. It notices when the analyzer
+ * reports a connection error, when no results arrive for a while, or when
+ * the video stops advancing (a stalled HLS stream), and reconnects with
+ * exponential backoff and jitter until results flow again. Reconnecting
+ * keeps the session's lane layout. The time from the first failure to the
+ * first result afterwards is reported as downtime.
+ */
+
+export const DEFAULT_BASE_DELAY_MS = 2000;
+export const DEFAULT_MAX_DELAY_MS = 2 * 60 * 1000;
+// No results (or no new video frames) for this long counts as a stall
+export const DEFAULT_STALL_TIMEOUT_MS = 45000;
+const CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Delay before a retry: doubles with each attempt up to maxDelayMs, with the
+ * upper half randomized so dashboards that lost the same relay don't all
+ * reconnect at the same moment
+ * @param {number} attempt - 0 for the first retry
+ */
+export function backoffDelay(attempt, { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS } = {}, random = Math.random) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+// Relay error codes (see server/keyRelay.js) and analyzer codes that retrying can't fix
+const PERMANENT_CODES = new Set([
+    'unauthorized', 'relay_not_configured', 'quota_exceeded', 'model_not_allowed', 'invalid_path', 'not_initialized'
+]);
+// Client errors that may pass: request timeout, too early
+const RETRYABLE_CLIENT_STATUSES = new Set([408, 425]);
+
+/**
+ * Whether retrying can help, from the error's HTTP status or code.
+ * 5xx responses and network failures (no status at all) are retried unless
+ * their code says otherwise; credentials, missing relay keys, quotas and
+ * other 4xx responses won't fix themselves, so those end the session.
+ */
+export function isRecoverableError(error) {
+    const code = errorCode(error);
+    if (code && PERMANENT_CODES.has(code)) return false;
+
+    const status = errorStatus(error);
+    if (!status) return true;
+    return status >= 500 || RETRYABLE_CLIENT_STATUSES.has(status);
+}
+
+/**
+ * The error's machine-readable code (relay errors carry it as `error` in the JSON body)
+ * @returns {string|null}
+ */
+export function errorCode(error) {
+    const code = error?.code ?? error?.error;
+    return typeof code === 'string' ? code : null;
+}
+
+/**
+ * The error's HTTP status, or null for network failures and plain errors
+ * @returns {number|null}
+ */
+export function errorStatus(error) {
+    const status = Number(error?.status ?? error?.statusCode ?? error?.response?.status);
+    return Number.isFinite(status) && status > 0 ? status : null;
+}
+
+export class SessionSupervisor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.reconnect - async () => resume the analysis
+     * @param {Function} [options.getVideoElement] - () => video to watch for frozen playback
+     */
+    constructor(options = {}) {
+        this.reconnect = options.reconnect;
+        this.reloadStream = null;
+        this.getVideoElement = options.getVideoElement || (() => null);
+        this.baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+        this.maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+        this.stallTimeoutMs = options.stallTimeoutMs || DEFAULT_STALL_TIMEOUT_MS;
+
+        // ({ attempt, delayMs, reason }) when a retry is scheduled
+        this.onRetry = options.onRetry || (() => { });
+        // ({ start, end, reason, attempts }) when results flow again after a failure
+        this.onRecovered = options.onRecovered || (() => { });
+        // (error) when a reconnect fails in a way retrying can't fix
+        this.onGiveUp = options.onGiveUp || (() => { });
+
+        this.checkTimer = null;
+        this.retryTimer = null;
+        this.isReconnecting = false;
+        this.attempt = 0;
+        this.downSince = null;
+        this.downReason = null;
+        this.lastActivityAt = 0;
+        this.lastVideoTime = null;
+        this.lastVideoAdvanceAt = 0;
+        this.streamNeedsReload = false;
+    }
+
+    /**
+     * Start supervising a session that has just started
+     * @param {Object} [options]
+     * @param {Function} [options.reloadStream] - () => reload the video source, for streams that can stall
+     */
+    watch({ reloadStream = null } = {}) {
+        this.unwatch();
+        this.reloadStream = reloadStream;
+        const now = Date.now();
+        this.lastActivityAt = now;
+        this.lastVideoAdvanceAt = now;
+        this.lastVideoTime = null;
+        this.checkTimer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Stop supervising (the session was stopped or reached the end of its source)
+     */
+    unwatch() {
+        clearInterval(this.checkTimer);
+        clearTimeout(this.retryTimer);
+        this.checkTimer = null;
+        this.retryTimer = null;
+        this.isReconnecting = false;
+        this.streamNeedsReload = false;
+        this.attempt = 0;
+        this.downSince = null;
+        this.downReason = null;
+    }
+
+    isWatching() {
+        return this.checkTimer !== null;
+    }
+
+    /**
+     * Failing and not yet recovered
+     */
+    isRecovering() {
+        return this.downSince !== null;
+    }
+
+    /**
+     * The analyzer produced something: the connection works
+     */
+    noteActivity() {
+        if (!this.isWatching()) return;
+        const now = Date.now();
+        this.lastActivityAt = now;
+        if (!this.isRecovering() || this.isReconnecting) return;
+
+        const gap = { start: new Date(this.downSince), end: new Date(now), reason: this.downReason, attempts: this.attempt };
+        console.log(`✅ Analysis recovered after ${Math.round((now - this.downSince) / 1000)}s (${this.attempt} attempt(s))`);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.attempt = 0;
+        this.downSince = null;
+        this.downReason = null;
+        this.onRecovered(gap);
+    }
+
+    /**
+     * An error from the analyzer or the stream
+     * @returns {boolean} true when a retry takes care of it
+     */
+    handleError(error) {
+        if (!this.isWatching()) return false;
+        // A failed reconnect attempt retries or gives up on its own
+        if (this.isReconnecting) return true;
+        if (!isRecoverableError(error)) return false;
+        this.fail(error?.message || String(error));
+        return true;
+    }
+
+    /**
+     * The video source failed (e.g. a fatal HLS error): reload it and reconnect
+     * @returns {boolean} true when a retry takes care of it
+     */
+    handleStreamError(reason = 'Video stream error') {
+        if (!this.isWatching()) return false;
+        this.streamNeedsReload = true;
+        if (!this.isReconnecting) this.fail(reason);
+        return true;
+    }
+
+    check() {
+        // A retry is already on its way
+        if (this.retryTimer || this.isReconnecting) return;
+        const now = Date.now();
+
+        const video = this.getVideoElement();
+        // A recording the user paused isn't stalled
+        if (video?.paused && !video.ended && video.readyState >= 2) {
+            this.lastActivityAt = now;
+            this.lastVideoAdvanceAt = now;
+            return;
+        }
+        if (video && !video.ended) {
+            if (video.currentTime !== this.lastVideoTime) {
+                this.lastVideoTime = video.currentTime;
+                this.lastVideoAdvanceAt = now;
+            } else if (now - this.lastVideoAdvanceAt > this.stallTimeoutMs) {
+                this.fail('Video stream stalled', { reloadStream: true });
+                return;
+            }
+        }
+
+        if (now - this.lastActivityAt > this.stallTimeoutMs) {
+            this.fail(`No results for ${Math.round((now - this.lastActivityAt) / 1000)}s`);
+        }
+    }
+
+    fail(reason, { reloadStream = false } = {}) {
+        this.streamNeedsReload = this.streamNeedsReload || reloadStream;
+        if (this.retryTimer) return;
+        if (!this.isRecovering()) {
+            this.downSince = Date.now();
+            this.downReason = reason;
+        }
+
+        const delayMs = backoffDelay(this.attempt, { baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs });
+        this.attempt++;
+        console.warn(`🔁 ${reason}; reconnecting in ${Math.round(delayMs / 1000)}s (attempt ${this.attempt})`);
+        this.onRetry({ attempt: this.attempt, delayMs, reason });
+
+        this.retryTimer = setTimeout(() => this.retry(), delayMs);
+    }
+
+    async retry() {
+        this.retryTimer = null;
+        this.isReconnecting = true;
+        try {
+            if (this.streamNeedsReload && this.reloadStream) {
+                this.reloadStream();
+                this.lastVideoTime = null;
+            }
+            this.streamNeedsReload = false;
+            await this.reconnect();
+        } catch (error) {
+            this.isReconnecting = false;
+            if (!this.isWatching()) return;
+            if (!isRecoverableError(error)) {
+                this.unwatch();
+                this.onGiveUp(error);
+                return;
+            }
+            this.fail(error?.message || String(error));
+            return;
+        }
+        this.isReconnecting = false;
+        // Give the new connection a full stall timeout to produce its first result
+        this.lastActivityAt = Date.now();
+        this.lastVideoAdvanceAt = Date.now();
+    }
+}
+
+export default SessionSupervisor;
@@ -0,0 +1,310 @@
+/**
+ * SortTracker
+ * Multi-object tracker in the style of SORT (Bewley et al., 2016). Each track
+ * predicts where its box moves next with a constant-velocity Kalman filter,
+ * detections are assigned to the predicted boxes all at once with the
+ * Hungarian algorithm (maximum total IoU, same class only), and a track is
+ * confirmed once it was matched in minHits frames, so one-frame false
+ * detections never count as vehicles. A detection that doesn't overlap a
+ * prediction enough can still match it when it is where the filter expects
+ * the vehicle could be (within the 95% Mahalanobis gate), at a higher cost
+ * than any overlapping one; the local counter samples only a few frames a
+ * second, so a fast vehicle's boxes in consecutive frames often barely
+ * overlap. A track that misses more than maxAge frames in a row is dropped;
+ * until then it coasts on its prediction, which carries fast or briefly
+ * occluded vehicles through the gap under one ID.
+ *
+ * The box center, width and height each have their own position and velocity
+ * filter: with constant velocity and independent noise the full filter
+ * separates into these. Noise is proportional to the box height, as in
+ * DeepSORT, so the tracker behaves the same at any video resolution.
+ */
+
+export const DEFAULT_TRACKER_OPTIONS = {
+    // Matched frames before a track is confirmed (and counted)
+    minHits: 3,
+    // Missed frames in a row before a track is dropped
+    maxAge: 10,
+    // Least IoU between a detection and a predicted box to match them
+    iouThreshold: 0.2,
+    // Noise as a share of the box height, per frame. Higher than DeepSORT's
+    // 1/160 for velocity, since frames are a few hundred milliseconds apart
+    positionNoise: 1 / 20,
+    velocityNoise: 1 / 10
+};
+
+// Chi-square 95% quantile for 4 degrees of freedom (center, width, height)
+const GATE = 9.4877;
+
+/**
+ * Tracker options from the dashboard settings
+ */
+export function trackerFromSettings(settings = {}) {
+    const pick = (value, fallback, min, max) => {
+        const n = Number(value);
+        return value !== undefined && value !== null && value !== '' && Number.isFinite(n) && n >= min && n <= max
+            ? n
+            : fallback;
+    };
+    return {
+        minHits: Math.round(pick(settings.trackerMinHits, DEFAULT_TRACKER_OPTIONS.minHits, 1, 20)),
+        maxAge: Math.round(pick(settings.trackerMaxAge, DEFAULT_TRACKER_OPTIONS.maxAge, 1, 100)),
+        iouThreshold: pick(settings.trackerIouThreshold, DEFAULT_TRACKER_OPTIONS.iouThreshold, 0.01, 0.9)
+    };
+}
+
+/**
+ * Intersection over union of two [x, y, w, h] boxes
+ */
+export function iou([x1, y1, w1, h1], [x2, y2, w2, h2]) {
+    const w = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+    const h = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+    const intersection = w * h;
+    const union = w1 * h1 + w2 * h2 - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Minimum-cost assignment (Hungarian algorithm, O(n²m))
+ * @param {number[][]} cost - rows × columns
+ * @returns {number[]} the column assigned to each row, -1 for none
+ */
+export function solveAssignment(cost) {
+    const rows = cost.length;
+    const cols = rows ? cost[0].length : 0;
+    if (!rows || !cols) return new Array(rows).fill(-1);
+    // The algorithm needs at least as many columns as rows
+    if (rows > cols) {
+        const transposed = cost[0].map((_, c) => cost.map(row => row[c]));
+        const byColumn = solveAssignment(transposed);
+        const result = new Array(rows).fill(-1);
+        byColumn.forEach((row, c) => {
+            if (row >= 0) result[row] = c;
+        });
+        return result;
+    }
+
+    // Potentials and matching, 1-indexed with a virtual column 0
+    const u = new Array(rows + 1).fill(0);
+    const v = new Array(cols + 1).fill(0);
+    const match = new Array(cols + 1).fill(0); // column -> row
+    const way = new Array(cols + 1).fill(0);
+
+    for (let i = 1; i <= rows; i++) {
+        match[0] = i;
+        let j0 = 0;
+        const minv = new Array(cols + 1).fill(Infinity);
+        const used = new Array(cols + 1).fill(false);
+        do {
+            used[j0] = true;
+            const i0 = match[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= cols; j++) {
+                if (used[j]) continue;
+                const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (reduced < minv[j]) {
+                    minv[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= cols; j++) {
+                if (used[j]) {
+                    u[match[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (match[j0] !== 0);
+        do {
+            const j1 = way[j0];
+            match[j0] = match[j1];
+            j0 = j1;
+        } while (j0);
+    }
+
+    const result = new Array(rows).fill(-1);
+    for (let j = 1; j <= cols; j++) {
+        if (match[j]) result[match[j] - 1] = j - 1;
+    }
+    return result;
+}
+
+/**
+ * Position and velocity along one dimension
+ */
+class AxisFilter {
+    constructor(position, positionStd, velocityStd) {
+        this.x = position;
+        this.v = 0;
+        // Covariance [[pp, pv], [pv, vv]]; the velocity is unknown at first
+        this.pp = (2 * positionStd) ** 2;
+        this.pv = 0;
+        this.vv = (10 * velocityStd) ** 2;
+    }
+
+    predict(positionStd, velocityStd) {
+        this.x += this.v;
+        // P = F P Fᵀ + Q with F = [[1, 1], [0, 1]]
+        this.pp += 2 * this.pv + this.vv + positionStd ** 2;
+        this.pv += this.vv;
+        this.vv += velocityStd ** 2;
+    }
+
+    /**
+     * Squared Mahalanobis distance of a measurement from the prediction
+     */
+    distance(measurement, measurementStd) {
+        return (measurement - this.x) ** 2 / (this.pp + measurementStd ** 2);
+    }
+
+    update(measurement, measurementStd) {
+        const s = this.pp + measurementStd ** 2;
+        const kp = this.pp / s;
+        const kv = this.pv / s;
+        const residual = measurement - this.x;
+        this.x += kp * residual;
+        this.v += kv * residual;
+        // P = (I - K H) P
+        this.vv -= kv * this.pv;
+        this.pv -= kv * this.pp;
+        this.pp -= kp * this.pp;
+    }
+}
+
+/**
+ * Constant-velocity filter over a box's center, width and height
+ */
+class KalmanBoxFilter {
+    constructor(bbox, options) {
+        this.options = options;
+        const h = bbox[3];
+        this.axes = toState(bbox).map(value => new AxisFilter(value, options.positionNoise * h, options.velocityNoise * h));
+    }
+
+    get height() {
+        return Math.max(1, this.axes[3].x);
+    }
+
+    predict() {
+        const h = this.height;
+        this.axes.forEach(axis => axis.predict(this.options.positionNoise * h, this.options.velocityNoise * h));
+        // A shrinking box must not turn inside out
+        if (this.axes[2].x < 1) this.axes[2].x = 1;
+        if (this.axes[3].x < 1) this.axes[3].x = 1;
+        return this.bbox;
+    }
+
+    update(bbox) {
+        const h = this.height;
+        toState(bbox).forEach((value, i) => this.axes[i].update(value, this.options.positionNoise * h));
+    }
+
+    distance(bbox) {
+        const h = this.height;
+        return toState(bbox).reduce((sum, value, i) => sum + this.axes[i].distance(value, this.options.positionNoise * h), 0);
+    }
+
+    get bbox() {
+        const [cx, cy, w, h] = this.axes.map(axis => axis.x);
+        return [cx - w / 2, cy - h / 2, w, h];
+    }
+}
+
+function toState([x, y, w, h]) {
+    return [x + w / 2, y + h / 2, w, h];
+}
+
+export class SortTracker {
+    /**
+     * @param {Object} [options] - see DEFAULT_TRACKER_OPTIONS
+     */
+    constructor(options = {}) {
+        this.configure(options);
+        this.reset();
+    }
+
+    configure(options = {}) {
+        this.options = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Advance one frame
+     * @param {Object[]} detections - [{ bbox: [x, y, w, h], class, score }]
+     * @returns {Object[]} live tracks: { id, bbox, predictedBbox, class, score, hits, age,
+     *   missingFrames, confirmed, detectionIndex }. bbox is the last matched detection;
+     *   detectionIndex is the detection matched this frame, -1 for none.
+     */
+    update(detections = []) {
+        const { iouThreshold, maxAge, minHits } = this.options;
+
+        this.tracks.forEach(track => {
+            track.predictedBbox = track.filter.predict();
+            track.detectionIndex = -1;
+        });
+
+        // Cost 1 - IoU when they overlap enough, else 1 to 2 by motion distance
+        // within the gate; 3 (no match) for other classes and anything farther
+        const cost = this.tracks.map(track => detections.map(detection => {
+            if (detection.class !== track.class) return 3;
+            const overlap = iou(track.predictedBbox, detection.bbox);
+            if (overlap >= iouThreshold) return 1 - overlap;
+            const distance = track.filter.distance(detection.bbox);
+            return distance <= GATE ? 1 + distance / GATE : 3;
+        }));
+        const assignment = solveAssignment(cost);
+
+        const matched = new Set();
+        this.tracks.forEach((track, t) => {
+            const d = assignment[t];
+            if (d >= 0 && cost[t][d] <= 2) {
+                const detection = detections[d];
+                matched.add(d);
+                track.filter.update(detection.bbox);
+                track.bbox = detection.bbox;
+                track.score = detection.score;
+                track.hits++;
+                track.age++;
+                track.missingFrames = 0;
+                track.detectionIndex = d;
+                if (track.hits >= minHits) track.confirmed = true;
+            } else {
+                track.age++;
+                track.missingFrames++;
+            }
+        });
+        this.tracks = this.tracks.filter(track => track.missingFrames <= maxAge);
+
+        detections.forEach((detection, d) => {
+            if (matched.has(d)) return;
+            this.tracks.push({
+                id: this.nextId++,
+                filter: new KalmanBoxFilter(detection.bbox, this.options),
+                bbox: detection.bbox,
+                predictedBbox: detection.bbox,
+                class: detection.class,
+                score: detection.score,
+                hits: 1,
+                age: 1,
+                missingFrames: 0,
+                confirmed: minHits <= 1,
+                detectionIndex: d
+            });
+        });
+
+        return this.tracks;
+    }
+}
+
+export default SortTracker;
@@ -0,0 +1,195 @@
+/**
+ * SpeedEstimator
+ * Measures vehicle speeds from tracked positions on the road. A camera's speed
+ * calibration marks four points on the road in the video (for example the
+ * corners of a rectangle between two lane lines, one dash cycle long) with
+ * their real-world positions in meters; the homography between them maps any
+ * point on the road plane to meters. X runs across the road and Y along it.
+ *
+ * The calibrated stretch of road, between the smallest and largest Y, works
+ * as a speed trap: each vehicle yields one reading when it leaves the stretch
+ * (or the tracker drops it), from the distance between where it was first and
+ * last detected in it and the time in between. Vehicles touch the road at the
+ * bottom of their box, so that point is the one mapped. Lanes are counted
+ * across the road from the smallest X, laneWidthMeters apart.
+ */
+import { MAX_LANE_COUNT, DEFAULT_LANE_WIDTH_METERS } from '../config/cameras.js';
+
+// Distribution bins are this wide, in km/h
+export const SPEED_BIN_KMH = 5;
+// Readings above this come from tracking errors
+export const MAX_SPEED_KMH = 200;
+// Shorter or slower passes don't give a reliable reading
+const MIN_SPAN_MS = 500;
+const MIN_TRAVEL_METERS = 2;
+// A larger gap between detections (a seek, a stall) starts the pass over
+const MAX_FRAME_GAP_MS = 5000;
+
+/**
+ * Homography mapping four points onto four others
+ * @param {{x: number, y: number}[]} from - four points, no three on a line
+ * @param {{x: number, y: number}[]} to - where they map to
+ * @returns {number[]|null} the 3×3 matrix by rows, null when the points are degenerate
+ */
+export function computeHomography(from, to) {
+    if (from?.length !== 4 || to?.length !== 4) return null;
+
+    // h33 = 1; two equations per point in the other eight entries
+    const rows = [];
+    from.forEach(({ x, y }, i) => {
+        const { x: u, y: v } = to[i];
+        rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < 8; r++) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+        for (let r = 0; r < 8; r++) {
+            if (r === col) continue;
+            const factor = rows[r][col] / rows[col][col];
+            for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+        }
+    }
+
+    const h = rows.map((row, i) => row[8] / row[i]);
+    return h.every(Number.isFinite) ? [...h, 1] : null;
+}
+
+/**
+ * Map a point through a homography
+ * @returns {{x: number, y: number}|null} null for points on the horizon
+ */
+export function applyHomography(h, { x, y }) {
+    const w = h[6] * x + h[7] * y + h[8];
+    if (Math.abs(w) < 1e-12) return null;
+    return {
+        x: (h[0] * x + h[1] * y + h[2]) / w,
+        y: (h[3] * x + h[4] * y + h[5]) / w
+    };
+}
+
+/**
+ * Speed below which a share of readings fall, interpolated within its bin
+ * @param {Object} bins - readings by bin start in km/h ({ '45': 12, ... })
+ * @param {number} p - from 0 to 1 (0.85 for the 85th percentile)
+ * @returns {number|null} km/h, null without readings
+ */
+export function speedPercentile(bins, p) {
+    const entries = Object.entries(bins || {})
+        .map(([from, count]) => [Number(from), count])
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => a[0] - b[0]);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return null;
+
+    const target = p * total;
+    let below = 0;
+    for (const [from, count] of entries) {
+        if (below + count >= target) {
+            return Math.round((from + (target - below) / count * SPEED_BIN_KMH) * 10) / 10;
+        }
+        below += count;
+    }
+    return entries[entries.length - 1][0] + SPEED_BIN_KMH;
+}
+
+/**
+ * Bin a reading falls in, as its start in km/h
+ */
+export function speedBin(speedKmh) {
+    return Math.floor(speedKmh / SPEED_BIN_KMH) * SPEED_BIN_KMH;
+}
+
+export class SpeedEstimator {
+    constructor() {
+        this.calibration = null;
+        this.homography = null;
+        this.reset();
+    }
+
+    /**
+     * @param {Object|null} calibration - the camera's speedCalibration:
+     *   { image: [{x, y}] × 4 (0 to 1), world: [{x, y}] × 4 (meters), laneWidthMeters }
+     */
+    setCalibration(calibration = null) {
+        this.calibration = calibration;
+        this.homography = calibration ? computeHomography(calibration.image, calibration.world) : null;
+        if (this.homography) {
+            const ys = calibration.world.map(point => point.y);
+            this.minX = Math.min(...calibration.world.map(point => point.x));
+            this.minY = Math.min(...ys);
+            this.maxY = Math.max(...ys);
+        }
+        this.reset();
+    }
+
+    reset() {
+        // Vehicles in the calibrated stretch by track id: { first, last, vehicleClass }
+        this.vehicles = new Map();
+    }
+
+    /**
+     * @param {Object[]} tracks - [{ id, bbox: [x, y, w, h], class, missingFrames }] in video pixels
+     * @param {{ width: number, height: number }} frame - video size in pixels
+     * @param {number} time - when the frame was shown, in milliseconds
+     * @returns {Object[]} readings completed in this update: [{ trackId, lane, speedKmh, vehicleClass }]
+     */
+    update(tracks, { width, height }, time) {
+        const readings = [];
+        if (!this.homography || !width || !height) return readings;
+
+        const alive = new Set();
+        tracks.forEach(track => {
+            alive.add(track.id);
+            if (track.missingFrames > 0) return;
+
+            const [x, y, w, h] = track.bbox;
+            const point = applyHomography(this.homography, { x: (x + w / 2) / width, y: (y + h) / height });
+            const inside = point && point.y >= this.minY && point.y <= this.maxY;
+            let vehicle = this.vehicles.get(track.id);
+
+            if (vehicle && (!inside || time < vehicle.last.time || time - vehicle.last.time > MAX_FRAME_GAP_MS)) {
+                this.finish(track.id, readings);
+                vehicle = null;
+            }
+            if (!inside) return;
+            const position = { ...point, time };
+            if (vehicle) {
+                vehicle.last = position;
+            } else {
+                this.vehicles.set(track.id, { first: position, last: position, vehicleClass: track.class });
+            }
+        });
+
+        // Vehicles the tracker dropped end their pass where they were last seen
+        [...this.vehicles.keys()].forEach(id => {
+            if (!alive.has(id)) this.finish(id, readings);
+        });
+        return readings;
+    }
+
+    finish(trackId, readings) {
+        const { first, last, vehicleClass } = this.vehicles.get(trackId);
+        this.vehicles.delete(trackId);
+
+        const span = last.time - first.time;
+        const meters = Math.hypot(last.x - first.x, last.y - first.y);
+        if (span < MIN_SPAN_MS || meters < MIN_TRAVEL_METERS) return;
+        const speedKmh = meters / (span / 1000) * 3.6;
+        if (speedKmh > MAX_SPEED_KMH) return;
+
+        const across = (first.x + last.x) / 2 - this.minX;
+        const lane = Math.floor(across / (this.calibration.laneWidthMeters || DEFAULT_LANE_WIDTH_METERS)) + 1;
+        if (lane < 1 || lane > MAX_LANE_COUNT) return;
+        readings.push({ trackId, lane, speedKmh: Math.round(speedKmh * 10) / 10, vehicleClass });
+    }
+}
+
+export default SpeedEstimator;
@@ -1,5 +1,11 @@
 import { RealtimeVision } from '@overshoot/sdk';
 import Hls from 'hls.js';
+import { VisionBackend } from './VisionBackend.js';
+import { validateLanes } from '../config/cameras.js';
+import { SceneChangeDetector } from './SceneChangeDetector.js';
+import { AdaptiveSampler, isTimeoutError } from './AdaptiveSampler.js';
+import { EmergencyTracker, EMERGENCY_TYPES, emergencyAlert } from './EmergencyTracker.js';
+import { parseModelJson, validateMonitoringResult, DataQualityTracker } from './ResultValidator.js';
 
 /**
  * Traffic analysis prompt for the AI model
@@ -28,12 +34,26 @@ const MONITORING_SCHEMA = {
           trucks: { type: 'number' },
           buses: { type: 'number' },
           motorcycles: { type: 'number' },
+          // Stopped vehicles back from the stop line; replaced by measured queues on calibrated lanes
+          queue_length_meters: { type: 'number' },
           congestion: { type: 'string', enum: ['low', 'medium', 'high'] }
         }
       }
     },
     pedestrians: { type: 'number' },
     avg_wait_seconds: { type: 'number' },
+    // Only vehicles responding (lights or siren on)
+    emergency_vehicles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: EMERGENCY_TYPES },
+          lane_id: { type: 'number' }
+        }
+      },
+      maxItems: 3
+    },
     alerts: { type: 'array', items: { type: 'string' }, maxItems: 2 },
     recommendations: { type: 'array', items: { type: 'string' }, maxItems: 2 },
     engineering_suggestions: {
@@ -54,10 +74,11 @@ const MONITORING_SCHEMA = {
 
 // Simplified prompt to avoid token limits with many lanes
 const generateMonitoringPrompt = (lanes) => {
-  // Condense lane context: "1(N), 2(S)..."
+  // Condense lane context: "1(N), 2(S,bus-only)..."
   const laneContext = lanes.map(l => {
     const dir = l.direction ? l.direction.charAt(0) : '?';
-    return `${l.lane_id}(${dir})`;
+    const type = l.type && l.type !== 'car' ? `,${l.type}` : '';
+    return `${l.lane_id}(${dir}${type})`;
   }).join(', ');
 
   return `Analyze traffic.
@@ -65,9 +86,11 @@ Context: Lanes ${laneContext}
 
 Identify TRAFFIC ENGINEERING improvements to reduce CO2 (e.g., adding lights, lanes, signs).
 Output JSON:
-- lanes: [{lane_id, vehicle_count, cars, trucks, buses, motorcycles, congestion}]
+- lanes: [{lane_id, vehicle_count, cars, trucks, buses, motorcycles, queue_length_meters, congestion}]
+  (queue_length_meters: length of the stopped queue back from the stop line, 0 if none)
 - pedestrians: number
 - avg_wait_seconds: number
+- emergency_vehicles: [{type (ambulance, fire_truck, police), lane_id}] only with lights or siren on, [] if none
 - alerts: [string]
 - recommendations: [string] (immediate actions)
 - engineering_suggestions: [{type, location, description, co2_impact}] (structural changes)
@@ -75,55 +98,131 @@ JSON only.`;
 };
 
 /**
- * TrafficAnalyzer class - Manages overshoot.ai integration for traffic analysis
+ * Whether newly discovered lanes describe the same layout as saved ones:
+ * same number of lanes, same directions (by initial; unknown matches anything)
+ */
+const lanesMatch = (discovered, saved) => {
+  if (discovered.length !== saved.length) return false;
+  const initial = (lane) => (lane.direction || '').trim().charAt(0).toUpperCase();
+  return discovered.every((lane, i) => {
+    const a = initial(lane);
+    const b = initial(saved[i]);
+    return a === 'U' || b === 'U' || a === b;
+  });
+};
+
+// Sent by the SDK in place of a key, in request headers and as the result
+// WebSocket's first message; the relay replaces it with OVERSHOOT_API_KEY
+const RELAY_API_KEY = 'relay';
+
+/**
+ * TrafficAnalyzer class - Manages overshoot.ai integration for traffic analysis.
+ * The 'overshoot' vision backend.
  */
-export class TrafficAnalyzer {
+export class TrafficAnalyzer extends VisionBackend {
+  static id = 'overshoot';
+
   constructor(options = {}) {
-    this.apiKey = options.apiKey || '';
-    this.apiUrl = options.apiUrl || 'https://cluster1.overshoot.ai/api/v0.2';
+    super(options);
+    // The SDK talks to the server's relay, which swaps this placeholder for the real key
+    this.apiKey = RELAY_API_KEY;
+    this.apiUrl = options.apiUrl || `${window.location.origin}/api/relay/overshoot`;
     this.vision = null;
-    this.isRunning = false;
     this.isStarting = false;
-    this.onResult = options.onResult || (() => { });
-    this.onError = options.onError || console.error;
-    this.onStatusChange = options.onStatusChange || (() => { });
     this.phase = 'discovery'; // 'discovery' | 'monitoring'
     this.discoveredLanes = [];
     this.sourceConfig = null; // Store source config for restarts
+    // Clean, repaired and rejected monitoring frames this session
+    this.quality = new DataQualityTracker();
+    this.onQualityChange = options.onQualityChange || (() => { });
+    // Called with { lanes, fingerprint } whenever the camera's lane layout or reference view should be saved
+    this.onLayoutUpdate = options.onLayoutUpdate || (() => { });
+    // Called with 'changed' (view moved, rediscovering), 'unconfirmed' (new lanes need confirmLayout())
+    // or 'resumed' (lanes match a saved or confirmed layout again)
+    this.onSceneChange = options.onSceneChange || (() => { });
+    // Layout the lanes are attributed to, and the view it belongs to
+    this.savedLayout = null;
+    // Lanes discovered after the view changed, until confirmLayout()
+    this.pendingLanes = null;
+    // Every raw result is written here when given (a ResultLogRecorder)
+    this.resultLog = options.resultLog || null;
+    // Emergency vehicles followed across results until they clear
+    this.emergencyTracker = new EmergencyTracker();
+    // Sampling budget ({ fps, sampling_ratio, ... }) over the SDK processing defaults;
+    // its sampling_ratio caps the adaptive one
+    this.processing = options.processing || {};
+    // Frame rate from the frameRate setting, adapted to latency and congestion (see AdaptiveSampler)
+    this.sampler = new AdaptiveSampler(options.sampling);
+    // Called with the sampler's stats (effective frames per minute, cost per hour) after each result
+    this.onSamplingChange = options.onSamplingChange || (() => { });
+    this.sceneDetector = new SceneChangeDetector({
+      onChange: () => this.handleSceneChange(),
+      onReturn: () => this.handleSceneReturn(),
+      onReference: (fingerprint) => this.handleSceneReference(fingerprint)
+    });
   }
 
   /**
-   * Set the API key
+   * Start a new session, quality counters cleared. Cameras with a saved lane
+   * layout go straight to monitoring; others start with lane discovery.
    */
-  setApiKey(apiKey) {
-    this.apiKey = apiKey;
-    // Save to localStorage for persistence
-    if (apiKey) {
-      localStorage.setItem('trafiq_api_key', apiKey);
+  resetSession() {
+    this.sceneDetector.stop();
+    this.pendingLanes = null;
+    if (this.camera?.lanes?.length) {
+      console.log(`🛣️ Using the saved lane layout for ${this.camera.name} (${this.camera.lanes.length} lanes)`);
+      this.phase = 'monitoring';
+      this.discoveredLanes = this.camera.lanes;
+      this.savedLayout = { lanes: this.camera.lanes, fingerprint: this.camera.viewFingerprint || null };
+    } else {
+      this.phase = 'discovery';
+      this.discoveredLanes = [];
+      this.savedLayout = null;
     }
+    this.quality.reset();
+    this.onQualityChange(this.quality.getStats());
+    this.sampler.reset();
+    this.emergencyTracker.reset();
+    this.resultLog?.begin({
+      backend: this.id,
+      camera: this.camera ? { id: this.camera.id, name: this.camera.name } : null,
+      lanes: this.savedLayout?.lanes || []
+    });
   }
 
   /**
-   * Get saved API key from localStorage
+   * Prompt (and output schema) for the current phase
    */
-  getSavedApiKey() {
-    return localStorage.getItem('trafiq_api_key') || '';
+  getPromptOptions() {
+    if (this.phase === 'monitoring') {
+      return { prompt: generateMonitoringPrompt(this.discoveredLanes), outputSchema: MONITORING_SCHEMA };
+    }
+    return { prompt: LANE_DISCOVERY_PROMPT };
   }
 
   /**
-   * Initialize the RealtimeVision instance with camera source
+   * SDK processing options at the sampler's current rate. A sampling budget's
+   * sampling_ratio caps the adaptive ratio rather than replacing it.
    */
+  getProcessing(fps) {
+    const { sampling_ratio: budgetRatio, ...budget } = this.processing;
+    const processing = {
+      clip_length_seconds: 2,
+      delay_seconds: 1,
+      fps,
+      ...budget
+    };
+    const ratio = this.sampler.getSamplingRatio(processing.fps);
+    processing.sampling_ratio = budgetRatio ? Math.min(ratio, budgetRatio) : ratio;
+    this.sampler.setProcessing(processing);
+    return processing;
+  }
+
   /**
    * Initialize the RealtimeVision instance with camera source
    */
   async initWithCamera(cameraFacing = 'environment') {
-    if (!this.apiKey) {
-      throw new Error('API key is required');
-    }
-
-    // Reset phase
-    this.phase = 'discovery';
-    this.discoveredLanes = [];
+    this.resetSession();
 
     // Store config for restarts
     this.sourceConfig = { type: 'camera', cameraFacing };
@@ -144,17 +243,12 @@ export class TrafficAnalyzer {
       this.vision = new RealtimeVision({
         apiUrl: this.apiUrl,
         apiKey: this.apiKey,
-        prompt: LANE_DISCOVERY_PROMPT,
+        ...this.getPromptOptions(),
         source: {
           type: 'camera',
           cameraFacing: cameraFacing
         },
-        processing: {
-          clip_length_seconds: 2,
-          delay_seconds: 1,
-          fps: 15,
-          sampling_ratio: 0.15
-        },
+        processing: this.getProcessing(15),
         onResult: (result) => this.handleResult(result)
       });
 
@@ -168,33 +262,21 @@ export class TrafficAnalyzer {
   /**
    * Initialize the RealtimeVision instance with video file
    */
-  /**
-   * Initialize the RealtimeVision instance with video file
-   */
-  initWithVideoFile(file) {
+  async initWithVideoFile(file) {
     console.log('📹 Initializing with video file:', file?.name || file);
-    if (!this.apiKey) {
-      throw new Error('API key is required');
-    }
 
-    this.phase = 'discovery';
-    this.discoveredLanes = [];
+    this.resetSession();
     this.sourceConfig = { type: 'video', file };
 
     this.vision = new RealtimeVision({
       apiUrl: this.apiUrl,
       apiKey: this.apiKey,
-      prompt: LANE_DISCOVERY_PROMPT,
+      ...this.getPromptOptions(),
       source: {
         type: 'video',
         file: file
       },
-      processing: {
-        clip_length_seconds: 2,
-        delay_seconds: 1,
-        fps: 15,
-        sampling_ratio: 0.15
-      },
+      processing: this.getProcessing(15),
       onResult: (result) => this.handleResult(result)
     });
 
@@ -203,41 +285,21 @@ export class TrafficAnalyzer {
 
   /**
    * Initialize with an existing HTMLVideoElement (e.g. from VideoFeed)
-   * Captures stream from the element without creating a new HLS instance
+   * Captures stream from the element without creating a new HLS instance.
+   * Finite sources restart from the beginning and end the analysis when they
+   * finish (see VisionBackend.attachVideoElement).
    */
   async initWithVideoElement(videoElement) {
-    this.phase = 'discovery';
-    this.discoveredLanes = [];
-
-    if (!this.apiKey) {
-      throw new Error('API key is required');
-    }
-
-    if (!videoElement) {
-      throw new Error('Video element is required');
-    }
+    this.resetSession();
 
     // Cleanup previous internal streams
     this.cleanupPreviousSession();
 
-    // Store reference (but don't delete it on cleanup!)
-    this.externalVideoElement = videoElement;
-
     // Capture stream
     // Ensure video is playing and has data before capturing
     try {
-      if (videoElement.readyState < 3) { // HAVE_FUTURE_DATA
-        console.log('⏳ Waiting for video to have data...');
-        await new Promise((resolve) => {
-          const onCanPlay = () => {
-            videoElement.removeEventListener('canplay', onCanPlay);
-            resolve();
-          };
-          videoElement.addEventListener('canplay', onCanPlay);
-          // Fallback timeout
-          setTimeout(resolve, 5000);
-        });
-      }
+      // Keeps a reference (but doesn't delete the element on cleanup!)
+      await this.attachVideoElement(videoElement);
 
       // 15 FPS is sufficient for analysis
       this.customStream = videoElement.captureStream(15);
@@ -269,14 +331,9 @@ export class TrafficAnalyzer {
     this.vision = new RealtimeVision({
       apiUrl: this.apiUrl,
       apiKey: this.apiKey,
-      prompt: LANE_DISCOVERY_PROMPT,
+      ...this.getPromptOptions(),
       source: this.sourceConfig,
-      processing: {
-        clip_length_seconds: 2,
-        delay_seconds: 1,
-        fps: 10,
-        sampling_ratio: 0.15
-      },
+      processing: this.getProcessing(10),
       onResult: (result) => this.handleResult(result)
     });
 
@@ -295,7 +352,7 @@ export class TrafficAnalyzer {
     }
 
     // We do NOT remove externalVideoElement, as we don't own it
-    this.externalVideoElement = null;
+    this.detachVideoElement();
 
     if (this.customStream) {
       this.customStream.getTracks().forEach(track => track.stop());
@@ -307,6 +364,14 @@ export class TrafficAnalyzer {
    * Handle AI result from overshoot
    */
   handleResult(result) {
+    this.onHeartbeat();
+    this.resultLog?.record(result, {
+      phase: this.phase,
+      prompt: this.getPromptOptions().prompt,
+      lanes: this.discoveredLanes
+    });
+    this.sampler.recordResult(result?.total_latency_ms);
+
     // Extensive logging for debugging monitoring phase
     if (this.phase === 'monitoring') {
       console.log('📡 [Monitoring] Raw result:', result);
@@ -318,6 +383,8 @@ export class TrafficAnalyzer {
       // Handle timeout gracefully - SDK will continue with next frame
       if (errorMsg.includes('timeout')) {
         console.warn('⏱️ API timeout - waiting for next frame...');
+        this.sampler.recordTimeout();
+        this.updateSampling();
         return; // Don't treat as fatal, just skip this frame
       }
       console.warn('⚠️ Overshoot API error:', result.error);
@@ -326,40 +393,51 @@ export class TrafficAnalyzer {
     }
 
     try {
-      let data = result?.result;
-
       // Check if result.result is missing or empty
-      if (data === undefined || data === null) {
+      if (result?.result === undefined || result?.result === null) {
         console.warn('⚠️ result.result is undefined or null, skipping');
         return;
       }
 
-      // Parse JSON if it's a string
-      if (typeof data === 'string') {
-        // Check for empty or incomplete JSON
-        if (!data.trim() || data.trim() === '') {
-          if (this.phase === 'monitoring') console.warn('⚠️ Empty string result in monitoring');
-          return;
-        }
-
-        // Clean markdown formatting if present
-        data = data.replace(/```json\n?|```/g, '').trim();
-
-        // console.log('🔄 Parsing JSON string:', data.substring(0, 50)); 
-        data = JSON.parse(data);
+      // Parse JSON, repairing fenced, padded or cut-off output
+      let data;
+      let repaired = false;
+      try {
+        ({ data, repaired } = parseModelJson(result.result));
+      } catch (error) {
+        console.warn(`⚠️ Unusable ${this.phase} result: ${error.message}`, result.result);
+        if (this.phase === 'monitoring') this.recordQuality('rejected', [error.message]);
+        return;
       }
 
       // Check phase and handle transitions
       if (this.phase === 'discovery') {
         if (data && Array.isArray(data.lanes) && data.lanes.length > 0) {
           console.log('🎯 Discovery success! Found lanes:', data.lanes.length);
+          // Numbered 1..n and trimmed the same way as a saved layout
+          const { lanes } = validateLanes(data.lanes.filter(l => l && typeof l === 'object'));
           this.phase = 'monitoring';
-          this.discoveredLanes = data.lanes;
+          if (!this.savedLayout) {
+            // First layout for this camera; its reference view is taken once monitoring starts
+            this.savedLayout = { lanes, fingerprint: null };
+            this.discoveredLanes = lanes;
+          } else if (lanesMatch(lanes, this.savedLayout.lanes)) {
+            // The new view shows the same lanes (e.g. a slightly different zoom): keep the confirmed layout
+            console.log('🛣️ Rediscovered lanes match the saved layout');
+            this.discoveredLanes = this.savedLayout.lanes;
+            this.acceptCurrentView();
+            this.onSceneChange('resumed');
+          } else {
+            console.log('🛣️ Rediscovered lanes differ from the saved layout, waiting for confirmation');
+            this.discoveredLanes = lanes;
+            this.pendingLanes = lanes;
+            this.onSceneChange('unconfirmed');
+          }
 
           this.onStatusChange('configuring');
 
           // Emit discovery data so UI updates immediately
-          const discoveryData = this.normalizeData(data);
+          const discoveryData = this.normalizeData({ ...data, lanes: this.discoveredLanes });
           discoveryData._meta = {
             timestamp: new Date().toISOString(),
             inference_latency_ms: result.inference_latency_ms,
@@ -368,7 +446,7 @@ export class TrafficAnalyzer {
           };
           this.onResult(discoveryData);
 
-          this.switchToMonitoring(data.lanes);
+          this.switchToMonitoring(this.discoveredLanes);
           return;
         } else {
           console.log('🔍 Still discovering lanes...');
@@ -377,13 +455,26 @@ export class TrafficAnalyzer {
       }
 
       // Monitoring Phase processing
-      // Check if data actually has our expected fields
-      if (!data.lanes && !data.vehicle_count) {
-        console.warn('⚠️ Monitoring result missing structure:', data);
+      // Check against the schema; frames with nothing usable are dropped, not recorded as zero traffic
+      const validation = validateMonitoringResult(data, {
+        schema: MONITORING_SCHEMA,
+        laneIds: this.discoveredLanes.map(l => Number(l.lane_id)).filter(Number.isFinite)
+      });
+      if (!validation.ok) {
+        console.warn('⚠️ Rejected monitoring result:', validation.reason, validation.issues, data);
+        this.recordQuality('rejected', [validation.reason, ...validation.issues]);
+        return;
+      }
+      if (repaired || validation.issues.length > 0) {
+        console.warn('🔧 Repaired monitoring result:', validation.issues);
+        this.recordQuality('repaired', repaired ? ['Repaired malformed JSON', ...validation.issues] : validation.issues);
+      } else {
+        this.recordQuality('clean');
       }
 
       // Normalize the data structure
-      const normalizedData = this.normalizeData(data);
+      const normalizedData = this.normalizeData(validation.data);
+      this.trackEmergencies(normalizedData);
 
       // Add metadata
       normalizedData._meta = {
@@ -394,6 +485,8 @@ export class TrafficAnalyzer {
       };
 
       this.onResult(normalizedData);
+      this.sampler.recordCongestion(normalizedData.lanes);
+      this.updateSampling();
     } catch (error) {
       console.error('Error parsing result:', error);
       console.error('Problematic result.result:', result?.result);
@@ -401,6 +494,38 @@ export class TrafficAnalyzer {
     }
   }
 
+  /**
+   * Give each emergency vehicle its track id and status, list the ones that
+   * cleared, and raise a high-priority alert for each new one
+   */
+  trackEmergencies(data) {
+    const { vehicles, cleared } = this.emergencyTracker.update(data.emergency_vehicles);
+    data.emergency_vehicles = vehicles;
+    data.emergencies_cleared = cleared;
+    vehicles.filter(vehicle => vehicle.status === 'new').forEach(vehicle => {
+      console.log(`🚨 ${vehicle.type} detected in lane ${vehicle.lane_id}`);
+      data.alerts.unshift(emergencyAlert(vehicle));
+    });
+    cleared.forEach(vehicle => console.log(`🚑 ${vehicle.type} cleared (lane ${vehicle.lane_id})`));
+  }
+
+  /**
+   * Report the sampling stats, and restart the session when the sampler picked a new rate
+   */
+  updateSampling() {
+    // Nothing is sampled without a vision session (e.g. when replaying a log)
+    if (!this.vision) return;
+    if (this.sampler.update() && this.isRunning && !this.isStarting) {
+      this.restartVision().catch(error => this.onError(error));
+    }
+    this.onSamplingChange(this.sampler.getStats());
+  }
+
+  recordQuality(outcome, issues = []) {
+    this.quality.record(outcome, issues);
+    this.onQualityChange(this.quality.getStats());
+  }
+
   /**
    * Normalize data to ensure consistent structure
    */
@@ -419,6 +544,7 @@ export class TrafficAnalyzer {
 
       return {
         lane_id: laneId,
+        name: knownLane?.name || '',
         direction: knownLane?.direction || lane.direction || 'Unknown',
         vehicle_count: lane.vehicle_count || 0,
         vehicle_types: {
@@ -439,6 +565,11 @@ export class TrafficAnalyzer {
       lanes: normalizedLanes,
       pedestrians: data.pedestrians || 0,
       avg_wait_seconds: data.avg_wait_seconds || 0,
+      emergency_vehicles: (Array.isArray(data.emergency_vehicles) ? data.emergency_vehicles : []).map(vehicle => ({
+        type: vehicle.type,
+        lane_id: vehicle.lane_id,
+        direction: this.discoveredLanes.find(l => l.lane_id === vehicle.lane_id)?.direction || 'Unknown'
+      })),
       predicted_wait_seconds: {},
       alerts: Array.isArray(data.alerts) ? data.alerts : [],
       optimization_suggestions: Array.isArray(data.recommendations) ? data.recommendations : [],
@@ -451,7 +582,9 @@ export class TrafficAnalyzer {
    */
   async start() {
     if (!this.vision) {
-      throw new Error('Vision not initialized. Call initWithCamera() or initWithVideoFile() first.');
+      const error = new Error('Vision not initialized. Call initWithCamera() or initWithVideoFile() first.');
+      error.code = 'not_initialized';
+      throw error;
     }
 
     try {
@@ -478,8 +611,10 @@ export class TrafficAnalyzer {
 
       this.isRunning = true;
       this.onStatusChange('connected');
+      if (this.phase === 'monitoring') this.watchScene();
     } catch (error) {
       this.onStatusChange('error');
+      if (isTimeoutError(error)) this.sampler.recordTimeout();
       // Only report error if we haven't been stopped intentionally
       if (this.isStarting || this.isRunning) {
         this.onError(error);
@@ -490,9 +625,6 @@ export class TrafficAnalyzer {
     }
   }
 
-  /**
-   * Stop the video analysis
-   */
   /**
    * Stop the video analysis
    * @param {boolean} keepStream - If true, keeps the custom stream alive (for switching phases)
@@ -510,6 +642,7 @@ export class TrafficAnalyzer {
         this.isStarting = false;
 
         if (!keepStream) {
+          this.sceneDetector.stop();
           this.cleanupPreviousSession();
           this.onStatusChange('disconnected');
         }
@@ -530,46 +663,125 @@ export class TrafficAnalyzer {
     }
 
     try {
-      // Stop current vision but keep stream
-      await this.stop(true);
+      await this.restartVision();
+    } catch (e) {
+      console.error('Failed to switch to monitoring:', e);
+      this.onError(e);
+      // Try to recover?
+    }
+  }
 
-      const monitoringPrompt = generateMonitoringPrompt(lanes);
+  /**
+   * Restart the SDK with the prompt for the current phase, keeping the stream
+   */
+  async restartVision() {
+    // Stop current vision but keep stream
+    await this.stop(true);
 
-      // Re-init with new prompt
-      // Use customStream if available, otherwise check source config
-      // Note: For video files, we might restart from beginning or need seek support (complex).
-      // For now, assuming video file restart is acceptable or purely for camera focus.
+    // Re-init with new prompt
+    // Use customStream if available, otherwise check source config
+    // Note: For video files, we might restart from beginning or need seek support (complex).
+    // For now, assuming video file restart is acceptable or purely for camera focus.
 
-      this.vision = new RealtimeVision({
-        apiUrl: this.apiUrl,
-        apiKey: this.apiKey,
-        prompt: monitoringPrompt,
-        outputSchema: MONITORING_SCHEMA,
-        source: this.sourceConfig || { type: 'camera', cameraFacing: 'environment' },
-        processing: {
-          clip_length_seconds: 2,
-          delay_seconds: 1,
-          fps: 15,
-          sampling_ratio: 0.15
-        },
-        onResult: (result) => this.handleResult(result)
-      });
+    this.vision = new RealtimeVision({
+      apiUrl: this.apiUrl,
+      apiKey: this.apiKey,
+      ...this.getPromptOptions(),
+      source: this.sourceConfig || { type: 'camera', cameraFacing: 'environment' },
+      processing: this.getProcessing(15),
+      onResult: (result) => this.handleResult(result)
+    });
+
+    // Restart
+    await this.start();
+  }
 
-      // Restart
-      await this.start();
+  /**
+   * Reconnect to Overshoot in the current phase, keeping the discovered lanes
+   */
+  async reconnect() {
+    console.log(`🔁 Reconnecting (${this.phase}, ${this.discoveredLanes.length} lanes)`);
+    // A lost or stalled connection counts as a timeout: come back at a lower rate
+    this.sampler.recordTimeout();
+    this.sampler.update();
+    await this.restartVision();
+  }
+
+  /**
+   * Compare frames against the view the lane layout belongs to
+   */
+  watchScene() {
+    if (this.sceneDetector.isWatching()) return;
+    const videoElement = this.externalVideoElement || this.getVideoElement();
+    if (videoElement) this.sceneDetector.start(videoElement, this.savedLayout?.fingerprint || null);
+  }
+
+  /**
+   * First frame of a layout without a reference view: remember the view with the layout
+   */
+  handleSceneReference(fingerprint) {
+    if (!this.savedLayout || this.pendingLanes) return;
+    this.savedLayout.fingerprint = fingerprint;
+    this.onLayoutUpdate({ ...this.savedLayout });
+  }
+
+  /**
+   * The camera was panned or zoomed: stop attributing counts to the old lanes
+   * and discover the lanes of the new view
+   */
+  async handleSceneChange() {
+    if (this.phase !== 'monitoring' || !this.isRunning) return;
 
+    console.log('🔄 Camera view changed, rediscovering lanes');
+    this.pendingLanes = null;
+    this.phase = 'discovery';
+    this.discoveredLanes = [];
+    this.onSceneChange('changed');
+    try {
+      await this.restartVision();
     } catch (e) {
-      console.error('Failed to switch to monitoring:', e);
+      console.error('Failed to restart discovery:', e);
       this.onError(e);
-      // Try to recover?
     }
   }
 
   /**
-   * Check if the analyzer is currently running
+   * The camera is back at the saved view: monitor the saved layout again
+   */
+  async handleSceneReturn() {
+    if (!this.savedLayout || !this.isRunning) return;
+
+    console.log('🔄 Camera view restored, resuming the saved lane layout');
+    this.pendingLanes = null;
+    this.phase = 'monitoring';
+    this.discoveredLanes = this.savedLayout.lanes;
+    this.onSceneChange('resumed');
+    try {
+      await this.restartVision();
+    } catch (e) {
+      console.error('Failed to resume monitoring:', e);
+      this.onError(e);
+    }
+  }
+
+  /**
+   * Make the current view and lanes the saved layout
+   */
+  acceptCurrentView() {
+    this.sceneDetector.acceptView();
+    this.savedLayout = { lanes: this.discoveredLanes, fingerprint: this.sceneDetector.reference };
+    this.onLayoutUpdate({ ...this.savedLayout });
+  }
+
+  /**
+   * Accept the lanes discovered after a view change (see onSceneChange 'unconfirmed')
    */
-  getIsRunning() {
-    return this.isRunning;
+  confirmLayout() {
+    if (!this.pendingLanes) return;
+    console.log('🛣️ New lane layout confirmed');
+    this.pendingLanes = null;
+    this.acceptCurrentView();
+    this.onSceneChange('resumed');
   }
 
   /**
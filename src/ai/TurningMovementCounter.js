@@ -0,0 +1,137 @@
+/**
+ * TurningMovementCounter
+ * Classifies tracked vehicles into turning movements for a turning movement
+ * count (TMC). Each movement zone is a polygon on the video covering one leg
+ * of the intersection, named by its compass approach (N, E, S, W, ...). A
+ * vehicle enters through the first zone it is seen in and exits through the
+ * next zone of another leg; the angle between the two legs makes the movement
+ * left, through or right. A vehicle that leaves its entry zone for at least
+ * U_TURN_MS and comes back into it made a U-turn. Vehicles that are lost
+ * before reaching an exit zone are not counted.
+ *
+ * A vehicle is where it touches the road: the bottom middle of its box.
+ */
+
+export const MOVEMENTS = ['left', 'through', 'right', 'uturn'];
+export const TMC_INTERVAL_MINUTES = 15;
+const U_TURN_MS = 3000;
+
+// Compass bearing of each leg
+const BEARINGS = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+
+/**
+ * Movement of a vehicle that entered from one leg and left by another
+ * @param {string} from - approach the vehicle came from
+ * @param {string} to - approach it left by
+ * @returns {string|null} 'left' | 'through' | 'right' | 'uturn', null for unknown legs
+ */
+export function classifyMovement(from, to) {
+    if (!(from in BEARINGS) || !(to in BEARINGS)) return null;
+    // Clockwise angle from the entry leg to the exit leg
+    const angle = (BEARINGS[to] - BEARINGS[from] + 360) % 360;
+    if (angle === 0) return 'uturn';
+    if (Math.abs(angle - 180) <= 45) return 'through';
+    return angle < 180 ? 'left' : 'right';
+}
+
+/**
+ * Local start of the 15-minute interval a time falls in, as 'YYYY-MM-DD HH:MM'
+ */
+export function intervalStart(time = new Date()) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    const minutes = Math.floor(date.getMinutes() / TMC_INTERVAL_MINUTES) * TMC_INTERVAL_MINUTES;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(minutes)}`;
+}
+
+/**
+ * Whether a point is inside a polygon (both in video coordinates)
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export class TurningMovementCounter {
+    constructor() {
+        this.zones = [];
+        this.reset();
+    }
+
+    /**
+     * @param {Object[]} zones - the camera's movementZones: [{ approach, polygon: [{x, y}] }]
+     */
+    setZones(zones = []) {
+        this.zones = zones;
+        this.reset();
+    }
+
+    reset() {
+        // Entry approach and progress by track id
+        this.vehicles = new Map();
+    }
+
+    /**
+     * Approach of the zone a point (video coordinates, 0 to 1) is in
+     */
+    zoneAt(point) {
+        return this.zones.find(zone => pointInPolygon(point, zone.polygon))?.approach || null;
+    }
+
+    /**
+     * @param {Object[]} tracks - [{ id, bbox: [x, y, w, h], class, missingFrames }] in video pixels
+     * @param {{ width: number, height: number }} frame - video size in pixels
+     * @returns {Object[]} movements completed by this update: [{ approach, movement, vehicleClass, time }]
+     */
+    update(tracks, { width, height }, now = Date.now()) {
+        const movements = [];
+        if (!this.zones.length || !width || !height) return movements;
+
+        const alive = new Set();
+        tracks.forEach(track => {
+            alive.add(track.id);
+            if (track.missingFrames > 0) return;
+
+            const [x, y, w, h] = track.bbox;
+            const approach = this.zoneAt({ x: (x + w / 2) / width, y: (y + h) / height });
+            let vehicle = this.vehicles.get(track.id);
+            if (!vehicle) {
+                if (!approach) return;
+                vehicle = { entry: approach, leftEntryAt: null, done: false };
+                this.vehicles.set(track.id, vehicle);
+            }
+            if (vehicle.done) return;
+
+            if (approach === vehicle.entry) {
+                const uturn = vehicle.leftEntryAt !== null && now - vehicle.leftEntryAt >= U_TURN_MS;
+                vehicle.leftEntryAt = null;
+                if (!uturn) return;
+            } else if (!approach) {
+                vehicle.leftEntryAt ??= now;
+                return;
+            }
+
+            const movement = classifyMovement(vehicle.entry, approach);
+            vehicle.done = true;
+            if (movement) {
+                movements.push({ approach: vehicle.entry, movement, vehicleClass: track.class, time: new Date(now).toISOString() });
+            }
+        });
+
+        // Forget vehicles the tracker dropped
+        this.vehicles.forEach((_, id) => {
+            if (!alive.has(id)) this.vehicles.delete(id);
+        });
+        return movements;
+    }
+}
+
+export default TurningMovementCounter;
@@ -0,0 +1,168 @@
+/**
+ * VisionBackend
+ * Common lifecycle for the engines that turn video into traffic results.
+ * A backend is initialized from a camera, a video file or an existing video
+ * element, then started and stopped. While running it reports normalized
+ * results (lanes, pedestrians, alerts, ...) through onResult and its status
+ * (connecting, connected, ended, disconnected, error) through onStatusChange.
+ * Backends that count vehicles themselves set providesCounts and report
+ * cumulative counts through onCounts; for the others the dashboard runs the
+ * local counter alongside.
+ */
+export class VisionBackend {
+    static id = 'base';
+    static providesCounts = false;
+
+    constructor(options = {}) {
+        this.onResult = options.onResult || (() => { });
+        this.onError = options.onError || console.error;
+        this.onStatusChange = options.onStatusChange || (() => { });
+        this.onCounts = options.onCounts || (() => { });
+        // Called for every raw result, even ones that produce no data, to show the connection is alive
+        this.onHeartbeat = options.onHeartbeat || (() => { });
+        // Registry camera being analyzed, if any (lane count, approaches, ...)
+        this.camera = options.camera || null;
+        this.isRunning = false;
+        this.externalVideoElement = null;
+        this.sourceEndedHandler = null;
+    }
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    get providesCounts() {
+        return this.constructor.providesCounts;
+    }
+
+    /**
+     * @param {'user' | 'environment'} cameraFacing
+     */
+    async initWithCamera(cameraFacing = 'environment') {
+        throw new Error(`${this.id} backend does not support cameras`);
+    }
+
+    /**
+     * @param {File} file
+     */
+    async initWithVideoFile(file) {
+        throw new Error(`${this.id} backend does not support video files`);
+    }
+
+    /**
+     * @param {HTMLVideoElement} videoElement - owned by the caller, never removed by the backend
+     */
+    async initWithVideoElement(videoElement) {
+        throw new Error(`${this.id} backend does not support video elements`);
+    }
+
+    async start() {
+        throw new Error(`${this.id} backend does not implement start()`);
+    }
+
+    async stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Resume after a lost connection, keeping the session's lanes. Backends
+     * that analyze in the browser have no connection to restore.
+     */
+    async reconnect() { }
+
+    getIsRunning() {
+        return this.isRunning;
+    }
+
+    /**
+     * Lanes to report on: the camera's saved layout, or numbered lanes for its lane count
+     */
+    getLaneLayout(defaultLaneCount = 1) {
+        if (this.camera?.lanes?.length) return this.camera.lanes;
+        const count = this.camera?.laneCount || defaultLaneCount;
+        return Array.from({ length: count }, (_, i) => ({ lane_id: i + 1, name: '', direction: 'Unknown', type: 'car' }));
+    }
+
+    /**
+     * Video element the backend plays its source in, for display
+     */
+    getVideoElement() {
+        return null;
+    }
+
+    /**
+     * Wait until an external video element has data. Sources with a finite
+     * duration (DVR recordings, VOD playlists, files) are played from the start
+     * so re-analysis sees the same footage, and handleSourceEnded runs when
+     * playback reaches the end.
+     */
+    async attachVideoElement(videoElement) {
+        if (!videoElement) {
+            throw new Error('Video element is required');
+        }
+        this.detachVideoElement();
+        this.externalVideoElement = videoElement;
+
+        if (videoElement.readyState < 3) { // HAVE_FUTURE_DATA
+            console.log('⏳ Waiting for video to have data...');
+            await new Promise((resolve) => {
+                const onCanPlay = () => {
+                    videoElement.removeEventListener('canplay', onCanPlay);
+                    resolve();
+                };
+                videoElement.addEventListener('canplay', onCanPlay);
+                // Fallback timeout
+                setTimeout(resolve, 5000);
+            });
+        }
+
+        if (Number.isFinite(videoElement.duration)) {
+            videoElement.currentTime = 0;
+            this.sourceEndedHandler = () => this.handleSourceEnded();
+            videoElement.addEventListener('ended', this.sourceEndedHandler);
+        }
+    }
+
+    detachVideoElement() {
+        if (this.sourceEndedHandler) {
+            this.externalVideoElement?.removeEventListener('ended', this.sourceEndedHandler);
+            this.sourceEndedHandler = null;
+        }
+        this.externalVideoElement = null;
+    }
+
+    /**
+     * Stop analysis once a recorded source has played to the end
+     */
+    async handleSourceEnded() {
+        console.log('⏹️ Source playback ended, stopping analysis');
+        await this.stop();
+        this.onStatusChange('ended');
+    }
+}
+
+/**
+ * Empty result in the normalized shape every backend reports
+ */
+export function createEmptyResult() {
+    return {
+        lanes: [],
+        pedestrians: 0,
+        avg_wait_seconds: 0,
+        predicted_wait_seconds: {},
+        alerts: [],
+        optimization_suggestions: [],
+        engineering_suggestions: []
+    };
+}
+
+/**
+ * Congestion level of a lane from the vehicles in view
+ */
+export function congestionFromCount(vehicleCount) {
+    if (vehicleCount >= 8) return 'high';
+    if (vehicleCount >= 4) return 'medium';
+    return 'low';
+}
+
+export default VisionBackend;
@@ -0,0 +1,25 @@
+/**
+ * Vision backend factory
+ * Kept apart from VisionBackend.js, which every backend imports.
+ */
+import { TrafficAnalyzer } from './TrafficAnalyzer.js';
+import { LocalCounterBackend } from './LocalCounterBackend.js';
+import { MockBackend } from './MockBackend.js';
+import { DEFAULT_VISION_BACKEND } from '../config/visionBackends.js';
+
+const BACKEND_CLASSES = {
+    [TrafficAnalyzer.id]: TrafficAnalyzer,
+    [LocalCounterBackend.id]: LocalCounterBackend,
+    [MockBackend.id]: MockBackend
+};
+
+/**
+ * @param {string} id - one of VISION_BACKENDS
+ * @param {Object} options - callbacks (onResult, onError, onStatusChange, onCounts) and camera
+ */
+export function createVisionBackend(id, options = {}) {
+    const Backend = BACKEND_CLASSES[id] || BACKEND_CLASSES[DEFAULT_VISION_BACKEND];
+    return new Backend(options);
+}
+
+export default createVisionBackend;
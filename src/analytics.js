@@ -3,13 +3,20 @@
  * Handles analytics display and data visualization
  */
 import { dataStore } from './services/DataStore.js';
-import { OFFICIAL_CAMERAS } from './config/cameras.js'; // Import official cameras for names
+import { cameraRegistryService } from './services/CameraRegistryService.js';
 import { UIUtils } from './utils/UIUtils.js';
+import { MOVEMENTS } from './ai/TurningMovementCounter.js';
 import './style.css';
 
+// Approaches in clockwise order, as TMC tables list them
+const APPROACH_ORDER = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const MOVEMENT_LABELS = { left: 'L', through: 'T', right: 'R', uturn: 'U' };
+
 class AnalyticsPage {
     constructor() {
         this.selectedCameraId = '';
+        this.tmcClass = '';
+        this.speedLane = '';
         this.init();
     }
 
@@ -23,16 +30,13 @@ class AnalyticsPage {
             // Get unique camera names from data store keys
             const storedCameras = Object.keys(dataStore.data.analytics.cameraHourlyData || {});
 
-            // Merge with official list to get nice names
-            const allCameras = new Set([...storedCameras, ...OFFICIAL_CAMERAS.map(c => c.id)]);
+            // Merge with the camera registry to get nice names
+            const allCameras = new Set([...storedCameras, ...cameraRegistryService.getAll().map(c => String(c.id))]);
 
             allCameras.forEach(camId => {
-                const officialName = OFFICIAL_CAMERAS.find(c => c.id === camId)?.name;
-                const name = officialName || camId; // Fallback to ID if custom/unknown
-
                 const option = document.createElement('option');
                 option.value = camId;
-                option.textContent = name;
+                option.textContent = cameraRegistryService.getName(camId); // Falls back to the ID for unknown cameras
                 filter.appendChild(option);
             });
 
@@ -56,6 +60,18 @@ class AnalyticsPage {
 
         this.loadAnalytics();
         this.setupEventListeners();
+
+        cameraRegistryService.load().then(() => {
+            this.populateCameraFilter();
+            this.loadAnalytics();
+        });
+
+        // Show local data straight away, then the team's shared data once it arrives
+        dataStore.sync().then(synced => {
+            if (!synced) return;
+            this.populateCameraFilter();
+            this.loadAnalytics();
+        });
         console.log('📊 Analytics page initialized');
     }
 
@@ -69,6 +85,9 @@ class AnalyticsPage {
         this.updateChart();
         this.updateIncidentLog();
         this.updateSuggestionsLog();
+        this.updateMovementTable();
+        this.updateLineCounts();
+        this.updateSpeedStudy();
     }
 
     updateRoadSpecificCardsVisibility() {
@@ -88,6 +107,7 @@ class AnalyticsPage {
         const flowEfficiencyEl = document.getElementById('flowEfficiency');
         const incidentsTodayEl = document.getElementById('incidentsToday');
         const emergencyEventsEl = document.getElementById('emergencyEvents');
+        const emergencyResponseEl = document.getElementById('emergencyResponseTime');
 
         if (totalVehiclesEl) {
             let val = summary.totalVehiclesToday !== undefined ? summary.totalVehiclesToday : 0;
@@ -98,6 +118,11 @@ class AnalyticsPage {
         if (flowEfficiencyEl) flowEfficiencyEl.textContent = `${summary.flowEfficiency || 0}%`;
         if (incidentsTodayEl) incidentsTodayEl.textContent = summary.incidentsToday || 0;
         if (emergencyEventsEl) emergencyEventsEl.textContent = summary.emergencyEvents || 0;
+        if (emergencyResponseEl) {
+            emergencyResponseEl.textContent = summary.avgEmergencyResponseSeconds !== null
+                ? `Avg clearance ${summary.avgEmergencyResponseSeconds}s`
+                : 'No cleared responses yet';
+        }
     }
 
     updatePeakHours() {
@@ -150,11 +175,12 @@ class AnalyticsPage {
             return;
         }
 
+        const esc = UIUtils.escapeHtml;
         container.innerHTML = intersections.map((int, index) => `
             <div class="intersection-item">
                 <span class="intersection-item__rank">${index + 1}</span>
                 <div class="intersection-item__info">
-                    <span class="intersection-item__name">${int.name}</span>
+                    <span class="intersection-item__name">${esc(int.name)}</span>
                     <span class="intersection-item__stats">${int.vehicles.toLocaleString()} vehicles</span>
                 </div>
                 <span class="intersection-item__status intersection-item__status--${int.congestion}">${this.capitalizeFirst(int.congestion)}</span>
@@ -174,14 +200,8 @@ class AnalyticsPage {
         // Filter by camera if selected
         let filtered = incidents;
         if (this.selectedCameraId) {
-            // Look for ID match in intersection name or ID field? 
-            // Note: Incident log currently saves 'intersection' name, not ID. 
-            // This is a limitation, but we can fuzzy match or skip for now.
-            // Best effort:
-            const cameraName = OFFICIAL_CAMERAS.find(c => c.id === this.selectedCameraId)?.name;
-            if (cameraName) {
-                filtered = incidents.filter(i => i.intersection === cameraName || i.intersection === this.selectedCameraId);
-            }
+            // Incidents may record the intersection by name rather than ID
+            filtered = incidents.filter(i => cameraRegistryService.matches(this.selectedCameraId, i.intersection));
         }
 
         if (filtered.length === 0) {
@@ -189,13 +209,14 @@ class AnalyticsPage {
             return;
         }
 
+        const esc = UIUtils.escapeHtml;
         container.innerHTML = filtered.map(item => `
             <div class="log-item">
                 <div class="alert-item__icon alert-item__icon--warning">⚠️</div>
                 <div class="log-item__content">
-                    <span class="log-item__text">${item.description}</span>
+                    <span class="log-item__text">${esc(item.description)}</span>
                     <div class="log-item__meta">
-                        <span>${item.intersection || 'Unknown Location'}</span> • 
+                        <span>${esc(item.intersection || 'Unknown Location')}</span> • 
                         <span>${new Date(item.timestamp).toLocaleTimeString()}</span>
                     </div>
                 </div>
@@ -211,10 +232,7 @@ class AnalyticsPage {
         // Filter
         let filtered = suggestions;
         if (this.selectedCameraId) {
-            const cameraName = OFFICIAL_CAMERAS.find(c => c.id === this.selectedCameraId)?.name;
-            if (cameraName) {
-                filtered = suggestions.filter(i => i.intersection === cameraName || i.intersection === this.selectedCameraId);
-            }
+            filtered = suggestions.filter(i => cameraRegistryService.matches(this.selectedCameraId, i.intersection));
         }
 
         if (filtered.length === 0) {
@@ -222,13 +240,14 @@ class AnalyticsPage {
             return;
         }
 
+        const esc = UIUtils.escapeHtml;
         container.innerHTML = filtered.map(item => `
             <div class="log-item">
                  <div class="recommendation-item__badge">AI</div>
                 <div class="log-item__content">
-                    <span class="log-item__text">${item.text}</span>
+                    <span class="log-item__text">${esc(item.text)}</span>
                     <div class="log-item__meta">
-                        <span>${item.intersection || 'System'}</span> • 
+                        <span>${esc(item.intersection || 'System')}</span> • 
                         <span>${new Date(item.timestamp).toLocaleTimeString()}</span>
                     </div>
                 </div>
@@ -236,6 +255,160 @@ class AnalyticsPage {
         `).join('');
     }
 
+    /**
+     * Turning movement counts per 15-minute interval: one column per approach and movement
+     */
+    updateMovementTable() {
+        const container = document.getElementById('tmcTable');
+        if (!container) return;
+
+        const { approaches, rows } = this.getMovementTable();
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="empty-state">No turning movements counted</div>';
+            return;
+        }
+
+        const esc = UIUtils.escapeHtml;
+        container.innerHTML = `
+            <table class="tmc-table">
+                <thead>
+                    <tr>
+                        <th rowspan="2">Interval</th>
+                        ${approaches.map(a => `<th colspan="${MOVEMENTS.length}" class="tmc-table__approach">From ${esc(a)}</th>`).join('')}
+                        <th rowspan="2" class="tmc-table__approach">Total</th>
+                    </tr>
+                    <tr>
+                        ${approaches.map(() => MOVEMENTS.map((m, i) => `<th class="${i === 0 ? 'tmc-table__approach' : ''}">${MOVEMENT_LABELS[m]}</th>`).join('')).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${esc(row.interval)}</td>
+                            ${approaches.map(a => MOVEMENTS.map((m, i) => `<td class="${i === 0 ? 'tmc-table__approach' : ''}">${row.counts[a]?.[m] || 0}</td>`).join('')).join('')}
+                            <td class="tmc-table__approach">${row.total}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Crossings per count line and direction
+     */
+    updateLineCounts() {
+        const container = document.getElementById('countLinesTable');
+        if (!container) return;
+
+        const lines = dataStore.getLineCounts(this.selectedCameraId || null);
+        if (lines.length === 0) {
+            container.innerHTML = '<div class="empty-state">No count line crossings</div>';
+            return;
+        }
+
+        const classes = ['car', 'truck', 'bus', 'motorcycle'];
+        const esc = UIUtils.escapeHtml;
+        container.innerHTML = `
+            <table class="tmc-table">
+                <thead>
+                    <tr>
+                        <th>Line</th>
+                        ${this.selectedCameraId ? '' : '<th>Camera</th>'}
+                        <th class="tmc-table__approach">In</th>
+                        <th>Out</th>
+                        ${classes.map((c, i) => `<th class="${i === 0 ? 'tmc-table__approach' : ''}">${this.capitalizeFirst(c)}s</th>`).join('')}
+                        <th class="tmc-table__approach">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => `
+                        <tr>
+                            <td>${esc(line.name)}</td>
+                            ${this.selectedCameraId ? '' : `<td>${esc(cameraRegistryService.getName(line.cameraId))}</td>`}
+                            <td class="tmc-table__approach">${line.in}</td>
+                            <td>${line.out}</td>
+                            ${classes.map((c, i) => `<td class="${i === 0 ? 'tmc-table__approach' : ''}">${line.byClass[c] || 0}</td>`).join('')}
+                            <td class="tmc-table__approach">${line.in + line.out}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Measured speed distribution with the 85th percentile, and per lane
+     */
+    updateSpeedStudy() {
+        const container = document.getElementById('speedStudy');
+        if (!container) return;
+
+        const all = dataStore.getSpeedDistribution(this.selectedCameraId || null);
+        const laneFilter = document.getElementById('speedLaneFilter');
+        if (laneFilter) {
+            if (!all.lanes.some(l => String(l.lane) === this.speedLane)) this.speedLane = '';
+            laneFilter.innerHTML = '<option value="">All Lanes</option>' +
+                all.lanes.map(l => `<option value="${l.lane}" ${String(l.lane) === this.speedLane ? 'selected' : ''}>Lane ${l.lane}</option>`).join('');
+        }
+
+        const speeds = this.speedLane ? dataStore.getSpeedDistribution(this.selectedCameraId || null, Number(this.speedLane)) : all;
+        if (speeds.readings === 0) {
+            container.innerHTML = '<div class="empty-state">No speeds measured. Calibrate Speed on the dashboard first.</div>';
+            return;
+        }
+
+        const maxCount = Math.max(1, ...speeds.bins.map(bin => bin.count));
+        const first = speeds.bins[0];
+        const last = speeds.bins[speeds.bins.length - 1];
+        container.innerHTML = `
+            <div class="speed-summary">
+                <span>85th percentile <strong>${speeds.p85} km/h</strong></span>
+                <span>Average <strong>${speeds.avgSpeed} km/h</strong></span>
+                <span>Vehicles <strong>${speeds.readings.toLocaleString()}</strong></span>
+            </div>
+            <div class="simple-chart speed-chart">
+                <div class="chart-bars">
+                    ${speeds.bins.map(bin => `
+                        <div class="chart-bar ${speeds.p85 >= bin.from && speeds.p85 < bin.to ? 'chart-bar--current' : ''}"
+                             style="height: ${Math.max(2, bin.count / maxCount * 100)}%"
+                             title="${bin.from}-${bin.to} km/h: ${bin.count} vehicles">
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="chart-labels">
+                    <span>${first.from} km/h</span>
+                    <span>${last.to} km/h</span>
+                </div>
+            </div>
+            ${all.lanes.length > 1 ? `
+                <div class="tmc-table-wrapper">
+                    <table class="tmc-table">
+                        <thead>
+                            <tr><th>Lane</th><th>Vehicles</th><th>Average</th><th>85th percentile</th></tr>
+                        </thead>
+                        <tbody>
+                            ${all.lanes.map(l => `
+                                <tr>
+                                    <td>Lane ${l.lane}</td>
+                                    <td>${l.readings}</td>
+                                    <td>${l.avgSpeed ?? '-'} km/h</td>
+                                    <td>${l.p85 ?? '-'} km/h</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    getMovementTable(vehicleClass = this.tmcClass) {
+        const table = dataStore.getMovementCounts(this.selectedCameraId || null, vehicleClass || null);
+        table.approaches.sort((a, b) => APPROACH_ORDER.indexOf(a) - APPROACH_ORDER.indexOf(b));
+        return table;
+    }
+
     updateChart() {
         const chartContainer = document.querySelector('.chart-container');
         if (!chartContainer) return;
@@ -312,6 +485,19 @@ class AnalyticsPage {
             });
         });
 
+        // Turning movement counts
+        document.getElementById('tmcClassFilter')?.addEventListener('change', (e) => {
+            this.tmcClass = e.target.value;
+            this.updateMovementTable();
+        });
+        document.getElementById('exportTmcBtn')?.addEventListener('click', () => this.exportTMC());
+
+        // Speed distribution per lane
+        document.getElementById('speedLaneFilter')?.addEventListener('change', (e) => {
+            this.speedLane = e.target.value;
+            this.updateSpeedStudy();
+        });
+
         // Export buttons
         document.querySelectorAll('.export-section__actions .btn').forEach(btn => {
             const text = btn.textContent.toLowerCase();
@@ -328,7 +514,7 @@ class AnalyticsPage {
 
         // Listen for storage events from other tabs (dashboard)
         window.addEventListener('storage', (e) => {
-            if (e.key === 'trafiq_data') {
+            if (e.key === dataStore.storageKey) {
                 // Reload data from localStorage
                 dataStore.data = dataStore.load();
                 this.populateCameraFilter(); // Reload filter in case new camera appeared
@@ -350,6 +536,36 @@ class AnalyticsPage {
         this.showToast('CSV exported successfully');
     }
 
+    /**
+     * Turning movement counts as CSV: one row per interval and vehicle class,
+     * one column per approach and movement, oldest interval first
+     */
+    exportTMC() {
+        const classes = ['car', 'truck', 'bus', 'motorcycle'];
+        const { approaches, rows } = this.getMovementTable('');
+        if (rows.length === 0) {
+            this.showToast('No turning movements to export');
+            return;
+        }
+
+        const byClass = classes.map(vehicleClass => [
+            vehicleClass,
+            new Map(this.getMovementTable(vehicleClass).rows.map(row => [row.interval, row]))
+        ]);
+        let csv = ['Interval Start', 'Vehicle Class', ...approaches.flatMap(a => MOVEMENTS.map(m => `${a} ${m}`)), 'Total'].join(',') + '\n';
+        [...rows].reverse().forEach(({ interval }) => {
+            byClass.forEach(([vehicleClass, classRows]) => {
+                const row = classRows.get(interval);
+                if (!row?.total) return;
+                csv += [interval, vehicleClass, ...approaches.flatMap(a => MOVEMENTS.map(m => row.counts[a]?.[m] || 0)), row.total].join(',') + '\n';
+            });
+        });
+
+        const camera = this.selectedCameraId ? `-${this.selectedCameraId}` : '';
+        this.downloadFile(csv, `trafiq-tmc${camera}.csv`, 'text/csv');
+        this.showToast('TMC exported successfully');
+    }
+
     exportPDF() {
         const summary = dataStore.getAnalyticsSummary();
         const report = `
@@ -7,11 +7,6 @@ import './style.css';
 
 class AuthPage {
     constructor() {
-        // Redirect if already logged in
-        if (authService.redirectIfLoggedIn('/dashboard.html')) {
-            return;
-        }
-
         this.loginForm = document.getElementById('loginForm');
         this.registerForm = document.getElementById('registerForm');
         this.loginFormEl = document.getElementById('loginFormEl');
@@ -19,7 +14,14 @@ class AuthPage {
         this.loginError = document.getElementById('loginError');
         this.registerError = document.getElementById('registerError');
 
-        this.init();
+        // Redirect if already logged in
+        authService.redirectIfLoggedIn('/dashboard.html').then(redirected => {
+            if (redirected) return;
+            this.init();
+            if (!authService.available) {
+                this.showError(this.loginError, 'Accounts need the TrafiQ server (npm start). This deployment has none; open the dashboard directly.');
+            }
+        });
     }
 
     init() {
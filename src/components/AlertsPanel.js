@@ -18,9 +18,10 @@ export class AlertsPanel {
     update(alertsData) {
         if (!Array.isArray(alertsData) || alertsData.length === 0) return;
         
-        // Throttle updates to limit alert rate
+        // Throttle updates to limit alert rate; high-priority alerts always get through
         const now = Date.now();
-        if (now - this.lastUpdateTime < this.updateThrottleMs) {
+        const urgent = alertsData.some(alert => this.parseAlert(alert).severity === 'high');
+        if (!urgent && now - this.lastUpdateTime < this.updateThrottleMs) {
             return; // Skip this batch
         }
         this.lastUpdateTime = now;
@@ -35,8 +36,10 @@ export class AlertsPanel {
             return !isDuplicate;
         });
         
-        // Limit to max 2 new alerts per update to prevent overwhelming
-        const limitedAlerts = newAlerts.slice(0, 2);
+        // Limit to max 2 new alerts per update to prevent overwhelming, most severe first
+        const limitedAlerts = newAlerts
+            .sort((a, b) => (this.parseAlert(b).severity === 'high') - (this.parseAlert(a).severity === 'high'))
+            .slice(0, 2);
         
         // Add alerts one by one with staggered delay
         limitedAlerts.forEach((alert, index) => {
@@ -116,6 +119,15 @@ export class AlertsPanel {
     parseAlert(text) {
         const lowerText = text.toLowerCase();
 
+        if (lowerText.includes('emergency vehicle')) {
+            return {
+                type: 'danger',
+                icon: '🚨',
+                title: this.formatAlertTitle(text),
+                severity: 'high'
+            };
+        }
+
         if (lowerText.includes('red') && lowerText.includes('light')) {
             return {
                 type: 'danger',
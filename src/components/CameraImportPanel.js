@@ -0,0 +1,167 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import {
+    CAMERA_FORMATS,
+    detectFormat,
+    parseCameras,
+    prepareCameraImport,
+    serializeCameras
+} from '../utils/CameraFormats.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+// Longest list of rows rendered in the modal; the summary still counts every row
+const MAX_LISTED_ROWS = 200;
+
+/**
+ * CameraImportPanel Component
+ * Modal for bulk importing cameras from CSV, GeoJSON or KML and exporting the
+ * registry in the same formats. Rows are validated and deduped, new cameras
+ * are previewed on the map, and the import is committed in one request.
+ */
+export class CameraImportPanel {
+    constructor(options = {}) {
+        this.modal = document.getElementById('cameraImportModal');
+        this.openBtn = document.getElementById('importCamerasBtn');
+        this.fileInput = document.getElementById('cameraImportFile');
+        this.summaryEl = document.getElementById('cameraImportSummary');
+        this.errorEl = document.getElementById('cameraImportError');
+        this.list = document.getElementById('cameraImportList');
+        this.confirmBtn = document.getElementById('confirmCameraImport');
+        this.exportFormat = document.getElementById('cameraExportFormat');
+
+        this.map = options.map || null;
+        this.rows = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeCameraImport')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        this.fileInput?.addEventListener('change', () => this.loadFile(this.fileInput.files[0]));
+        this.confirmBtn?.addEventListener('click', () => this.commit());
+        document.getElementById('exportCameras')?.addEventListener('click', () => this.export(this.exportFormat?.value || 'csv'));
+    }
+
+    open() {
+        this.reset();
+        this.modal.classList.add('modal--open');
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+        this.map?.clearPreview();
+        this.reset();
+    }
+
+    reset() {
+        this.rows = [];
+        if (this.fileInput) this.fileInput.value = '';
+        this.showError('');
+        this.render();
+    }
+
+    /**
+     * Parse, validate and dedupe a file, then preview its new cameras on the map
+     */
+    async loadFile(file) {
+        this.rows = [];
+        this.showError('');
+        if (!file) return this.render();
+
+        try {
+            const text = await file.text();
+            const format = detectFormat(file.name, text);
+            if (!format) throw new Error('The file is empty');
+
+            await cameraRegistryService.load();
+            this.rows = prepareCameraImport(parseCameras(text, format), cameraRegistryService.getAll());
+            if (this.rows.length === 0) throw new Error('No cameras found in the file');
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        this.render();
+        this.map?.showPreview(this.getNewCameras());
+    }
+
+    getNewCameras() {
+        return this.rows.filter(r => r.status === 'new').map(r => r.camera);
+    }
+
+    /**
+     * Save every new camera in one request
+     */
+    async commit() {
+        const cameras = this.getNewCameras();
+        if (cameras.length === 0) return;
+
+        this.confirmBtn.disabled = true;
+        try {
+            const { created, skipped } = await cameraRegistryService.importCameras(cameras);
+            console.log(`📹 Imported ${created.length} camera(s), skipped ${skipped.length}`);
+            this.close();
+            alert(`Imported ${created.length} camera${created.length === 1 ? '' : 's'}` +
+                (skipped.length ? ` (${skipped.length} skipped as duplicates)` : ''));
+        } catch (error) {
+            this.showError(error.status === 401 ? 'Sign in to import cameras' : error.message);
+            this.confirmBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Download every registered camera in the chosen format
+     */
+    async export(format) {
+        const cameras = await cameraRegistryService.load();
+        const { extension, mimeType } = CAMERA_FORMATS[format];
+        const content = serializeCameras(cameras, format);
+
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `trafiq-cameras-${new Date().toISOString().split('T')[0]}.${extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    render() {
+        const counts = { new: 0, duplicate: 0, invalid: 0 };
+        this.rows.forEach(r => counts[r.status]++);
+
+        if (this.summaryEl) {
+            this.summaryEl.textContent = this.rows.length
+                ? `${counts.new} new · ${counts.duplicate} duplicate · ${counts.invalid} invalid`
+                : '';
+        }
+        if (this.confirmBtn) {
+            this.confirmBtn.disabled = counts.new === 0;
+            this.confirmBtn.textContent = counts.new ? `Import ${counts.new} Camera${counts.new === 1 ? '' : 's'}` : 'Import Cameras';
+        }
+        if (!this.list) return;
+
+        // Problems first, so they aren't buried under a long list of good rows
+        const order = { invalid: 0, duplicate: 1, new: 2 };
+        const rows = [...this.rows].sort((a, b) => order[a.status] - order[b.status]).slice(0, MAX_LISTED_ROWS);
+
+        this.list.innerHTML = rows.map(r => `
+            <div class="recording-item">
+                <div class="recording-item__info">
+                    <span class="recording-item__name">${UIUtils.escapeHtml(r.camera.name || r.input.name || `Row ${r.row}`)}</span>
+                    <span class="recording-item__meta">
+                        Row ${r.row} · <span class="camera-import-status--${r.status}">${r.status}</span>${r.reason ? ` · ${UIUtils.escapeHtml(r.reason)}` : ''}
+                    </span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default CameraImportPanel;
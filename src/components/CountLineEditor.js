@@ -0,0 +1,170 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { MAX_COUNT_LINES } from '../config/cameras.js';
+import { VideoFrameMarker } from './VideoFrameMarker.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+/**
+ * CountLineEditor Component
+ * Modal for drawing the count lines and zones of the selected camera on a
+ * still of the video. A line is two clicks; a zone is a polygon of three or
+ * more. Saved as the camera's countLines (see CountLineCounter).
+ */
+export class CountLineEditor {
+    constructor(options = {}) {
+        this.modal = document.getElementById('countLineModal');
+        this.openBtn = document.getElementById('countLinesBtn');
+        this.cameraNameEl = document.getElementById('countLineCamera');
+        this.lineSelect = document.getElementById('countLineSelect');
+        this.nameInput = document.getElementById('countLineName');
+        this.hintEl = document.getElementById('countLineHint');
+        this.errorEl = document.getElementById('countLineError');
+
+        this.getCameraId = options.getCameraId || (() => null);
+        this.getVideoElement = options.getVideoElement || (() => null);
+        // (camera) after the lines were saved
+        this.onSave = options.onSave || (() => { });
+        this.marker = new VideoFrameMarker(document.getElementById('countLineCanvas'), {
+            onPoint: (point) => this.addPoint(point)
+        });
+
+        this.camera = null;
+        this.lines = [];
+        this.selectedId = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeCountLines')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        document.getElementById('addCountLine')?.addEventListener('click', () => this.addLine('line'));
+        document.getElementById('addCountZone')?.addEventListener('click', () => this.addLine('zone'));
+        document.getElementById('undoCountPoint')?.addEventListener('click', () => this.undoPoint());
+        document.getElementById('removeCountLine')?.addEventListener('click', () => this.removeLine());
+        document.getElementById('saveCountLines')?.addEventListener('click', () => this.save());
+        this.lineSelect?.addEventListener('change', () => this.select(this.lineSelect.value));
+        this.nameInput?.addEventListener('input', () => {
+            const line = this.getLine();
+            if (!line) return;
+            line.name = this.nameInput.value;
+            this.renderList();
+            this.draw();
+        });
+    }
+
+    async open() {
+        await cameraRegistryService.load();
+        this.camera = cameraRegistryService.get(this.getCameraId());
+        if (!this.camera) {
+            alert('Select a camera on the map or in the stream list first');
+            return;
+        }
+
+        this.lines = structuredClone(this.camera.countLines || []);
+        if (this.cameraNameEl) this.cameraNameEl.textContent = this.camera.name;
+        this.showError('');
+        this.modal.classList.add('modal--open');
+        if (!this.marker.capture(this.getVideoElement())) {
+            this.showError('Play this camera\'s video on the dashboard to draw its count lines');
+        }
+        this.select(this.lines[0]?.id || null);
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+        this.camera = null;
+    }
+
+    getLine() {
+        return this.lines.find(line => line.id === this.selectedId) || null;
+    }
+
+    select(id) {
+        this.selectedId = id;
+        const line = this.getLine();
+        if (this.nameInput) this.nameInput.value = line?.name || '';
+        if (this.hintEl) {
+            this.hintEl.textContent = !line
+                ? 'Add a line or zone to start counting'
+                : line.type === 'zone'
+                    ? 'Click the corners of the zone. Vehicles entering count as in, leaving as out.'
+                    : 'Click both ends of the line. Crossing it downwards (for a line drawn left to right) counts as in.';
+        }
+        this.renderList();
+        this.draw();
+    }
+
+    renderList() {
+        if (!this.lineSelect) return;
+        const esc = UIUtils.escapeHtml;
+        this.lineSelect.innerHTML = this.lines.length
+            ? this.lines.map(line => `<option value="${esc(line.id)}" ${line.id === this.selectedId ? 'selected' : ''}>${esc(line.name || 'Unnamed')} (${line.type})</option>`).join('')
+            : '<option value="">No lines</option>';
+    }
+
+    addLine(type) {
+        if (this.lines.length >= MAX_COUNT_LINES) {
+            return this.showError(`A camera can have up to ${MAX_COUNT_LINES} count lines`);
+        }
+        let n = this.lines.length + 1;
+        while (this.lines.some(line => line.id === `${type}-${n}`)) n++;
+        const line = { id: `${type}-${n}`, name: `${type === 'zone' ? 'Zone' : 'Line'} ${n}`, type, points: [] };
+        this.lines.push(line);
+        this.select(line.id);
+    }
+
+    addPoint(point) {
+        const line = this.getLine();
+        if (!line) return;
+        // A third click on a line starts it over
+        line.points = line.type === 'line' && line.points.length >= 2 ? [point] : [...line.points, point];
+        this.draw();
+    }
+
+    undoPoint() {
+        this.getLine()?.points.pop();
+        this.draw();
+    }
+
+    removeLine() {
+        this.lines = this.lines.filter(line => line.id !== this.selectedId);
+        this.select(this.lines[0]?.id || null);
+    }
+
+    draw() {
+        this.marker.setShapes(this.lines.map(line => ({
+            type: line.type === 'zone' ? 'polygon' : 'line',
+            points: line.points,
+            color: line.id === this.selectedId ? '#facc15' : '#94a3b8',
+            label: line.name
+        })));
+    }
+
+    async save() {
+        this.showError('');
+        const unfinished = this.lines.find(line =>
+            !line.name.trim() || (line.type === 'line' ? line.points.length !== 2 : line.points.length < 3));
+        if (unfinished) {
+            this.select(unfinished.id);
+            return this.showError(`${unfinished.name || 'A line'} needs a name and ${unfinished.type === 'line' ? 'both ends' : 'at least 3 corners'}`);
+        }
+
+        try {
+            const camera = await cameraRegistryService.update(this.camera.id, { countLines: this.lines });
+            console.log(`📍 Saved ${this.lines.length} count line(s) for ${this.camera.name}`);
+            this.onSave(camera);
+            this.close();
+        } catch (error) {
+            this.showError(error.status === 401 ? 'Sign in to edit count lines' : error.message);
+        }
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default CountLineEditor;
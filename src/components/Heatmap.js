@@ -106,7 +106,7 @@ export class Heatmap {
         card.className = 'lane-card';
         card.dataset.lane = laneId;
         
-        let headerText = `L${laneId}`;
+        let headerText = lane.name || `L${laneId}`;
         if (directionLabel && directionLabel !== 'Unknown') {
              // Maybe add a small badge or abbreviation for direction?
              // For now keeping it simple as requested
@@ -169,6 +169,8 @@ export class Heatmap {
         if (queueEl) {
             const queue = data.queue_length_meters || 0;
             queueEl.textContent = `${queue}m queue`;
+            // Measured from the queue calibration rather than estimated by the model
+            queueEl.title = data.queue_source === 'measured' ? 'Measured from stopped vehicles' : 'Estimated';
         }
     }
 
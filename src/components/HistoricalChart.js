@@ -1,3 +1,5 @@
+import { authService } from '../services/AuthService.js';
+
 /**
  * HistoricalChart Component
  * Visualizes historical traffic trends
@@ -23,16 +25,8 @@ export class HistoricalChart {
     }
 
     get storageKey() {
-        try {
-            const session = localStorage.getItem('trafiq_session');
-            if (session) {
-                const user = JSON.parse(session).email;
-                if (user) return `${this.baseKey}_${user}`;
-            }
-        } catch (e) {
-            // ignore
-        }
-        return this.baseKey;
+        const user = authService.getCurrentUser()?.email;
+        return user ? `${this.baseKey}_${user}` : this.baseKey;
     }
 
     init() {
@@ -1,7 +1,8 @@
 import maplibregl from 'maplibre-gl';
 import osmtogeojson from 'osmtogeojson';
-import { dataStore } from '../services/DataStore.js';
-import { OFFICIAL_CAMERAS } from '../config/cameras.js';
+import { cameraHealthService } from '../services/CameraHealthService.js';
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { UIUtils } from '../utils/UIUtils.js';
 
 /**
  * InteractiveMap Component
@@ -24,6 +25,7 @@ export class InteractiveMap {
         this.userLocationMarker = null;
         this.lastFetchBounds = null;
         this.isFetchingBuildings = false;
+        this.previewMarkers = [];
 
         this.init();
     }
@@ -315,43 +317,57 @@ export class InteractiveMap {
     }
 
     /**
-     * Load saved cameras from DataStore
+     * Load cameras from the camera registry
      */
-    loadSavedCameras() {
-        const saved = dataStore.getSetting('cameras') || [];
-        const cameraMap = new Map();
+    async loadSavedCameras() {
+        await cameraRegistryService.load();
+        this.syncCameras(cameraRegistryService.getEnabled());
 
-        OFFICIAL_CAMERAS.forEach(cam => {
-            cameraMap.set(cam.id, { ...cam, type: 'official' });
-        });
+        if (this.cameras.length > 0 && !this.selectedCameraId) {
+            this.selectCamera(this.cameras[0].id);
+        }
+    }
 
-        saved.forEach(cam => {
-            cameraMap.set(cam.id, { ...cam, type: 'custom' });
+    /**
+     * Match the markers to a new camera list: add new cameras, move and
+     * relabel changed ones, and drop cameras that were deleted or disabled
+     */
+    syncCameras(cameras) {
+        if (!this.map) return;
+        const ids = new Set(cameras.map(c => c.id));
+
+        this.cameras.filter(c => !ids.has(c.id)).forEach(camera => {
+            this.markers.get(camera.id)?.marker.remove();
+            this.markers.delete(camera.id);
+            this.trafficData.delete(camera.id);
         });
 
-        this.cameras = Array.from(cameraMap.values());
-
-        this.cameras.forEach(camera => {
-            this.addCameraMarker(camera);
-            this.trafficData.set(camera.id, 0.2);
+        cameras.forEach(camera => {
+            const markerData = this.markers.get(camera.id);
+            if (!markerData) {
+                this.addCameraMarker(camera);
+                this.trafficData.set(camera.id, 0.2);
+                return;
+            }
+            markerData.camera = camera;
+            markerData.marker.setLngLat([camera.lng, camera.lat]);
+            markerData.marker.setPopup(new maplibregl.Popup({ offset: 25, closeButton: false }).setHTML(this.createCameraPopup(camera, markerData.data)));
         });
 
+        this.cameras = cameras;
         this.updateHeatmap();
         this.updateCameraList();
 
-        if (this.cameras.length > 0 && !this.selectedCameraId) {
-            this.selectCamera(this.cameras[0].id);
+        if (this.selectedCameraId && !ids.has(this.selectedCameraId)) {
+            this.selectedCameraId = null;
+            if (this.cameras.length > 0) {
+                this.selectCamera(this.cameras[0].id);
+            } else {
+                this.updateActiveCameraUI(null);
+            }
         }
     }
 
-    /**
-     * Save cameras to DataStore
-     */
-    saveCameras() {
-        const customCameras = this.cameras.filter(c => c.type !== 'official');
-        dataStore.setSetting('cameras', customCameras);
-    }
-
     /**
      * Setup map click to add cameras
      */
@@ -414,27 +430,57 @@ export class InteractiveMap {
     }
 
     /**
-     * Add a new camera
+     * Add a new camera to the registry
+     * @param {Object} details - url, streamType, approaches, laneCount, agency, notes
      */
-    addNewCamera(lat, lng, name = null) {
-        const id = Date.now();
-        const camera = {
-            id,
+    async addNewCamera(lat, lng, name = null, details = {}) {
+        const camera = await cameraRegistryService.create({
+            ...details,
             name: name || `Camera ${this.cameras.length + 1}`,
             lat,
-            lng,
-            createdAt: new Date().toISOString()
-        };
+            lng
+        });
 
-        this.cameras.push(camera);
-        this.addCameraMarker(camera);
-        this.trafficData.set(id, 0.2);
-        this.saveCameras();
-        this.updateCameraList();
-        this.selectCamera(id);
-        this.updateHeatmap();
+        this.syncCameras(cameraRegistryService.getEnabled());
+        this.selectCamera(camera.id);
 
         console.log(`📹 Camera added: ${camera.name} at ${lat}, ${lng}`);
+        return camera;
+    }
+
+    /**
+     * Show cameras that are about to be imported, and zoom to fit them
+     */
+    showPreview(cameras) {
+        this.clearPreview();
+        if (!this.map || cameras.length === 0) return;
+
+        const bounds = new maplibregl.LngLatBounds();
+        cameras.forEach(camera => {
+            const el = document.createElement('div');
+            el.className = 'camera-marker-container camera-marker-container--preview';
+            el.innerHTML = this.getCameraIconHtml('low', false, true);
+
+            const marker = new maplibregl.Marker({ element: el })
+                .setLngLat([camera.lng, camera.lat])
+                .setPopup(new maplibregl.Popup({ offset: 25, closeButton: false }).setHTML(`
+                    <div class="popup-content">
+                        <h3>${UIUtils.escapeHtml(camera.name)}</h3>
+                        <p class="popup-details">Import preview</p>
+                    </div>
+                `))
+                .addTo(this.map);
+
+            this.previewMarkers.push(marker);
+            bounds.extend([camera.lng, camera.lat]);
+        });
+
+        this.map.fitBounds(bounds, { padding: 60, maxZoom: 16, pitch: 0, bearing: 0 });
+    }
+
+    clearPreview() {
+        this.previewMarkers.forEach(marker => marker.remove());
+        this.previewMarkers = [];
     }
 
     /**
@@ -453,17 +499,24 @@ export class InteractiveMap {
             .setPopup(new maplibregl.Popup({ offset: 25, closeButton: false }).setHTML(this.createCameraPopup(camera)))
             .addTo(this.map);
 
-        marker.on('dragend', () => {
+        marker.on('dragend', async () => {
             const lngLat = marker.getLngLat();
-            camera.lat = lngLat.lat;
-            camera.lng = lngLat.lng;
-            this.saveCameras();
-            this.updateHeatmap();
+            try {
+                await cameraRegistryService.update(camera.id, { lat: lngLat.lat, lng: lngLat.lng });
+                this.syncCameras(cameraRegistryService.getEnabled());
+            } catch (error) {
+                console.warn('Could not move camera:', error.message);
+                const current = this.markers.get(camera.id)?.camera || camera;
+                marker.setLngLat([current.lng, current.lat]);
+            }
         });
 
         el.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.selectCamera(camera.id);
+            // Dead or frozen feeds can still be inspected, but not selected
+            if (this.markers.get(camera.id)?.available !== false) {
+                this.selectCamera(camera.id);
+            }
             marker.togglePopup();
         });
 
@@ -482,54 +535,44 @@ export class InteractiveMap {
             element: el,
             camera,
             congestion: 'low',
-            data: null
+            data: null,
+            available: true
         });
 
         return marker;
     }
 
     /**
-     * Remove a camera
+     * Delete a custom camera from the registry
      */
-    removeCamera(cameraId) {
-        const markerData = this.markers.get(cameraId);
-        if (markerData) {
-            markerData.marker.remove();
-            this.markers.delete(cameraId);
+    async removeCamera(cameraId) {
+        try {
+            await cameraRegistryService.remove(cameraId);
+        } catch (error) {
+            alert(`Could not delete camera: ${error.message}`);
+            return;
         }
 
-        this.cameras = this.cameras.filter(c => c.id !== cameraId);
-        this.trafficData.delete(cameraId);
-        this.saveCameras();
-        this.updateCameraList();
-        this.updateHeatmap();
-
-        if (this.selectedCameraId === cameraId) {
-            if (this.cameras.length > 0) {
-                this.selectCamera(this.cameras[0].id);
-            } else {
-                this.selectedCameraId = null;
-                this.updateActiveCameraUI(null);
-            }
-        }
+        this.syncCameras(cameraRegistryService.getEnabled());
+        console.log(`🗑️ Camera removed: ${cameraId}`);
     }
 
     /**
      * Generate HTML for camera icon
      */
-    getCameraIconHtml(congestion = 'low', isActive = false) {
+    getCameraIconHtml(congestion = 'low', isActive = false, isUnavailable = false) {
         const colors = {
             low: '#10b981',
             medium: '#f59e0b',
             high: '#ef4444'
         };
 
-        const color = isActive ? '#a855f7' : (colors[congestion] || colors.low);
+        const color = isUnavailable ? '#52525b' : isActive ? '#a855f7' : (colors[congestion] || colors.low);
         const size = isActive ? 36 : 30;
         const shadow = isActive ? `0 0 20px ${color}80` : `0 0 10px ${color}80`;
 
         return `
-            <div class="camera-marker ${isActive ? 'camera-marker--active' : ''}" style="width: ${size}px; height: ${size}px;">
+            <div class="camera-marker ${isActive ? 'camera-marker--active' : ''} ${isUnavailable ? 'camera-marker--offline' : ''}" style="width: ${size}px; height: ${size}px;">
                 <div class="marker-pin" style="background: ${color}; box-shadow: ${shadow}; width: 100%; height: 100%; border-radius: 50% 50% 50% 0; transform: rotate(-45deg); display: flex; align-items: center; justify-content: center;">
                     <svg width="${isActive ? 18 : 14}" height="${isActive ? 18 : 14}" viewBox="0 0 24 24" fill="white" style="transform: rotate(45deg);">
                         <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/>
@@ -546,10 +589,23 @@ export class InteractiveMap {
     createCameraPopup(camera, data = null) {
         const congestion = data?.congestion || 'No data';
         const vehicles = data?.totalVehicles || 0;
+        const health = cameraHealthService.getHealth(camera.id);
+        const feedStatus = health?.status || 'unknown';
+        const details = [
+            camera.agency,
+            camera.laneCount ? `${camera.laneCount} lanes` : '',
+            camera.approaches?.length ? `Approaches ${camera.approaches.join('/')}` : ''
+        ].filter(Boolean).join(' · ');
         return `
             <div class="popup-content">
-                <h3>${camera.name}</h3>
+                <h3>${UIUtils.escapeHtml(camera.name)}</h3>
+                ${details ? `<p class="popup-details">${UIUtils.escapeHtml(details)}</p>` : ''}
+                ${camera.notes ? `<p class="popup-details">${UIUtils.escapeHtml(camera.notes)}</p>` : ''}
                 <div class="popup-stats">
+                    <div class="popup-stat">
+                        <span class="popup-stat__label">Feed</span>
+                        <span class="popup-stat__value popup-stat__value--feed-${feedStatus}">${cameraHealthService.getStatusLabel(camera.id)}</span>
+                    </div>
                     <div class="popup-stat">
                         <span class="popup-stat__label">Status</span>
                         <span class="popup-stat__value popup-stat__value--${congestion}">${congestion}</span>
@@ -561,7 +617,7 @@ export class InteractiveMap {
                 </div>
                 <div style="display: flex; gap: 8px; margin-top: 8px;">
                     ${camera.type !== 'official' ? `
-                    <button class="popup-btn" style="background: var(--color-danger);" onclick="window.trafiQ?.removeCamera('${camera.id}')">
+                    <button class="popup-btn" style="background: var(--color-danger);" onclick="window.trafiQ?.interactiveMap?.removeCamera('${camera.id}')">
                         Delete
                     </button>
                     ` : ''}
@@ -570,46 +626,19 @@ export class InteractiveMap {
         `;
     }
 
-    /**
-     * Remove a camera
-     */
-    removeCamera(val) {
-        const cameraId = Number(val) || val;
-        const markerData = this.markers.find(m => m.id === cameraId);
-        if (markerData) {
-            this.map.removeLayer(markerData.marker);
-            this.markers = this.markers.filter(m => m.id !== cameraId);
-        }
-
-        this.cameras = this.cameras.filter(c => c.id !== cameraId);
-        this.trafficData.delete(cameraId);
-        this.saveCameras();
-        this.updateCameraList();
-        this.updateHeatmap();
-
-        // Select another camera if available
-        if (this.selectedCameraId === cameraId) {
-            if (this.cameras.length > 0) {
-                this.selectCamera(this.cameras[0].id);
-            } else {
-                this.selectedCameraId = null;
-                this.updateActiveCameraUI(null);
-            }
-        }
-
-        console.log(`🗑️ Camera removed: ${cameraId}`);
-    }
     /**
      * Select a camera
      */
     selectCamera(val) {
-        const cameraId = Number(val) || val;
+        // Registry ids are strings; older callers may pass numeric ids
+        const cameraId = val == null ? val : String(val);
         if (this.selectedCameraId === cameraId) return;
+        if (this.markers.get(cameraId)?.available === false) return;
 
         if (this.selectedCameraId) {
             const prev = this.markers.get(this.selectedCameraId);
             if (prev) {
-                prev.element.innerHTML = this.getCameraIconHtml(prev.congestion, false);
+                prev.element.innerHTML = this.getCameraIconHtml(prev.congestion, false, !prev.available);
                 prev.marker.getElement().style.zIndex = '1';
             }
         }
@@ -638,6 +667,20 @@ export class InteractiveMap {
         }
     }
 
+    /**
+     * Grey out markers whose feeds the health monitor reports as dead or frozen
+     */
+    updateCameraHealth() {
+        this.markers.forEach((markerData, id) => {
+            markerData.available = cameraHealthService.isAvailable(id);
+            const isActive = id === this.selectedCameraId;
+
+            markerData.element.innerHTML = this.getCameraIconHtml(markerData.congestion, isActive, !markerData.available);
+            markerData.element.title = markerData.available ? '' : `${markerData.camera.name} feed ${cameraHealthService.getStatusLabel(id).toLowerCase()}`;
+            markerData.marker.setPopup(new maplibregl.Popup({ offset: 25, closeButton: false }).setHTML(this.createCameraPopup(markerData.camera, markerData.data)));
+        });
+    }
+
     updateActiveCameraUI(camera) {
         const nameEl = document.getElementById('activeIntersectionName');
         if (nameEl) nameEl.textContent = camera?.name || 'No camera selected';
@@ -716,8 +759,14 @@ export class InteractiveMap {
      */
     updateActiveIntersection(data) {
         if (!this.selectedCameraId) return;
+        this.updateIntersection(this.selectedCameraId, data);
+    }
 
-        const markerData = this.markers.get(this.selectedCameraId);
+    /**
+     * Update any camera's marker and heatmap weight from AI data
+     */
+    updateIntersection(cameraId, data) {
+        const markerData = this.markers.get(cameraId);
         if (!markerData) return;
 
         let overallCongestion = 'low';
@@ -736,9 +785,9 @@ export class InteractiveMap {
 
         markerData.marker.setPopup(new maplibregl.Popup({ offset: 25, closeButton: false }).setHTML(this.createCameraPopup(markerData.camera, markerData.data)));
 
-        markerData.element.innerHTML = this.getCameraIconHtml(overallCongestion, true);
+        markerData.element.innerHTML = this.getCameraIconHtml(overallCongestion, cameraId === this.selectedCameraId, !markerData.available);
 
-        this.trafficData.set(this.selectedCameraId, congestionScore / 3);
+        this.trafficData.set(cameraId, congestionScore / 3);
         this.updateHeatmap();
     }
 
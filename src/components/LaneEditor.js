@@ -0,0 +1,179 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { LANE_DIRECTIONS, LANE_TYPES, MAX_LANE_COUNT } from '../config/cameras.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+/**
+ * LaneEditor Component
+ * Modal for correcting the lane layout saved for a camera: rename lanes, set
+ * their direction and type, and merge or split them. Lane discovery saves its
+ * layout automatically; an edited layout replaces it and is used by every
+ * later analysis of the camera instead of discovering lanes again.
+ */
+export class LaneEditor {
+    constructor(options = {}) {
+        this.modal = document.getElementById('laneEditorModal');
+        this.openBtn = document.getElementById('editLanesBtn');
+        this.cameraNameEl = document.getElementById('laneEditorCamera');
+        this.list = document.getElementById('laneEditorList');
+        this.errorEl = document.getElementById('laneEditorError');
+
+        this.getCameraId = options.getCameraId || (() => null);
+        this.camera = null;
+        this.lanes = [];
+        this.selected = new Set();
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeLaneEditor')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        document.getElementById('addLane')?.addEventListener('click', () => this.addLane());
+        document.getElementById('mergeLanes')?.addEventListener('click', () => this.mergeSelected());
+        document.getElementById('clearLanes')?.addEventListener('click', () => this.clearLayout());
+        document.getElementById('saveLanes')?.addEventListener('click', () => this.save());
+
+        document.getElementById('laneDirectionOptions').innerHTML = LANE_DIRECTIONS.map(d => `<option value="${d}">`).join('');
+        document.getElementById('laneTypeOptions').innerHTML = LANE_TYPES.map(t => `<option value="${t}">`).join('');
+
+        this.list?.addEventListener('input', (e) => {
+            const index = Number(e.target.closest('[data-lane-index]')?.dataset.laneIndex);
+            const field = e.target.dataset.field;
+            if (field && this.lanes[index]) this.lanes[index][field] = e.target.value;
+        });
+        this.list?.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            const index = Number(e.target.closest('[data-lane-index]').dataset.laneIndex);
+            e.target.checked ? this.selected.add(index) : this.selected.delete(index);
+        });
+        this.list?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const index = Number(button.closest('[data-lane-index]').dataset.laneIndex);
+            if (button.dataset.action === 'split') this.splitLane(index);
+            if (button.dataset.action === 'remove') this.removeLane(index);
+        });
+    }
+
+    /**
+     * Edit the lanes of the camera selected on the map
+     */
+    async open() {
+        await cameraRegistryService.load();
+        this.camera = cameraRegistryService.get(this.getCameraId());
+        if (!this.camera) {
+            alert('Select a camera on the map or in the stream list first');
+            return;
+        }
+
+        const saved = this.camera.lanes || [];
+        this.lanes = saved.length
+            ? saved.map(lane => ({ ...lane }))
+            : Array.from({ length: this.camera.laneCount || 0 }, () => this.createLane());
+        this.selected.clear();
+        this.showError('');
+        if (this.cameraNameEl) this.cameraNameEl.textContent = this.camera.name;
+        this.render();
+        this.modal.classList.add('modal--open');
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+        this.camera = null;
+    }
+
+    createLane(from = {}) {
+        return { name: '', direction: from.direction || 'Unknown', type: from.type || 'car' };
+    }
+
+    addLane() {
+        if (this.lanes.length >= MAX_LANE_COUNT) return this.showError(`A camera can have at most ${MAX_LANE_COUNT} lanes`);
+        this.lanes.push(this.createLane());
+        this.render();
+    }
+
+    /**
+     * Split a lane in two with the same direction and type
+     */
+    splitLane(index) {
+        if (this.lanes.length >= MAX_LANE_COUNT) return this.showError(`A camera can have at most ${MAX_LANE_COUNT} lanes`);
+        this.lanes.splice(index + 1, 0, this.createLane(this.lanes[index]));
+        this.selected.clear();
+        this.render();
+    }
+
+    removeLane(index) {
+        this.lanes.splice(index, 1);
+        this.selected.clear();
+        this.render();
+    }
+
+    /**
+     * Merge the ticked lanes into the first of them, which keeps its direction and type
+     */
+    mergeSelected() {
+        const indexes = [...this.selected].sort((a, b) => a - b);
+        if (indexes.length < 2) return this.showError('Tick two or more lanes to merge');
+
+        const [first, ...rest] = indexes;
+        const names = indexes.map(i => this.lanes[i].name.trim()).filter(Boolean);
+        this.lanes[first].name = [...new Set(names)].join(' + ').slice(0, 50);
+        this.lanes = this.lanes.filter((_, i) => !rest.includes(i));
+        this.selected.clear();
+        this.showError('');
+        this.render();
+    }
+
+    async save() {
+        await this.saveLanes(this.lanes);
+    }
+
+    /**
+     * Forget the layout so the next analysis discovers lanes again
+     */
+    async clearLayout() {
+        if (!confirm(`Clear the lane layout for ${this.camera.name}? Lanes are discovered again on the next analysis.`)) return;
+        await this.saveLanes([], { viewFingerprint: '' });
+    }
+
+    async saveLanes(lanes, changes = {}) {
+        this.showError('');
+        try {
+            await cameraRegistryService.update(this.camera.id, { lanes, ...changes });
+            console.log(`🛣️ Saved ${lanes.length} lane(s) for ${this.camera.name}`);
+            this.close();
+        } catch (error) {
+            this.showError(error.status === 401 ? 'Sign in to edit lanes' : error.message);
+        }
+    }
+
+    render() {
+        if (!this.list) return;
+        if (this.lanes.length === 0) {
+            this.list.innerHTML = '<p class="lane-editor__empty">No lanes yet. Add lanes, or start analysis to discover them.</p>';
+            return;
+        }
+
+        const esc = UIUtils.escapeHtml;
+        this.list.innerHTML = this.lanes.map((lane, index) => `
+            <div class="lane-editor__row" data-lane-index="${index}">
+                <input type="checkbox" title="Select to merge"${this.selected.has(index) ? ' checked' : ''}>
+                <span class="lane-editor__id">L${index + 1}</span>
+                <input class="input lane-editor__input" data-field="name" placeholder="Name" maxlength="50" value="${esc(lane.name)}">
+                <input class="input lane-editor__input" data-field="direction" list="laneDirectionOptions" placeholder="Direction" maxlength="40" value="${esc(lane.direction)}">
+                <input class="input lane-editor__input" data-field="type" list="laneTypeOptions" placeholder="Type" maxlength="30" value="${esc(lane.type)}">
+                <button class="btn btn--ghost btn--sm" data-action="split" title="Split into two lanes">Split</button>
+                <button class="btn btn--ghost btn--sm" data-action="remove" title="Remove lane">✕</button>
+            </div>
+        `).join('');
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default LaneEditor;
@@ -0,0 +1,132 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { APPROACH_DIRECTIONS } from '../config/cameras.js';
+import { VideoFrameMarker } from './VideoFrameMarker.js';
+
+const ZONE_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#a855f7', '#ef4444', '#14b8a6', '#ec4899', '#eab308'];
+
+/**
+ * MovementZoneEditor Component
+ * Modal for drawing the turning movement zones of the selected camera: one
+ * polygon per approach, around where vehicles enter from and leave by that
+ * leg of the intersection, on a still of the video. Saved as the camera's
+ * movementZones (see TurningMovementCounter).
+ */
+export class MovementZoneEditor {
+    constructor(options = {}) {
+        this.modal = document.getElementById('movementZoneModal');
+        this.openBtn = document.getElementById('movementZonesBtn');
+        this.cameraNameEl = document.getElementById('movementZoneCamera');
+        this.approachSelect = document.getElementById('movementZoneApproach');
+        this.errorEl = document.getElementById('movementZoneError');
+
+        this.getCameraId = options.getCameraId || (() => null);
+        this.getVideoElement = options.getVideoElement || (() => null);
+        // (camera) after the zones were saved
+        this.onSave = options.onSave || (() => { });
+        this.marker = new VideoFrameMarker(document.getElementById('movementZoneCanvas'), {
+            onPoint: (point) => this.addPoint(point)
+        });
+
+        this.camera = null;
+        // Polygon being drawn, by approach
+        this.zones = new Map();
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeMovementZones')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        document.getElementById('undoMovementPoint')?.addEventListener('click', () => this.undoPoint());
+        document.getElementById('clearMovementZone')?.addEventListener('click', () => this.clearZone());
+        document.getElementById('saveMovementZones')?.addEventListener('click', () => this.save());
+        this.approachSelect?.addEventListener('change', () => this.draw());
+    }
+
+    async open() {
+        await cameraRegistryService.load();
+        this.camera = cameraRegistryService.get(this.getCameraId());
+        if (!this.camera) {
+            alert('Select a camera on the map or in the stream list first');
+            return;
+        }
+
+        this.zones = new Map((this.camera.movementZones || []).map(zone => [zone.approach, zone.polygon.map(p => ({ ...p }))]));
+        const approaches = this.camera.approaches?.length ? this.camera.approaches : APPROACH_DIRECTIONS;
+        if (this.cameraNameEl) this.cameraNameEl.textContent = this.camera.name;
+        if (this.approachSelect) {
+            this.approachSelect.innerHTML = approaches.map(a => `<option value="${a}">From ${a}</option>`).join('');
+        }
+
+        this.showError('');
+        this.modal.classList.add('modal--open');
+        if (!this.marker.capture(this.getVideoElement())) {
+            this.showError('Play this camera\'s video on the dashboard to draw its zones');
+        }
+        this.draw();
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+        this.camera = null;
+    }
+
+    getApproach() {
+        return this.approachSelect?.value || APPROACH_DIRECTIONS[0];
+    }
+
+    addPoint(point) {
+        const approach = this.getApproach();
+        this.zones.set(approach, [...(this.zones.get(approach) || []), point]);
+        this.draw();
+    }
+
+    undoPoint() {
+        this.zones.get(this.getApproach())?.pop();
+        this.draw();
+    }
+
+    clearZone() {
+        this.zones.delete(this.getApproach());
+        this.draw();
+    }
+
+    draw() {
+        const selected = this.getApproach();
+        this.marker.setShapes([...this.zones.entries()].map(([approach, polygon]) => ({
+            type: 'polygon',
+            points: polygon,
+            color: ZONE_COLORS[APPROACH_DIRECTIONS.indexOf(approach) % ZONE_COLORS.length],
+            dashed: approach !== selected,
+            label: approach
+        })));
+    }
+
+    async save() {
+        this.showError('');
+        const movementZones = [...this.zones.entries()]
+            .filter(([, polygon]) => polygon.length > 0)
+            .map(([approach, polygon]) => ({ approach, polygon }));
+        const open = movementZones.find(zone => zone.polygon.length < 3);
+        if (open) return this.showError(`The zone from ${open.approach} needs at least 3 points`);
+        if (movementZones.length === 1) return this.showError('Draw zones for at least two approaches');
+
+        try {
+            const camera = await cameraRegistryService.update(this.camera.id, { movementZones });
+            console.log(`🔀 Saved ${movementZones.length} movement zone(s) for ${this.camera.name}`);
+            this.onSave(camera);
+            this.close();
+        } catch (error) {
+            this.showError(error.status === 401 ? 'Sign in to edit camera zones' : error.message);
+        }
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default MovementZoneEditor;
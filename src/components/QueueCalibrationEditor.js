@@ -0,0 +1,182 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { VideoFrameMarker } from './VideoFrameMarker.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+/**
+ * QueueCalibrationEditor Component
+ * Modal for calibrating queue length measurement on the selected camera: for
+ * each lane, mark the stop bar (two clicks across the lane) and a reference
+ * point a known distance upstream on a still of the video, and enter that
+ * distance. Saved as the camera's queueCalibration (see QueueEstimator).
+ */
+export class QueueCalibrationEditor {
+    constructor(options = {}) {
+        this.modal = document.getElementById('queueCalibrationModal');
+        this.openBtn = document.getElementById('calibrateQueueBtn');
+        this.cameraNameEl = document.getElementById('queueCalibrationCamera');
+        this.laneSelect = document.getElementById('queueLaneSelect');
+        this.metersInput = document.getElementById('queueReferenceMeters');
+        this.hintEl = document.getElementById('queueCalibrationHint');
+        this.errorEl = document.getElementById('queueCalibrationError');
+
+        this.getCameraId = options.getCameraId || (() => null);
+        this.getVideoElement = options.getVideoElement || (() => null);
+        // (camera) after the calibration was saved
+        this.onSave = options.onSave || (() => { });
+        this.marker = new VideoFrameMarker(document.getElementById('queueCalibrationCanvas'), {
+            onPoint: (point) => this.addPoint(point)
+        });
+
+        this.camera = null;
+        // Calibration being edited, by lane id
+        this.lanes = new Map();
+        this.mode = 'stopBar'; // 'stopBar' | 'reference'
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeQueueCalibration')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        document.getElementById('markStopBar')?.addEventListener('click', () => this.setMode('stopBar'));
+        document.getElementById('markReference')?.addEventListener('click', () => this.setMode('reference'));
+        document.getElementById('clearQueueLane')?.addEventListener('click', () => this.clearLane());
+        document.getElementById('saveQueueCalibration')?.addEventListener('click', () => this.save());
+        this.laneSelect?.addEventListener('change', () => this.selectLane());
+        this.metersInput?.addEventListener('input', () => {
+            this.getLane().referenceMeters = Number(this.metersInput.value) || null;
+            this.draw();
+        });
+    }
+
+    async open() {
+        await cameraRegistryService.load();
+        this.camera = cameraRegistryService.get(this.getCameraId());
+        if (!this.camera) {
+            alert('Select a camera on the map or in the stream list first');
+            return;
+        }
+
+        const laneCount = this.camera.lanes?.length || this.camera.laneCount || 1;
+        this.lanes = new Map((this.camera.queueCalibration || []).map(lane => [lane.lane_id, structuredClone(lane)]));
+        if (this.cameraNameEl) this.cameraNameEl.textContent = this.camera.name;
+        if (this.laneSelect) {
+            const esc = UIUtils.escapeHtml;
+            this.laneSelect.innerHTML = Array.from({ length: laneCount }, (_, i) => {
+                const lane = this.camera.lanes?.[i];
+                const label = [`Lane ${i + 1}`, lane?.name, lane?.direction !== 'Unknown' ? lane?.direction : '']
+                    .filter(Boolean).join(' · ');
+                return `<option value="${i + 1}">${esc(label)}</option>`;
+            }).join('');
+        }
+
+        this.showError('');
+        this.modal.classList.add('modal--open');
+        if (!this.marker.capture(this.getVideoElement())) {
+            this.showError('Play this camera\'s video on the dashboard to mark its lanes');
+        }
+        this.selectLane();
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+        this.camera = null;
+    }
+
+    getLaneId() {
+        return Number(this.laneSelect?.value) || 1;
+    }
+
+    getLane() {
+        const laneId = this.getLaneId();
+        if (!this.lanes.has(laneId)) {
+            this.lanes.set(laneId, { lane_id: laneId, stopBar: [], reference: null, referenceMeters: null });
+        }
+        return this.lanes.get(laneId);
+    }
+
+    selectLane() {
+        if (this.metersInput) this.metersInput.value = this.lanes.get(this.getLaneId())?.referenceMeters ?? '';
+        this.setMode(this.lanes.get(this.getLaneId())?.stopBar?.length === 2 ? 'reference' : 'stopBar');
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        if (this.hintEl) {
+            this.hintEl.textContent = mode === 'stopBar'
+                ? 'Click both ends of the stop bar across the lane'
+                : 'Click a point upstream in the lane whose distance from the stop bar you know';
+        }
+        document.getElementById('markStopBar')?.classList.toggle('btn--active', mode === 'stopBar');
+        document.getElementById('markReference')?.classList.toggle('btn--active', mode === 'reference');
+        this.draw();
+    }
+
+    addPoint(point) {
+        const lane = this.getLane();
+        if (this.mode === 'stopBar') {
+            // A third click starts the stop bar over
+            lane.stopBar = lane.stopBar.length >= 2 ? [point] : [...lane.stopBar, point];
+            if (lane.stopBar.length === 2 && !lane.reference) this.setMode('reference');
+        } else {
+            lane.reference = point;
+        }
+        this.draw();
+    }
+
+    clearLane() {
+        this.lanes.delete(this.getLaneId());
+        this.selectLane();
+    }
+
+    draw() {
+        const shapes = [];
+        this.lanes.forEach(lane => {
+            const selected = lane.lane_id === this.getLaneId();
+            const color = selected ? '#ef4444' : '#f59e0b';
+            if (lane.stopBar.length) {
+                shapes.push({ type: 'line', points: lane.stopBar, color, label: `L${lane.lane_id}` });
+            }
+            if (lane.stopBar.length === 2 && lane.reference) {
+                const [a, b] = lane.stopBar;
+                const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                shapes.push({
+                    type: 'line',
+                    points: [middle, lane.reference],
+                    color,
+                    dashed: true,
+                    label: lane.referenceMeters ? `${lane.referenceMeters} m` : '? m'
+                });
+            }
+        });
+        this.marker.setShapes(shapes);
+    }
+
+    async save() {
+        this.showError('');
+        const incomplete = [...this.lanes.values()].filter(lane =>
+            lane.stopBar.length !== 2 || !lane.reference || !(lane.referenceMeters > 0));
+        if (incomplete.length) {
+            return this.showError(`Lane ${incomplete[0].lane_id} needs a stop bar, a reference point and its distance`);
+        }
+
+        const queueCalibration = [...this.lanes.values()].sort((a, b) => a.lane_id - b.lane_id);
+        try {
+            const camera = await cameraRegistryService.update(this.camera.id, { queueCalibration });
+            console.log(`📏 Saved queue calibration for ${queueCalibration.length} lane(s) of ${this.camera.name}`);
+            this.onSave(camera);
+            this.close();
+        } catch (error) {
+            this.showError(error.status === 401 ? 'Sign in to calibrate cameras' : error.message);
+        }
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default QueueCalibrationEditor;
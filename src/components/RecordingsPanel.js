@@ -0,0 +1,171 @@
+import { recordingService } from '../services/RecordingService.js';
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+/**
+ * RecordingsPanel Component
+ * Modal for scheduling DVR recordings of a camera and managing existing ones
+ */
+export class RecordingsPanel {
+    constructor(options = {}) {
+        this.modal = document.getElementById('recordingsModal');
+        this.openBtn = document.getElementById('recordBtn');
+        this.cameraSelect = document.getElementById('recordCameraSelect');
+        this.startInput = document.getElementById('recordStart');
+        this.endInput = document.getElementById('recordEnd');
+        this.list = document.getElementById('recordingsList');
+        this.errorEl = document.getElementById('recordingsError');
+
+        this.onChange = options.onChange || (() => { });
+        this.getCurrentCameraId = options.getCurrentCameraId || (() => null);
+        this.recordings = [];
+        this.refreshIntervalMs = 30000;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        cameraRegistryService.load().then(() => this.populateCameras());
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeRecordings')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        document.getElementById('scheduleRecording')?.addEventListener('click', () => this.schedule());
+
+        this.list?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (btn) this.handleAction(btn.dataset.action, btn.dataset.id);
+        });
+
+        this.refresh();
+        // Keep the camera dropdown in step as recordings start and finish
+        setInterval(() => this.refresh(), this.refreshIntervalMs);
+    }
+
+    /**
+     * List the registry's enabled HLS cameras, the ones the recorder can archive
+     */
+    populateCameras() {
+        if (!this.cameraSelect) return;
+
+        const selected = this.cameraSelect.value;
+        this.cameraSelect.innerHTML = '';
+        this.getRecordableCameras().forEach(cam => {
+            const option = document.createElement('option');
+            option.value = cam.id;
+            option.textContent = cam.name;
+            this.cameraSelect.appendChild(option);
+        });
+        if (this.getRecordableCameras().some(c => c.id === selected)) this.cameraSelect.value = selected;
+    }
+
+    getRecordableCameras() {
+        return cameraRegistryService.getEnabled().filter(c => c.url && c.streamType === 'hls');
+    }
+
+    /**
+     * Open the modal, defaulting to the selected camera and the next hour
+     */
+    open() {
+        const cameraId = this.getCurrentCameraId();
+        if (cameraId && this.getRecordableCameras().some(c => c.id === cameraId) && this.cameraSelect) {
+            this.cameraSelect.value = cameraId;
+        }
+
+        const start = new Date();
+        const end = new Date(start.getTime() + 60 * 60 * 1000);
+        if (this.startInput) this.startInput.value = this.toLocalInputValue(start);
+        if (this.endInput) this.endInput.value = this.toLocalInputValue(end);
+
+        this.showError('');
+        this.modal.classList.add('modal--open');
+        this.refresh();
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+    }
+
+    async refresh() {
+        this.recordings = await recordingService.list();
+        this.render();
+        this.onChange(this.recordings);
+    }
+
+    async schedule() {
+        try {
+            await recordingService.schedule({
+                cameraId: this.cameraSelect?.value,
+                startAt: new Date(this.startInput.value).toISOString(),
+                endAt: new Date(this.endInput.value).toISOString()
+            });
+            this.showError('');
+            await this.refresh();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async handleAction(action, id) {
+        try {
+            if (action === 'stop') await recordingService.stop(id);
+            if (action === 'delete') {
+                if (!confirm('Delete this recording and its footage?')) return;
+                await recordingService.remove(id);
+            }
+            await this.refresh();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    render() {
+        if (!this.list) return;
+
+        if (this.recordings.length === 0) {
+            this.list.innerHTML = '<p class="recording-item__meta">No recordings yet</p>';
+            return;
+        }
+
+        const esc = UIUtils.escapeHtml;
+        this.list.innerHTML = this.recordings.map(rec => {
+            const start = new Date(rec.startAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            const end = new Date(rec.endAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const active = rec.status === 'scheduled' || rec.status === 'recording';
+            const minutes = Math.round(rec.duration / 60);
+            const detail = rec.status === 'failed' && rec.lastError ? ` · ${esc(rec.lastError)}` : ` · ${minutes} min`;
+
+            return `
+                <div class="recording-item">
+                    <div class="recording-item__info">
+                        <span class="recording-item__name">${esc(rec.cameraName)}</span>
+                        <span class="recording-item__meta ${rec.status === 'recording' ? 'recording-item__meta--recording' : ''}">
+                            ${start}–${end} · ${rec.status}${detail}
+                        </span>
+                    </div>
+                    <div class="recording-item__actions">
+                        ${active
+                            ? `<button class="btn btn--ghost btn--sm" data-action="stop" data-id="${rec.id}">${rec.status === 'scheduled' ? 'Cancel' : 'Stop'}</button>`
+                            : `<button class="btn btn--ghost btn--sm" data-action="delete" data-id="${rec.id}">Delete</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+
+    /**
+     * Format a date for a datetime-local input (local time, no seconds)
+     */
+    toLocalInputValue(date) {
+        const offset = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+    }
+}
+
+export default RecordingsPanel;
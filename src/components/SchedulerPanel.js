@@ -0,0 +1,177 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { dataStore } from '../services/DataStore.js';
+import { SCHEDULER_MODES, MAX_PARALLEL_SESSIONS, DEFAULT_SLICE_SECONDS } from '../ai/AnalysisScheduler.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+/**
+ * SchedulerPanel Component
+ * Modal for analyzing several cameras at once: pick the cameras and their
+ * sampling budgets, run them in parallel or round-robin, and follow each
+ * camera's status. The choices are kept in the multiCamera setting.
+ */
+export class SchedulerPanel {
+    constructor(options = {}) {
+        this.modal = document.getElementById('schedulerModal');
+        this.openBtn = document.getElementById('multiCameraBtn');
+        this.list = document.getElementById('schedulerCameraList');
+        this.modeSelect = document.getElementById('schedulerMode');
+        this.slotsInput = document.getElementById('schedulerSlots');
+        this.sliceInput = document.getElementById('schedulerSlice');
+        this.roundRobinFields = document.getElementById('schedulerRoundRobin');
+        this.startBtn = document.getElementById('startScheduler');
+        this.stopBtn = document.getElementById('stopScheduler');
+        this.errorEl = document.getElementById('schedulerError');
+
+        this.scheduler = options.scheduler;
+        this.sessions = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal || !this.scheduler) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeScheduler')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        this.startBtn?.addEventListener('click', () => this.start());
+        this.stopBtn?.addEventListener('click', () => this.stop());
+        this.modeSelect?.addEventListener('change', () => this.updateModeFields());
+    }
+
+    getConfig() {
+        return {
+            mode: 'parallel',
+            slots: 2,
+            sliceSeconds: DEFAULT_SLICE_SECONDS,
+            // { [cameraId]: { fps, samplingRatio } } for the chosen cameras
+            cameras: {},
+            ...dataStore.getSetting('multiCamera')
+        };
+    }
+
+    getCameras() {
+        return cameraRegistryService.getEnabled().filter(c => c.url && c.streamType === 'hls');
+    }
+
+    async open() {
+        await cameraRegistryService.load();
+        const config = this.getConfig();
+        if (this.modeSelect) this.modeSelect.value = SCHEDULER_MODES.includes(config.mode) ? config.mode : 'parallel';
+        if (this.slotsInput) {
+            this.slotsInput.max = MAX_PARALLEL_SESSIONS;
+            this.slotsInput.value = config.slots;
+        }
+        if (this.sliceInput) this.sliceInput.value = config.sliceSeconds;
+
+        this.showError('');
+        this.updateModeFields();
+        this.render(config);
+        this.modal.classList.add('modal--open');
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+    }
+
+    updateModeFields() {
+        if (this.roundRobinFields) this.roundRobinFields.hidden = this.modeSelect?.value !== 'round-robin';
+    }
+
+    /**
+     * Read the form, keeping it as the multiCamera setting
+     */
+    readConfig() {
+        const cameras = {};
+        this.list?.querySelectorAll('[data-camera-id]').forEach(row => {
+            if (!row.querySelector('input[type="checkbox"]').checked) return;
+            cameras[row.dataset.cameraId] = {
+                fps: Number(row.querySelector('[data-field="fps"]').value) || null,
+                samplingRatio: Number(row.querySelector('[data-field="samplingRatio"]').value) || null
+            };
+        });
+
+        const config = {
+            mode: this.modeSelect?.value || 'parallel',
+            slots: Number(this.slotsInput?.value) || 1,
+            sliceSeconds: Number(this.sliceInput?.value) || DEFAULT_SLICE_SECONDS,
+            cameras
+        };
+        dataStore.setSetting('multiCamera', config);
+        return config;
+    }
+
+    async start() {
+        this.showError('');
+        const config = this.readConfig();
+        const entries = Object.entries(config.cameras)
+            .map(([id, budget]) => ({ camera: cameraRegistryService.get(id), budget }))
+            .filter(entry => entry.camera);
+
+        try {
+            await this.scheduler.start(entries, config);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async stop() {
+        await this.scheduler.stop();
+    }
+
+    /**
+     * Show the scheduler's sessions (see AnalysisScheduler.getSessions)
+     */
+    updateSessions(sessions) {
+        this.sessions = sessions;
+        const running = sessions.length > 0;
+
+        this.openBtn?.classList.toggle('btn--active', running);
+        if (this.openBtn) this.openBtn.textContent = running ? `Multi-Camera (${sessions.length})` : 'Multi-Camera';
+        if (this.startBtn) this.startBtn.textContent = running ? 'Restart' : 'Start';
+        if (this.stopBtn) this.stopBtn.disabled = !running;
+
+        this.list?.querySelectorAll('[data-camera-id]').forEach(row => {
+            const session = sessions.find(s => s.cameraId === row.dataset.cameraId);
+            row.querySelector('.scheduler-item__status').textContent = session ? this.describe(session) : '';
+        });
+    }
+
+    describe(session) {
+        if (session.status === 'error' || session.status === 'reconnecting') return `${session.status} · ${session.error}`;
+        return session.results ? `${session.status} · ${session.results} results` : session.status;
+    }
+
+    render(config) {
+        if (!this.list) return;
+
+        const cameras = this.getCameras();
+        if (cameras.length === 0) {
+            this.list.innerHTML = '<p class="recording-item__meta">No enabled HLS cameras in the registry</p>';
+            return;
+        }
+
+        const esc = UIUtils.escapeHtml;
+        this.list.innerHTML = cameras.map(camera => {
+            const budget = config.cameras[camera.id];
+            return `
+                <div class="scheduler-item" data-camera-id="${esc(camera.id)}">
+                    <input type="checkbox"${budget ? ' checked' : ''}>
+                    <span class="scheduler-item__name">${esc(camera.name)}</span>
+                    <input class="input scheduler-item__input" data-field="fps" type="number" min="1" max="30"
+                        placeholder="fps" title="Frames per second sent for analysis" value="${budget?.fps ?? ''}">
+                    <input class="input scheduler-item__input" data-field="samplingRatio" type="number" min="0.01" max="1" step="0.01"
+                        placeholder="ratio" title="Share of frames sampled (0.01-1)" value="${budget?.samplingRatio ?? ''}">
+                    <span class="scheduler-item__status"></span>
+                </div>
+            `;
+        }).join('');
+        this.updateSessions(this.sessions);
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default SchedulerPanel;
@@ -0,0 +1,170 @@
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
+import { DEFAULT_LANE_WIDTH_METERS } from '../config/cameras.js';
+import { computeHomography, applyHomography } from '../ai/SpeedEstimator.js';
+import { VideoFrameMarker } from './VideoFrameMarker.js';
+
+// Lanes previewed from the rectangle's left side
+const PREVIEW_LANES = 6;
+
+/**
+ * SpeedCalibrationEditor Component
+ * Modal for calibrating speed measurement on the selected camera: click the
+ * four corners of a rectangle on the road on a still of the video (such as
+ * two lane lines and the ends of a dash cycle) and enter its size in meters.
+ * The lane dividers it implies are drawn back on the still to check the fit.
+ * Saved as the camera's speedCalibration (see SpeedEstimator).
+ */
+export class SpeedCalibrationEditor {
+    constructor(options = {}) {
+        this.modal = document.getElementById('speedCalibrationModal');
+        this.openBtn = document.getElementById('calibrateSpeedBtn');
+        this.cameraNameEl = document.getElementById('speedCalibrationCamera');
+        this.widthInput = document.getElementById('speedCalibrationWidth');
+        this.lengthInput = document.getElementById('speedCalibrationLength');
+        this.laneWidthInput = document.getElementById('speedLaneWidth');
+        this.hintEl = document.getElementById('speedCalibrationHint');
+        this.errorEl = document.getElementById('speedCalibrationError');
+
+        this.getCameraId = options.getCameraId || (() => null);
+        this.getVideoElement = options.getVideoElement || (() => null);
+        // (camera) after the calibration was saved or removed
+        this.onSave = options.onSave || (() => { });
+        this.marker = new VideoFrameMarker(document.getElementById('speedCalibrationCanvas'), {
+            onPoint: (point) => this.addPoint(point)
+        });
+
+        this.camera = null;
+        this.points = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.openBtn?.addEventListener('click', () => this.open());
+        document.getElementById('closeSpeedCalibration')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal__backdrop')?.addEventListener('click', () => this.close());
+        document.getElementById('undoSpeedPoint')?.addEventListener('click', () => this.undoPoint());
+        document.getElementById('removeSpeedCalibration')?.addEventListener('click', () => this.remove());
+        document.getElementById('saveSpeedCalibration')?.addEventListener('click', () => this.save());
+        [this.widthInput, this.lengthInput, this.laneWidthInput].forEach(input => {
+            input?.addEventListener('input', () => this.draw());
+        });
+    }
+
+    async open() {
+        await cameraRegistryService.load();
+        this.camera = cameraRegistryService.get(this.getCameraId());
+        if (!this.camera) {
+            alert('Select a camera on the map or in the stream list first');
+            return;
+        }
+
+        const calibration = this.camera.speedCalibration;
+        this.points = calibration ? calibration.image.map(p => ({ ...p })) : [];
+        const distance = (a, b) => Math.round(Math.hypot(a.x - b.x, a.y - b.y) * 100) / 100;
+        if (this.widthInput) this.widthInput.value = calibration ? distance(calibration.world[0], calibration.world[1]) : '';
+        if (this.lengthInput) this.lengthInput.value = calibration ? distance(calibration.world[1], calibration.world[2]) : '';
+        if (this.laneWidthInput) this.laneWidthInput.value = calibration?.laneWidthMeters ?? DEFAULT_LANE_WIDTH_METERS;
+        if (this.cameraNameEl) this.cameraNameEl.textContent = this.camera.name;
+
+        this.showError('');
+        this.modal.classList.add('modal--open');
+        if (!this.marker.capture(this.getVideoElement())) {
+            this.showError('Play this camera\'s video on the dashboard to calibrate it');
+        }
+        this.draw();
+    }
+
+    close() {
+        this.modal?.classList.remove('modal--open');
+        this.camera = null;
+    }
+
+    addPoint(point) {
+        // A fifth click starts over
+        this.points = this.points.length >= 4 ? [point] : [...this.points, point];
+        this.draw();
+    }
+
+    undoPoint() {
+        this.points.pop();
+        this.draw();
+    }
+
+    /**
+     * The rectangle's corners in meters, in the order they are clicked:
+     * near left, near right, far right, far left
+     */
+    getWorldPoints() {
+        const width = Number(this.widthInput?.value);
+        const length = Number(this.lengthInput?.value);
+        if (!(width > 0) || !(length > 0)) return null;
+        return [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: length }, { x: 0, y: length }];
+    }
+
+    draw() {
+        const labels = ['1 near left', '2 near right', '3 far right', '4 far left'];
+        if (this.hintEl) {
+            this.hintEl.textContent = this.points.length < 4
+                ? `Click corner ${labels[this.points.length]} of a rectangle on the road`
+                : 'Check that the dashed lane dividers follow the road; click again to start over';
+        }
+
+        const shapes = [{ type: 'polygon', points: this.points, color: '#22c55e' }];
+        this.points.forEach((point, i) => shapes.push({ type: 'point', points: [point], color: '#22c55e', label: String(i + 1) }));
+
+        // Lane dividers mapped back from the road onto the still
+        const world = this.getWorldPoints();
+        const laneWidth = Number(this.laneWidthInput?.value);
+        const toImage = this.points.length === 4 && world && laneWidth > 0 ? computeHomography(world, this.points) : null;
+        if (toImage) {
+            const length = world[2].y;
+            for (let lane = 0; lane <= PREVIEW_LANES; lane++) {
+                const x = lane * laneWidth;
+                const ends = [applyHomography(toImage, { x, y: 0 }), applyHomography(toImage, { x, y: length })];
+                if (!ends.includes(null)) shapes.push({ type: 'line', points: ends, color: '#facc15', dashed: true });
+                // Lane number at the far end of its middle
+                const middle = lane < PREVIEW_LANES && applyHomography(toImage, { x: x + laneWidth / 2, y: length });
+                if (middle) shapes.push({ type: 'point', points: [middle], color: '#facc15', label: `L${lane + 1}` });
+            }
+        }
+        this.marker.setShapes(shapes);
+    }
+
+    async save() {
+        this.showError('');
+        const world = this.getWorldPoints();
+        if (this.points.length !== 4) return this.showError('Click all four corners of the rectangle');
+        if (!world) return this.showError('Enter the rectangle\'s width and length in meters');
+
+        const speedCalibration = {
+            image: this.points,
+            world,
+            laneWidthMeters: Number(this.laneWidthInput?.value) || DEFAULT_LANE_WIDTH_METERS
+        };
+        await this.update(speedCalibration, `📐 Saved speed calibration for ${this.camera.name}`);
+    }
+
+    async remove() {
+        await this.update(null, `📐 Removed speed calibration for ${this.camera.name}`);
+    }
+
+    async update(speedCalibration, message) {
+        try {
+            const camera = await cameraRegistryService.update(this.camera.id, { speedCalibration });
+            console.log(message);
+            this.onSave(camera);
+            this.close();
+        } catch (error) {
+            this.showError(error.status === 401 ? 'Sign in to calibrate cameras' : error.message);
+        }
+    }
+
+    showError(message) {
+        if (this.errorEl) this.errorEl.textContent = message;
+    }
+}
+
+export default SpeedCalibrationEditor;
@@ -15,6 +15,12 @@ export class StatsPanel {
 
         this.previousValues = {};
         this.cameraNameElement = document.getElementById('activeIntersectionName');
+        this.qualityElement = document.getElementById('dataQuality');
+        this.qualityScoreElement = document.getElementById('dataQualityScore');
+        this.qualityDetailElement = document.getElementById('dataQualityDetail');
+        this.samplingElement = document.getElementById('samplingStats');
+        this.samplingRateElement = document.getElementById('samplingRate');
+        this.samplingDetailElement = document.getElementById('samplingDetail');
     }
 
     /**
@@ -63,6 +69,51 @@ export class StatsPanel {
         this.updateWaitTime(avgWait);
     }
 
+    /**
+     * Show how many AI results this session were usable
+     * @param {{ total: number, repaired: number, rejected: number, score: number|null, lastIssues: string[], lastRejection: string|null }} stats
+     */
+    updateDataQuality(stats) {
+        if (!this.qualityElement) return;
+        if (!stats?.total) {
+            this.qualityElement.hidden = true;
+            return;
+        }
+
+        const level = stats.score >= 90 ? 'good' : stats.score >= 70 ? 'fair' : 'poor';
+        this.qualityElement.hidden = false;
+        this.qualityElement.className = `data-quality data-quality--${level}`;
+        this.qualityScoreElement.textContent = `${stats.score}%`;
+        this.qualityDetailElement.textContent = `${stats.total} frames · ${stats.repaired} repaired · ${stats.rejected} rejected`;
+        this.qualityElement.title = [
+            stats.lastRejection ? `Last rejected: ${stats.lastRejection}` : '',
+            stats.lastIssues.length ? `Last fixes: ${stats.lastIssues.slice(0, 5).join('; ')}` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Show the effective sampling rate and its estimated cost (see AdaptiveSampler.getStats)
+     */
+    updateSampling(stats) {
+        if (!this.samplingElement) return;
+        if (!stats) {
+            this.samplingElement.hidden = true;
+            return;
+        }
+
+        const level = stats.state === 'backoff' ? 'fair' : 'good';
+        this.samplingElement.hidden = false;
+        this.samplingElement.className = `data-quality data-quality--${level}`;
+        this.samplingRateElement.textContent = `${stats.framesPerMinute} frames/min`;
+        this.samplingDetailElement.textContent = `${stats.rate} fps · ~$${stats.costPerHour.toFixed(2)}/h`;
+        this.samplingElement.title = [
+            `Configured rate: ${stats.targetRate} fps`,
+            stats.state === 'backoff' ? 'Backed off: results are slow or timing out' : '',
+            stats.state === 'boost' ? 'Raised during congestion' : '',
+            stats.latencyMs !== null ? `Latency: ${stats.latencyMs}ms` : ''
+        ].filter(Boolean).join('\n');
+    }
+
     /**
      * Animate value change
      */
@@ -107,6 +158,8 @@ export class StatsPanel {
             }
         });
         this.previousValues = {};
+        this.updateDataQuality(null);
+        this.updateSampling(null);
     }
 }
 
@@ -1,6 +1,7 @@
-import Hls from 'hls.js';
-import { OFFICIAL_CAMERAS } from '../config/cameras.js';
+import { loadHlsSource } from '../utils/HlsSource.js';
 import { UIUtils } from '../utils/UIUtils.js';
+import { cameraHealthService } from '../services/CameraHealthService.js';
+import { cameraRegistryService } from '../services/CameraRegistryService.js';
 
 /**
  * VideoFeed Component
@@ -29,35 +30,46 @@ export class VideoFeed {
         this.onCameraSelect = options.onCameraSelect || (() => { });
         this.onStreamSelect = options.onStreamSelect || (() => { });
         this.onVideoUpload = options.onVideoUpload || (() => { });
+        // Called when an HLS stream fails beyond hls.js's own recovery
+        this.onStreamError = options.onStreamError || (() => { });
 
         this.init();
         this.hls = null;
+        this.recordings = [];
 
-        // Populate dropdown
+        // Populate dropdown once the camera registry has loaded
         this.populateCameraDropdown();
+        cameraRegistryService.load().then(() => this.populateCameraDropdown());
 
         // Show initial instruction
         this.setStatus('ready', 'Select a camera to start analysis');
     }
 
     /**
-     * Populate camera dropdown from official config
+     * Populate camera dropdown from the camera registry.
+     * Only enabled cameras with a stream URL can be played.
      */
     populateCameraDropdown() {
         if (!this.cameraSelect) return;
 
-        // Clear existing options except the first "Select" if we want one, 
-        // but currently it seems to hold hardcoded values.
+        const selected = this.cameraSelect.value;
         this.cameraSelect.innerHTML = '<option value="" disabled selected>Select a Camera...</option>';
 
-        OFFICIAL_CAMERAS.forEach(cam => {
+        cameraRegistryService.getEnabled().filter(cam => cam.url).forEach(cam => {
             const option = document.createElement('option');
             option.value = cam.id; // Use ID as value now, not URL directly
             option.textContent = cam.name;
             option.dataset.url = cam.url; // Store URL in dataset
+            option.dataset.name = cam.name;
             this.cameraSelect.appendChild(option);
         });
 
+        this.applyCameraHealth();
+        if (this.recordings.length) this.setRecordings(this.recordings);
+        if (selected && this.cameraSelect.querySelector(`option[value="${CSS.escape(selected)}"]`)) {
+            this.cameraSelect.value = selected;
+        }
+
         // Sync custom dropdown UI
         const wrapper = this.cameraSelect.closest('.custom-select-wrapper');
         if (wrapper) {
@@ -67,6 +79,73 @@ export class VideoFeed {
         }
     }
 
+    /**
+     * List DVR recordings under the live cameras so they can be opened like one
+     */
+    setRecordings(recordings = []) {
+        if (!this.cameraSelect) return;
+
+        this.recordings = recordings;
+        const selected = this.cameraSelect.value;
+        this.cameraSelect.querySelector('optgroup[data-recordings]')?.remove();
+
+        const playable = recordings.filter(r => r.segmentCount > 0 && ['completed', 'recording'].includes(r.status));
+        if (playable.length) {
+            const group = document.createElement('optgroup');
+            group.label = 'Recordings';
+            group.dataset.recordings = 'true';
+
+            playable.forEach(rec => {
+                const start = new Date(rec.startedAt || rec.startAt);
+                const end = new Date(rec.finishedAt || rec.endAt);
+                const time = (d) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                const label = `⏺ ${rec.cameraName} · ${start.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time(start)}–${time(end)}${rec.status === 'recording' ? ' (recording)' : ''}`;
+
+                const option = document.createElement('option');
+                option.value = `recording:${rec.id}`;
+                option.textContent = label;
+                option.dataset.name = label;
+                option.dataset.url = rec.playlistUrl;
+                option.dataset.recordingId = rec.id;
+                option.dataset.cameraId = rec.cameraId || '';
+                group.appendChild(option);
+            });
+
+            this.cameraSelect.appendChild(group);
+        }
+
+        // Keep the current selection if it still exists
+        if (selected && this.cameraSelect.querySelector(`option[value="${CSS.escape(selected)}"]`)) {
+            this.cameraSelect.value = selected;
+        }
+
+        const wrapper = this.cameraSelect.closest('.custom-select-wrapper');
+        if (wrapper) UIUtils.updateCustomDropdownOptions(wrapper);
+    }
+
+    /**
+     * Grey out cameras the health monitor reports as dead or frozen,
+     * so they can't be picked only to time out in setHlsSource
+     */
+    applyCameraHealth() {
+        if (!this.cameraSelect) return;
+
+        Array.from(this.cameraSelect.options).forEach(option => {
+            if (!option.dataset.url || option.dataset.recordingId) return;
+
+            const available = cameraHealthService.isAvailable(option.value);
+            const health = cameraHealthService.getHealth(option.value);
+            option.disabled = !available;
+            option.textContent = available
+                ? option.dataset.name
+                : `${option.dataset.name} (${cameraHealthService.getStatusLabel(option.value).toLowerCase()})`;
+            option.title = !available && health?.lastError ? health.lastError : '';
+        });
+
+        const wrapper = this.cameraSelect.closest('.custom-select-wrapper');
+        if (wrapper) UIUtils.updateCustomDropdownOptions(wrapper);
+    }
+
     init() {
         // Camera button click handler
         this.cameraBtn?.addEventListener('click', async () => {
@@ -88,9 +167,11 @@ export class VideoFeed {
 
         // Camera select handler
         this.cameraSelect?.addEventListener('change', (e) => {
-            const cameraId = e.target.value;
             const option = e.target.selectedOptions[0];
             const url = option?.dataset.url;
+            // Recordings report the camera they were recorded from
+            const recordingId = option?.dataset.recordingId || null;
+            const cameraId = recordingId ? option.dataset.cameraId : e.target.value;
 
             if (url) {
                 this.setHlsSource(url);
@@ -99,7 +180,7 @@ export class VideoFeed {
                 if (badge) badge.textContent = option.text;
 
                 // Notify parent with ID and URL
-                this.onStreamSelect(url, cameraId);
+                this.onStreamSelect(url, cameraId, recordingId);
             }
         });
     }
@@ -143,64 +224,25 @@ export class VideoFeed {
     }
 
     /**
-     * Set video source from HLS URL
+     * Set video source from HLS URL (see loadHlsSource)
      */
     setHlsSource(url) {
         this.destroyHls();
 
         if (!url) return;
 
-        if (Hls.isSupported()) {
-            this.hls = new Hls({
-                xhrSetup: (xhr, url) => {
-                    // Rewrite all HLS requests to go through local proxy to bypass CORS
-                    // This allows TF.js to read pixels from the video element
-                    if (url.includes('proxy')) return;
-                    // Use relative path for proxy to work in both dev and prod
-                    // In dev (Vite), this is proxied to localhost:3001 via vite.config.js
-                    // In prod (Express), this is handled directly by server.js
-                    const proxyUrl = `/proxy?url=${encodeURIComponent(url)}`;
-                    xhr.open('GET', proxyUrl, true);
-                }
-            });
-            this.hls.loadSource(url);
-            this.hls.attachMedia(this.videoElement);
-
-            this.hls.on(Hls.Events.MANIFEST_PARSED, () => {
-                this.videoElement.play().catch(e => console.error('Play error:', e));
+        this.hls = loadHlsSource(this.videoElement, url, {
+            onReady: () => {
                 this.showVideo();
-                this.setStatus('processing', 'Live Stream Active');
-            });
-
-            this.hls.on(Hls.Events.ERROR, (event, data) => {
-                if (data.fatal) {
-                    switch (data.type) {
-                        case Hls.ErrorTypes.NETWORK_ERROR:
-                            console.error('HLS Network error', data);
-                            this.hls.startLoad();
-                            break;
-                        case Hls.ErrorTypes.MEDIA_ERROR:
-                            console.error('HLS Media error', data);
-                            this.hls.recoverMediaError();
-                            break;
-                        default:
-                            this.destroyHls();
-                            this.setStatus('error', 'Stream Error');
-                            break;
-                    }
-                }
-            });
-        } else if (this.videoElement.canPlayType('application/vnd.apple.mpegurl')) {
-            // Native HLS support (Safari)
-            this.videoElement.src = url;
-            this.videoElement.addEventListener('loadedmetadata', () => {
-                this.videoElement.play();
-                this.showVideo();
-                this.setStatus('processing', 'Live Stream Active');
-            });
-        } else {
-            this.setStatus('error', 'HLS Not Supported');
-        }
+                this.setStatus('processing', this.hls?.isLocal ? 'Recording Playback' : 'Live Stream Active');
+            },
+            onFatal: () => {
+                this.hls = null;
+                this.setStatus('error', 'Stream Error');
+                this.onStreamError();
+            }
+        });
+        if (!this.hls) this.setStatus('error', 'HLS Not Supported');
     }
 
     /**
@@ -278,6 +320,11 @@ export class VideoFeed {
     selectCamera(cameraId) {
         if (!this.cameraSelect) return;
 
+        if (!cameraHealthService.isAvailable(cameraId)) {
+            this.setStatus('error', `Camera ${cameraHealthService.getStatusLabel(cameraId).toLowerCase()}`);
+            return;
+        }
+
         this.cameraSelect.value = cameraId;
 
         // Trigger change event to load stream
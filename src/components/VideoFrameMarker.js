@@ -0,0 +1,107 @@
+/**
+ * VideoFrameMarker Component
+ * A still of the video on a canvas for marking calibration geometry: clicks
+ * are reported as points in video coordinates (fractions of the width and
+ * height, from 0 to 1), and lines, polygons and points are drawn over the
+ * still with their labels.
+ */
+const WIDTH = 640;
+
+export class VideoFrameMarker {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [options]
+     * @param {Function} [options.onPoint] - ({ x, y }) for each click on the still
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas?.getContext('2d');
+        this.onPoint = options.onPoint || (() => { });
+        this.frame = null;
+        this.shapes = [];
+
+        this.canvas?.addEventListener('click', (e) => {
+            if (!this.frame) return;
+            const rect = this.canvas.getBoundingClientRect();
+            const clamp = (value) => Math.min(1, Math.max(0, value));
+            this.onPoint({
+                x: clamp((e.clientX - rect.left) / rect.width),
+                y: clamp((e.clientY - rect.top) / rect.height)
+            });
+        });
+    }
+
+    /**
+     * Take a still from the video
+     * @returns {boolean} false when the video has no frame to show
+     */
+    capture(video) {
+        if (!this.canvas || !video || video.readyState < 2 || !video.videoWidth) {
+            this.frame = null;
+            this.render();
+            return false;
+        }
+
+        this.canvas.width = WIDTH;
+        this.canvas.height = Math.round(WIDTH * video.videoHeight / video.videoWidth);
+        // Kept separately so the shapes can be redrawn over it
+        this.frame = document.createElement('canvas');
+        this.frame.width = this.canvas.width;
+        this.frame.height = this.canvas.height;
+        this.frame.getContext('2d').drawImage(video, 0, 0, this.frame.width, this.frame.height);
+        this.render();
+        return true;
+    }
+
+    /**
+     * @param {Object[]} shapes - [{ type: 'line' | 'polygon' | 'point', points: [{ x, y }], color, label, dashed }]
+     */
+    setShapes(shapes) {
+        this.shapes = shapes;
+        this.render();
+    }
+
+    render() {
+        if (!this.ctx) return;
+        const { width, height } = this.canvas;
+        this.ctx.clearRect(0, 0, width, height);
+        if (!this.frame) return;
+        this.ctx.drawImage(this.frame, 0, 0);
+
+        const ctx = this.ctx;
+        this.shapes.forEach(shape => {
+            const points = shape.points.map(p => ({ x: p.x * width, y: p.y * height }));
+            if (points.length === 0) return;
+
+            ctx.strokeStyle = shape.color || '#ef4444';
+            ctx.fillStyle = shape.color || '#ef4444';
+            ctx.lineWidth = 3;
+            ctx.setLineDash(shape.dashed ? [6, 4] : []);
+
+            if (shape.type !== 'point' && points.length > 1) {
+                ctx.beginPath();
+                points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                if (shape.type === 'polygon') ctx.closePath();
+                ctx.stroke();
+            }
+            points.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            if (shape.label) {
+                const at = points[points.length - 1];
+                ctx.font = 'bold 13px sans-serif';
+                ctx.lineWidth = 3;
+                ctx.setLineDash([]);
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+                ctx.strokeText(shape.label, at.x + 6, at.y - 6);
+                ctx.fillText(shape.label, at.x + 6, at.y - 6);
+            }
+        });
+        ctx.setLineDash([]);
+    }
+}
+
+export default VideoFrameMarker;
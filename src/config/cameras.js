@@ -1,6 +1,7 @@
 /**
  * Official Traffic Camera Configurations
- * Central source of truth for camera locations and streams
+ * Seed data for the camera registry (server/cameraRegistry.js), plus the
+ * camera schema shared by the server and the browser.
  */
 export const OFFICIAL_CAMERAS = [
     {
@@ -8,22 +9,410 @@ export const OFFICIAL_CAMERAS = [
         name: 'I-695 @ Balt Natl Pike',
         lat: 39.2864,
         lng: -76.7384,
-        url: 'https://strmr5.sha.maryland.gov/rtplive/1701ea3700f9004a005dd336c4235c0a/playlist.m3u8'
+        url: 'https://strmr5.sha.maryland.gov/rtplive/1701ea3700f9004a005dd336c4235c0a/playlist.m3u8',
+        streamType: 'hls',
+        agency: 'MDOT SHA'
     },
     {
         id: 'i97_md178',
         name: 'I-97 @ MD 178',
         lat: 39.0478,
         lng: -76.6228,
-        url: 'https://strmr5.sha.maryland.gov/rtplive/2a0016ad00c900410047833235daa/playlist.m3u8'
+        url: 'https://strmr5.sha.maryland.gov/rtplive/2a0016ad00c900410047833235daa/playlist.m3u8',
+        streamType: 'hls',
+        agency: 'MDOT SHA'
     },
     {
         id: 'i97_md32',
         name: 'I-97 N of MD 32',
         lat: 39.0586,
         lng: -76.6336,
-        url: 'https://strmr3.sha.maryland.gov/rtplive/1b0001f0019700c40051fa36c4235c0a/playlist.m3u8'
+        url: 'https://strmr3.sha.maryland.gov/rtplive/1b0001f0019700c40051fa36c4235c0a/playlist.m3u8',
+        streamType: 'hls',
+        agency: 'MDOT SHA'
     }
 ];
 
 export const DEFAULT_CAMERA_ID = 'i695_balt_natl';
+
+export const CAMERA_STREAM_TYPES = ['hls', 'mp4', 'rtsp', 'webrtc', 'file'];
+export const APPROACH_DIRECTIONS = ['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW'];
+export const MAX_LANE_COUNT = 20;
+export const MAX_COUNT_LINES = 20;
+export const DEFAULT_LANE_WIDTH_METERS = 3.7;
+// Suggestions in the lane editor; lanes may use other wording (e.g. from lane discovery)
+export const LANE_DIRECTIONS = ['Northbound', 'Southbound', 'Eastbound', 'Westbound', 'Turning'];
+export const LANE_TYPES = ['car', 'bus-only', 'turn', 'hov', 'bike', 'shoulder'];
+
+export const CAMERA_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+/**
+ * Guess the stream type from a camera URL
+ */
+export function inferStreamType(url) {
+    if (!url) return 'file';
+    if (/^rtsp:/i.test(url)) return 'rtsp';
+    if (/\.m3u8?(\?|$)/i.test(url)) return 'hls';
+    if (/\.(mp4|webm|mov)(\?|$)/i.test(url)) return 'mp4';
+    return 'hls';
+}
+
+/**
+ * Validate a lane layout: [{ lane_id, name, direction, type }] in road order.
+ * Lanes are numbered 1..n in the order given, so merging or splitting lanes
+ * keeps the numbering contiguous.
+ * @returns {{ lanes: Object[], errors: string[] }}
+ */
+export function validateLanes(input) {
+    const errors = [];
+    if (input === undefined || input === null || input === '') return { lanes: [], errors };
+    if (!Array.isArray(input)) return { lanes: [], errors: ['lanes must be a list'] };
+    if (input.length > MAX_LANE_COUNT) errors.push(`lanes are limited to ${MAX_LANE_COUNT}`);
+
+    const text = (value, field, index, max, fallback) => {
+        const result = String(value ?? '').trim() || fallback;
+        if (result.length > max || /[<>]/.test(result)) {
+            errors.push(`lanes[${index}].${field} must be at most ${max} characters without < or >`);
+        }
+        return result;
+    };
+
+    const lanes = input.slice(0, MAX_LANE_COUNT).map((lane, index) => {
+        if (!lane || typeof lane !== 'object') {
+            errors.push(`lanes[${index}] must be an object`);
+            return null;
+        }
+        return {
+            lane_id: index + 1,
+            name: text(lane.name, 'name', index, 50, ''),
+            direction: text(lane.direction, 'direction', index, 40, 'Unknown'),
+            type: text(lane.type, 'type', index, 30, 'car')
+        };
+    }).filter(Boolean);
+
+    return { lanes, errors };
+}
+
+/**
+ * A point on the video, as fractions of its width and height
+ * @returns {{ x: number, y: number } | null}
+ */
+function validatePoint(input) {
+    const x = Number(input?.x);
+    const y = Number(input?.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1) return null;
+    return { x: Math.round(x * 10000) / 10000, y: Math.round(y * 10000) / 10000 };
+}
+
+/**
+ * Validate queue calibration: per lane, a stop bar and a reference point a
+ * known distance upstream (see QueueEstimator)
+ * @returns {{ calibration: Object[], errors: string[] }}
+ */
+export function validateQueueCalibration(input) {
+    const errors = [];
+    if (input === undefined || input === null || input === '') return { calibration: [], errors };
+    if (!Array.isArray(input)) return { calibration: [], errors: ['queueCalibration must be a list'] };
+    if (input.length > MAX_LANE_COUNT) errors.push(`queueCalibration is limited to ${MAX_LANE_COUNT} lanes`);
+
+    const seen = new Set();
+    const calibration = input.slice(0, MAX_LANE_COUNT).map((lane, index) => {
+        const at = `queueCalibration[${index}]`;
+        const laneId = Number(lane?.lane_id);
+        const stopBar = Array.isArray(lane?.stopBar) ? lane.stopBar.map(validatePoint) : [];
+        const reference = validatePoint(lane?.reference);
+        const referenceMeters = Number(lane?.referenceMeters);
+
+        if (!Number.isInteger(laneId) || laneId < 1 || laneId > MAX_LANE_COUNT || seen.has(laneId)) {
+            errors.push(`${at}.lane_id must be a lane number from 1 to ${MAX_LANE_COUNT}, once`);
+            return null;
+        }
+        if (stopBar.length !== 2 || stopBar.includes(null)) {
+            errors.push(`${at}.stopBar must be two points with x and y from 0 to 1`);
+            return null;
+        }
+        if (!reference) {
+            errors.push(`${at}.reference must be a point with x and y from 0 to 1`);
+            return null;
+        }
+        if (!Number.isFinite(referenceMeters) || referenceMeters < 1 || referenceMeters > 500) {
+            errors.push(`${at}.referenceMeters must be from 1 to 500`);
+            return null;
+        }
+        seen.add(laneId);
+        return { lane_id: laneId, stopBar, reference, referenceMeters };
+    }).filter(Boolean);
+
+    return { calibration, errors };
+}
+
+/**
+ * Validate turning movement zones: one polygon per approach, covering that leg
+ * of the intersection (see TurningMovementCounter)
+ * @returns {{ zones: Object[], errors: string[] }}
+ */
+export function validateMovementZones(input) {
+    const errors = [];
+    if (input === undefined || input === null || input === '') return { zones: [], errors };
+    if (!Array.isArray(input)) return { zones: [], errors: ['movementZones must be a list'] };
+
+    const seen = new Set();
+    const zones = input.slice(0, APPROACH_DIRECTIONS.length).map((zone, index) => {
+        const at = `movementZones[${index}]`;
+        const approach = String(zone?.approach ?? '').trim().toUpperCase();
+        const polygon = Array.isArray(zone?.polygon) ? zone.polygon.map(validatePoint) : [];
+
+        if (!APPROACH_DIRECTIONS.includes(approach) || seen.has(approach)) {
+            errors.push(`${at}.approach must be one of ${APPROACH_DIRECTIONS.join(', ')}, once`);
+            return null;
+        }
+        if (polygon.length < 3 || polygon.length > 20 || polygon.includes(null)) {
+            errors.push(`${at}.polygon must be 3 to 20 points with x and y from 0 to 1`);
+            return null;
+        }
+        seen.add(approach);
+        return { approach, polygon };
+    }).filter(Boolean);
+    if (input.length > APPROACH_DIRECTIONS.length) errors.push(`movementZones is limited to ${APPROACH_DIRECTIONS.length} approaches`);
+
+    return { zones, errors };
+}
+
+/**
+ * Validate speed calibration: four points on the road in the video and their
+ * real-world positions in meters, plus the lane width (see SpeedEstimator)
+ * @returns {{ calibration: Object|null, errors: string[] }}
+ */
+export function validateSpeedCalibration(input) {
+    const errors = [];
+    if (input === undefined || input === null || input === '') return { calibration: null, errors };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { calibration: null, errors: ['speedCalibration must be an object'] };
+    }
+
+    const image = Array.isArray(input.image) ? input.image.map(validatePoint) : [];
+    const world = Array.isArray(input.world) ? input.world.map(point => {
+        const x = Number(point?.x);
+        const y = Number(point?.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y) || Math.abs(x) > 1000 || Math.abs(y) > 1000) return null;
+        return { x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 };
+    }) : [];
+    const laneWidthMeters = input.laneWidthMeters === undefined ? DEFAULT_LANE_WIDTH_METERS : Number(input.laneWidthMeters);
+
+    if (image.length !== 4 || image.includes(null)) {
+        errors.push('speedCalibration.image must be 4 points with x and y from 0 to 1');
+    } else if (hasCollinearPoints(image, 1e-4)) {
+        errors.push('speedCalibration.image must not have three points on a line');
+    }
+    if (world.length !== 4 || world.includes(null)) {
+        errors.push('speedCalibration.world must be 4 points with x and y in meters, up to 1000');
+    } else if (hasCollinearPoints(world, 0.01)) {
+        errors.push('speedCalibration.world must not have three points on a line');
+    }
+    if (!Number.isFinite(laneWidthMeters) || laneWidthMeters < 2 || laneWidthMeters > 6) {
+        errors.push('speedCalibration.laneWidthMeters must be from 2 to 6');
+    }
+    if (errors.length) return { calibration: null, errors };
+    return { calibration: { image, world, laneWidthMeters }, errors };
+}
+
+// Whether any three of the points (nearly) lie on a line, by triangle area
+function hasCollinearPoints(points, minArea) {
+    return [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]].some(([a, b, c]) => {
+        const [p, q, r] = [points[a], points[b], points[c]];
+        return Math.abs((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x)) / 2 < minArea;
+    });
+}
+
+/**
+ * Validate count lines: [{ id, name, type: 'line' | 'zone', points }], a line
+ * being two points and a zone a polygon (see CountLineCounter)
+ * @returns {{ lines: Object[], errors: string[] }}
+ */
+export function validateCountLines(input) {
+    const errors = [];
+    if (input === undefined || input === null || input === '') return { lines: [], errors };
+    if (!Array.isArray(input)) return { lines: [], errors: ['countLines must be a list'] };
+    if (input.length > MAX_COUNT_LINES) errors.push(`countLines is limited to ${MAX_COUNT_LINES} lines`);
+
+    const seen = new Set();
+    const lines = input.slice(0, MAX_COUNT_LINES).map((line, index) => {
+        const at = `countLines[${index}]`;
+        const id = String(line?.id ?? '').trim();
+        const name = String(line?.name ?? '').trim();
+        const type = line?.type === 'zone' ? 'zone' : 'line';
+        const points = Array.isArray(line?.points) ? line.points.map(validatePoint) : [];
+
+        if (!/^[A-Za-z0-9_-]{1,40}$/.test(id) || seen.has(id)) {
+            errors.push(`${at}.id must be 1-40 letters, digits, _ or -, unique`);
+            return null;
+        }
+        if (!name || name.length > 40 || /[<>]/.test(name)) {
+            errors.push(`${at}.name is required (max 40 characters)`);
+            return null;
+        }
+        if (line?.type !== undefined && !['line', 'zone'].includes(line.type)) {
+            errors.push(`${at}.type must be line or zone`);
+            return null;
+        }
+        const valid = type === 'line' ? points.length === 2 : points.length >= 3 && points.length <= 20;
+        if (!valid || points.includes(null)) {
+            errors.push(`${at}.points must be ${type === 'line' ? '2' : '3 to 20'} points with x and y from 0 to 1`);
+            return null;
+        }
+        seen.add(id);
+        return { id, name, type, points };
+    }).filter(Boolean);
+
+    return { lines, errors };
+}
+
+/**
+ * Validate a camera, or a partial update merged over an existing camera.
+ * Unknown fields are dropped; `type`, timestamps and audit fields are left
+ * to the caller.
+ * @returns {{ camera: Object, errors: string[] }}
+ */
+export function validateCamera(input = {}, existing = {}) {
+    const errors = [];
+    const merged = { ...existing, ...input };
+    const camera = {};
+
+    camera.id = merged.id === undefined || merged.id === null ? '' : String(merged.id).trim();
+    if (!CAMERA_ID_PATTERN.test(camera.id)) {
+        errors.push('id must be 1-100 letters, digits, or _ . : -');
+    }
+
+    camera.name = String(merged.name ?? '').trim();
+    if (!camera.name || camera.name.length > 100) {
+        errors.push('name is required (max 100 characters)');
+    } else if (/[<>]/.test(camera.name)) {
+        errors.push('name contains invalid characters');
+    }
+
+    camera.lat = Number(merged.lat);
+    camera.lng = Number(merged.lng);
+    if (merged.lat === '' || merged.lat === null || !Number.isFinite(camera.lat) || Math.abs(camera.lat) > 90) {
+        errors.push('lat must be a number between -90 and 90');
+    }
+    if (merged.lng === '' || merged.lng === null || !Number.isFinite(camera.lng) || Math.abs(camera.lng) > 180) {
+        errors.push('lng must be a number between -180 and 180');
+    }
+
+    camera.url = String(merged.url ?? '').trim();
+    if (camera.url) {
+        try {
+            const { protocol } = new URL(camera.url);
+            if (!['http:', 'https:', 'rtsp:'].includes(protocol)) errors.push('url must be http, https or rtsp');
+        } catch {
+            errors.push('url is not a valid URL');
+        }
+        if (camera.url.length > 2048) errors.push('url is too long');
+    }
+
+    camera.streamType = merged.streamType ? String(merged.streamType).toLowerCase() : inferStreamType(camera.url);
+    if (!CAMERA_STREAM_TYPES.includes(camera.streamType)) {
+        errors.push(`streamType must be one of ${CAMERA_STREAM_TYPES.join(', ')}`);
+    }
+
+    const approaches = typeof merged.approaches === 'string'
+        ? merged.approaches.split(/[\s,;|]+/)
+        : merged.approaches || [];
+    camera.approaches = Array.isArray(approaches)
+        ? [...new Set(approaches.map(a => String(a).trim().toUpperCase()).filter(Boolean))]
+        : [];
+    if (!Array.isArray(approaches) || camera.approaches.some(a => !APPROACH_DIRECTIONS.includes(a))) {
+        errors.push(`approaches must be a list of ${APPROACH_DIRECTIONS.join(', ')}`);
+    }
+
+    if (merged.laneCount === undefined || merged.laneCount === null || merged.laneCount === '') {
+        camera.laneCount = null;
+    } else {
+        camera.laneCount = Number(merged.laneCount);
+        if (!Number.isInteger(camera.laneCount) || camera.laneCount < 1 || camera.laneCount > MAX_LANE_COUNT) {
+            errors.push(`laneCount must be a whole number from 1 to ${MAX_LANE_COUNT}`);
+        }
+    }
+
+    const laneLayout = validateLanes(merged.lanes);
+    camera.lanes = laneLayout.lanes;
+    errors.push(...laneLayout.errors);
+    // A saved layout sets the lane count
+    if (camera.lanes.length > 0) camera.laneCount = camera.lanes.length;
+
+    const queueCalibration = validateQueueCalibration(merged.queueCalibration);
+    camera.queueCalibration = queueCalibration.calibration;
+    errors.push(...queueCalibration.errors);
+
+    const movementZones = validateMovementZones(merged.movementZones);
+    camera.movementZones = movementZones.zones;
+    errors.push(...movementZones.errors);
+
+    const countLines = validateCountLines(merged.countLines);
+    camera.countLines = countLines.lines;
+    errors.push(...countLines.errors);
+
+    const speedCalibration = validateSpeedCalibration(merged.speedCalibration);
+    camera.speedCalibration = speedCalibration.calibration;
+    errors.push(...speedCalibration.errors);
+
+    // Fingerprint of the view the lanes were laid out for (see SceneChangeDetector)
+    camera.viewFingerprint = String(merged.viewFingerprint ?? '').trim().toLowerCase();
+    if (!/^[0-9a-f]{0,512}$/.test(camera.viewFingerprint)) {
+        errors.push('viewFingerprint must be a hex string');
+    }
+
+    camera.agency = String(merged.agency ?? '').trim();
+    if (camera.agency.length > 100) errors.push('agency is limited to 100 characters');
+
+    camera.notes = String(merged.notes ?? '').trim();
+    if (camera.notes.length > 1000) errors.push('notes are limited to 1000 characters');
+
+    if (merged.enabled === undefined) {
+        camera.enabled = true;
+    } else if (typeof merged.enabled === 'boolean') {
+        camera.enabled = merged.enabled;
+    } else if (['true', 'false', '1', '0'].includes(String(merged.enabled).toLowerCase())) {
+        camera.enabled = ['true', '1'].includes(String(merged.enabled).toLowerCase());
+    } else {
+        errors.push('enabled must be true or false');
+    }
+
+    return { camera, errors };
+}
+
+// Cameras closer together than this are taken to be the same camera
+export const DUPLICATE_DISTANCE_METERS = 15;
+
+/**
+ * Distance between two points in meters (equirectangular, fine at camera spacing)
+ */
+export function distanceMeters(a, b) {
+    const R = 6371000;
+    const toRad = (deg) => deg * Math.PI / 180;
+    const x = toRad(b.lng - a.lng) * Math.cos(toRad((a.lat + b.lat) / 2));
+    const y = toRad(b.lat - a.lat);
+    return Math.sqrt(x * x + y * y) * R;
+}
+
+/**
+ * Find a camera in the list that a new camera would duplicate: same id, same
+ * stream URL, or practically the same spot. Two streams from one pole (e.g.
+ * facing different approaches) are kept apart by their URLs.
+ * @returns {{ camera: Object, reason: string } | null}
+ */
+export function findDuplicateCamera(camera, cameras) {
+    for (const existing of cameras) {
+        const sameName = camera.name?.toLowerCase() === existing.name?.toLowerCase();
+        if (camera.id && String(existing.id) === String(camera.id)) {
+            return { camera: existing, reason: 'same id' };
+        }
+        if (camera.url && existing.url && existing.url === camera.url) {
+            return { camera: existing, reason: 'same stream URL' };
+        }
+        if ((sameName || !camera.url || !existing.url) && distanceMeters(camera, existing) < DUPLICATE_DISTANCE_METERS) {
+            return { camera: existing, reason: 'same location' };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,40 @@
+/**
+ * Vision backend choices
+ * The engines that can analyze a camera (see src/ai/VisionBackend.js). The
+ * default comes from the visionBackend setting, and a camera can override it
+ * in the cameraBackends setting ({ [cameraId]: backendId }).
+ */
+export const VISION_BACKENDS = [
+    {
+        id: 'overshoot',
+        label: 'Overshoot',
+        description: 'Cloud vision model through the server relay: lanes, alerts and recommendations'
+    },
+    {
+        id: 'local',
+        label: 'Local TF.js',
+        description: 'Vehicle counting in the browser, works offline without an API key'
+    },
+    {
+        id: 'mock',
+        label: 'Mock',
+        description: 'Repeatable simulated traffic for testing the dashboard, ignores the video'
+    }
+];
+
+export const DEFAULT_VISION_BACKEND = 'overshoot';
+
+export function isVisionBackend(id) {
+    return VISION_BACKENDS.some(backend => backend.id === id);
+}
+
+/**
+ * Backend to use for a camera, from the app settings
+ * @param {string|null} cameraId - registry camera, or null for the device camera and uploads
+ * @param {{ visionBackend?: string, cameraBackends?: Object<string, string> }} settings
+ */
+export function resolveVisionBackend(cameraId, settings = {}) {
+    const override = cameraId ? settings.cameraBackends?.[cameraId] : null;
+    if (isVisionBackend(override)) return override;
+    return isVisionBackend(settings.visionBackend) ? settings.visionBackend : DEFAULT_VISION_BACKEND;
+}
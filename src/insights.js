@@ -4,7 +4,7 @@
  */
 import { geminiService } from './services/GeminiService.js';
 import { dataStore } from './services/DataStore.js';
-import { OFFICIAL_CAMERAS } from './config/cameras.js';
+import { cameraRegistryService } from './services/CameraRegistryService.js';
 import { UIUtils } from './utils/UIUtils.js';
 
 
@@ -21,9 +21,24 @@ class InsightsPage {
         UIUtils.setupCustomDropdowns();
         this.loadInsights();
         this.setupEventListeners();
+        this.syncSharedData();
+        cameraRegistryService.load().then(() => {
+            this.populateCameraFilter();
+            this.loadInsights();
+        });
         console.log('💡 AI Insights page initialized');
     }
 
+    /**
+     * Pull the team's shared analytics from the server and re-render
+     */
+    async syncSharedData() {
+        if (await dataStore.sync()) {
+            this.populateCameraFilter();
+            this.loadInsights();
+        }
+    }
+
     populateCameraFilter() {
         const filter = document.getElementById('insightsCameraFilter');
         if (!filter) return;
@@ -33,12 +48,9 @@ class InsightsPage {
         filter.innerHTML = '<option value="">All Roads</option>';
 
         storedCameras.forEach(camId => {
-            const officialCam = OFFICIAL_CAMERAS.find(c => c.id === camId || c.name === camId);
-            const name = officialCam?.name || camId;
-
             const option = document.createElement('option');
             option.value = camId;
-            option.textContent = name;
+            option.textContent = cameraRegistryService.getName(camId);
             filter.appendChild(option);
         });
 
@@ -65,10 +77,7 @@ class InsightsPage {
 
         Object.entries(intersectionStats).forEach(([location, stats]) => {
             // Filter by selected camera
-            if (this.selectedCameraId && location !== this.selectedCameraId) {
-                const cameraName = OFFICIAL_CAMERAS.find(c => c.id === this.selectedCameraId)?.name;
-                if (location !== cameraName) return;
-            }
+            if (this.selectedCameraId && !cameraRegistryService.matches(this.selectedCameraId, location)) return;
 
             const vehicles = stats.vehicles || 0;
             const avgWait = stats.avgWait || 0;
@@ -233,7 +242,7 @@ class InsightsPage {
                                 <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
                                 <circle cx="12" cy="10" r="3"/>
                             </svg>
-                            ${s.location}
+                            ${cameraRegistryService.getName(s.location)}
                         </span>
                         <span class="insight-item__impact">+${s.impact}% improvement</span>
                     </div>
@@ -298,7 +307,7 @@ class InsightsPage {
 
         container.innerHTML = locations.map(([name, count]) => `
             <div class="location-row">
-                <span class="location-row__name">${name}</span>
+                <span class="location-row__name">${cameraRegistryService.getName(name)}</span>
                 <span class="location-row__count">${count}</span>
             </div>
         `).join('');
@@ -315,7 +324,7 @@ class InsightsPage {
 
         // Seed Data Button (Header)
         document.getElementById('seedDataBtnHeader')?.addEventListener('click', () => {
-            if (confirm('This will clear current data and generate demo scenarios. Continue?')) {
+            if (confirm('This will replace the data shown in this browser with demo scenarios. Your team\'s shared data is not changed. Continue?')) {
                 try {
                     dataStore.generateComplexDemoData();
                     alert('Demo data generated! Reloading...');
@@ -328,11 +337,11 @@ class InsightsPage {
         });
 
         // Auto-refresh
-        setInterval(() => this.loadInsights(), 30000);
+        setInterval(() => this.syncSharedData(), 30000);
 
         // Sync across tabs
         window.addEventListener('storage', (e) => {
-            if (e.key === 'trafiq_data') {
+            if (e.key === dataStore.storageKey) {
                 dataStore.data = dataStore.load();
                 this.populateCameraFilter();
                 this.loadInsights();
@@ -360,8 +369,8 @@ class InsightsPage {
         } catch (error) {
             console.error(error);
             this.showToast(error.message || 'Failed to generate report');
-            if (error.message.includes('API Key')) {
-                setTimeout(() => window.location.href = '/settings.html', 2000);
+            if (error.status === 401) {
+                setTimeout(() => window.location.href = '/login.html', 2000);
             }
         } finally {
             btn.disabled = false;
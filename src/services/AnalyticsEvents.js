@@ -0,0 +1,447 @@
+/**
+ * Analytics Events
+ * Every change to analytics data is expressed as an event and applied by the
+ * same reducer in the browser (DataStore) and on the server (server/analyticsStore.js),
+ * so local and shared aggregates always agree.
+ *
+ * Events carry the time they happened plus the client's local hour and date,
+ * so hourly buckets don't shift when the server runs in another timezone.
+ *
+ * The server applies events any signed-in user posts, so every value that
+ * becomes an object key must be a safe key and every number is coerced and
+ * clamped (see sanitizePayload) before a reducer sees it.
+ */
+import { APPROACH_DIRECTIONS, MAX_LANE_COUNT, CAMERA_ID_PATTERN } from '../config/cameras.js';
+import { MOVEMENTS } from '../ai/TurningMovementCounter.js';
+import { COUNT_DIRECTIONS } from '../ai/CountLineCounter.js';
+import { MAX_SPEED_KMH, speedBin } from '../ai/SpeedEstimator.js';
+
+export const ANALYTICS_EVENT_TYPES = [
+    'traffic',
+    'incident',
+    'recommendation',
+    'session',
+    'queue',
+    'emergency',
+    'emergencyCleared',
+    'savings',
+    'downtime',
+    'movement',
+    'lineCrossing',
+    'speed',
+    'cleanup',
+    'clear',
+    'replace'
+];
+
+// Rewrite or delete the whole team's data, so only admins may send them to the server
+export const ADMIN_EVENT_TYPES = ['clear', 'replace', 'cleanup'];
+
+const MAX_INCIDENTS = 100;
+const MAX_RECOMMENDATIONS = 50;
+const MAX_EMERGENCY_EVENTS = 50;
+const MAX_DOWNTIME_GAPS = 100;
+// Vehicles of one class in one traffic event
+const MAX_VEHICLES_PER_EVENT = 1000;
+const VEHICLE_CLASS_PATTERN = /^[a-z_]{1,20}$/;
+// Would reach Object.prototype when used as a key on a plain object
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Numeric payload fields per event type with their [min, max]. Other values
+// are dropped, so reducers see either a finite number in range or undefined.
+const PAYLOAD_RANGES = {
+    traffic: {
+        car: [0, MAX_VEHICLES_PER_EVENT],
+        bus: [0, MAX_VEHICLES_PER_EVENT],
+        truck: [0, MAX_VEHICLES_PER_EVENT],
+        motorcycle: [0, MAX_VEHICLES_PER_EVENT],
+        avgWaitTime: [0, 3600]
+    },
+    queue: { meters: [0, 5000] },
+    emergency: { eventId: [0, Number.MAX_SAFE_INTEGER] },
+    emergencyCleared: { eventId: [0, Number.MAX_SAFE_INTEGER] },
+    savings: { timeSavedMinutes: [0, 1440], co2SavedKg: [0, 10000] },
+    speed: { speedKmh: [0, MAX_SPEED_KMH] }
+};
+// Free-text payload fields per event type with their maximum length (numbers are kept)
+const PAYLOAD_TEXT = {
+    incident: { type: 40, description: 500 },
+    recommendation: { text: 500, intersection: 100 },
+    emergency: { type: 40, lane: 40, direction: 40 },
+    downtime: { reason: 200 },
+    lineCrossing: { name: 40 }
+};
+
+/**
+ * Empty analytics structure
+ */
+export function createDefaultAnalytics() {
+    return {
+        totalVehicles: 0,
+        totalSessions: 0,
+        incidents: [],
+        recommendations: [],
+        emergencyEvents: [], // Emergency vehicle detections
+        downtimeGaps: [], // Periods analysis was down, so missing counts aren't read as empty roads
+        hourlyData: {},
+        // Turning movement counts: { intersection: { 'YYYY-MM-DD HH:MM': { approach: { movement: { class: count } } } } }
+        movementCounts: {},
+        // Count line crossings: { intersection: { lineId: { name, in: { class: count }, out: { class: count }, hourly: { hour: { in, out } } } } }
+        lineCounts: {},
+        cameraHourlyData: {},
+        intersectionStats: {},
+        dailyTotals: {},
+        // Queue tracking (replaced speed)
+        queueData: {
+            totalReadings: 0,
+            totalQueueSum: 0,
+            hourlyQueue: {}, // { hour: { sum, count } }
+            cameraQueue: {} // { cameraId: { sum, count } }
+        },
+        // Measured vehicle speeds (km/h), with a 5 km/h distribution per camera, lane and hour
+        speedData: {
+            totalReadings: 0,
+            totalSpeedSum: 0,
+            hourlySpeed: {}, // { hour: { sum, count } }
+            cameraSpeed: {}, // { cameraId: { sum, count } }
+            laneSpeed: {} // { cameraId: { lane: { hour: { sum, count, bins: { binStart: count } } } } }
+        },
+        // CO2 and time savings
+        savingsData: {
+            totalTimeSavedMinutes: 0,
+            totalCO2SavedKg: 0,
+            optimizationsApplied: 0
+        }
+    };
+}
+
+/**
+ * Build an event stamped with the current time and intersection
+ */
+export function createAnalyticsEvent(type, payload = {}, intersection = null) {
+    const now = new Date();
+    return {
+        id: `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        type,
+        payload,
+        intersection,
+        timestamp: now.toISOString(),
+        hour: now.getHours(),
+        date: now.toISOString().split('T')[0]
+    };
+}
+
+/**
+ * Whether a value can be used as a key of the analytics maps (camera ids,
+ * count line ids): the camera id pattern, and never a prototype property
+ */
+export function isSafeKey(key, pattern = CAMERA_ID_PATTERN) {
+    return typeof key === 'string' && pattern.test(key) && !RESERVED_KEYS.has(key);
+}
+
+/**
+ * Copy of an event's payload with its numbers coerced and clamped and its
+ * text cut to length, per PAYLOAD_RANGES and PAYLOAD_TEXT
+ */
+export function sanitizePayload(type, payload = {}) {
+    const clean = { ...payload };
+    Object.entries(PAYLOAD_RANGES[type] || {}).forEach(([field, [min, max]]) => {
+        if (!(field in clean)) return;
+        const value = typeof clean[field] === 'number' ? clean[field] : NaN;
+        if (Number.isFinite(value)) {
+            clean[field] = Math.min(max, Math.max(min, value));
+        } else {
+            delete clean[field];
+        }
+    });
+    Object.entries(PAYLOAD_TEXT[type] || {}).forEach(([field, maxLength]) => {
+        const value = clean[field];
+        if (value === undefined || value === null || Number.isFinite(value)) return;
+        clean[field] = String(clean[field]).slice(0, maxLength);
+    });
+    return clean;
+}
+
+/**
+ * Check the shape of an event received from a client
+ */
+export function isValidAnalyticsEvent(event) {
+    return !!event &&
+        typeof event.id === 'string' &&
+        (event.intersection === undefined || event.intersection === null || isSafeKey(event.intersection)) &&
+        ANALYTICS_EVENT_TYPES.includes(event.type) &&
+        typeof event.timestamp === 'string' &&
+        !isNaN(new Date(event.timestamp).getTime()) &&
+        Number.isInteger(event.hour) && event.hour >= 0 && event.hour < 24 &&
+        /^\d{4}-\d{2}-\d{2}$/.test(event.date) &&
+        (event.payload === undefined || (typeof event.payload === 'object' && event.payload !== null));
+}
+
+function ensureDailyTotals(analytics, date) {
+    if (!analytics.dailyTotals[date]) {
+        analytics.dailyTotals[date] = { vehicles: 0, incidents: 0, sessions: 0 };
+    }
+    return analytics.dailyTotals[date];
+}
+
+const reducers = {
+    traffic(analytics, { payload: data, hour, date, intersection }) {
+        const vehicleCount = (data.car || 0) + (data.bus || 0) + (data.truck || 0) + (data.motorcycle || 0);
+
+        // Update hourly data
+        if (!analytics.hourlyData[hour]) {
+            analytics.hourlyData[hour] = { vehicles: 0, count: 0 };
+        }
+        analytics.hourlyData[hour].vehicles += vehicleCount;
+        analytics.hourlyData[hour].count += 1;
+
+        // Update hourly data per camera
+        if (intersection) {
+            if (!analytics.cameraHourlyData) analytics.cameraHourlyData = {};
+            if (!analytics.cameraHourlyData[intersection]) analytics.cameraHourlyData[intersection] = {};
+            if (!analytics.cameraHourlyData[intersection][hour]) {
+                analytics.cameraHourlyData[intersection][hour] = { vehicles: 0, count: 0 };
+            }
+            analytics.cameraHourlyData[intersection][hour].vehicles += vehicleCount;
+            analytics.cameraHourlyData[intersection][hour].count += 1;
+        }
+
+        // Update daily totals
+        ensureDailyTotals(analytics, date).vehicles += vehicleCount;
+
+        // Update intersection stats
+        const name = intersection || 'Unknown';
+        if (!analytics.intersectionStats[name]) {
+            analytics.intersectionStats[name] = { vehicles: 0, avgWait: 0, count: 0 };
+        }
+
+        // Update average wait time
+        const stats = analytics.intersectionStats[name];
+        const newWait = data.avgWaitTime || 0;
+        if (newWait > 0) {
+            // Update running average
+            stats.avgWait = Math.round(((stats.avgWait * stats.count) + newWait) / (stats.count + 1));
+        }
+
+        stats.vehicles += vehicleCount;
+        stats.count += 1;
+
+        // Update totals
+        analytics.totalVehicles += vehicleCount;
+    },
+
+    incident(analytics, { payload, timestamp, date, intersection }) {
+        analytics.incidents.unshift({
+            id: new Date(timestamp).getTime(),
+            type: payload.type,
+            description: payload.description,
+            timestamp,
+            intersection
+        });
+
+        if (analytics.incidents.length > MAX_INCIDENTS) {
+            analytics.incidents = analytics.incidents.slice(0, MAX_INCIDENTS);
+        }
+
+        // Update daily incident count
+        if (analytics.dailyTotals[date]) {
+            analytics.dailyTotals[date].incidents += 1;
+        }
+    },
+
+    recommendation(analytics, { payload, timestamp, intersection }) {
+        if (!analytics.recommendations) analytics.recommendations = [];
+
+        // Ignore duplicates within 5 mins
+        const at = new Date(timestamp).getTime();
+        if (analytics.recommendations.some(r => r.text === payload.text && Math.abs(at - new Date(r.timestamp).getTime()) < 300000)) {
+            return;
+        }
+
+        analytics.recommendations.unshift({
+            id: at,
+            text: payload.text,
+            timestamp,
+            intersection: payload.intersection !== undefined ? payload.intersection : intersection
+        });
+
+        if (analytics.recommendations.length > MAX_RECOMMENDATIONS) {
+            analytics.recommendations = analytics.recommendations.slice(0, MAX_RECOMMENDATIONS);
+        }
+    },
+
+    session(analytics, { date }) {
+        analytics.totalSessions += 1;
+        ensureDailyTotals(analytics, date).sessions += 1;
+    },
+
+    queue(analytics, { payload, hour, intersection }) {
+        const queueMeters = payload.meters;
+        if (!(queueMeters >= 0)) return;
+
+        if (!analytics.queueData) analytics.queueData = createDefaultAnalytics().queueData;
+        const queueData = analytics.queueData;
+        const camId = intersection || 'unknown';
+
+        queueData.totalReadings += 1;
+        queueData.totalQueueSum += queueMeters;
+
+        if (!queueData.hourlyQueue[hour]) queueData.hourlyQueue[hour] = { sum: 0, count: 0 };
+        queueData.hourlyQueue[hour].sum += queueMeters;
+        queueData.hourlyQueue[hour].count += 1;
+
+        if (!queueData.cameraQueue[camId]) queueData.cameraQueue[camId] = { sum: 0, count: 0 };
+        queueData.cameraQueue[camId].sum += queueMeters;
+        queueData.cameraQueue[camId].count += 1;
+    },
+
+    emergency(analytics, { payload, timestamp, intersection }) {
+        if (!analytics.emergencyEvents) analytics.emergencyEvents = [];
+
+        analytics.emergencyEvents.unshift({
+            id: payload.eventId,
+            type: payload.type, // ambulance, fire_truck, police
+            lane: payload.lane,
+            direction: payload.direction,
+            timestamp,
+            intersection,
+            clearedAt: null,
+            responseTimeSeconds: null
+        });
+
+        if (analytics.emergencyEvents.length > MAX_EMERGENCY_EVENTS) {
+            analytics.emergencyEvents = analytics.emergencyEvents.slice(0, MAX_EMERGENCY_EVENTS);
+        }
+    },
+
+    emergencyCleared(analytics, { payload, timestamp }) {
+        const event = analytics.emergencyEvents?.find(e => e.id === payload.eventId);
+        if (event && !event.clearedAt) {
+            // When the vehicle was last seen, if the client says so
+            const clearedAt = new Date(payload.clearedAt);
+            event.clearedAt = isNaN(clearedAt.getTime())
+                ? timestamp
+                : new Date(Math.max(clearedAt, new Date(event.timestamp))).toISOString();
+            event.responseTimeSeconds = Math.round((new Date(event.clearedAt) - new Date(event.timestamp)) / 1000);
+        }
+    },
+
+    savings(analytics, { payload }) {
+        if (!analytics.savingsData) analytics.savingsData = createDefaultAnalytics().savingsData;
+
+        analytics.savingsData.totalTimeSavedMinutes += payload.timeSavedMinutes || 0;
+        analytics.savingsData.totalCO2SavedKg += payload.co2SavedKg || 0;
+        analytics.savingsData.optimizationsApplied += 1;
+    },
+
+    downtime(analytics, { payload, intersection }) {
+        const start = new Date(payload.start);
+        const end = new Date(payload.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) return;
+
+        if (!analytics.downtimeGaps) analytics.downtimeGaps = [];
+        analytics.downtimeGaps.unshift({
+            start: start.toISOString(),
+            end: end.toISOString(),
+            durationSeconds: Math.round((end - start) / 1000),
+            reason: payload.reason || '',
+            intersection
+        });
+
+        if (analytics.downtimeGaps.length > MAX_DOWNTIME_GAPS) {
+            analytics.downtimeGaps = analytics.downtimeGaps.slice(0, MAX_DOWNTIME_GAPS);
+        }
+    },
+
+    movement(analytics, { payload, intersection }) {
+        const { interval, approach, movement, vehicleClass } = payload;
+        if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(interval) || !APPROACH_DIRECTIONS.includes(approach) ||
+            !MOVEMENTS.includes(movement) || !isSafeKey(vehicleClass, VEHICLE_CLASS_PATTERN)) return;
+
+        if (!analytics.movementCounts) analytics.movementCounts = {};
+        const intervals = analytics.movementCounts[intersection || 'unknown'] ??= {};
+        const classes = ((intervals[interval] ??= {})[approach] ??= {})[movement] ??= {};
+        classes[vehicleClass] = (classes[vehicleClass] || 0) + 1;
+    },
+
+    lineCrossing(analytics, { payload, hour, intersection }) {
+        const { lineId, name, direction, vehicleClass } = payload;
+        if (!isSafeKey(lineId) || !COUNT_DIRECTIONS.includes(direction) ||
+            !isSafeKey(vehicleClass, VEHICLE_CLASS_PATTERN)) return;
+
+        if (!analytics.lineCounts) analytics.lineCounts = {};
+        const lines = analytics.lineCounts[intersection || 'unknown'] ??= {};
+        const line = lines[lineId] ??= { name: lineId, in: {}, out: {}, hourly: {} };
+        if (name) line.name = name;
+        line[direction][vehicleClass] = (line[direction][vehicleClass] || 0) + 1;
+        const hourly = line.hourly[hour] ??= { in: 0, out: 0 };
+        hourly[direction] += 1;
+    },
+
+    speed(analytics, { payload, hour, intersection }) {
+        const { speedKmh, lane } = payload;
+        if (speedKmh === undefined || !Number.isInteger(lane) || lane < 1 || lane > MAX_LANE_COUNT) return;
+
+        if (!analytics.speedData) analytics.speedData = createDefaultAnalytics().speedData;
+        const speedData = analytics.speedData;
+        const camId = intersection || 'unknown';
+
+        speedData.totalReadings += 1;
+        speedData.totalSpeedSum += speedKmh;
+
+        if (!speedData.hourlySpeed[hour]) speedData.hourlySpeed[hour] = { sum: 0, count: 0 };
+        speedData.hourlySpeed[hour].sum += speedKmh;
+        speedData.hourlySpeed[hour].count += 1;
+
+        if (!speedData.cameraSpeed[camId]) speedData.cameraSpeed[camId] = { sum: 0, count: 0 };
+        speedData.cameraSpeed[camId].sum += speedKmh;
+        speedData.cameraSpeed[camId].count += 1;
+
+        if (!speedData.laneSpeed) speedData.laneSpeed = {};
+        const lanes = speedData.laneSpeed[camId] ??= {};
+        const bucket = (lanes[lane] ??= {})[hour] ??= { sum: 0, count: 0, bins: {} };
+        bucket.sum += speedKmh;
+        bucket.count += 1;
+        const bin = speedBin(speedKmh);
+        bucket.bins[bin] = (bucket.bins[bin] || 0) + 1;
+    },
+
+    cleanup(analytics, { payload }) {
+        const cutoffKey = payload.cutoffDate;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(cutoffKey)) return;
+
+        // Remove old daily totals
+        Object.keys(analytics.dailyTotals).forEach(dateKey => {
+            if (dateKey < cutoffKey) delete analytics.dailyTotals[dateKey];
+        });
+
+        // Remove old incidents
+        analytics.incidents = analytics.incidents.filter(incident => {
+            return incident.timestamp.split('T')[0] >= cutoffKey;
+        });
+
+        // Remove old turning movement intervals
+        Object.values(analytics.movementCounts || {}).forEach(intervals => {
+            Object.keys(intervals).forEach(interval => {
+                if (interval.split(' ')[0] < cutoffKey) delete intervals[interval];
+            });
+        });
+
+        // Remove old downtime gaps
+        if (analytics.downtimeGaps) {
+            analytics.downtimeGaps = analytics.downtimeGaps.filter(gap => gap.end.split('T')[0] >= cutoffKey);
+        }
+    }
+};
+
+/**
+ * Apply an event to an analytics object and return the (possibly replaced) object.
+ * 'clear' and 'replace' swap in a whole new object, so always use the return value.
+ */
+export function applyAnalyticsEvent(analytics, event) {
+    if (event.type === 'clear') return createDefaultAnalytics();
+    if (event.type === 'replace') return { ...createDefaultAnalytics(), ...structuredClone(event.payload.analytics) };
+
+    reducers[event.type]?.(analytics, { ...event, payload: sanitizePayload(event.type, event.payload || {}) });
+    return analytics;
+}
@@ -1,110 +1,68 @@
 /**
- * AuthService - Local authentication with hashed passwords
- * Uses Web Crypto API for secure password hashing
- * Stores users and sessions in localStorage
- * 
- * NOTE: This is NOT production-secure (client-side only).
- * For production, use a proper backend auth system.
+ * AuthService - Client for the server's auth API (/api/auth)
+ * Passwords are hashed and sessions are kept on the server; the browser only
+ * holds an HTTP-only session cookie it can't read, plus the signed-in user's
+ * public profile in memory.
  */
 
+// Written by the old localStorage-only version, which kept password hashes in the browser
+const LEGACY_KEYS = ['trafiq_users', 'trafiq_session'];
+
 class AuthService {
     constructor() {
-        this.USERS_KEY = 'trafiq_users';
-        this.SESSION_KEY = 'trafiq_session';
-        this.SESSION_EXPIRY_HOURS = 24;
-    }
-
-    /**
-     * Hash password using SHA-256
-     */
-    async hashPassword(password, salt = null) {
-        // Generate or use existing salt
-        if (!salt) {
-            const saltArray = new Uint8Array(16);
-            crypto.getRandomValues(saltArray);
-            salt = Array.from(saltArray).map(b => b.toString(16).padStart(2, '0')).join('');
+        this.API_URL = '/api/auth';
+        this.MIN_PASSWORD_LENGTH = 8;
+        this.user = null;
+        this.sessionPromise = null;
+        // False on static deploys (e.g. Vercel only) that have no /api/auth
+        this.available = true;
+
+        LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.API_URL}${path}`, {
+            ...options,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+
+        if (response.status === 204) return null;
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(data?.message || `Auth API responded with ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
-
-        // Combine password and salt
-        const combined = password + salt;
-        const encoder = new TextEncoder();
-        const data = encoder.encode(combined);
-
-        // Hash with SHA-256
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        const hash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-        return { hash, salt };
+        return data;
     }
 
     /**
-     * Get all users from localStorage
-     */
-    getUsers() {
-        try {
-            return JSON.parse(localStorage.getItem(this.USERS_KEY) || '{}');
-        } catch {
-            return {};
-        }
-    }
-
-    /**
-     * Save users to localStorage
-     */
-    saveUsers(users) {
-        localStorage.setItem(this.USERS_KEY, JSON.stringify(users));
-    }
-
-    /**
-     * Register a new user
+     * Register a new user (signs them in)
      */
     async register(email, password, name = '') {
         email = email.toLowerCase().trim();
 
-        // Validate email format
+        // Same checks as the server, to answer without a round trip
         if (!email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
             throw new Error('Invalid email format');
         }
-
-        // Validate name (prevent XSS)
         if (name && /[<>&"']/.test(name)) {
             throw new Error('Name contains invalid characters');
         }
-
-        // Validate password strength
-        if (password.length < 6) {
-            throw new Error('Password must be at least 6 characters');
-        }
-
-        const users = this.getUsers();
-
-        // Check if user already exists
-        if (users[email]) {
-            throw new Error('An account with this email already exists');
+        if (password.length < this.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
         }
 
-        // Hash the password
-        const { hash, salt } = await this.hashPassword(password);
-
-        // Create user
-        const user = {
-            email,
-            name: name || email.split('@')[0],
-            passwordHash: hash,
-            salt,
-            createdAt: new Date().toISOString(),
-            settings: {}
-        };
-
-        users[email] = user;
-        this.saveUsers(users);
-
-        // Auto-login after registration
-        await this.createSession(user);
+        const { user } = await this.request('/register', {
+            method: 'POST',
+            body: JSON.stringify({ email, password, name })
+        });
+        this.setUser(user);
 
         console.log(`✅ User registered: ${email}`);
-        return this.getPublicUser(user);
+        return user;
     }
 
     /**
@@ -112,94 +70,66 @@ class AuthService {
      */
     async login(email, password) {
         email = email.toLowerCase().trim();
-        const users = this.getUsers();
-        const user = users[email];
-
-        if (!user) {
-            throw new Error('No account found with this email');
-        }
-
-        // Verify password
-        const { hash } = await this.hashPassword(password, user.salt);
-        if (hash !== user.passwordHash) {
-            throw new Error('Incorrect password');
-        }
 
-        // Create session
-        await this.createSession(user);
+        const { user } = await this.request('/login', {
+            method: 'POST',
+            body: JSON.stringify({ email, password })
+        });
+        this.setUser(user);
 
         console.log(`✅ User logged in: ${email}`);
-        return this.getPublicUser(user);
+        return user;
     }
 
-    /**
-     * Create a session for the user
-     */
-    async createSession(user) {
-        // Generate session token
-        const tokenArray = new Uint8Array(32);
-        crypto.getRandomValues(tokenArray);
-        const token = Array.from(tokenArray).map(b => b.toString(16).padStart(2, '0')).join('');
-
-        const session = {
-            email: user.email,
-            token,
-            expiresAt: new Date(Date.now() + this.SESSION_EXPIRY_HOURS * 60 * 60 * 1000).toISOString()
-        };
-
-        localStorage.setItem(this.SESSION_KEY, JSON.stringify(session));
-        return session;
+    setUser(user) {
+        this.user = user;
+        this.sessionPromise = Promise.resolve(user);
     }
 
     /**
-     * Get current session
+     * Ask the server who is signed in. Cached, so pages can call it freely.
      */
-    getSession() {
-        try {
-            const session = JSON.parse(localStorage.getItem(this.SESSION_KEY));
-            if (!session) return null;
-
-            // Check if expired
-            if (new Date(session.expiresAt) < new Date()) {
-                this.logout();
-                return null;
-            }
-
-            return session;
-        } catch {
-            return null;
+    loadSession() {
+        if (!this.sessionPromise) {
+            this.sessionPromise = this.request('/me')
+                .then(({ user }) => user)
+                .catch(error => {
+                    if (error.status === 404) this.available = false;
+                    else if (error.status !== 401) console.warn('Could not check session:', error.message);
+                    return null;
+                })
+                .then(user => {
+                    this.user = user;
+                    return user;
+                });
         }
+        return this.sessionPromise;
     }
 
     /**
-     * Get current logged in user
+     * Get current logged in user (after loadSession, login or register)
      */
     getCurrentUser() {
-        const session = this.getSession();
-        if (!session) return null;
-
-        const users = this.getUsers();
-        const user = users[session.email];
-        if (!user) {
-            this.logout();
-            return null;
-        }
-
-        return this.getPublicUser(user);
+        return this.user;
     }
 
     /**
      * Check if user is logged in
      */
     isLoggedIn() {
-        return this.getCurrentUser() !== null;
+        return this.user !== null;
     }
 
     /**
      * Logout user
      */
-    logout() {
-        localStorage.removeItem(this.SESSION_KEY);
+    async logout() {
+        try {
+            await this.request('/logout', { method: 'POST' });
+        } catch (error) {
+            console.warn('Logout request failed:', error.message);
+        }
+        this.setUser(null);
         console.log('👋 User logged out');
     }
 
@@ -207,52 +137,31 @@ class AuthService {
      * Update user profile
      */
     async updateProfile(updates) {
-        const session = this.getSession();
-        if (!session) throw new Error('Not logged in');
-
-        const users = this.getUsers();
-        const user = users[session.email];
-        if (!user) throw new Error('User not found');
+        if (!this.user) throw new Error('Not logged in');
 
-        // Update allowed fields
-        if (updates.name) user.name = updates.name;
-        if (updates.settings) user.settings = { ...user.settings, ...updates.settings };
-
-        users[session.email] = user;
-        this.saveUsers(users);
-
-        return this.getPublicUser(user);
+        const { user } = await this.request('/me', {
+            method: 'PATCH',
+            body: JSON.stringify({ name: updates.name, settings: updates.settings })
+        });
+        this.setUser(user);
+        return user;
     }
 
     /**
-     * Change password
+     * Change password. Other sessions for this account are signed out.
      */
     async changePassword(currentPassword, newPassword) {
-        const session = this.getSession();
-        if (!session) throw new Error('Not logged in');
+        if (!this.user) throw new Error('Not logged in');
 
-        const users = this.getUsers();
-        const user = users[session.email];
-        if (!user) throw new Error('User not found');
-
-        // Verify current password
-        const { hash: currentHash } = await this.hashPassword(currentPassword, user.salt);
-        if (currentHash !== user.passwordHash) {
-            throw new Error('Current password is incorrect');
+        if (newPassword.length < this.MIN_PASSWORD_LENGTH) {
+            throw new Error(`New password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
         }
 
-        // Validate new password
-        if (newPassword.length < 6) {
-            throw new Error('New password must be at least 6 characters');
-        }
-
-        // Hash new password
-        const { hash, salt } = await this.hashPassword(newPassword);
-        user.passwordHash = hash;
-        user.salt = salt;
-
-        users[session.email] = user;
-        this.saveUsers(users);
+        const { user } = await this.request('/password', {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        this.setUser(user);
 
         console.log('✅ Password changed');
         return true;
@@ -262,45 +171,28 @@ class AuthService {
      * Delete account
      */
     async deleteAccount(password) {
-        const session = this.getSession();
-        if (!session) throw new Error('Not logged in');
-
-        const users = this.getUsers();
-        const user = users[session.email];
-        if (!user) throw new Error('User not found');
+        if (!this.user) throw new Error('Not logged in');
 
-        // Verify password
-        const { hash } = await this.hashPassword(password, user.salt);
-        if (hash !== user.passwordHash) {
-            throw new Error('Password is incorrect');
-        }
-
-        // Delete user
-        delete users[session.email];
-        this.saveUsers(users);
-        this.logout();
+        await this.request('/me', {
+            method: 'DELETE',
+            body: JSON.stringify({ password })
+        });
+        this.setUser(null);
 
         console.log('🗑️ Account deleted');
         return true;
     }
 
     /**
-     * Get public user object (without sensitive data)
+     * Require authentication - redirect to login if not logged in.
+     * Without an auth API there are no accounts, so the page stays open as before.
      */
-    getPublicUser(user) {
-        return {
-            email: user.email,
-            name: user.name,
-            createdAt: user.createdAt,
-            settings: user.settings || {}
-        };
-    }
-
-    /**
-     * Require authentication - redirect to login if not logged in
-     */
-    requireAuth(redirectTo = '/login.html') {
-        if (!this.isLoggedIn()) {
+    async requireAuth(redirectTo = '/login.html') {
+        if (!await this.loadSession()) {
+            if (!this.available) {
+                console.warn('No auth API on this deployment; continuing without sign-in');
+                return true;
+            }
             window.location.href = redirectTo;
             return false;
         }
@@ -310,8 +202,8 @@ class AuthService {
     /**
      * Redirect if already logged in
      */
-    redirectIfLoggedIn(redirectTo = '/dashboard.html') {
-        if (this.isLoggedIn()) {
+    async redirectIfLoggedIn(redirectTo = '/dashboard.html') {
+        if (await this.loadSession()) {
             window.location.href = redirectTo;
             return true;
         }
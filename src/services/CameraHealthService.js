@@ -0,0 +1,73 @@
+/**
+ * CameraHealthService
+ * Polls the server's camera health monitor (/api/cameras/health) so the UI
+ * can grey out dead or frozen feeds
+ */
+
+const UNAVAILABLE_STATUSES = ['dead', 'frozen'];
+
+const STATUS_LABELS = {
+    live: 'Live',
+    frozen: 'Frozen',
+    dead: 'Offline',
+    unknown: 'Checking'
+};
+
+export class CameraHealthService {
+    constructor() {
+        this.API_URL = '/api/cameras/health';
+        this.POLL_INTERVAL = 15000;
+        this.health = {};
+        this.timer = null;
+        this.onUpdate = () => { };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.POLL_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async refresh() {
+        try {
+            const response = await fetch(this.API_URL);
+            // No monitor on this deployment: treat every camera as available
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.health = data.cameras || {};
+            if (data.intervalMs && data.intervalMs !== this.POLL_INTERVAL) {
+                this.POLL_INTERVAL = data.intervalMs;
+                this.stop();
+                this.timer = setInterval(() => this.refresh(), this.POLL_INTERVAL);
+            }
+            this.onUpdate(this.health);
+        } catch (error) {
+            console.warn('Camera health check failed:', error.message);
+        }
+    }
+
+    getHealth(cameraId) {
+        return this.health[cameraId] || null;
+    }
+
+    /**
+     * Cameras are available unless the monitor has positively seen them fail
+     */
+    isAvailable(cameraId) {
+        const status = this.health[cameraId]?.status;
+        return !UNAVAILABLE_STATUSES.includes(status);
+    }
+
+    getStatusLabel(cameraId) {
+        return STATUS_LABELS[this.health[cameraId]?.status] || STATUS_LABELS.unknown;
+    }
+}
+
+export const cameraHealthService = new CameraHealthService();
+export default cameraHealthService;
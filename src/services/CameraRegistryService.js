@@ -0,0 +1,229 @@
+/**
+ * CameraRegistryService
+ * Client for the server's camera registry (/api/cameras), the one list of
+ * cameras the map, stream dropdown, analytics and insights all read.
+ *
+ * Where the server has no registry (404, e.g. a static deployment) or can't be
+ * reached, the service falls back to OFFICIAL_CAMERAS plus custom cameras kept
+ * in local settings, which is where cameras lived before the registry existed.
+ * Those local cameras are moved into the registry once it is reachable and a
+ * user is signed in.
+ */
+import { OFFICIAL_CAMERAS, validateCamera } from '../config/cameras.js';
+import { dataStore } from './DataStore.js';
+
+// DataStore setting that held custom cameras before the registry
+const LOCAL_SETTING = 'cameras';
+
+export class CameraRegistryService {
+    constructor() {
+        this.API_URL = '/api/cameras';
+        this.available = true;
+        this.cameras = [];
+        this.loadPromise = null;
+
+        // Callbacks
+        this.onChange = () => { };
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.API_URL}${path}`, {
+            ...options,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+
+        if (response.status === 204) return null;
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(data?.message || `Camera API responded with ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Fetch the registry. Cached, so every page and component can call it freely.
+     */
+    load({ refresh = false } = {}) {
+        if (!this.loadPromise || refresh) {
+            this.loadPromise = this.request('')
+                .then(({ cameras }) => {
+                    this.available = true;
+                    this.cameras = cameras;
+                })
+                .catch(error => {
+                    if (error.status !== 404) console.warn('Camera registry unavailable, using local cameras:', error.message);
+                    this.available = false;
+                    this.cameras = this.getLocalCameras();
+                })
+                .then(() => this.cameras);
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Cameras known without the server: the official ones plus local custom cameras
+     */
+    getLocalCameras() {
+        const cameras = new Map();
+        OFFICIAL_CAMERAS.forEach(seed => {
+            const { camera } = validateCamera(seed);
+            cameras.set(camera.id, { ...camera, type: 'official' });
+        });
+        (dataStore.getSetting(LOCAL_SETTING) || []).forEach(saved => {
+            const { camera, errors } = validateCamera(saved);
+            if (errors.length === 0) cameras.set(camera.id, { ...saved, ...camera, type: 'custom' });
+        });
+        return Array.from(cameras.values());
+    }
+
+    saveLocalCameras() {
+        dataStore.setSetting(LOCAL_SETTING, this.cameras.filter(c => c.type === 'custom'));
+    }
+
+    /**
+     * Move custom cameras saved in local settings into the registry.
+     * Cameras that already exist there are dropped locally as well.
+     */
+    async migrateLocalCameras() {
+        const saved = dataStore.getSetting(LOCAL_SETTING) || [];
+        if (!this.available || saved.length === 0) return 0;
+
+        const remaining = [];
+        let moved = 0;
+        for (const camera of saved) {
+            try {
+                await this.request('', {
+                    method: 'POST',
+                    body: JSON.stringify({ ...camera, id: String(camera.id) })
+                });
+                moved++;
+            } catch (error) {
+                if (error.status === 401) return moved;
+                if (error.status === 409) continue;
+                console.warn(`Could not move camera "${camera.name}" to the registry:`, error.message);
+                remaining.push(camera);
+            }
+        }
+
+        dataStore.setSetting(LOCAL_SETTING, remaining);
+        if (moved > 0) {
+            console.log(`📹 Moved ${moved} local camera(s) to the registry`);
+            await this.load({ refresh: true });
+            this.onChange(this.cameras);
+        }
+        return moved;
+    }
+
+    getAll() {
+        return this.cameras;
+    }
+
+    getEnabled() {
+        return this.cameras.filter(c => c.enabled !== false);
+    }
+
+    get(id) {
+        return this.cameras.find(c => String(c.id) === String(id)) || null;
+    }
+
+    /**
+     * Display name for a camera id, or the id itself for cameras no longer registered
+     */
+    getName(id) {
+        return this.get(id)?.name || String(id);
+    }
+
+    /**
+     * Whether an analytics location (camera id, or a name in older records) is this camera
+     */
+    matches(cameraId, location) {
+        const camera = this.get(cameraId);
+        return String(location) === String(cameraId) || (!!camera && location === camera.name);
+    }
+
+    /**
+     * Add a custom camera
+     */
+    async create(data) {
+        let camera;
+        if (this.available) {
+            ({ camera } = await this.request('', { method: 'POST', body: JSON.stringify(data) }));
+            this.cameras = [...this.cameras, camera];
+        } else {
+            const validated = validateCamera({ id: `cam_${Date.now()}`, ...data });
+            if (validated.errors.length > 0) throw new Error(validated.errors.join('; '));
+            camera = { ...validated.camera, type: 'custom', createdAt: new Date().toISOString() };
+            this.cameras = [...this.cameras, camera];
+            this.saveLocalCameras();
+        }
+        this.onChange(this.cameras);
+        return camera;
+    }
+
+    /**
+     * Add many cameras in one step (see prepareCameraImport in utils/CameraFormats.js).
+     * Cameras the registry already has are skipped.
+     * @returns {Promise<{ created: Object[], skipped: Object[] }>}
+     */
+    async importCameras(cameras) {
+        let result;
+        if (this.available) {
+            result = await this.request('/import', { method: 'POST', body: JSON.stringify({ cameras }) });
+            this.cameras = [...this.cameras, ...result.created];
+        } else {
+            const createdAt = new Date().toISOString();
+            const created = cameras.map((camera, index) => ({
+                ...camera,
+                id: camera.id ?? `cam_${Date.now()}_${index}`,
+                type: 'custom',
+                createdAt
+            }));
+            result = { created, skipped: [] };
+            this.cameras = [...this.cameras, ...created];
+            this.saveLocalCameras();
+        }
+        this.onChange(this.cameras);
+        return result;
+    }
+
+    /**
+     * Change some fields of a camera
+     */
+    async update(id, updates) {
+        let camera;
+        if (this.available) {
+            ({ camera } = await this.request(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify(updates) }));
+        } else {
+            const existing = this.get(id);
+            if (!existing) throw new Error('Camera not found');
+            if (existing.type === 'official') throw new Error('Official cameras can only be changed on a server with a camera registry');
+            const validated = validateCamera({ ...updates, id: existing.id }, existing);
+            if (validated.errors.length > 0) throw new Error(validated.errors.join('; '));
+            camera = { ...existing, ...validated.camera };
+        }
+
+        this.cameras = this.cameras.map(c => String(c.id) === String(id) ? camera : c);
+        if (!this.available) this.saveLocalCameras();
+        this.onChange(this.cameras);
+        return camera;
+    }
+
+    /**
+     * Delete a custom camera
+     */
+    async remove(id) {
+        if (this.available) {
+            await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        }
+        this.cameras = this.cameras.filter(c => String(c.id) !== String(id));
+        if (!this.available) this.saveLocalCameras();
+        this.onChange(this.cameras);
+    }
+}
+
+export const cameraRegistryService = new CameraRegistryService();
+export default cameraRegistryService;
@@ -1,11 +1,27 @@
+import { ServerStorageAdapter } from './ServerStorageAdapter.js';
+import { createDefaultAnalytics, createAnalyticsEvent, applyAnalyticsEvent, ADMIN_EVENT_TYPES } from './AnalyticsEvents.js';
+import { authService } from './AuthService.js';
+import { intervalStart } from '../ai/TurningMovementCounter.js';
+import { SPEED_BIN_KMH, speedBin, speedPercentile } from '../ai/SpeedEstimator.js';
+
+// Last emergency event id handed out, shared by every intersection view
+let lastEmergencyEventId = 0;
+
 /**
  * DataStore Service
- * Handles localStorage persistence for TrafiQ application
+ * Handles persistence for TrafiQ application.
+ * Settings and session stay in localStorage. Analytics changes are recorded as
+ * events (see AnalyticsEvents.js), applied locally and sent to the server's
+ * persistence API so every dashboard shares the same data. localStorage keeps
+ * a copy of the analytics as the offline fallback. Demo data is generated in
+ * this browser only and never sent to the server.
  */
 export class DataStore {
     constructor() {
         this.baseKey = 'traffiq_data';
         this.data = this.load();
+        this.remote = new ServerStorageAdapter();
+        this.onSync = () => { };
     }
 
     get storageKey() {
@@ -25,6 +41,11 @@ export class DataStore {
                 if (parsed?.analytics?.totalVehicles !== undefined && isNaN(parsed.analytics.totalVehicles)) {
                     parsed.analytics.totalVehicles = 0;
                 }
+                // API keys now live on the server; drop any left from older versions
+                if (parsed?.settings) {
+                    delete parsed.settings.apiKey;
+                    delete parsed.settings.openRouterApiKey;
+                }
                 // Update internal state so gets() reflect latest data
                 this.data = parsed;
                 return parsed;
@@ -41,7 +62,6 @@ export class DataStore {
     getDefaultData() {
         return {
             settings: {
-                apiKey: import.meta.env.VITE_OVERSHOOT_API_KEY || '',
                 audioAlerts: true,
                 incidentNotifications: true,
                 congestionWarnings: true,
@@ -50,36 +70,26 @@ export class DataStore {
                 mapStyle: 'dark',
                 defaultCamera: 'environment',
                 frameRate: 2,
+                // Lower the frame rate when results lag, raise it during congestion
+                adaptiveSampling: true,
+                // US dollars per 1000 frames, for the cost estimate
+                apiCostPer1000Frames: 0.1,
+                visionBackend: 'overshoot',
+                // { [cameraId]: backendId } overrides of visionBackend
+                cameraBackends: {},
+                // Local counter's tracker (see SortTracker)
+                trackerMinHits: 3,
+                trackerMaxAge: 10,
+                trackerIouThreshold: 0.2,
                 saveHistoricalData: true,
                 dataRetentionDays: 30
             },
-            analytics: {
-                totalVehicles: 0,
-                totalSessions: 0,
-                incidents: [],
-                recommendations: [],
-                emergencyEvents: [], // Emergency vehicle detections
-                hourlyData: {},
-                cameraHourlyData: {},
-                intersectionStats: {},
-                dailyTotals: {},
-                // Queue tracking (replaced speed)
-                queueData: {
-                    totalReadings: 0,
-                    totalQueueSum: 0,
-                    hourlyQueue: {}, // { hour: { sum, count } }
-                    cameraQueue: {} // { cameraId: { sum, count } }
-                },
-                // CO2 and time savings
-                savingsData: {
-                    totalTimeSavedMinutes: 0,
-                    totalCO2SavedKg: 0,
-                    optimizationsApplied: 0
-                }
-            },
+            analytics: createDefaultAnalytics(),
             session: {
                 lastActive: null,
-                currentIntersection: null
+                currentIntersection: null,
+                // Showing generated demo data instead of the shared analytics
+                demo: false
             }
         };
     }
@@ -95,6 +105,41 @@ export class DataStore {
         }
     }
 
+    // ========== Server Sync ==========
+
+    /**
+     * Apply an analytics event locally and send it to the server. Events only
+     * admins may send (the server skips them from anyone else) stay local.
+     */
+    dispatch(type, payload = {}, intersection = this.data.session.currentIntersection) {
+        const event = createAnalyticsEvent(type, payload, intersection);
+        this.data.analytics = applyAnalyticsEvent(this.data.analytics, event);
+        this.save();
+        if (!ADMIN_EVENT_TYPES.includes(type) || authService.getCurrentUser()?.admin) this.remote.push(event);
+        return event;
+    }
+
+    /**
+     * Replace local analytics with the shared copy from the server, keeping
+     * events that haven't reached it yet. Returns false when offline or while
+     * demo data is shown.
+     */
+    async sync() {
+        await this.remote.flush();
+        if (this.isDemo()) return false;
+        const analytics = await this.remote.fetchAnalytics();
+        if (!analytics) return false;
+
+        let merged = { ...createDefaultAnalytics(), ...analytics };
+        this.remote.getPending().forEach(event => {
+            merged = applyAnalyticsEvent(merged, event);
+        });
+        this.data.analytics = merged;
+        this.save();
+        this.onSync(this.data.analytics);
+        return true;
+    }
+
     // ========== Settings Methods ==========
 
     getSetting(key) {
@@ -123,136 +168,45 @@ export class DataStore {
     recordTrafficData(data) {
         if (!this.data.settings.saveHistoricalData) return;
 
-        const now = new Date();
-        const hour = now.getHours();
-        const dateKey = now.toISOString().split('T')[0];
-
-        // Update hourly data
-        if (!this.data.analytics.hourlyData[hour]) {
-            this.data.analytics.hourlyData[hour] = { vehicles: 0, count: 0 };
-        }
-        const vehicleCount = (data.car || 0) + (data.bus || 0) + (data.truck || 0) + (data.motorcycle || 0);
-        this.data.analytics.hourlyData[hour].vehicles += vehicleCount;
-        this.data.analytics.hourlyData[hour].count += 1;
-
-        // Update hourly data per camera
-        if (this.data.session.currentIntersection) {
-            const camId = this.data.session.currentIntersection;
-
-            if (!this.data.analytics.cameraHourlyData) {
-                this.data.analytics.cameraHourlyData = {};
-            }
-            if (!this.data.analytics.cameraHourlyData[camId]) {
-                this.data.analytics.cameraHourlyData[camId] = {};
-            }
-            if (!this.data.analytics.cameraHourlyData[camId][hour]) {
-                this.data.analytics.cameraHourlyData[camId][hour] = { vehicles: 0, count: 0 };
-            }
-
-            this.data.analytics.cameraHourlyData[camId][hour].vehicles += vehicleCount;
-            this.data.analytics.cameraHourlyData[camId][hour].count += 1;
-        }
-
-        // Update daily totals
-        if (!this.data.analytics.dailyTotals[dateKey]) {
-            this.data.analytics.dailyTotals[dateKey] = { vehicles: 0, incidents: 0, sessions: 0 };
-        }
-        this.data.analytics.dailyTotals[dateKey].vehicles += vehicleCount;
-
-        // Update intersection stats
-        const intersection = this.data.session.currentIntersection || 'Unknown';
-        if (!this.data.analytics.intersectionStats[intersection]) {
-            this.data.analytics.intersectionStats[intersection] = { vehicles: 0, avgWait: 0, count: 0 };
-        }
-
-        // Update average wait time
-        const stats = this.data.analytics.intersectionStats[intersection];
-        const newWait = data.avgWaitTime || 0;
-        if (newWait > 0) {
-            // Update running average
-            stats.avgWait = Math.round(((stats.avgWait * stats.count) + newWait) / (stats.count + 1));
-        }
-
-        stats.vehicles += vehicleCount;
-        stats.count += 1;
-
-        // Update totals
-        this.data.analytics.totalVehicles += vehicleCount;
-
-        this.save();
+        this.dispatch('traffic', {
+            car: data.car || 0,
+            bus: data.bus || 0,
+            truck: data.truck || 0,
+            motorcycle: data.motorcycle || 0,
+            avgWaitTime: data.avgWaitTime || 0
+        });
     }
 
     /**
      * Record an incident/alert
      */
     recordIncident(type, description) {
-        const incident = {
-            id: Date.now(),
-            type,
-            description,
-            timestamp: new Date().toISOString(),
-            intersection: this.data.session.currentIntersection
-        };
-        this.data.analytics.incidents.unshift(incident);
-
-        // Keep only last 100 incidents
-        if (this.data.analytics.incidents.length > 100) {
-            this.data.analytics.incidents = this.data.analytics.incidents.slice(0, 100);
-        }
-
-        // Update daily incident count
-        const dateKey = new Date().toISOString().split('T')[0];
-        if (this.data.analytics.dailyTotals[dateKey]) {
-            this.data.analytics.dailyTotals[dateKey].incidents += 1;
-        }
-
-        this.save();
+        this.dispatch('incident', { type, description });
     }
 
     /**
      * Record an AI recommendation
      */
     recordRecommendation(text) {
-        if (!this.data.analytics.recommendations) {
-            this.data.analytics.recommendations = [];
-        }
-
-        // Prevent duplicates
-        if (this.data.analytics.recommendations.some(r => r.text === text && (Date.now() - new Date(r.timestamp).getTime() < 300000))) {
-            return; // Ignore duplicate within 5 mins
-        }
-
-        const recommendation = {
-            id: Date.now(),
-            text,
-            timestamp: new Date().toISOString(),
-            intersection: this.data.session.currentIntersection
-        };
-
-        this.data.analytics.recommendations.unshift(recommendation);
-
-        // Keep only last 50
-        if (this.data.analytics.recommendations.length > 50) {
-            this.data.analytics.recommendations = this.data.analytics.recommendations.slice(0, 50);
-        }
-
-        this.save();
+        this.dispatch('recommendation', { text });
     }
 
     /**
      * Start a new session
      */
     startSession() {
-        this.data.analytics.totalSessions += 1;
         this.data.session.lastActive = new Date().toISOString();
+        this.dispatch('session');
+    }
 
-        const dateKey = new Date().toISOString().split('T')[0];
-        if (!this.data.analytics.dailyTotals[dateKey]) {
-            this.data.analytics.dailyTotals[dateKey] = { vehicles: 0, incidents: 0, sessions: 0 };
-        }
-        this.data.analytics.dailyTotals[dateKey].sessions += 1;
-
-        this.save();
+    /**
+     * A view of this store whose records go to one intersection instead of
+     * the current one, for cameras analyzed alongside the selected stream
+     */
+    forIntersection(intersection) {
+        const scoped = Object.create(this);
+        scoped.dispatch = (type, payload) => this.dispatch(type, payload, intersection);
+        return scoped;
     }
 
     /**
@@ -269,100 +223,74 @@ export class DataStore {
      */
     recordQueueLength(queueMeters) {
         if (queueMeters < 0) return;
-
-        // Initialize if missing
-        if (!this.data.analytics.queueData) {
-            this.data.analytics.queueData = {
-                totalReadings: 0,
-                totalQueueSum: 0,
-                hourlyQueue: {},
-                cameraQueue: {}
-            };
-        }
-
-        const hour = new Date().getHours();
-        const camId = this.data.session.currentIntersection || 'unknown';
-
-        // Update totals
-        this.data.analytics.queueData.totalReadings += 1;
-        this.data.analytics.queueData.totalQueueSum += queueMeters;
-
-        // Update hourly queue
-        if (!this.data.analytics.queueData.hourlyQueue[hour]) {
-            this.data.analytics.queueData.hourlyQueue[hour] = { sum: 0, count: 0 };
-        }
-        this.data.analytics.queueData.hourlyQueue[hour].sum += queueMeters;
-        this.data.analytics.queueData.hourlyQueue[hour].count += 1;
-
-        // Update camera queue
-        if (!this.data.analytics.queueData.cameraQueue[camId]) {
-            this.data.analytics.queueData.cameraQueue[camId] = { sum: 0, count: 0 };
-        }
-        this.data.analytics.queueData.cameraQueue[camId].sum += queueMeters;
-        this.data.analytics.queueData.cameraQueue[camId].count += 1;
-
-        this.save();
+        this.dispatch('queue', { meters: queueMeters });
     }
 
     /**
      * Record emergency vehicle event
      */
     recordEmergencyEvent(type, lane, direction) {
-        if (!this.data.analytics.emergencyEvents) {
-            this.data.analytics.emergencyEvents = [];
-        }
+        // Unique even when several vehicles are detected in the same result
+        const eventId = lastEmergencyEventId = Math.max(Date.now(), lastEmergencyEventId + 1);
+        this.dispatch('emergency', { eventId, type, lane, direction });
+        return eventId;
+    }
 
-        const event = {
-            id: Date.now(),
-            type, // ambulance, fire_truck, police
-            lane,
-            direction,
-            timestamp: new Date().toISOString(),
-            intersection: this.data.session.currentIntersection,
-            clearedAt: null,
-            responseTimeSeconds: null
-        };
+    /**
+     * Mark emergency event as cleared
+     * @param {number} eventId
+     * @param {Date|string} [clearedAt] - when the vehicle was last seen, if not now
+     */
+    clearEmergencyEvent(eventId, clearedAt = new Date()) {
+        this.dispatch('emergencyCleared', { eventId, clearedAt: new Date(clearedAt).toISOString() });
+    }
 
-        this.data.analytics.emergencyEvents.unshift(event);
+    /**
+     * Record a period when analysis was down (connection lost, stream stalled)
+     * @param {Date|string} start
+     * @param {Date|string} end
+     * @param {string} reason
+     */
+    recordDowntime(start, end, reason) {
+        this.dispatch('downtime', {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            reason
+        });
+    }
 
-        // Keep only last 50
-        if (this.data.analytics.emergencyEvents.length > 50) {
-            this.data.analytics.emergencyEvents = this.data.analytics.emergencyEvents.slice(0, 50);
-        }
+    /**
+     * Record a vehicle's turning movement in its 15-minute interval
+     * @param {Object} movement - { approach, movement, vehicleClass, time } from TurningMovementCounter
+     */
+    recordMovement({ approach, movement, vehicleClass, time }) {
+        if (!this.data.settings.saveHistoricalData) return;
+        this.dispatch('movement', { interval: intervalStart(time), approach, movement, vehicleClass });
+    }
 
-        this.save();
-        return event.id;
+    /**
+     * Record a vehicle crossing a count line
+     * @param {Object} crossing - { lineId, name, direction, vehicleClass } from CountLineCounter
+     */
+    recordLineCrossing({ lineId, name, direction, vehicleClass }) {
+        if (!this.data.settings.saveHistoricalData) return;
+        this.dispatch('lineCrossing', { lineId, name, direction, vehicleClass });
     }
 
     /**
-     * Mark emergency event as cleared
+     * Record a vehicle's measured speed
+     * @param {Object} reading - { lane, speedKmh } from SpeedEstimator
      */
-    clearEmergencyEvent(eventId) {
-        const event = this.data.analytics.emergencyEvents?.find(e => e.id === eventId);
-        if (event && !event.clearedAt) {
-            event.clearedAt = new Date().toISOString();
-            event.responseTimeSeconds = Math.round((new Date(event.clearedAt) - new Date(event.timestamp)) / 1000);
-            this.save();
-        }
+    recordSpeed({ lane, speedKmh }) {
+        if (!this.data.settings.saveHistoricalData) return;
+        this.dispatch('speed', { lane, speedKmh });
     }
 
     /**
      * Record optimization savings (time, CO2)
      */
     recordSavings(timeSavedMinutes, co2SavedKg) {
-        if (!this.data.analytics.savingsData) {
-            this.data.analytics.savingsData = {
-                totalTimeSavedMinutes: 0,
-                totalCO2SavedKg: 0,
-                optimizationsApplied: 0
-            };
-        }
-
-        this.data.analytics.savingsData.totalTimeSavedMinutes += timeSavedMinutes || 0;
-        this.data.analytics.savingsData.totalCO2SavedKg += co2SavedKg || 0;
-        this.data.analytics.savingsData.optimizationsApplied += 1;
-
-        this.save();
+        this.dispatch('savings', { timeSavedMinutes, co2SavedKg });
     }
 
     /**
@@ -387,6 +315,63 @@ export class DataStore {
         };
     }
 
+    /**
+     * Measured speed distribution, overall and per lane, optionally for one
+     * camera and lane
+     * @returns {{ readings, avgSpeed, p85, bins: [{ from, to, count }], lanes: [{ lane, readings, avgSpeed, p85 }] }}
+     *   speeds in km/h; avgSpeed and p85 are null without readings
+     */
+    getSpeedDistribution(cameraId = null, lane = null) {
+        const laneSpeed = this.data.analytics.speedData?.laneSpeed || {};
+        const cameraIds = cameraId ? [cameraId] : Object.keys(laneSpeed);
+        const summarize = (buckets) => {
+            const total = { sum: 0, count: 0, bins: {} };
+            buckets.forEach(bucket => {
+                total.sum += bucket.sum;
+                total.count += bucket.count;
+                Object.entries(bucket.bins).forEach(([bin, n]) => {
+                    total.bins[bin] = (total.bins[bin] || 0) + n;
+                });
+            });
+            return total;
+        };
+
+        // Every hour's readings, by lane
+        const byLane = {};
+        cameraIds.forEach(id => Object.entries(laneSpeed[id] || {}).forEach(([laneId, hours]) => {
+            (byLane[laneId] ??= []).push(...Object.values(hours));
+        }));
+        const lanes = Object.entries(byLane)
+            .map(([laneId, buckets]) => {
+                const total = summarize(buckets);
+                return {
+                    lane: Number(laneId),
+                    readings: total.count,
+                    avgSpeed: total.count > 0 ? Math.round(total.sum / total.count) : null,
+                    p85: speedPercentile(total.bins, 0.85)
+                };
+            })
+            .sort((a, b) => a.lane - b.lane);
+
+        const selected = lane ? (byLane[lane] || []) : Object.values(byLane).flat();
+        const total = summarize(selected);
+        const binStarts = Object.keys(total.bins).map(Number);
+        const bins = [];
+        if (binStarts.length) {
+            for (let from = Math.min(...binStarts); from <= Math.max(...binStarts); from += SPEED_BIN_KMH) {
+                bins.push({ from, to: from + SPEED_BIN_KMH, count: total.bins[from] || 0 });
+            }
+        }
+
+        return {
+            readings: total.count,
+            avgSpeed: total.count > 0 ? Math.round(total.sum / total.count) : null,
+            p85: speedPercentile(total.bins, 0.85),
+            bins,
+            lanes
+        };
+    }
+
     /**
      * Get hourly speed data for charts
      */
@@ -444,13 +429,20 @@ export class DataStore {
         }
 
         // Get emergency events filtered by camera
-        let emergencyCount = (this.data.analytics.emergencyEvents || []).length;
+        let emergencyEvents = this.data.analytics.emergencyEvents || [];
         if (cameraId) {
             const cameraName = this.getCameraName(cameraId);
-            emergencyCount = (this.data.analytics.emergencyEvents || []).filter(e =>
+            emergencyEvents = emergencyEvents.filter(e =>
                 e.intersection === cameraId || e.intersection === cameraName
-            ).length;
+            );
         }
+        // Average time from detection until the vehicle cleared the intersection
+        const responseTimes = emergencyEvents
+            .map(e => e.responseTimeSeconds)
+            .filter(seconds => Number.isFinite(seconds));
+        const avgResponse = responseTimes.length > 0
+            ? Math.round(responseTimes.reduce((sum, seconds) => sum + seconds, 0) / responseTimes.length)
+            : null;
 
         // Calculate congestion score
         let congestionScore = 'Low';
@@ -466,7 +458,8 @@ export class DataStore {
             avgQueueLength: avgQueue,
             timeSavedMinutes: Math.round(timeSaved),
             co2SavedKg: Math.round(co2Saved * 10) / 10,
-            emergencyEvents: emergencyCount
+            emergencyEvents: emergencyEvents.length,
+            avgEmergencyResponseSeconds: avgResponse
         };
     }
 
@@ -541,6 +534,61 @@ export class DataStore {
         return this.data.analytics.hourlyData;
     }
 
+    /**
+     * Turning movement counts by 15-minute interval, newest first, summed over
+     * every camera unless one is given
+     * @param {string|null} cameraId
+     * @param {string|null} vehicleClass - only this class, or all of them
+     * @returns {{ approaches: string[], rows: Object[] }} the approaches seen, and rows of
+     *   { interval, counts: { approach: { movement: count } }, total }
+     */
+    getMovementCounts(cameraId = null, vehicleClass = null) {
+        const byIntersection = this.data.analytics.movementCounts || {};
+        const sources = cameraId ? [byIntersection[cameraId] || {}] : Object.values(byIntersection);
+
+        const approaches = new Set();
+        const rows = new Map();
+        sources.forEach(intervals => Object.entries(intervals).forEach(([interval, byApproach]) => {
+            if (!rows.has(interval)) rows.set(interval, { interval, counts: {}, total: 0 });
+            const row = rows.get(interval);
+            Object.entries(byApproach).forEach(([approach, byMovement]) => {
+                approaches.add(approach);
+                row.counts[approach] ??= {};
+                Object.entries(byMovement).forEach(([movement, byClass]) => {
+                    const count = vehicleClass
+                        ? byClass[vehicleClass] || 0
+                        : Object.values(byClass).reduce((sum, n) => sum + n, 0);
+                    row.counts[approach][movement] = (row.counts[approach][movement] || 0) + count;
+                    row.total += count;
+                });
+            });
+        }));
+
+        return {
+            approaches: [...approaches],
+            rows: [...rows.values()].sort((a, b) => b.interval.localeCompare(a.interval))
+        };
+    }
+
+    /**
+     * Count line totals, one row per camera and line
+     * @param {string|null} cameraId - only this camera's lines, or every camera's
+     * @returns {Object[]} [{ cameraId, lineId, name, in, out, byClass: { class: count } }]
+     */
+    getLineCounts(cameraId = null) {
+        const byIntersection = this.data.analytics.lineCounts || {};
+        const cameraIds = cameraId ? [cameraId] : Object.keys(byIntersection);
+        const sum = (counts) => Object.values(counts).reduce((total, n) => total + n, 0);
+
+        return cameraIds.flatMap(id => Object.entries(byIntersection[id] || {}).map(([lineId, line]) => {
+            const byClass = { ...line.in };
+            Object.entries(line.out).forEach(([vehicleClass, n]) => {
+                byClass[vehicleClass] = (byClass[vehicleClass] || 0) + n;
+            });
+            return { cameraId: id, lineId, name: line.name, in: sum(line.in), out: sum(line.out), byClass };
+        }));
+    }
+
     /**
      * Get recent recommendations
      */
@@ -556,11 +604,24 @@ export class DataStore {
     }
 
     /**
-     * Clear all analytics data
+     * Clear all analytics data, for the whole team (admins only on the server)
      */
     clearAnalytics() {
-        this.data.analytics = this.getDefaultData().analytics;
+        this.dispatch('clear');
+    }
+
+    isDemo() {
+        return !!this.data.session.demo;
+    }
+
+    /**
+     * Drop the demo data in this browser and go back to the shared analytics
+     */
+    async exitDemo() {
+        this.data.session.demo = false;
+        this.data.analytics = createDefaultAnalytics();
         this.save();
+        await this.sync();
     }
 
     /**
@@ -577,33 +638,20 @@ export class DataStore {
         const retentionDays = this.data.settings.dataRetentionDays;
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-        const cutoffKey = cutoffDate.toISOString().split('T')[0];
-
-        // Remove old daily totals
-        Object.keys(this.data.analytics.dailyTotals).forEach(dateKey => {
-            if (dateKey < cutoffKey) {
-                delete this.data.analytics.dailyTotals[dateKey];
-            }
-        });
 
-        // Remove old incidents
-        this.data.analytics.incidents = this.data.analytics.incidents.filter(incident => {
-            return incident.timestamp.split('T')[0] >= cutoffKey;
-        });
-
-        this.save();
+        this.dispatch('cleanup', { cutoffDate: cutoffDate.toISOString().split('T')[0] });
     }
 
     /**
-     * Generate complex demo data for analytics
+     * Generate complex demo data for analytics, in this browser only
      */
     generateComplexDemoData(cameras = []) {
         console.log('🧪 Generating complex demo data...');
         const now = new Date();
         const hour = now.getHours();
 
-        // 1. Reset current data
-        this.clearAnalytics();
+        // 1. Reset current data (local copy only; shared data is left alone)
+        this.data.analytics = createDefaultAnalytics();
 
         // 2. Generate data for each camera (or default list if empty)
         const targetCameras = cameras.length > 0 ? cameras : [
@@ -707,12 +755,7 @@ export class DataStore {
         }
 
         // 5. Generate Speed Data
-        this.data.analytics.speedData = {
-            totalReadings: 0,
-            totalSpeedSum: 0,
-            hourlySpeed: {},
-            cameraSpeed: {}
-        };
+        this.data.analytics.speedData = createDefaultAnalytics().speedData;
 
         // Generate hourly speed data (higher at night, lower during rush)
         for (let h = 0; h < 24; h++) {
@@ -731,14 +774,30 @@ export class DataStore {
             this.data.analytics.speedData.totalSpeedSum += avgSpeed * readings;
         }
 
-        // Speed per camera
+        // Speed per camera, with a distribution per lane and hour
         targetCameras.forEach(cam => {
             const avgSpeed = 30 + Math.random() * 30;
-            const readings = 50 + Math.floor(Math.random() * 100);
-            this.data.analytics.speedData.cameraSpeed[cam.id] = {
-                sum: avgSpeed * readings,
-                count: readings
-            };
+            const cameraSpeed = { sum: 0, count: 0 };
+            const lanes = {};
+            for (let lane = 1; lane <= 3; lane++) {
+                lanes[lane] = {};
+                for (let h = 0; h < 24; h++) {
+                    const bucket = { sum: 0, count: 0, bins: {} };
+                    for (let i = 0; i < 3; i++) {
+                        // Roughly normal around the camera's average
+                        const speed = Math.max(5, avgSpeed + (Math.random() + Math.random() + Math.random() - 1.5) * 20);
+                        const bin = speedBin(speed);
+                        bucket.sum += speed;
+                        bucket.count += 1;
+                        bucket.bins[bin] = (bucket.bins[bin] || 0) + 1;
+                    }
+                    lanes[lane][h] = bucket;
+                    cameraSpeed.sum += bucket.sum;
+                    cameraSpeed.count += bucket.count;
+                }
+            }
+            this.data.analytics.speedData.cameraSpeed[cam.id] = cameraSpeed;
+            this.data.analytics.speedData.laneSpeed[cam.id] = lanes;
         });
 
         // 6. Generate Emergency Events
@@ -772,6 +831,8 @@ export class DataStore {
             optimizationsApplied: Math.floor(20 + Math.random() * 30)
         };
 
+        // Kept out of sync() until exitDemo()
+        this.data.session.demo = true;
         this.save();
         console.log('✅ Complex demo data generated');
     }
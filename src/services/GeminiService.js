@@ -1,44 +1,29 @@
 /**
  * GeminiService
- * Service for generating AI traffic insights using Google Gemini API
+ * Service for generating AI traffic insights using Google Gemini (via OpenRouter).
+ * Requests go through the server's relay (/api/relay/openrouter), which adds the
+ * API key and enforces a per-user daily quota.
  */
-import { dataStore } from './DataStore.js';
 
 export class GeminiService {
     constructor() {
-        this.API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+        this.API_URL = '/api/relay/openrouter/chat/completions';
         this.MODEL = 'google/gemini-2.0-flash-001';
     }
 
-    /**
-     * Get the API key from DataStore settings or env
-     */
-    getApiKey() {
-        return import.meta.env.VITE_OPENROUTER_API_KEY || dataStore.getSetting('openRouterApiKey');
-    }
-
     /**
      * Generate a comprehensive traffic engineering report
      * @param {Object} analyticsSummary - The data from dataStore.getAnalyticsSummary()
      * @returns {Promise<string>} The generated report text
      */
     async generateTrafficReport(analyticsSummary) {
-        const apiKey = this.getApiKey();
-        if (!apiKey) {
-            throw new Error('OpenRouter API Key is missing. Please add VITE_OPENROUTER_API_KEY to .env or settings.');
-        }
-
         const prompt = this.constructPrompt(analyticsSummary);
 
         try {
             const response = await fetch(this.API_URL, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                    'HTTP-Referer': window.location.origin,
-                    'X-Title': 'TraffIQ'
-                },
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
                 body: JSON.stringify({
                     model: this.MODEL,
                     messages: [
@@ -56,8 +41,11 @@ export class GeminiService {
             });
 
             if (!response.ok) {
-                const err = await response.json();
-                throw new Error(err.error?.message || `OpenRouter Error: ${response.statusText}`);
+                const err = await response.json().catch(() => ({}));
+                // Relay errors are { error: code, message }, OpenRouter's are { error: { message } }
+                const error = new Error(err.message || err.error?.message || `OpenRouter Error: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
             const data = await response.json();
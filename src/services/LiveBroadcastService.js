@@ -0,0 +1,133 @@
+/**
+ * LiveBroadcastService
+ * Shares analysis results between dashboards through the server's live API (/api/live).
+ *
+ * The dashboard running inference publishes each result for its camera;
+ * any other dashboard (e.g. an operations center wall display) can subscribe
+ * to that camera over Server-Sent Events and render the same results without
+ * running a model itself.
+ */
+
+export class LiveBroadcastService {
+    constructor() {
+        this.API_URL = '/api/live';
+        // LocalCounter reports several times a second; watchers only need about one update a second
+        this.COUNTS_INTERVAL_MS = 1000;
+
+        this.available = true;
+        this.publishingCameraId = null;
+        this.lastCountsAt = 0;
+
+        this.source = null;
+        this.subscribedCameraId = null;
+
+        // Callbacks
+        this.onResult = () => { };
+        this.onCounts = () => { };
+        this.onStatus = () => { };
+    }
+
+    /**
+     * Publish a normalized monitoring result for a camera
+     */
+    publishResult(cameraId, data) {
+        this.publish(cameraId, 'result', data);
+    }
+
+    /**
+     * Publish LocalCounter vehicle counts for a camera (throttled)
+     */
+    publishCounts(cameraId, counts) {
+        const now = Date.now();
+        if (now - this.lastCountsAt < this.COUNTS_INTERVAL_MS) return;
+        this.lastCountsAt = now;
+        this.publish(cameraId, 'counts', counts);
+    }
+
+    async publish(cameraId, type, data) {
+        if (!this.available || !cameraId || !data) return;
+        this.publishingCameraId = cameraId;
+
+        try {
+            const response = await fetch(`${this.API_URL}/${encodeURIComponent(cameraId)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ type, data })
+            });
+            if (response.status === 404) {
+                console.log('ℹ️ No live API on this server, results are not shared');
+                this.available = false;
+            }
+        } catch (error) {
+            // Sharing is best effort; the local dashboard keeps working
+            console.warn('Live publish failed:', error.message);
+        }
+    }
+
+    /**
+     * Tell watchers this dashboard stopped analyzing its camera
+     */
+    stopPublishing() {
+        const cameraId = this.publishingCameraId;
+        this.publishingCameraId = null;
+        if (!this.available || !cameraId) return;
+
+        fetch(`${this.API_URL}/${encodeURIComponent(cameraId)}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        }).catch(() => { });
+    }
+
+    /**
+     * Watch a camera. Replaces any previous subscription.
+     */
+    subscribe(cameraId) {
+        this.unsubscribe();
+        if (!cameraId) return;
+
+        this.subscribedCameraId = cameraId;
+        this.source = new EventSource(`${this.API_URL}/${encodeURIComponent(cameraId)}/events`, { withCredentials: true });
+
+        const parse = (handler) => (event) => {
+            try {
+                handler(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Bad live message:', error.message);
+            }
+        };
+
+        this.source.addEventListener('result', parse(message => this.onResult(message.data, message)));
+        this.source.addEventListener('counts', parse(message => this.onCounts(message.data, message)));
+        this.source.addEventListener('status', parse(status => this.onStatus(status)));
+        this.source.onerror = () => {
+            // EventSource reconnects by itself unless the server refused the stream outright
+            if (this.source?.readyState === EventSource.CLOSED) {
+                this.onStatus({ cameraId, live: false, unavailable: true });
+            }
+        };
+    }
+
+    unsubscribe() {
+        this.source?.close();
+        this.source = null;
+        this.subscribedCameraId = null;
+    }
+
+    /**
+     * Cameras currently being analyzed or watched
+     */
+    async listChannels() {
+        try {
+            const response = await fetch(this.API_URL, { credentials: 'same-origin' });
+            if (!response.ok) return [];
+            const data = await response.json();
+            return data.channels || [];
+        } catch {
+            return [];
+        }
+    }
+}
+
+export const liveBroadcastService = new LiveBroadcastService();
+export default liveBroadcastService;
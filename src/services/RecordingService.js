@@ -0,0 +1,57 @@
+/**
+ * RecordingService
+ * Client for the server's DVR recordings API (/api/recordings)
+ */
+
+export class RecordingService {
+    constructor() {
+        this.API_URL = '/api/recordings';
+    }
+
+    async request(path = '', options = {}) {
+        const response = await fetch(`${this.API_URL}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+
+        if (response.status === 204) return null;
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(data?.message || `Recordings API responded with ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * List recordings, or an empty list where the server has no recorder (e.g. Vercel)
+     */
+    async list() {
+        try {
+            const data = await this.request();
+            return data.recordings || [];
+        } catch (error) {
+            console.warn('Recordings unavailable:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Schedule a recording window for a camera
+     * @param {Object} options - { cameraId, startAt, endAt } with ISO or epoch times
+     */
+    schedule(options) {
+        return this.request('', { method: 'POST', body: JSON.stringify(options) });
+    }
+
+    stop(id) {
+        return this.request(`/${id}/stop`, { method: 'POST' });
+    }
+
+    remove(id) {
+        return this.request(`/${id}`, { method: 'DELETE' });
+    }
+}
+
+export const recordingService = new RecordingService();
+export default recordingService;
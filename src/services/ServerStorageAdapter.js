@@ -0,0 +1,159 @@
+/**
+ * ServerStorageAdapter
+ * Sends DataStore analytics events to the server's persistence API (/api/data)
+ * and reads back the shared, team-wide analytics.
+ *
+ * Events are batched and sent every few seconds. While the server can't be
+ * reached they are queued in localStorage and retried, so nothing recorded
+ * offline is lost. Where the server has no persistence API at all (404, e.g.
+ * a static deployment) the adapter switches itself off and DataStore carries
+ * on with localStorage only.
+ */
+
+const PENDING_KEY = 'traffiq_pending_events';
+const MAX_PENDING = 5000;
+const MAX_BATCH = 200;
+
+export class ServerStorageAdapter {
+    constructor(options = {}) {
+        this.API_URL = options.apiUrl || '/api/data';
+        this.flushIntervalMs = options.flushIntervalMs || 3000;
+        this.available = true;
+        this.online = false;
+        this.flushing = false;
+        this.timer = null;
+        this.pending = this.loadPending();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+            // Best effort: don't lose the last batch when the tab closes
+            window.addEventListener('pagehide', () => this.savePending());
+        }
+    }
+
+    loadPending() {
+        try {
+            return JSON.parse(localStorage.getItem(PENDING_KEY)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    savePending() {
+        try {
+            localStorage.setItem(PENDING_KEY, JSON.stringify(this.pending));
+        } catch (e) {
+            console.error('Error saving pending events:', e);
+        }
+    }
+
+    /**
+     * Events recorded locally but not yet acknowledged by the server
+     */
+    getPending() {
+        return this.pending;
+    }
+
+    /**
+     * Queue an event for the server and schedule a flush
+     */
+    push(event) {
+        if (!this.available) return;
+
+        this.pending.push(event);
+        if (this.pending.length > MAX_PENDING) {
+            // Oldest events go first if we've been offline for a very long time
+            this.pending = this.pending.slice(-MAX_PENDING);
+        }
+        this.savePending();
+
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.flush();
+            }, this.flushIntervalMs);
+        }
+    }
+
+    /**
+     * Send queued events in batches. Returns false if the server couldn't take them.
+     */
+    async flush() {
+        if (!this.available || this.flushing || this.pending.length === 0) return true;
+        this.flushing = true;
+
+        try {
+            while (this.pending.length > 0) {
+                const batch = this.pending.slice(0, MAX_BATCH);
+                const response = await fetch(`${this.API_URL}/events`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'same-origin',
+                    body: JSON.stringify({ events: batch })
+                });
+
+                if (response.status === 404) {
+                    this.disable();
+                    return false;
+                }
+                // Malformed events are dropped rather than retried forever.
+                // Signed-out users (401) keep theirs until they sign in again.
+                if (!response.ok && response.status !== 400) {
+                    throw new Error(`Persistence API responded with ${response.status}`);
+                }
+
+                const sent = new Set(batch.map(e => e.id));
+                this.pending = this.pending.filter(e => !sent.has(e.id));
+                this.savePending();
+            }
+            this.online = true;
+            return true;
+        } catch (error) {
+            this.online = false;
+            console.warn('Analytics sync failed, keeping events offline:', error.message);
+            if (!this.timer) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.flush();
+                }, this.flushIntervalMs * 5);
+            }
+            return false;
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Fetch shared analytics from the server, or null if unavailable
+     */
+    async fetchAnalytics() {
+        if (!this.available) return null;
+
+        try {
+            const response = await fetch(this.API_URL, { credentials: 'same-origin' });
+            if (response.status === 404) {
+                this.disable();
+                return null;
+            }
+            if (!response.ok) throw new Error(`Persistence API responded with ${response.status}`);
+
+            const data = await response.json();
+            this.online = true;
+            return data.analytics || null;
+        } catch (error) {
+            this.online = false;
+            console.warn('Using offline analytics:', error.message);
+            return null;
+        }
+    }
+
+    disable() {
+        console.log('ℹ️ No persistence API on this server, analytics stay in this browser');
+        this.available = false;
+        this.online = false;
+        this.pending = [];
+        localStorage.removeItem(PENDING_KEY);
+    }
+}
+
+export default ServerStorageAdapter;
@@ -0,0 +1,109 @@
+/**
+ * TrafficRecorder
+ * Records one camera's analysis to a DataStore: lane results become queue,
+ * emergency, incident and recommendation events, the counter's running
+ * totals become traffic volume, and its turning movements and count line
+ * crossings are counted. Each analyzed camera gets its own recorder,
+ * so its flow estimate stays separate from the others.
+ */
+export class TrafficRecorder {
+    /**
+     * @param {DataStore} store - the data store, or a view of it from forIntersection()
+     */
+    constructor(store) {
+        this.store = store;
+        this.lastQueueLength = 0;
+        this.lastCountsAt = 0;
+        // Emergency event ids by the analyzer's track id (see EmergencyTracker)
+        this.emergencyEvents = new Map();
+        // Nothing is recorded while paused (e.g. while a moved camera's lanes are rediscovered)
+        this.paused = false;
+    }
+
+    /**
+     * A new session: the analyzer's emergency tracks start over
+     */
+    reset() {
+        this.emergencyEvents.clear();
+        this.lastQueueLength = 0;
+        this.lastCountsAt = 0;
+    }
+
+    /**
+     * Record a lane result
+     */
+    recordResult(data) {
+        if (data.lanes?.length) {
+            const totalQueue = data.lanes.reduce((sum, lane) => sum + (lane.queue_length_meters || 0), 0);
+            this.lastQueueLength = Math.round(totalQueue / data.lanes.length);
+            if (!this.paused) this.store.recordQueueLength(this.lastQueueLength);
+        }
+        if (this.paused) return;
+
+        this.recordEmergencies(data);
+
+        if (data.alerts?.length) {
+            data.alerts.forEach(alert => {
+                const msg = typeof alert === 'string' ? alert : (alert.message || alert.type || 'Alert');
+                this.store.recordIncident(typeof alert === 'object' ? (alert.type || 'alert') : 'alert', msg);
+            });
+        }
+
+        data.optimization_suggestions?.forEach(rec => this.store.recordRecommendation(rec));
+    }
+
+    /**
+     * One event per tracked emergency vehicle, cleared when the analyzer reports
+     * it gone. Untracked detections (e.g. demo data) are recorded as they come.
+     */
+    recordEmergencies(data) {
+        data.emergency_vehicles?.forEach(ev => {
+            if (ev.id === undefined) {
+                this.store.recordEmergencyEvent(ev.type, ev.lane_id, ev.direction);
+            } else if (!this.emergencyEvents.has(ev.id)) {
+                this.emergencyEvents.set(ev.id, this.store.recordEmergencyEvent(ev.type, ev.lane_id, ev.direction));
+            }
+        });
+
+        data.emergencies_cleared?.forEach(ev => {
+            const eventId = this.emergencyEvents.get(ev.id);
+            if (eventId === undefined) return;
+            this.emergencyEvents.delete(ev.id);
+            this.store.clearEmergencyEvent(eventId, ev.clearedAt);
+        });
+    }
+
+    /**
+     * Record vehicle counts. The counter reports the vehicles in view, so each
+     * update is scaled by how long a vehicle stays in view at the current queue.
+     */
+    recordCounts(counts) {
+        const now = Date.now();
+        const timeDeltaSeconds = this.lastCountsAt ? (now - this.lastCountsAt) / 1000 : 0;
+        this.lastCountsAt = now;
+
+        let dwellTimeSeconds = 0.8;
+        const queue = this.lastQueueLength || 0;
+        if (queue > 20) dwellTimeSeconds = 45;
+        else if (queue > 10) dwellTimeSeconds = 20;
+        else if (queue > 5) dwellTimeSeconds = 8;
+        else if (queue > 2) dwellTimeSeconds = 3;
+
+        const validDelta = (timeDeltaSeconds > 0 && timeDeltaSeconds < 5) ? timeDeltaSeconds : 0.1;
+        const flowFactor = validDelta / dwellTimeSeconds;
+
+        if (this.paused) return;
+        this.store.recordTrafficData({
+            car: counts.car * flowFactor,
+            truck: counts.truck * flowFactor,
+            bus: counts.bus * flowFactor,
+            motorcycle: counts.motorcycle * flowFactor,
+            avgWaitTime: 0
+        });
+        counts.movements?.forEach(movement => this.store.recordMovement(movement));
+        counts.crossings?.forEach(crossing => this.store.recordLineCrossing(crossing));
+        counts.speeds?.forEach(reading => this.store.recordSpeed(reading));
+    }
+}
+
+export default TrafficRecorder;
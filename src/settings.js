@@ -3,10 +3,22 @@
  * Handles settings UI and persistence
  */
 import { dataStore } from './services/DataStore.js';
+import { authService } from './services/AuthService.js';
 import { voiceAssistantService } from './services/VoiceAssistantService.js';
+import { cameraRegistryService } from './services/CameraRegistryService.js';
+import { VISION_BACKENDS } from './config/visionBackends.js';
+import { DEFAULT_COST_PER_1000_FRAMES } from './ai/AdaptiveSampler.js';
+import { trackerFromSettings } from './ai/SortTracker.js';
 import { UIUtils } from './utils/UIUtils.js';
 import './style.css';
 
+// Tracker setting inputs (ids match the setting keys) and their SortTracker option
+const TRACKER_INPUTS = [
+    { id: 'trackerMinHits', option: 'minHits' },
+    { id: 'trackerMaxAge', option: 'maxAge' },
+    { id: 'trackerIouThreshold', option: 'iouThreshold' }
+];
+
 class SettingsPage {
     constructor() {
         this.init();
@@ -18,9 +30,97 @@ class SettingsPage {
         UIUtils.setupCustomDropdowns();
         this.setupEventListeners();
         this.setupVoiceAssistantListeners();
+        this.setupAccount();
+        this.setupCameraBackends();
         console.log('⚙️ Settings page initialized');
     }
 
+    /**
+     * Password and account controls, shown once the server confirms a session
+     */
+    async setupAccount() {
+        const card = document.getElementById('accountCard');
+        const user = await authService.loadSession();
+        if (!card || !user) return;
+
+        card.style.display = '';
+        document.getElementById('accountEmail').textContent = user.email;
+
+        const currentInput = document.getElementById('currentPassword');
+        const newInput = document.getElementById('newPassword');
+        const errorEl = document.getElementById('accountError');
+
+        document.getElementById('changePasswordBtn')?.addEventListener('click', async () => {
+            errorEl.textContent = '';
+            try {
+                await authService.changePassword(currentInput.value, newInput.value);
+                currentInput.value = '';
+                newInput.value = '';
+                this.showToast('Password changed');
+            } catch (error) {
+                errorEl.textContent = error.message;
+            }
+        });
+
+        document.getElementById('deleteAccountBtn')?.addEventListener('click', async () => {
+            errorEl.textContent = '';
+            if (!currentInput.value) {
+                errorEl.textContent = 'Enter your current password to delete your account';
+                return;
+            }
+            if (!confirm('Delete your account? This cannot be undone.')) return;
+
+            try {
+                await authService.deleteAccount(currentInput.value);
+                window.location.href = '/login.html';
+            } catch (error) {
+                errorEl.textContent = error.message;
+            }
+        });
+    }
+
+    /**
+     * One backend select per registry camera; "Default" follows the default backend
+     */
+    async setupCameraBackends() {
+        const list = document.getElementById('cameraBackendList');
+        if (!list) return;
+
+        const cameras = await cameraRegistryService.load();
+        const overrides = dataStore.getSetting('cameraBackends') || {};
+        if (cameras.length === 0) {
+            list.innerHTML = '<p class="form-hint">No cameras registered yet</p>';
+            return;
+        }
+
+        const options = [{ id: '', label: 'Default' }, ...VISION_BACKENDS];
+        list.innerHTML = cameras.map(camera => `
+            <div class="setting-row">
+                <div class="setting-row__info">
+                    <span class="setting-row__label">${UIUtils.escapeHtml(camera.name)}</span>
+                    <span class="setting-row__description">${UIUtils.escapeHtml(camera.agency || camera.id)}</span>
+                </div>
+                <select class="select select--sm" data-camera-id="${UIUtils.escapeHtml(camera.id)}">
+                    ${options.map(o => `<option value="${o.id}"${(overrides[camera.id] || '') === o.id ? ' selected' : ''}>${o.label}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('select[data-camera-id]').forEach(select => {
+            select.addEventListener('change', () => {
+                const cameraBackends = { ...(dataStore.getSetting('cameraBackends') || {}) };
+                const camera = cameras.find(c => c.id === select.dataset.cameraId);
+                if (select.value) {
+                    cameraBackends[camera.id] = select.value;
+                } else {
+                    delete cameraBackends[camera.id];
+                }
+                dataStore.setSetting('cameraBackends', cameraBackends);
+                this.showToast(`${camera.name}: ${select.options[select.selectedIndex].text} backend`);
+            });
+        });
+    }
+
     loadSettings() {
         const settings = dataStore.getAllSettings();
 
@@ -31,11 +131,22 @@ class SettingsPage {
         this.setToggle('heatmapEnabled', settings.heatmapEnabled);
         this.setToggle('liveVehicleCounts', settings.liveVehicleCounts);
         this.setToggle('saveHistoricalData', settings.saveHistoricalData);
+        this.setToggle('adaptiveSampling', settings.adaptiveSampling !== false);
+
+        const costInput = document.getElementById('apiCostPer1000Frames');
+        if (costInput) costInput.value = settings.apiCostPer1000Frames ?? DEFAULT_COST_PER_1000_FRAMES;
+
+        const tracker = trackerFromSettings(settings);
+        TRACKER_INPUTS.forEach(({ id, option }) => {
+            const input = document.getElementById(id);
+            if (input) input.value = tracker[option];
+        });
 
         // Selects
         this.setSelect('mapStyle', settings.mapStyle);
         this.setSelect('defaultCamera', settings.defaultCamera);
         this.setSelect('frameRate', settings.frameRate);
+        this.setSelect('visionBackend', settings.visionBackend || 'overshoot');
         this.setSelect('dataRetention', settings.dataRetentionDays);
 
         // Sync custom dropdowns
@@ -55,7 +166,8 @@ class SettingsPage {
                     'Congestion Warnings': 'congestionWarnings',
                     'Heatmap Overlay': 'heatmapEnabled',
                     'Live Vehicle Counts': 'liveVehicleCounts',
-                    'Save Historical Data': 'saveHistoricalData'
+                    'Save Historical Data': 'saveHistoricalData',
+                    'Adaptive Sampling': 'adaptiveSampling'
                 };
                 if (labelMap[label] === name) {
                     toggle.checked = value;
@@ -73,6 +185,7 @@ class SettingsPage {
                     'Map Style': 'mapStyle',
                     'Default Camera': 'defaultCamera',
                     'Analysis Frame Rate': 'frameRate',
+                    'Default Vision Backend': 'visionBackend',
                     'Data Retention': 'dataRetention'
                 };
                 if (labelMap[label] === name) {
@@ -93,6 +206,24 @@ class SettingsPage {
             select.addEventListener('change', (e) => this.handleSelectChange(e));
         });
 
+        // Price used for the dashboard's API cost estimate
+        document.getElementById('apiCostPer1000Frames')?.addEventListener('change', (e) => {
+            const cost = parseFloat(e.target.value);
+            if (!Number.isFinite(cost) || cost < 0) return;
+            dataStore.setSetting('apiCostPer1000Frames', cost);
+            this.showToast('API cost updated');
+        });
+
+        // Local counter's tracker; out-of-range values fall back to the default
+        TRACKER_INPUTS.forEach(({ id, option }) => {
+            document.getElementById(id)?.addEventListener('change', (e) => {
+                const tracker = trackerFromSettings({ [id]: e.target.value });
+                e.target.value = tracker[option];
+                dataStore.setSetting(id, tracker[option]);
+                this.showToast('Tracker updated');
+            });
+        });
+
 
 
         // Export data
@@ -129,7 +260,8 @@ class SettingsPage {
             'Congestion Warnings': 'congestionWarnings',
             'Heatmap Overlay': 'heatmapEnabled',
             'Live Vehicle Counts': 'liveVehicleCounts',
-            'Save Historical Data': 'saveHistoricalData'
+            'Save Historical Data': 'saveHistoricalData',
+            'Adaptive Sampling': 'adaptiveSampling'
         };
 
         const settingKey = labelMap[label];
@@ -145,6 +277,7 @@ class SettingsPage {
             'Map Style': 'mapStyle',
             'Default Camera': 'defaultCamera',
             'Analysis Frame Rate': 'frameRate',
+            'Default Vision Backend': 'visionBackend',
             'Data Retention': 'dataRetentionDays'
         };
 
@@ -338,8 +471,22 @@ ${dataStore.getBusiestIntersections().map((int, i) => `${i + 1}. ${int.name} - $
         URL.revokeObjectURL(url);
     }
 
-    clearData() {
-        if (confirm('Are you sure you want to clear all analytics data? This cannot be undone.')) {
+    async clearData() {
+        // Demo data only lives in this browser
+        if (dataStore.isDemo()) {
+            if (confirm('Clear the demo data and show your team\'s shared data again?')) {
+                await dataStore.exitDemo();
+                this.showToast('Demo data cleared');
+            }
+            return;
+        }
+
+        const user = await authService.loadSession();
+        if (!user?.admin) {
+            alert('Only admins can clear the shared analytics data.');
+            return;
+        }
+        if (confirm('Are you sure you want to clear all analytics data? This clears the shared data for your whole team and cannot be undone.')) {
             dataStore.clearAnalytics();
             this.showToast('All data cleared');
         }
@@ -97,7 +97,7 @@ export class AudioAlerts {
         if (!alerts || alerts.length === 0) return;
 
         // Check for critical alerts
-        const criticalKeywords = ['violation', 'collision', 'near-miss', 'incident'];
+        const criticalKeywords = ['emergency vehicle', 'violation', 'collision', 'near-miss', 'incident'];
         const warningKeywords = ['congestion', 'backup', 'high', 'unsafe'];
 
         for (const alert of alerts) {
@@ -0,0 +1,299 @@
+/**
+ * Camera import/export formats
+ * Reads and writes camera lists as CSV, GeoJSON FeatureCollections and KML
+ * placemarks. Exports carry every registry field, so exporting and importing
+ * the file again gives back the same cameras. Lane layouts only fit in GeoJSON.
+ */
+import { validateCamera, findDuplicateCamera } from '../config/cameras.js';
+
+export const CAMERA_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+// Registry fields in export order (besides the coordinates)
+const FIELDS = ['id', 'name', 'url', 'streamType', 'approaches', 'laneCount', 'agency', 'notes', 'enabled'];
+
+// Spreadsheet headers we accept for each field, compared lowercased without spaces, _ or -
+const CSV_ALIASES = {
+    id: ['id', 'cameraid'],
+    name: ['name', 'camera', 'cameraname', 'title', 'location', 'intersection'],
+    lat: ['lat', 'latitude', 'y'],
+    lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+    url: ['url', 'stream', 'streamurl', 'hls', 'hlsurl', 'feed', 'feedurl'],
+    streamType: ['streamtype', 'type', 'format'],
+    approaches: ['approaches', 'approach', 'directions'],
+    laneCount: ['lanecount', 'lanes', 'lanecnt'],
+    agency: ['agency', 'owner', 'owneragency'],
+    notes: ['notes', 'note', 'description', 'comments'],
+    enabled: ['enabled', 'active']
+};
+
+/**
+ * Guess the format from the file name, then from the content
+ * @returns {'csv' | 'geojson' | 'kml' | null}
+ */
+export function detectFormat(filename = '', text = '') {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'csv' || ext === 'txt') return 'csv';
+    if (ext === 'geojson' || ext === 'json') return 'geojson';
+    if (ext === 'kml') return 'kml';
+
+    const start = text.trimStart();
+    if (start.startsWith('{')) return 'geojson';
+    if (start.startsWith('<')) return 'kml';
+    return start ? 'csv' : null;
+}
+
+/**
+ * Parse a file into raw camera rows. Rows are not validated here.
+ * @returns {Array<{ row: number, input: Object }>} row is the 1-based line, feature or placemark number
+ */
+export function parseCameras(text, format) {
+    if (format === 'csv') return parseCsvCameras(text);
+    if (format === 'geojson') return parseGeoJsonCameras(text);
+    if (format === 'kml') return parseKmlCameras(text);
+    throw new Error(`Unsupported format: ${format}`);
+}
+
+/**
+ * Validate parsed rows and dedupe them against the registry and each other.
+ * Rows without an id get one from the registry when imported.
+ * @returns {Array<{ row: number, input: Object, camera: Object, status: 'new' | 'duplicate' | 'invalid', reason: string }>}
+ */
+export function prepareCameraImport(rows, existing = []) {
+    const accepted = [];
+    return rows.map(({ row, input }) => {
+        const { camera, errors } = validateCamera({ ...input, id: input.id ?? `row_${row}` });
+        if (errors.length > 0) {
+            return { row, input, camera, status: 'invalid', reason: errors.join(', ') };
+        }
+
+        const candidate = input.id === undefined ? { ...camera, id: undefined } : camera;
+        const duplicate = findDuplicateCamera(candidate, [...existing, ...accepted]);
+        if (duplicate) {
+            return { row, input, camera, status: 'duplicate', reason: `${duplicate.reason} as ${duplicate.camera.name}` };
+        }
+
+        accepted.push(candidate);
+        return { row, input, camera: candidate, status: 'new', reason: '' };
+    });
+}
+
+/**
+ * Serialize cameras to one of CAMERA_FORMATS
+ */
+export function serializeCameras(cameras, format) {
+    if (format === 'csv') return toCsv(cameras);
+    if (format === 'geojson') return toGeoJson(cameras);
+    if (format === 'kml') return toKml(cameras);
+    throw new Error(`Unsupported format: ${format}`);
+}
+
+// ---------------------------------------------------------------- CSV
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ */
+function splitCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            record.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+function parseCsvCameras(text) {
+    const records = splitCsv(text.replace(/^\uFEFF/, ''));
+    const header = records.shift() || [];
+    const normalize = (h) => h.toLowerCase().replace(/[\s_-]/g, '');
+
+    // column index -> field
+    const columns = header.map(h => {
+        const key = normalize(h);
+        return Object.keys(CSV_ALIASES).find(field => CSV_ALIASES[field].includes(key)) || null;
+    });
+    if (!columns.includes('lat') || !columns.includes('lng')) {
+        throw new Error('CSV needs latitude and longitude columns (e.g. "lat" and "lng")');
+    }
+
+    return records
+        .map((values, index) => ({ values, row: index + 2 }))
+        .filter(({ values }) => values.some(v => v.trim()))
+        .map(({ values, row }) => {
+            const input = {};
+            columns.forEach((field, i) => {
+                if (field && values[i] !== undefined && values[i].trim() !== '') input[field] = values[i].trim();
+            });
+            return { row, input };
+        });
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(cameras) {
+    const header = ['id', 'name', 'lat', 'lng', ...FIELDS.slice(2)];
+    const lines = cameras.map(cam => header.map(field => {
+        const value = cam[field];
+        return csvField(Array.isArray(value) ? value.join(' ') : value);
+    }).join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------- GeoJSON
+
+function parseGeoJsonCameras(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid GeoJSON: ${error.message}`);
+    }
+
+    const features = data?.type === 'FeatureCollection' ? data.features
+        : data?.type === 'Feature' ? [data]
+            : null;
+    if (!Array.isArray(features)) throw new Error('GeoJSON must be a FeatureCollection of Point features');
+
+    return features.map((feature, index) => {
+        const props = feature?.properties || {};
+        const input = { ...props };
+        input.name = props.name ?? props.title;
+        input.url = props.url ?? props.streamUrl ?? props.stream;
+
+        const geometry = feature?.geometry;
+        if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+            [input.lng, input.lat] = geometry.coordinates;
+        } else {
+            // validateCamera reports the missing coordinates for this row
+            input.lat = null;
+            input.lng = null;
+        }
+        return { row: index + 1, input };
+    });
+}
+
+function toGeoJson(cameras) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: cameras.map(cam => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [cam.lng, cam.lat] },
+            properties: {
+                ...Object.fromEntries(FIELDS.map(field => [field, cam[field] ?? null])),
+                ...(cam.lanes?.length ? { lanes: cam.lanes } : {})
+            }
+        }))
+    }, null, 2);
+}
+
+// ---------------------------------------------------------------- KML
+
+function parseKmlCameras(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML: the file is not well-formed XML');
+    }
+
+    const placemarks = Array.from(doc.getElementsByTagName('Placemark'));
+    if (placemarks.length === 0) throw new Error('KML has no placemarks');
+
+    return placemarks.map((placemark, index) => {
+        const child = (tag) => placemark.getElementsByTagName(tag)[0]?.textContent.trim();
+        const input = {};
+
+        // ExtendedData carries the other fields (written by our export, and by most GIS tools)
+        Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+            const value = data.getElementsByTagName('value')[0]?.textContent.trim();
+            if (data.getAttribute('name') && value) input[data.getAttribute('name')] = value;
+        });
+        Array.from(placemark.getElementsByTagName('SimpleData')).forEach(data => {
+            if (data.getAttribute('name') && data.textContent.trim()) input[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        input.name = child('name') || input.name;
+        const description = child('description');
+        if (!input.url && /^(https?|rtsp):\/\/\S+$/i.test(description || '')) {
+            input.url = description;
+        } else if (!input.notes && description) {
+            input.notes = description;
+        }
+
+        const coordinates = placemark.getElementsByTagName('Point')[0]?.getElementsByTagName('coordinates')[0]?.textContent.trim();
+        if (coordinates) {
+            const [lng, lat] = coordinates.split(/[\s,]+/).map(Number);
+            Object.assign(input, { lat, lng });
+        } else {
+            input.lat = null;
+            input.lng = null;
+        }
+        return { row: index + 1, input };
+    });
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function toKml(cameras) {
+    const placemarks = cameras.map(cam => {
+        const data = FIELDS
+            .filter(field => field !== 'name' && cam[field] !== null && cam[field] !== undefined && cam[field] !== '')
+            .map(field => {
+                const value = Array.isArray(cam[field]) ? cam[field].join(' ') : cam[field];
+                return `        <Data name="${field}"><value>${escapeXml(value)}</value></Data>`;
+            })
+            .join('\n');
+        return `    <Placemark>
+      <name>${escapeXml(cam.name)}</name>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${cam.lng},${cam.lat},0</coordinates></Point>
+    </Placemark>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>TrafiQ cameras</name>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
@@ -0,0 +1,74 @@
+import Hls from 'hls.js';
+
+/**
+ * Play an HLS playlist in a video element.
+ * Remote streams go through the /proxy route; same-origin playlists
+ * (DVR recordings served by /api/recordings) are loaded directly.
+ * @param {HTMLVideoElement} videoElement
+ * @param {string} url
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onReady] - playback started
+ * @param {Function} [callbacks.onFatal] - (data) the stream can't be recovered
+ * @returns {{ isLocal: boolean, destroy: Function }|null} null when the browser can't play HLS
+ */
+export function loadHlsSource(videoElement, url, { onReady = () => { }, onFatal = () => { } } = {}) {
+    const isLocal = new URL(url, window.location.href).origin === window.location.origin;
+
+    if (Hls.isSupported()) {
+        const hls = new Hls({
+            xhrSetup: (xhr, url) => {
+                // Rewrite all HLS requests to go through local proxy to bypass CORS
+                // This allows TF.js to read pixels from the video element
+                // The proxy rewrites every manifest URI (variants, keys, init segments)
+                // to /proxy?url=..., so only the initial manifest request needs rewriting here
+                if (isLocal || url.includes('/proxy?url=')) return;
+                // Use relative path for proxy to work in both dev and prod
+                // In dev (Vite), this is proxied to localhost:3001 via vite.config.js
+                // In prod (Express), this is handled directly by server.js
+                const proxyUrl = `/proxy?url=${encodeURIComponent(url)}`;
+                xhr.open('GET', proxyUrl, true);
+            }
+        });
+        hls.loadSource(url);
+        hls.attachMedia(videoElement);
+
+        hls.on(Hls.Events.MANIFEST_PARSED, () => {
+            videoElement.play().catch(e => console.error('Play error:', e));
+            onReady();
+        });
+
+        hls.on(Hls.Events.ERROR, (event, data) => {
+            if (data.fatal) {
+                switch (data.type) {
+                    case Hls.ErrorTypes.NETWORK_ERROR:
+                        console.error('HLS Network error', data);
+                        hls.startLoad();
+                        break;
+                    case Hls.ErrorTypes.MEDIA_ERROR:
+                        console.error('HLS Media error', data);
+                        hls.recoverMediaError();
+                        break;
+                    default:
+                        hls.destroy();
+                        onFatal(data);
+                        break;
+                }
+            }
+        });
+
+        return { isLocal, destroy: () => hls.destroy() };
+    }
+
+    if (videoElement.canPlayType('application/vnd.apple.mpegurl')) {
+        // Native HLS support (Safari) - load through the proxy so pixels stay readable
+        videoElement.src = isLocal ? url : `/proxy?url=${encodeURIComponent(url)}`;
+        videoElement.addEventListener('loadedmetadata', () => {
+            videoElement.play();
+            onReady();
+        }, { once: true });
+
+        return { isLocal, destroy: () => { } };
+    }
+
+    return null;
+}
@@ -32,7 +32,7 @@ export const UIUtils = {
             // Handle option selection delegate
             customSelect.addEventListener('click', (e) => {
                 const option = e.target.closest('.custom-option');
-                if (!option) return;
+                if (!option || option.classList.contains('custom-option--disabled')) return;
 
                 const value = option.dataset.value;
                 const text = option.textContent;
@@ -83,13 +83,22 @@ export const UIUtils = {
         Array.from(hiddenSelect.options).forEach(opt => {
             const span = document.createElement('span');
             span.className = `custom-option ${opt.selected ? 'selected' : ''}`;
+            span.classList.toggle('custom-option--disabled', opt.disabled);
             span.dataset.value = opt.value;
             span.textContent = opt.textContent;
+            if (opt.title) span.title = opt.title;
             customOptionsContainer.appendChild(span);
 
             if (opt.selected && valueDisplay) {
                 valueDisplay.textContent = opt.textContent;
             }
         });
+    },
+
+    /**
+     * Escape text for use inside an HTML template string
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
     }
 };